@@ -12,6 +12,8 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
+import { translateError } from './utils/translateError.js';
+import { mountRoutes, listRoutes, describeRoutes } from './routes/index.js';
 
 // Create Express application
 const app = express();
@@ -34,15 +36,18 @@ app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Backend'],
+  exposedHeaders: ['X-Backend'] // Backend that served a /api/* request
 }));
 
 /**
  * Morgan - HTTP Request Logger
  * Logs all incoming requests (useful for debugging)
- * Uses 'dev' format in development, 'combined' in production
+ * Uses 'dev' format in development, 'combined' in production, off in tests
  */
-app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
+}
 
 /**
  * Body Parsers
@@ -66,19 +71,6 @@ app.use((req, res, next) => {
 // ROUTES
 // ═══════════════════════════════════════════════════════════════
 
-/**
- * Health Check Route
- * Quick endpoint to verify server is running
- */
-app.get('/api/health', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Server is running!',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
-
 /**
  * Root Route
  * Welcome message for API
@@ -87,39 +79,15 @@ app.get('/', (req, res) => {
   res.status(200).json({
     success: true,
     message: 'Welcome to CRUD Practice API',
-    documentation: {
-      prisma: '/api/prisma/*',
-      mongoose: '/api/mongoose/*',
-      health: '/api/health'
-    }
+    documentation: describeRoutes()
   });
 });
 
 /**
- * Import and use route modules
+ * Route modules, mounted from the registry (health check and docs, Prisma,
+ * Mongoose and backend-agnostic routes, GraphQL, see routes/index.js)
  */
-
-// Prisma (PostgreSQL) Routes
-import prismaUserRoutes from './routes/prisma/userRoutes.js';
-import prismaPostRoutes from './routes/prisma/postRoutes.js';
-import prismaProductRoutes from './routes/prisma/productRoutes.js';
-
-app.use('/api/prisma/users', prismaUserRoutes);
-app.use('/api/prisma/posts', prismaPostRoutes);
-app.use('/api/prisma/products', prismaProductRoutes);
-
-// Mongoose (MongoDB) Routes
-import mongooseUserRoutes from './routes/mongoose/userRoutes.js';
-import mongoosePostRoutes from './routes/mongoose/postRoutes.js';
-import mongooseProductRoutes from './routes/mongoose/productRoutes.js';
-import mongooseTagRoutes from './routes/mongoose/tagRoutes.js';
-import mongooseOrderRoutes from './routes/mongoose/orderRoutes.js'
-
-app.use('/api/mongoose/users', mongooseUserRoutes);
-app.use('/api/mongoose/posts', mongoosePostRoutes);
-app.use('/api/mongoose/products', mongooseProductRoutes);
-app.use('/api/mongoose/tags', mongooseTagRoutes);
-app.use('/api/mongoose/orders', mongooseOrderRoutes)
+mountRoutes(app);
 
 // ═══════════════════════════════════════════════════════════════
 // ERROR HANDLING
@@ -132,20 +100,11 @@ app.use('/api/mongoose/orders', mongooseOrderRoutes)
 app.use((req, res, next) => {
   res.status(404).json({
     success: false,
+    code: 'ROUTE_NOT_FOUND',
     message: `Route not found: ${req.method} ${req.originalUrl}`,
     availableRoutes: {
       root: '/',
-      health: '/api/health',
-      prisma: {
-        users: '/api/prisma/users',
-        posts: '/api/prisma/posts',
-        products: '/api/prisma/products'
-      },
-      mongoose: {
-        users: '/api/mongoose/users',
-        posts: '/api/mongoose/posts',
-        products: '/api/mongoose/products'
-      }
+      ...listRoutes()
     }
   });
 });
@@ -153,21 +112,32 @@ app.use((req, res, next) => {
 /**
  * Global Error Handler
  * Catches all errors passed via next(error)
+ * Database errors are translated to typed AppErrors (utils/translateError.js)
+ * so every failure answers with the same body:
+ * { success: false, code, message, errors? }
  */
 app.use((error, req, res, next) => {
-  console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.error('❌ ERROR CAUGHT:');
-  console.error('Message:', error.message);
-  console.error('Stack:', error.stack);
-  console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  const appError = translateError(error);
+  const { statusCode } = appError;
   
-  // Default status code
-  const statusCode = error.statusCode || 500;
+  // Client errors are expected, only unexpected failures are logged
+  if (statusCode >= 500) {
+    console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.error('❌ ERROR CAUGHT:');
+    console.error('Message:', error.message);
+    console.error('Stack:', error.stack);
+    console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  }
   
   // Send error response
   res.status(statusCode).json({
     success: false,
-    message: error.message || 'Internal Server Error',
+    code: appError.code,
+    // Internal error messages are not leaked in production
+    message: statusCode >= 500 && process.env.NODE_ENV === 'production'
+      ? 'Internal Server Error'
+      : appError.message,
+    errors: Array.isArray(appError.errors) ? appError.errors : undefined, // Field level details (validation failures)
     error: process.env.NODE_ENV === 'development' ? {
       stack: error.stack,
       details: error
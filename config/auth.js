@@ -0,0 +1,29 @@
+/**
+ * AUTHENTICATION CONFIGURATION
+ * 
+ * Central place for token secrets and lifetimes used by the auth
+ * controllers (both backends) and the requireAuth middleware
+ */
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Never fall back to a hard-coded secret in production
+if (isProduction && !process.env.JWT_ACCESS_SECRET) {
+  throw new Error('JWT_ACCESS_SECRET must be set in production');
+}
+
+const authConfig = {
+  // Secret used to sign and verify access tokens (JWT)
+  accessTokenSecret: process.env.JWT_ACCESS_SECRET || 'dev-access-secret-change-me',
+
+  // Access tokens are short-lived (any value accepted by jsonwebtoken, e.g. '15m')
+  accessTokenExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+
+  // Refresh tokens are opaque random strings stored hashed in the database
+  refreshTokenTtlDays: parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS) || 7,
+
+  // bcrypt cost factor for password hashing
+  saltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10
+};
+
+export { authConfig };
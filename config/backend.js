@@ -0,0 +1,22 @@
+/**
+ * BACKEND SELECTION CONFIGURATION
+ * 
+ * The backend-agnostic routes (/api/users, /api/posts, ...) serve either store.
+ * A request picks one with the X-Backend header (prisma | mongoose); without it
+ * the backend that issued the request's access token is used, then DEFAULT_BACKEND.
+ */
+
+// Stores the repository layer can run against (see repositories/index.js)
+const BACKENDS = ['prisma', 'mongoose'];
+
+const backendConfig = {
+  backends: BACKENDS,
+  defaultBackend: (process.env.DEFAULT_BACKEND || 'prisma').toLowerCase(),
+  header: 'X-Backend'
+};
+
+if (!BACKENDS.includes(backendConfig.defaultBackend)) {
+  throw new Error(`DEFAULT_BACKEND must be one of: ${BACKENDS.join(', ')}`);
+}
+
+export { backendConfig };
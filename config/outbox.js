@@ -0,0 +1,19 @@
+/**
+ * OUTBOX CONFIGURATION
+ * 
+ * OUTBOX_RELAY=false stops server.js from relaying outbox events into the
+ * MongoDB read models (run scripts/outbox-relay.js as its own process instead)
+ * OUTBOX_RELAY_SECONDS sets how often new events are picked up
+ * OUTBOX_BATCH_SIZE sets how many events are projected at a time
+ * OUTBOX_GAP_GRACE_SECONDS sets how long the relay waits for a transaction
+ * that has not committed yet before skipping its event id (see utils/outbox.js)
+ */
+
+const outboxConfig = {
+  relayEnabled: process.env.OUTBOX_RELAY !== 'false',
+  relayIntervalSeconds: parseInt(process.env.OUTBOX_RELAY_SECONDS) || 5,
+  batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE) || 100,
+  gapGraceSeconds: parseInt(process.env.OUTBOX_GAP_GRACE_SECONDS) || 30
+};
+
+export { outboxConfig };
@@ -0,0 +1,14 @@
+/**
+ * POST CONFIGURATION
+ * 
+ * PUBLISH_SCHEDULER=false stops server.js from publishing scheduled posts
+ * in the background (see utils/postWorkflow.js)
+ * PUBLISH_INTERVAL_SECONDS sets how often scheduled posts are checked
+ */
+
+const postConfig = {
+  publishSchedulerEnabled: process.env.PUBLISH_SCHEDULER !== 'false',
+  publishIntervalSeconds: parseInt(process.env.PUBLISH_INTERVAL_SECONDS) || 60
+};
+
+export { postConfig };
@@ -0,0 +1,14 @@
+/**
+ * REPORTING CONFIGURATION
+ * 
+ * REPORTS_SCHEDULER=false stops server.js from refreshing the reporting
+ * rollups in the background (they can still be refreshed on demand)
+ * REPORTS_REFRESH_MINUTES sets how often the rollups are rebuilt
+ */
+
+const reportingConfig = {
+  schedulerEnabled: process.env.REPORTS_SCHEDULER !== 'false',
+  refreshIntervalMinutes: parseInt(process.env.REPORTS_REFRESH_MINUTES) || 15
+};
+
+export { reportingConfig };
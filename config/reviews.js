@@ -0,0 +1,12 @@
+/**
+ * REVIEW CONFIGURATION
+ * 
+ * REVIEWS_REQUIRE_VERIFIED_PURCHASE=true only lets users review a product
+ * they received (a DELIVERED order containing it)
+ */
+
+const reviewConfig = {
+  requireVerifiedPurchase: process.env.REVIEWS_REQUIRE_VERIFIED_PURCHASE === 'true'
+};
+
+export { reviewConfig };
@@ -0,0 +1,16 @@
+/**
+ * SOFT DELETE CONFIGURATION
+ * 
+ * SOFT_DELETE_RETENTION_DAYS is how long soft deleted users, posts and
+ * products can still be restored before the purge job removes them for good
+ * PURGE_SCHEDULER=false stops server.js from running the purge in the background
+ * PURGE_INTERVAL_MINUTES sets how often the purge runs
+ */
+
+const softDeleteConfig = {
+  retentionDays: parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30,
+  purgeEnabled: process.env.PURGE_SCHEDULER !== 'false',
+  purgeIntervalMinutes: parseInt(process.env.PURGE_INTERVAL_MINUTES) || 60
+};
+
+export { softDeleteConfig };
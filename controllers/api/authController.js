@@ -0,0 +1,197 @@
+/**
+ * AUTH CONTROLLER (backend-agnostic routes)
+ * 
+ * Handles registration, login, token refresh and logout through the
+ * repositories of the request's backend. Tokens are issued for that backend
+ * and only accepted by it (see middleware/auth.js).
+ */
+
+import { hashPassword, comparePassword } from '../../utils/password.js';
+import {
+  signAccessToken,
+  generateRefreshToken,
+  hashToken,
+  buildAuthTokens
+} from '../../utils/tokens.js';
+import { NotFoundError, UnauthorizedError } from '../../utils/AppError.js';
+
+/**
+ * Remove the password hash before sending a user to the client
+ */
+const sanitizeUser = (user) => {
+  const { password, ...safeUser } = user;
+  return safeUser;
+};
+
+/**
+ * Issue an access token and a refresh token for a user
+ * Pass the family of the previous refresh token when rotating
+ */
+const issueTokens = async (req, user, family) => {
+  const refreshToken = generateRefreshToken(family);
+  
+  await req.repos.refreshTokens.create({
+    tokenHash: refreshToken.tokenHash,
+    family: refreshToken.family,
+    expiresAt: refreshToken.expiresAt,
+    userId: user.id
+  });
+  
+  return buildAuthTokens(signAccessToken(user, req.backend), refreshToken);
+};
+
+/**
+ * @desc    Register a new user
+ * @route   POST /api/auth/register
+ * @access  Public
+ */
+export const register = async (req, res, next) => {
+  try {
+    const { email, username, password, firstName, lastName } = req.body;
+    
+    // Role always defaults to USER
+    const user = await req.repos.users.create({
+      email,
+      username,
+      password: await hashPassword(password),
+      firstName: firstName || null,
+      lastName: lastName || null
+    });
+    
+    const tokens = await issueTokens(req, user);
+    
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log in with email (or username) and password
+ * @route   POST /api/auth/login
+ * @access  Public
+ */
+export const login = async (req, res, next) => {
+  try {
+    const { email, username, password } = req.body;
+    
+    const user = await req.repos.users.findAccount(email ? { email } : { username });
+    
+    // Same message for unknown user and wrong password
+    if (!user || !(await comparePassword(password, user.password))) {
+      return next(new UnauthorizedError('Invalid credentials'));
+    }
+    
+    const tokens = await issueTokens(req, user);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        user: sanitizeUser(user),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires a valid refresh token)
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const { refreshTokens, users } = req.repos;
+    const tokenHash = hashToken(req.body.refreshToken);
+    
+    // Rotate: revoke the presented token and issue a new one in the same family
+    const consumed = await refreshTokens.consume(tokenHash);
+    
+    if (!consumed) {
+      // A revoked token being reused means it was leaked: revoke the whole family
+      const storedToken = await refreshTokens.findByHash(tokenHash);
+      if (storedToken?.revokedAt) {
+        await refreshTokens.revokeFamily(storedToken.family);
+        return next(new UnauthorizedError('Refresh token reuse detected, please log in again'));
+      }
+      
+      return next(new UnauthorizedError('Invalid or expired refresh token'));
+    }
+    
+    const user = await users.findAccount({ id: consumed.userId });
+    
+    if (!user) {
+      return next(new UnauthorizedError('Invalid or expired refresh token'));
+    }
+    
+    const tokens = await issueTokens(req, user, consumed.family);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        user: sanitizeUser(user),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log out by revoking the refresh token family
+ * @route   POST /api/auth/logout
+ * @access  Public (requires the refresh token to revoke)
+ */
+export const logout = async (req, res, next) => {
+  try {
+    const { refreshTokens } = req.repos;
+    
+    const storedToken = await refreshTokens.findByHash(hashToken(req.body.refreshToken));
+    
+    // Logging out with an unknown token is not an error
+    if (storedToken) {
+      await refreshTokens.revokeFamily(storedToken.family);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the currently authenticated user
+ * @route   GET /api/auth/me
+ * @access  Private
+ */
+export const getMe = async (req, res, next) => {
+  try {
+    const user = await req.repos.users.findById(req.user.id);
+    
+    if (!user) {
+      return next(new NotFoundError(`User not found with id: ${req.user.id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
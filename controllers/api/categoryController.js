@@ -0,0 +1,159 @@
+/**
+ * CATEGORY CONTROLLER (backend-agnostic routes)
+ * 
+ * Handles CRUD operations for Categories through the repositories of the
+ * request's backend (the tree and breadcrumb views stay on
+ * /api/prisma/categories and /api/mongoose/categories)
+ */
+
+import { generateUniqueSlug } from '../../utils/slugify.js';
+import { NotFoundError, ConflictError } from '../../utils/AppError.js';
+
+/**
+ * Moving a category under itself or one of its descendants would create a cycle,
+ * i.e. when the category is on the path from the root to its new parent
+ */
+const wouldCreateCycle = async (categories, categoryId, parentId) => {
+  const path = await categories.findPath(parentId);
+  return path.some((category) => String(category.id) === String(categoryId));
+};
+
+/**
+ * @desc    Get all categories (paginated, see utils/listQuery.js)
+ * @route   GET /api/categories?page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Public
+ */
+export const getAllCategories = async (req, res, next) => {
+  try {
+    const { data: categories, meta } = await req.repos.categories.list(req.query);
+    
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      meta,
+      data: categories
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single category by ID
+ * @route   GET /api/categories/:id
+ * @access  Public
+ */
+export const getCategoryById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const category = await req.repos.categories.findById(id);
+    
+    if (!category) {
+      return next(new NotFoundError(`Category not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new category
+ * @route   POST /api/categories
+ * @access  Private (admin)
+ */
+export const createCategory = async (req, res, next) => {
+  try {
+    const { name, slug, description, parentId } = req.body;
+    const { categories } = req.repos;
+    
+    // Check if parent category exists
+    if (parentId && !(await categories.findById(parentId))) {
+      return next(new NotFoundError(`Parent category not found with id: ${parentId}`));
+    }
+    
+    const category = await categories.create({
+      name,
+      slug: slug || await generateUniqueSlug(name, categories.slugExists),
+      description,
+      parentId: parentId ?? null
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update category
+ *          Reparenting under itself or one of its descendants is rejected
+ * @route   PUT /api/categories/:id
+ * @access  Private (admin)
+ */
+export const updateCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { parentId } = req.body;
+    const { categories } = req.repos;
+    
+    if (!(await categories.findById(id))) {
+      return next(new NotFoundError(`Category not found with id: ${id}`));
+    }
+    
+    if (parentId) {
+      if (!(await categories.findById(parentId))) {
+        return next(new NotFoundError(`Parent category not found with id: ${parentId}`));
+      }
+      
+      if (await wouldCreateCycle(categories, id, parentId)) {
+        return next(new ConflictError('A category cannot be moved under itself or one of its descendants'));
+      }
+    }
+    
+    const category = await categories.update(id, req.body);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete category
+ *          Children become top level and products lose the category
+ * @route   DELETE /api/categories/:id
+ * @access  Private (admin)
+ */
+export const deleteCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const category = await req.repos.categories.remove(id);
+    
+    if (!category) {
+      return next(new NotFoundError(`Category not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
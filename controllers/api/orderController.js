@@ -0,0 +1,197 @@
+/**
+ * ORDER CONTROLLER (backend-agnostic routes)
+ * 
+ * Handles order placement, status transitions and retrieval through the
+ * repositories of the request's backend (Mongo-only fields such as the
+ * shipping address, and the read model, stay on /api/mongoose/orders and
+ * /api/prisma/orders). Orders are cancelled, not deleted.
+ */
+
+import { NotFoundError, ConflictError, ForbiddenError } from '../../utils/AppError.js';
+import {
+  ORDER_STATUS_TRANSITIONS,
+  PAYMENT_STATUS_TRANSITIONS,
+  assertTransition
+} from '../../utils/orderStateMachine.js';
+
+/**
+ * @desc    Get all orders (admins see every order, users their own), paginated
+ * @route   GET /api/orders?page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Private
+ */
+export const getAllOrders = async (req, res, next) => {
+  try {
+    const { data: orders, meta } = await req.repos.orders.list(req.query, {
+      userId: req.user.role === 'ADMIN' ? undefined : req.user.id
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      meta,
+      data: orders
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single order by ID
+ * @route   GET /api/orders/:id
+ * @access  Private (customer or admin)
+ */
+export const getOrderById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const order = await req.repos.orders.findById(id);
+    
+    if (!order) {
+      return next(new NotFoundError(`Order not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Place an order
+ *          In one transaction: snapshot each product's price, decrement stock
+ *          (only if enough is left), compute totalAmount and create the order
+ *          with a unique orderNumber.
+ *          Responds 409 when a product does not have enough stock.
+ * @route   POST /api/orders
+ * @access  Private
+ */
+export const createOrder = async (req, res, next) => {
+  try {
+    const { items } = req.body;
+    
+    // Orders are placed for the current user unless an admin specifies one
+    const userId = (req.user.role === 'ADMIN' && req.body.userId) || req.user.id;
+    
+    if (userId !== req.user.id && !(await req.repos.users.findById(userId))) {
+      return next(new NotFoundError('User not found'));
+    }
+    
+    const { order, missingProductId, shortage } = await req.repos.orders.place({
+      userId,
+      items,
+      actorId: req.user.id
+    });
+    
+    if (missingProductId !== undefined) {
+      return next(new NotFoundError(`Product not found with id: ${missingProductId}`));
+    }
+    
+    if (shortage) {
+      return next(new ConflictError(
+        `Insufficient stock for product "${shortage.name}" (requested ${shortage.requested}, available ${shortage.available})`
+      ));
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change order status and/or payment status
+ *          Only legal transitions are accepted (see utils/orderStateMachine.js),
+ *          cancelling puts the items back in stock, and every change is
+ *          recorded in the order history with the acting user.
+ *          Customers may only cancel their own orders; admins may do anything.
+ * @route   PATCH /api/orders/:id/status
+ * @access  Private (customer or admin)
+ */
+export const updateOrderStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, paymentStatus, note } = req.body;
+    const { orders } = req.repos;
+    
+    if (req.user.role !== 'ADMIN' && (paymentStatus !== undefined || status !== 'CANCELLED')) {
+      return next(new ForbiddenError('Customers can only cancel their orders'));
+    }
+    
+    const existingOrder = await orders.findState(id);
+    
+    if (!existingOrder) {
+      return next(new NotFoundError(`Order not found with id: ${id}`));
+    }
+    
+    // Validate each requested change
+    const to = {};
+    
+    if (status !== undefined && status !== existingOrder.status) {
+      assertTransition(ORDER_STATUS_TRANSITIONS, 'status', existingOrder.status, status);
+      to.status = status;
+    }
+    
+    if (paymentStatus !== undefined && paymentStatus !== existingOrder.paymentStatus) {
+      assertTransition(PAYMENT_STATUS_TRANSITIONS, 'paymentStatus', existingOrder.paymentStatus, paymentStatus);
+      to.paymentStatus = paymentStatus;
+    }
+    
+    if (Object.keys(to).length === 0) {
+      return next(new ConflictError('Order already has the requested status'));
+    }
+    
+    const order = await orders.changeStatus(id, {
+      from: { status: existingOrder.status, paymentStatus: existingOrder.paymentStatus },
+      to,
+      // Put cancelled items back in stock
+      restock: to.status === 'CANCELLED',
+      note: note || null,
+      actorId: req.user.id
+    });
+    
+    if (!order) {
+      return next(new ConflictError('Order was modified by another request, please retry'));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the status history of an order (oldest first)
+ * @route   GET /api/orders/:id/history
+ * @access  Private (customer or admin)
+ */
+export const getOrderHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const history = await req.repos.orders.findHistory(id);
+    
+    if (!history) {
+      return next(new NotFoundError(`Order not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,270 @@
+/**
+ * POST CONTROLLER (backend-agnostic routes)
+ * 
+ * Handles CRUD operations and the publishing workflow for Posts through the
+ * repositories of the request's backend (see utils/postWorkflow.js)
+ */
+
+import { generateUniqueSlug } from '../../utils/slugify.js';
+import { transitionPost, initialPublication } from '../../utils/postWorkflow.js';
+import { findMissingTagId } from './tagController.js';
+import { NotFoundError, ConflictError } from '../../utils/AppError.js';
+
+// Response message for each status a post can be moved to
+const STATUS_MESSAGES = {
+  SCHEDULED: 'Post scheduled successfully',
+  PUBLISHED: 'Post published successfully',
+  DRAFT: 'Post unpublished successfully',
+  ARCHIVED: 'Post archived successfully'
+};
+
+/**
+ * Post state (authorId, status, publishedAt) when the post exists and is not deleted
+ */
+const findLiveState = async (posts, id) => {
+  const state = await posts.findState(id);
+  return state && !state.deletedAt ? state : null;
+};
+
+/**
+ * @desc    Get all posts (paginated, see utils/listQuery.js)
+ *          Published posts only, plus the current user's own posts
+ * @route   GET /api/posts?page=&limit=&cursor=&sort=&fields=&filter[field][op]=&includeDeleted=
+ * @access  Public (includeDeleted: admin)
+ */
+export const getAllPosts = async (req, res, next) => {
+  try {
+    const { data: posts, meta } = await req.repos.posts.list(req.query, { viewer: req.user });
+    
+    res.status(200).json({
+      success: true,
+      count: posts.length,
+      meta,
+      data: posts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single post by ID (unpublished posts: author or admin)
+ * @route   GET /api/posts/:id?includeDeleted=
+ * @access  Public (includeDeleted: admin)
+ */
+export const getPostById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const post = await req.repos.posts.findById(id, {
+      includeDeleted: req.query.includeDeleted,
+      viewer: req.user
+    });
+    
+    if (!post) {
+      return next(new NotFoundError(`Post not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: post
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new post
+ *          status PUBLISHED with a future publishedAt schedules the post
+ * @route   POST /api/posts
+ * @access  Private
+ */
+export const createPost = async (req, res, next) => {
+  try {
+    const { title, slug, content, status, publishedAt, tagIds } = req.body;
+    const { posts, users, tags } = req.repos;
+    
+    // Posts are created as the current user unless an admin specifies an author
+    const authorId = req.body.authorId ?? req.user.id;
+    
+    if (!(await users.findById(authorId))) {
+      return next(new NotFoundError(`Author not found with id: ${authorId}`));
+    }
+    
+    const missingTagId = await findMissingTagId(tags, tagIds);
+    if (missingTagId !== undefined) {
+      return next(new NotFoundError(`Tag not found with id: ${missingTagId}`));
+    }
+    
+    const post = await posts.create({
+      title,
+      slug: slug || await generateUniqueSlug(title, posts.slugExists),
+      content,
+      ...initialPublication(status, { publishAt: publishedAt }),
+      authorId,
+      tagIds
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Post created successfully',
+      data: post
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update post
+ *          tagIds replaces all tags, addTagIds / removeTagIds add or remove some
+ *          A new status follows the publishing workflow (see utils/postWorkflow.js)
+ * @route   PUT /api/posts/:id
+ * @access  Private (author or admin)
+ */
+export const updatePost = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, ...fields } = req.body;
+    const { posts, tags } = req.repos;
+    
+    const existingPost = await findLiveState(posts, id);
+    
+    if (!existingPost) {
+      return next(new NotFoundError(`Post not found with id: ${id}`));
+    }
+    
+    const missingTagId = await findMissingTagId(tags, fields.tagIds, fields.addTagIds);
+    if (missingTagId !== undefined) {
+      return next(new NotFoundError(`Tag not found with id: ${missingTagId}`));
+    }
+    
+    const updateData = { ...fields };
+    if (status !== undefined && status !== existingPost.status) {
+      Object.assign(updateData, transitionPost(existingPost, status));
+    }
+    
+    const post = await posts.update(id, updateData);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Post updated successfully',
+      data: post
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Handler moving a post to `status` through the publishing workflow
+ * (409 when the post's current status does not allow it)
+ */
+const changePostStatus = (status) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { posts } = req.repos;
+    
+    const existingPost = await findLiveState(posts, id);
+    
+    if (!existingPost) {
+      return next(new NotFoundError(`Post not found with id: ${id}`));
+    }
+    
+    const publication = transitionPost(existingPost, status, { publishAt: req.body?.publishedAt });
+    
+    const post = await posts.update(id, publication);
+    
+    res.status(200).json({
+      success: true,
+      message: STATUS_MESSAGES[publication.status],
+      data: post
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Publish post now, or schedule it with a future publishedAt
+ * @route   POST /api/posts/:id/publish
+ * @access  Private (author or admin)
+ */
+export const publishPost = changePostStatus('PUBLISHED');
+
+/**
+ * @desc    Unpublish post (back to DRAFT, also cancels a scheduled publication)
+ * @route   POST /api/posts/:id/unpublish
+ * @access  Private (author or admin)
+ */
+export const unpublishPost = changePostStatus('DRAFT');
+
+/**
+ * @desc    Archive post (hidden from public listings, keeps its publication date)
+ * @route   POST /api/posts/:id/archive
+ * @access  Private (author or admin)
+ */
+export const archivePost = changePostStatus('ARCHIVED');
+
+/**
+ * @desc    Soft delete post (see utils/softDelete.js)
+ * @route   DELETE /api/posts/:id
+ * @access  Private (author or admin)
+ */
+export const deletePost = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const post = await req.repos.posts.softDelete(id);
+    
+    if (!post) {
+      return next(new NotFoundError(`Post not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Post deleted successfully',
+      data: post
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a soft deleted post
+ * @route   POST /api/posts/:id/restore
+ * @access  Private (author or admin)
+ */
+export const restorePost = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { posts, users } = req.repos;
+    
+    const existingPost = await posts.findState(id);
+    
+    if (!existingPost) {
+      return next(new NotFoundError(`Post not found with id: ${id}`));
+    }
+    
+    if (!existingPost.deletedAt) {
+      return next(new ConflictError('Post is not deleted'));
+    }
+    
+    // The author has to be restored first
+    if (!(await users.findById(existingPost.authorId))) {
+      return next(new ConflictError('Post author is deleted, restore the user first'));
+    }
+    
+    const post = await posts.restore(id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Post restored successfully',
+      data: post
+    });
+  } catch (error) {
+    next(error);
+  }
+};
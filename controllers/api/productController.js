@@ -0,0 +1,192 @@
+/**
+ * PRODUCT CONTROLLER (backend-agnostic routes)
+ * 
+ * Handles CRUD operations for Products through the repositories of the
+ * request's backend (ratings, breadcrumbs and search stay on
+ * /api/prisma/products and /api/mongoose/products)
+ */
+
+import { generateUniqueSlug } from '../../utils/slugify.js';
+import { findMissingTagId } from './tagController.js';
+import { NotFoundError, ConflictError } from '../../utils/AppError.js';
+
+/**
+ * Check that the category and tags a product is linked to exist
+ * Returns the NotFoundError to answer with, if any
+ */
+const checkRelations = async (repos, { categoryId, tagIds, addTagIds }) => {
+  if (categoryId && !(await repos.categories.findById(categoryId))) {
+    return new NotFoundError(`Category not found with id: ${categoryId}`);
+  }
+  
+  const missingTagId = await findMissingTagId(repos.tags, tagIds, addTagIds);
+  if (missingTagId !== undefined) {
+    return new NotFoundError(`Tag not found with id: ${missingTagId}`);
+  }
+  
+  return null;
+};
+
+/**
+ * @desc    Get all products (paginated, see utils/listQuery.js)
+ * @route   GET /api/products?page=&limit=&cursor=&sort=&fields=&filter[field][op]=&includeDeleted=
+ * @access  Public (includeDeleted: admin)
+ */
+export const getAllProducts = async (req, res, next) => {
+  try {
+    const { data: products, meta } = await req.repos.products.list(req.query);
+    
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      meta,
+      data: products
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single product by ID
+ * @route   GET /api/products/:id?includeDeleted=
+ * @access  Public (includeDeleted: admin)
+ */
+export const getProductById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const product = await req.repos.products.findById(id, { includeDeleted: req.query.includeDeleted });
+    
+    if (!product) {
+      return next(new NotFoundError(`Product not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new product
+ * @route   POST /api/products
+ * @access  Private (admin)
+ */
+export const createProduct = async (req, res, next) => {
+  try {
+    const { name, slug, description } = req.body;
+    const { products } = req.repos;
+    
+    const relationError = await checkRelations(req.repos, req.body);
+    if (relationError) {
+      return next(relationError);
+    }
+    
+    const product = await products.create({
+      ...req.body,
+      slug: slug || await generateUniqueSlug(name, products.slugExists),
+      description: description || null
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update product
+ *          tagIds replaces all tags, addTagIds / removeTagIds add or remove some,
+ *          categoryId null removes the category
+ * @route   PUT /api/products/:id
+ * @access  Private (admin)
+ */
+export const updateProduct = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const relationError = await checkRelations(req.repos, req.body);
+    if (relationError) {
+      return next(relationError);
+    }
+    
+    const product = await req.repos.products.update(id, req.body);
+    
+    if (!product) {
+      return next(new NotFoundError(`Product not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product updated successfully',
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Soft delete product (see utils/softDelete.js)
+ * @route   DELETE /api/products/:id
+ * @access  Private (admin)
+ */
+export const deleteProduct = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const product = await req.repos.products.softDelete(id);
+    
+    if (!product) {
+      return next(new NotFoundError(`Product not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product deleted successfully',
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a soft deleted product
+ * @route   POST /api/products/:id/restore
+ * @access  Private (admin)
+ */
+export const restoreProduct = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { products } = req.repos;
+    
+    const existingProduct = await products.findById(id, { includeDeleted: true });
+    
+    if (!existingProduct) {
+      return next(new NotFoundError(`Product not found with id: ${id}`));
+    }
+    
+    if (!existingProduct.deletedAt) {
+      return next(new ConflictError('Product is not deleted'));
+    }
+    
+    const product = await products.restore(id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product restored successfully',
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,143 @@
+/**
+ * REVIEW CONTROLLER (backend-agnostic routes)
+ * 
+ * Handles CRUD operations for Reviews through the repositories of the
+ * request's backend (rating stats stay on /api/prisma/products/:id/reviews
+ * and /api/mongoose/products/:id/reviews)
+ */
+
+import { reviewConfig } from '../../config/reviews.js';
+import { NotFoundError, ConflictError, ForbiddenError } from '../../utils/AppError.js';
+
+/**
+ * @desc    Get all reviews (optionally for one product), paginated
+ * @route   GET /api/reviews?productId=&page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Public
+ */
+export const getAllReviews = async (req, res, next) => {
+  try {
+    const { productId, ...query } = req.query;
+    
+    const { data: reviews, meta } = await req.repos.reviews.list(query, { productId });
+    
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      meta,
+      data: reviews
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single review by ID
+ * @route   GET /api/reviews/:id
+ * @access  Public
+ */
+export const getReviewById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const review = await req.repos.reviews.findById(id);
+    
+    if (!review) {
+      return next(new NotFoundError(`Review not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new review (as the current user, one per product)
+ *          With REVIEWS_REQUIRE_VERIFIED_PURCHASE=true the user must have a
+ *          DELIVERED order containing the product
+ * @route   POST /api/reviews
+ * @access  Private
+ */
+export const createReview = async (req, res, next) => {
+  try {
+    const { productId, rating, comment } = req.body;
+    const userId = req.user.id;
+    const { products, orders, reviews } = req.repos;
+    
+    if (!(await products.findById(productId))) {
+      return next(new NotFoundError(`Product not found with id: ${productId}`));
+    }
+    
+    if (reviewConfig.requireVerifiedPurchase && !(await orders.hasReceived(userId, productId))) {
+      return next(new ForbiddenError('Only customers who received this product can review it'));
+    }
+    
+    if (await reviews.reviewExists(userId, productId)) {
+      return next(new ConflictError('You have already reviewed this product'));
+    }
+    
+    const review = await reviews.create({ userId, productId, rating, comment });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Review created successfully',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update review
+ * @route   PUT /api/reviews/:id
+ * @access  Private (reviewer or admin)
+ */
+export const updateReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const review = await req.repos.reviews.update(id, req.body);
+    
+    if (!review) {
+      return next(new NotFoundError(`Review not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete review
+ * @route   DELETE /api/reviews/:id
+ * @access  Private (reviewer or admin)
+ */
+export const deleteReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const review = await req.repos.reviews.remove(id);
+    
+    if (!review) {
+      return next(new NotFoundError(`Review not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
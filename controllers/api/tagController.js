@@ -0,0 +1,142 @@
+/**
+ * TAG CONTROLLER (backend-agnostic routes)
+ * 
+ * Handles CRUD operations for Tags through the repositories of the
+ * request's backend (usage counts, related tags and merging stay on
+ * /api/prisma/tags and /api/mongoose/tags)
+ */
+
+import { generateUniqueSlug } from '../../utils/slugify.js';
+import { NotFoundError } from '../../utils/AppError.js';
+
+/**
+ * First of the tag ids (tagIds, addTagIds) that matches no tag
+ * (products and posts can only be tagged with existing tags)
+ */
+export const findMissingTagId = async (tags, ...idLists) => {
+  const ids = [...new Set(idLists.filter(Boolean).flat())];
+  if (!ids.length) return undefined;
+  
+  const existing = (await tags.findExistingIds(ids)).map(String);
+  return ids.find((id) => !existing.includes(String(id)));
+};
+
+/**
+ * @desc    Get all tags (paginated, see utils/listQuery.js)
+ * @route   GET /api/tags?type=&page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Public
+ */
+export const getAllTags = async (req, res, next) => {
+  try {
+    const { type, ...query } = req.query;
+    const { data: tags, meta } = await req.repos.tags.list(query, { type });
+    
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      meta,
+      data: tags
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single tag by ID
+ * @route   GET /api/tags/:id
+ * @access  Public
+ */
+export const getTagById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const tag = await req.repos.tags.findById(id);
+    
+    if (!tag) {
+      return next(new NotFoundError(`Tag not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: tag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new tag
+ * @route   POST /api/tags
+ * @access  Private (admin)
+ */
+export const createTag = async (req, res, next) => {
+  try {
+    const { name, slug } = req.body;
+    const { tags } = req.repos;
+    
+    const tag = await tags.create({
+      name,
+      slug: slug || await generateUniqueSlug(name, tags.slugExists)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: tag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update tag
+ * @route   PUT /api/tags/:id
+ * @access  Private (admin)
+ */
+export const updateTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const tag = await req.repos.tags.update(id, req.body);
+    
+    if (!tag) {
+      return next(new NotFoundError(`Tag not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: tag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete tag (products and posts lose it)
+ * @route   DELETE /api/tags/:id
+ * @access  Private (admin)
+ */
+export const deleteTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const tag = await req.repos.tags.remove(id);
+    
+    if (!tag) {
+      return next(new NotFoundError(`Tag not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Tag deleted successfully',
+      data: tag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
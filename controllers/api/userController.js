@@ -0,0 +1,169 @@
+/**
+ * USER CONTROLLER (backend-agnostic routes)
+ * 
+ * Handles CRUD operations for Users through the repositories of the
+ * request's backend (req.repos, see middleware/backend.js)
+ */
+
+import { hashPassword } from '../../utils/password.js';
+import { NotFoundError, ConflictError, ForbiddenError } from '../../utils/AppError.js';
+
+/**
+ * @desc    Get all users (paginated, see utils/listQuery.js)
+ * @route   GET /api/users?page=&limit=&cursor=&sort=&fields=&filter[field][op]=&includeDeleted=
+ * @access  Public (includeDeleted: admin)
+ */
+export const getAllUsers = async (req, res, next) => {
+  try {
+    const { data: users, meta } = await req.repos.users.list(req.query);
+    
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      meta,
+      data: users
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single user by ID
+ * @route   GET /api/users/:id?includeDeleted=
+ * @access  Public (includeDeleted: admin)
+ */
+export const getUserById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await req.repos.users.findById(id, { includeDeleted: req.query.includeDeleted });
+    
+    if (!user) {
+      return next(new NotFoundError(`User not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new user
+ * @route   POST /api/users
+ * @access  Private (admin)
+ */
+export const createUser = async (req, res, next) => {
+  try {
+    const { password, ...fields } = req.body;
+    
+    const user = await req.repos.users.create({
+      ...fields,
+      password: await hashPassword(password)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update user
+ * @route   PUT /api/users/:id
+ * @access  Private (account owner or admin)
+ */
+export const updateUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { password, role, ...fields } = req.body;
+    
+    // Only admins may change roles
+    if (role !== undefined && req.user.role !== 'ADMIN') {
+      return next(new ForbiddenError('Only admins can change user roles'));
+    }
+    
+    const updateData = { ...fields };
+    if (role !== undefined) updateData.role = role;
+    if (password !== undefined) updateData.password = await hashPassword(password);
+    
+    const user = await req.repos.users.update(id, updateData);
+    
+    if (!user) {
+      return next(new NotFoundError(`User not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Soft delete user
+ *          Their posts are soft deleted with them and their sessions revoked
+ * @route   DELETE /api/users/:id
+ * @access  Private (admin)
+ */
+export const deleteUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await req.repos.users.softDelete(id);
+    
+    if (!user) {
+      return next(new NotFoundError(`User not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'User deleted successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a soft deleted user and the posts deleted with them
+ * @route   POST /api/users/:id/restore
+ * @access  Private (admin)
+ */
+export const restoreUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const existingUser = await req.repos.users.findById(id, { includeDeleted: true });
+    
+    if (!existingUser) {
+      return next(new NotFoundError(`User not found with id: ${id}`));
+    }
+    
+    if (!existingUser.deletedAt) {
+      return next(new ConflictError('User is not deleted'));
+    }
+    
+    const user = await req.repos.users.restore(id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'User restored successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
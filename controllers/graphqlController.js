@@ -0,0 +1,77 @@
+/**
+ * GRAPHQL CONTROLLER
+ * 
+ * Executes GraphQL operations against the schema of graphql/ with the
+ * request's backend and user. Responses follow GraphQL over HTTP instead of
+ * the { success, data } envelope:
+ * 
+ *   200 { data, errors? }  - executed (errors for the fields that failed)
+ *   400 { errors }         - syntax error, unknown field, bad variables, ...
+ * 
+ * A field that fails carries the same code as the REST error would
+ * (utils/translateError.js): extensions: { code: 'VALIDATION_ERROR', errors: [...] }
+ */
+
+import { graphql, GraphQLError } from 'graphql';
+import { schema } from '../graphql/schema.js';
+import { createLoaders } from '../graphql/loaders.js';
+import { translateError } from '../utils/translateError.js';
+
+/**
+ * Error of a GraphQL response, with the code and field errors of the AppError behind it
+ */
+const formatError = (error) => {
+  const { message, locations, path } = error;
+  
+  // Errors of the operation itself (parsing, validation, variables)
+  if (!error.originalError || error.originalError instanceof GraphQLError) {
+    return { message, locations, path };
+  }
+  
+  const appError = translateError(error.originalError);
+  const { statusCode } = appError;
+  
+  if (statusCode >= 500) {
+    console.error('❌ GRAPHQL ERROR:', path?.join('.'), error.originalError);
+  }
+  
+  return {
+    // Internal error messages are not leaked in production
+    message: statusCode >= 500 && process.env.NODE_ENV === 'production'
+      ? 'Internal Server Error'
+      : appError.message,
+    locations,
+    path,
+    extensions: {
+      code: appError.code,
+      errors: Array.isArray(appError.errors) ? appError.errors : undefined
+    }
+  };
+};
+
+/**
+ * @desc    Execute a GraphQL query or mutation
+ * @route   POST /graphql
+ * @access  Public (each field applies the rules of the /api route it mirrors)
+ */
+export const executeGraphql = async (req, res, next) => {
+  try {
+    const { query, variables, operationName } = req.body;
+    
+    const result = await graphql({
+      schema,
+      source: query,
+      variableValues: variables,
+      operationName,
+      contextValue: { req, loaders: createLoaders(req.repos, req.user) }
+    });
+    
+    // Operations that could not run have no data at all
+    res.status(result.data === undefined ? 400 : 200).json({
+      data: result.data,
+      errors: result.errors?.map(formatError)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,83 @@
+/**
+ * META CONTROLLER
+ * 
+ * Endpoints about the API itself: health check, OpenAPI document and docs UI
+ * The OpenAPI document is generated from the mounted routes (see routes/index.js
+ * and utils/openapi.js)
+ */
+
+import { readFileSync } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import { buildOpenApiDocument } from '../utils/openapi.js';
+
+const { version, description } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+// Swagger UI is served from a CDN (no build step, no dependency)
+const SWAGGER_UI = 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5';
+
+// Routes do not change while the app runs: the document is built once per app
+const documents = new WeakMap();
+
+/**
+ * @desc    Health check: quick endpoint to verify the server is running
+ * @route   GET /api/health
+ * @access  Public
+ */
+export const getHealth = (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Server is running!',
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development'
+  });
+};
+
+/**
+ * @desc    OpenAPI 3 document of every route
+ * @route   GET /api/openapi.json
+ * @access  Public
+ */
+export const getOpenApiDocument = (req, res) => {
+  if (!documents.has(req.app)) {
+    documents.set(req.app, buildOpenApiDocument(req.app.locals.routeGroups, {
+      title: 'CRUD Practice API',
+      version,
+      description
+    }));
+  }
+  
+  res.status(200).json(documents.get(req.app));
+};
+
+/**
+ * @desc    Interactive docs (Swagger UI) reading /api/openapi.json
+ * @route   GET /api/docs
+ * @access  Public
+ */
+export const getDocs = (req, res) => {
+  // Relax the Content-Security-Policy set by helmet for this page only
+  const nonce = randomBytes(16).toString('base64');
+  res.set('Content-Security-Policy', [
+    "default-src 'self'",
+    `script-src ${SWAGGER_UI}/ 'nonce-${nonce}'`,
+    `style-src ${SWAGGER_UI}/ 'unsafe-inline'`,
+    "img-src 'self' data:"
+  ].join('; '));
+  
+  res.status(200).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>CRUD Practice API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script nonce="${nonce}">
+    SwaggerUIBundle({ url: '${req.baseUrl}/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>
+`);
+};
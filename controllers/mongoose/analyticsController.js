@@ -0,0 +1,599 @@
+/**
+ * MONGOOSE ANALYTICS CONTROLLER
+ * 
+ * Reporting endpoints built on aggregation pipelines
+ * ($lookup, $unwind, $facet, $bucket) over the MongoDB collections
+ * The rollup endpoints read the collections kept by jobs/refreshReports.js
+ */
+
+import Order from '../../models/mongoose/Order.js';
+import Product from '../../models/mongoose/Product.js';
+import Review from '../../models/mongoose/Review.js';
+import User from '../../models/mongoose/User.js';
+import Category from '../../models/mongoose/Category.js';
+import SalesRollup from '../../models/mongoose/SalesRollup.js';
+import ProductPerformanceRollup from '../../models/mongoose/ProductPerformanceRollup.js';
+import ReportRefresh from '../../models/mongoose/ReportRefresh.js';
+import {
+  REVENUE_EXCLUDED,
+  STOCK_BUCKETS,
+  LIFETIME_VALUE_BUCKETS,
+  resolveDateRange,
+  fillBuckets,
+  buildCohorts
+} from '../../utils/analytics.js';
+import { refreshMongooseReports } from '../../jobs/refreshReports.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+
+const { status: EXCLUDED_STATUS, paymentStatus: EXCLUDED_PAYMENT } = REVENUE_EXCLUDED.mongoose;
+
+/**
+ * Orders that count as revenue in the requested range
+ */
+const revenueOrders = ({ from, to }) => ({
+  createdAt: { $gte: from, $lte: to },
+  status: { $ne: EXCLUDED_STATUS },
+  paymentStatus: { $ne: EXCLUDED_PAYMENT }
+});
+
+/**
+ * Start of the period a date falls in (weeks start on Monday, as in PostgreSQL)
+ */
+const truncate = (date, unit) => ({ $dateTrunc: { date, unit, startOfWeek: 'monday' } });
+
+const round = (value) => ({ $round: [value, 2] });
+
+/**
+ * $bucket stage over the boundaries (values past the last one land in "more")
+ */
+const bucketStage = (groupBy, boundaries) => ({
+  $bucket: { groupBy, boundaries, default: 'more', output: { count: { $sum: 1 } } }
+});
+
+/**
+ * Counts of a $bucket result for every boundary (see utils/analytics.js)
+ */
+const toDistribution = (buckets, boundaries) => fillBuckets(boundaries, (index) =>
+  buckets.find((bucket) => (index === boundaries.length - 1
+    ? bucket._id === 'more'
+    : bucket._id === boundaries[index]))?.count);
+
+/**
+ * Last refresh of a rollup collection (every rollup is built on first use)
+ */
+const ensureRefreshed = async (name) => {
+  const refresh = await ReportRefresh.findOne({ name }, { _id: 0, __v: 0 }).lean();
+  if (refresh) return refresh;
+  
+  const refreshes = await refreshMongooseReports();
+  return refreshes.find((entry) => entry.name === name);
+};
+
+/**
+ * @desc    Revenue per period, with totals for the whole range
+ *          (cancelled orders and refunded payments are excluded)
+ * @route   GET /api/mongoose/analytics/revenue?from=&to=&granularity=
+ * @access  Private (admin)
+ */
+export const getRevenue = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const { granularity } = req.query;
+    
+    const [{ series, totals: [totals] }] = await Order.aggregate([
+      { $match: revenueOrders(range) },
+      {
+        $facet: {
+          series: [
+            {
+              $group: {
+                _id: truncate('$createdAt', granularity),
+                revenue: { $sum: '$totalAmount' },
+                orders: { $sum: 1 },
+                customers: { $addToSet: '$user' }
+              }
+            },
+            { $sort: { _id: 1 } },
+            {
+              $project: {
+                _id: 0,
+                period: '$_id',
+                revenue: round('$revenue'),
+                orders: 1,
+                customers: { $size: '$customers' },
+                averageOrderValue: round({ $divide: ['$revenue', '$orders'] })
+              }
+            }
+          ],
+          totals: [
+            {
+              $group: {
+                _id: null,
+                revenue: { $sum: '$totalAmount' },
+                orders: { $sum: 1 },
+                customers: { $addToSet: '$user' }
+              }
+            },
+            {
+              $project: {
+                _id: 0,
+                revenue: round('$revenue'),
+                orders: 1,
+                customers: { $size: '$customers' },
+                averageOrderValue: round({ $divide: ['$revenue', '$orders'] })
+              }
+            }
+          ]
+        }
+      }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      range: { ...range, granularity },
+      data: {
+        totals: totals || { revenue: 0, orders: 0, customers: 0, averageOrderValue: 0 },
+        series
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Best-selling products by units sold
+ * @route   GET /api/mongoose/analytics/top-products?from=&to=&limit=
+ * @access  Private (admin)
+ */
+export const getTopProducts = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const { limit } = req.query;
+    
+    const products = await Order.aggregate([
+      { $match: revenueOrders(range) },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.product',
+          unitsSold: { $sum: '$items.quantity' },
+          orders: { $addToSet: '$_id' },
+          revenue: { $sum: { $multiply: ['$items.quantity', '$items.price'] } }
+        }
+      },
+      { $sort: { unitsSold: -1, revenue: -1, _id: 1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: Product.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          productId: '$_id',
+          name: '$product.name',
+          slug: '$product.slug',
+          unitsSold: 1,
+          orders: { $size: '$orders' },
+          revenue: round('$revenue')
+        }
+      }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      range,
+      count: products.length,
+      data: products
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Average review rating per product category
+ * @route   GET /api/mongoose/analytics/ratings-by-category?from=&to=
+ * @access  Private (admin)
+ */
+export const getRatingsByCategory = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    
+    const categories = await Review.aggregate([
+      { $match: { createdAt: { $gte: range.from, $lte: range.to } } },
+      {
+        $lookup: {
+          from: Product.collection.name,
+          localField: 'product',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $unwind: '$product' },
+      {
+        $group: {
+          _id: '$product.category',
+          averageRating: { $avg: '$rating' },
+          reviews: { $sum: 1 },
+          products: { $addToSet: '$product._id' }
+        }
+      },
+      {
+        $lookup: {
+          from: Category.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'category'
+        }
+      },
+      { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          categoryId: '$_id',
+          name: { $ifNull: ['$category.name', 'Uncategorized'] },
+          slug: '$category.slug',
+          averageRating: round('$averageRating'),
+          reviews: 1,
+          products: { $size: '$products' }
+        }
+      },
+      { $sort: { averageRating: -1, reviews: -1 } }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      range,
+      count: categories.length,
+      data: categories
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Active products at or below the stock threshold, with the stock distribution
+ * @route   GET /api/mongoose/analytics/low-stock?threshold=&limit=
+ * @access  Private (admin)
+ */
+export const getLowStock = async (req, res, next) => {
+  try {
+    const { threshold, limit } = req.query;
+    
+    const [{ products, distribution, summary: [summary] }] = await Product.aggregate([
+      { $match: { isActive: true, ...NOT_DELETED } },
+      {
+        $facet: {
+          products: [
+            { $match: { stock: { $lte: threshold } } },
+            { $sort: { stock: 1, name: 1 } },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: Category.collection.name,
+                localField: 'category',
+                foreignField: '_id',
+                as: 'category'
+              }
+            },
+            { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                name: 1,
+                slug: 1,
+                stock: 1,
+                price: 1,
+                category: { _id: 1, name: 1, slug: 1 }
+              }
+            }
+          ],
+          distribution: [bucketStage('$stock', STOCK_BUCKETS)],
+          summary: [
+            {
+              $group: {
+                _id: null,
+                totalProducts: { $sum: 1 },
+                outOfStock: { $sum: { $cond: [{ $lte: ['$stock', 0] }, 1, 0] } },
+                lowStock: { $sum: { $cond: [{ $lte: ['$stock', threshold] }, 1, 0] } }
+              }
+            },
+            { $project: { _id: 0 } }
+          ]
+        }
+      }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      threshold,
+      data: {
+        summary: summary || { totalProducts: 0, outOfStock: 0, lowStock: 0 },
+        distribution: toDistribution(distribution, STOCK_BUCKETS),
+        products
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Customer lifetime value: top customers, spend distribution and averages
+ * @route   GET /api/mongoose/analytics/customer-lifetime-value?from=&to=&limit=
+ * @access  Private (admin)
+ */
+export const getCustomerLifetimeValue = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const { limit } = req.query;
+    
+    const [{ topCustomers, distribution, summary: [summary] }] = await Order.aggregate([
+      { $match: revenueOrders(range) },
+      // One document per customer with their spend in the range
+      {
+        $group: {
+          _id: '$user',
+          totalSpent: { $sum: '$totalAmount' },
+          orders: { $sum: 1 },
+          firstOrderAt: { $min: '$createdAt' },
+          lastOrderAt: { $max: '$createdAt' }
+        }
+      },
+      {
+        $facet: {
+          topCustomers: [
+            { $sort: { totalSpent: -1, _id: 1 } },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: User.collection.name,
+                localField: '_id',
+                foreignField: '_id',
+                as: 'user'
+              }
+            },
+            { $unwind: '$user' },
+            {
+              $project: {
+                _id: 0,
+                userId: '$_id',
+                username: '$user.username',
+                email: '$user.email',
+                totalSpent: round('$totalSpent'),
+                orders: 1,
+                averageOrderValue: round({ $divide: ['$totalSpent', '$orders'] }),
+                firstOrderAt: 1,
+                lastOrderAt: 1
+              }
+            }
+          ],
+          distribution: [bucketStage('$totalSpent', LIFETIME_VALUE_BUCKETS)],
+          summary: [
+            {
+              $group: {
+                _id: null,
+                customers: { $sum: 1 },
+                revenue: { $sum: '$totalSpent' },
+                averageLifetimeValue: { $avg: '$totalSpent' },
+                averageOrders: { $avg: '$orders' }
+              }
+            },
+            {
+              $project: {
+                _id: 0,
+                customers: 1,
+                revenue: round('$revenue'),
+                averageLifetimeValue: round('$averageLifetimeValue'),
+                averageOrders: round('$averageOrders')
+              }
+            }
+          ]
+        }
+      }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      range,
+      data: {
+        summary: summary || { customers: 0, revenue: 0, averageLifetimeValue: 0, averageOrders: 0 },
+        distribution: toDistribution(distribution, LIFETIME_VALUE_BUCKETS),
+        topCustomers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Signup cohorts and how many of them order in each following period
+ * @route   GET /api/mongoose/analytics/cohorts?from=&to=&granularity=
+ * @access  Private (admin)
+ */
+export const getCohorts = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const { granularity } = req.query;
+    
+    const [{ sizes, activity }] = await User.aggregate([
+      { $match: { createdAt: { $gte: range.from, $lte: range.to } } },
+      { $project: { cohort: truncate('$createdAt', granularity) } },
+      {
+        $lookup: {
+          from: Order.collection.name,
+          localField: '_id',
+          foreignField: 'user',
+          pipeline: [
+            { $match: revenueOrders(range) },
+            { $project: { createdAt: 1, totalAmount: 1 } }
+          ],
+          as: 'orders'
+        }
+      },
+      {
+        $facet: {
+          sizes: [
+            { $group: { _id: '$cohort', users: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, cohort: '$_id', users: 1 } }
+          ],
+          activity: [
+            { $unwind: '$orders' },
+            {
+              $group: {
+                _id: {
+                  cohort: '$cohort',
+                  offset: {
+                    $dateDiff: {
+                      startDate: '$cohort',
+                      endDate: '$orders.createdAt',
+                      unit: granularity,
+                      startOfWeek: 'monday'
+                    }
+                  }
+                },
+                customers: { $addToSet: '$_id' },
+                revenue: { $sum: '$orders.totalAmount' }
+              }
+            },
+            {
+              $project: {
+                _id: 0,
+                cohort: '$_id.cohort',
+                offset: '$_id.offset',
+                customers: { $size: '$customers' },
+                revenue: round('$revenue')
+              }
+            }
+          ]
+        }
+      }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      range: { ...range, granularity },
+      count: sizes.length,
+      data: buildCohorts(sizes, activity)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Sales per hour or day, read from the sales rollup collection
+ * @route   GET /api/mongoose/analytics/rollups/sales?from=&to=&granularity=
+ * @access  Private (admin)
+ */
+export const getSalesRollup = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const { granularity } = req.query;
+    const { lastRefreshedAt } = await ensureRefreshed('sales');
+    
+    const series = await SalesRollup.find(
+      { granularity, period: { $gte: range.from, $lte: range.to } },
+      { _id: 0, period: 1, revenue: 1, orders: 1, customers: 1, itemsSold: 1 }
+    )
+      .sort({ period: 1 })
+      .lean();
+    
+    res.status(200).json({
+      success: true,
+      lastRefreshedAt,
+      range: { ...range, granularity },
+      count: series.length,
+      data: series
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Best-selling products, read from the product performance rollup collection
+ * @route   GET /api/mongoose/analytics/rollups/products?from=&to=&limit=
+ * @access  Private (admin)
+ */
+export const getProductPerformanceRollup = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const { limit } = req.query;
+    const { lastRefreshedAt } = await ensureRefreshed('productPerformance');
+    
+    const products = await ProductPerformanceRollup.aggregate([
+      { $match: { day: { $gte: range.from, $lte: range.to } } },
+      {
+        $group: {
+          _id: '$product',
+          unitsSold: { $sum: '$unitsSold' },
+          orders: { $sum: '$orders' },
+          revenue: { $sum: '$revenue' }
+        }
+      },
+      { $sort: { unitsSold: -1, revenue: -1, _id: 1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: Product.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          productId: '$_id',
+          name: '$product.name',
+          slug: '$product.slug',
+          unitsSold: 1,
+          orders: 1,
+          revenue: round('$revenue')
+        }
+      }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      lastRefreshedAt,
+      range,
+      count: products.length,
+      data: products
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Rebuild the reporting rollups now
+ *          (they are also rebuilt on a schedule, see jobs/index.js)
+ * @route   POST /api/mongoose/analytics/rollups/refresh
+ * @access  Private (admin)
+ */
+export const refreshRollups = async (req, res, next) => {
+  try {
+    const refreshes = await refreshMongooseReports();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Reports refreshed successfully',
+      lastRefreshedAt: refreshes.at(-1).lastRefreshedAt,
+      data: refreshes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,211 @@
+/**
+ * MONGOOSE AUTH CONTROLLER
+ * 
+ * Handles registration, login, token refresh and logout using Mongoose (MongoDB)
+ */
+
+import User from '../../models/mongoose/User.js';
+import RefreshToken from '../../models/mongoose/RefreshToken.js';
+import { hashPassword, comparePassword } from '../../utils/password.js';
+import {
+  signAccessToken,
+  generateRefreshToken,
+  hashToken,
+  buildAuthTokens
+} from '../../utils/tokens.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+import { NotFoundError, UnauthorizedError } from '../../utils/AppError.js';
+
+/**
+ * Remove the password hash before sending a user to the client
+ */
+const sanitizeUser = (user) => {
+  const { password, ...safeUser } = user.toObject();
+  return safeUser;
+};
+
+/**
+ * Issue an access token and a refresh token for a user
+ * Pass the family of the previous refresh token when rotating
+ */
+const issueTokens = async (user, family) => {
+  const refreshToken = generateRefreshToken(family);
+
+  await RefreshToken.create({
+    tokenHash: refreshToken.tokenHash,
+    family: refreshToken.family,
+    expiresAt: refreshToken.expiresAt,
+    user: user._id
+  });
+
+  return buildAuthTokens(signAccessToken(user, 'mongoose'), refreshToken);
+};
+
+/**
+ * @desc    Register a new user
+ * @route   POST /api/mongoose/auth/register
+ * @access  Public
+ */
+export const register = async (req, res, next) => {
+  try {
+    const { email, username, password, firstName, lastName } = req.body;
+    
+    // Create user with hashed password (role always defaults to 'user')
+    const user = await User.create({
+      email,
+      username,
+      password: await hashPassword(password),
+      firstName,
+      lastName
+    });
+    
+    const tokens = await issueTokens(user);
+    
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user: sanitizeUser(user),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log in with email (or username) and password
+ * @route   POST /api/mongoose/auth/login
+ * @access  Public
+ */
+export const login = async (req, res, next) => {
+  try {
+    const { email, username, password } = req.body;
+    
+    const user = await User.findOne(email ? { email: email.toLowerCase() } : { username })
+      .select('+password');
+    
+    // Same message for unknown user, wrong password and deactivated or deleted account
+    if (!user || !user.isActive || user.deletedAt || !(await comparePassword(password, user.password))) {
+      return next(new UnauthorizedError('Invalid credentials'));
+    }
+    
+    const tokens = await issueTokens(user);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        user: sanitizeUser(user),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/mongoose/auth/refresh
+ * @access  Public (requires a valid refresh token)
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const tokenHash = hashToken(refreshToken);
+    
+    // Revoke atomically: only one request can rotate a given token
+    const storedToken = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date() }
+    );
+    
+    if (!storedToken) {
+      // A revoked token being reused means it was leaked: revoke the whole family
+      const revokedToken = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+      
+      if (revokedToken) {
+        await RefreshToken.updateMany(
+          { family: revokedToken.family, revokedAt: null },
+          { revokedAt: new Date() }
+        );
+        
+        return next(new UnauthorizedError('Refresh token reuse detected, please log in again'));
+      }
+      
+      return next(new UnauthorizedError('Invalid or expired refresh token'));
+    }
+    
+    const user = await User.findById(storedToken.user);
+    
+    if (!user || !user.isActive || user.deletedAt) {
+      return next(new UnauthorizedError('Invalid or expired refresh token'));
+    }
+    
+    const tokens = await issueTokens(user, storedToken.family);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        user: sanitizeUser(user),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log out by revoking the refresh token family
+ * @route   POST /api/mongoose/auth/logout
+ * @access  Public (requires the refresh token to revoke)
+ */
+export const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    
+    // Logging out with an unknown token is not an error
+    if (storedToken) {
+      await RefreshToken.updateMany(
+        { family: storedToken.family, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the currently authenticated user
+ * @route   GET /api/mongoose/auth/me
+ * @access  Private
+ */
+export const getMe = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.user.id, ...NOT_DELETED });
+    
+    if (!user) {
+      return next(new NotFoundError(`User not found with id: ${req.user.id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: sanitizeUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
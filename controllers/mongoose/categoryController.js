@@ -0,0 +1,283 @@
+/**
+ * MONGOOSE CATEGORY CONTROLLER
+ * 
+ * Handles all CRUD operations for Categories using Mongoose (MongoDB),
+ * plus the category hierarchy (tree, descendants and product breadcrumbs)
+ */
+
+import mongoose from 'mongoose';
+import Category from '../../models/mongoose/Category.js';
+import Product from '../../models/mongoose/Product.js';
+import Post from '../../models/mongoose/Post.js';
+import { generateUniqueSlug } from '../../utils/slugify.js';
+import { buildCategoryTree } from '../../utils/categoryTree.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+import { NotFoundError, ConflictError } from '../../utils/AppError.js';
+
+/**
+ * Generate a slug from the name that no other category uses
+ */
+const uniqueCategorySlug = (name) => generateUniqueSlug(name, (slug) => Category.exists({ slug }));
+
+/**
+ * A category and all of its ancestors, ordered from the root down ($graphLookup)
+ */
+export const findCategoryPath = async (categoryId) => {
+  const [category] = await Category.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    {
+      $graphLookup: {
+        from: Category.collection.name,
+        startWith: '$parent',
+        connectFromField: 'parent',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth'
+      }
+    }
+  ]);
+
+  if (!category) return [];
+
+  const { ancestors, ...self } = category;
+  return [...ancestors.sort((a, b) => b.depth - a.depth), self]
+    .map(({ _id, name, slug, parent }) => ({ _id, name, slug, parent }));
+};
+
+/**
+ * Moving a category under itself or one of its descendants would create a cycle,
+ * i.e. when the category is on the path from the root to its new parent
+ */
+const wouldCreateCycle = async (categoryId, parentId) => {
+  const path = await findCategoryPath(parentId);
+  return path.some((category) => category._id.equals(categoryId));
+};
+
+/**
+ * @desc    Get all categories (paginated, see utils/listQuery.js)
+ * @route   GET /api/mongoose/categories?page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Public
+ */
+export const getAllCategories = async (req, res, next) => {
+  try {
+    const { data: categories, meta } = await findMongoosePage(Category, {
+      query: req.query,
+      populate: [['parent', 'name slug']],
+      relations: { parent: { model: Category, key: 'slug' } }, // ?filter[parent]=<slug>
+      defaultSort: 'name'
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      meta,
+      data: categories
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the nested category hierarchy with per-node product counts
+ * @route   GET /api/mongoose/categories/tree
+ * @access  Public
+ */
+export const getCategoryTree = async (req, res, next) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ name: 1 }).lean(),
+      Product.aggregate([
+        { $match: { category: { $ne: null }, ...NOT_DELETED } },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ])
+    ]);
+    
+    const productCounts = new Map(counts.map((count) => [String(count._id), count.count]));
+    const tree = buildCategoryTree(categories, productCounts, {
+      keyOf: (category) => category._id,
+      parentKeyOf: (category) => category.parent
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: tree
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get every descendant of a category ($graphLookup), with its depth
+ * @route   GET /api/mongoose/categories/:slug/descendants
+ * @access  Public
+ */
+export const getCategoryDescendants = async (req, res, next) => {
+  try {
+    const { slug } = req.params;
+    
+    const [result] = await Category.aggregate([
+      { $match: { slug } },
+      {
+        $graphLookup: {
+          from: Category.collection.name,
+          startWith: '$_id',
+          connectFromField: '_id',
+          connectToField: 'parent',
+          as: 'descendants',
+          depthField: 'depth'
+        }
+      }
+    ]);
+    
+    if (!result) {
+      return next(new NotFoundError(`Category not found with slug: ${slug}`));
+    }
+    
+    // depthField starts at 0 for direct children
+    const { descendants, ...category } = result;
+    const sorted = descendants
+      .map((descendant) => ({ ...descendant, depth: descendant.depth + 1 }))
+      .sort((a, b) => a.depth - b.depth || a.name.localeCompare(b.name));
+    
+    res.status(200).json({
+      success: true,
+      count: sorted.length,
+      data: {
+        category,
+        descendants: sorted
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single category by ID
+ * @route   GET /api/mongoose/categories/:id
+ * @access  Public
+ */
+export const getCategoryById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const category = await Category.findById(id).populate('parent', 'name slug');
+    
+    if (!category) {
+      return next(new NotFoundError(`Category not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new category
+ * @route   POST /api/mongoose/categories
+ * @access  Private (admin)
+ */
+export const createCategory = async (req, res, next) => {
+  try {
+    const { name, slug, parent } = req.body;
+    
+    // Check if parent category exists
+    if (parent && !(await Category.exists({ _id: parent }))) {
+      return next(new NotFoundError(`Parent category not found with id: ${parent}`));
+    }
+    
+    const category = await Category.create({
+      ...req.body,
+      slug: slug || await uniqueCategorySlug(name)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update category
+ *          Reparenting under itself or one of its descendants is rejected
+ * @route   PUT /api/mongoose/categories/:id
+ * @access  Private (admin)
+ */
+export const updateCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { parent } = req.body;
+    
+    if (parent) {
+      if (!(await Category.exists({ _id: parent }))) {
+        return next(new NotFoundError(`Parent category not found with id: ${parent}`));
+      }
+      
+      if (await wouldCreateCycle(id, parent)) {
+        return next(new ConflictError('A category cannot be moved under itself or one of its descendants'));
+      }
+    }
+    
+    const category = await Category.findByIdAndUpdate(id, req.body, {
+      new: true,
+      runValidators: true
+    });
+    
+    if (!category) {
+      return next(new NotFoundError(`Category not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete category
+ *          Children become top level and products/posts lose the category
+ *          (same as the Prisma optional relations, which default to SetNull)
+ * @route   DELETE /api/mongoose/categories/:id
+ * @access  Private (admin)
+ */
+export const deleteCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const category = await Category.findByIdAndDelete(id);
+    
+    if (!category) {
+      return next(new NotFoundError(`Category not found with id: ${id}`));
+    }
+    
+    await Promise.all([
+      Category.updateMany({ parent: category._id }, { parent: null }),
+      Product.updateMany({ category: category._id }, { $unset: { category: 1 } }),
+      Post.updateMany({ category: category._id }, { $unset: { category: 1 } })
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,18 @@
 import Order from '../../models/mongoose/Order.js';
+import Product from '../../models/mongoose/Product.js';
+import User from '../../models/mongoose/User.js';
+import mongoose from 'mongoose';
+import { NotFoundError, ConflictError, ForbiddenError } from '../../utils/AppError.js';
+import { generateOrderNumber } from '../../utils/orderNumber.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+import {
+  ORDER_STATUS_TRANSITIONS,
+  PAYMENT_STATUS_TRANSITIONS,
+  assertTransition
+} from '../../utils/orderStateMachine.js';
 
-export const getOrdersWithUserAndProductDetails = async (req,res) =>{
+export const getOrdersWithUserAndProductDetails = async (req,res,next) =>{
     const {id} = req.params;
 
     try {
@@ -14,16 +26,351 @@ export const getOrdersWithUserAndProductDetails = async (req,res) =>{
             select:'name images'
         });
 
+        if (!orders) {
+            return next(new NotFoundError(`Order not found with id: ${id}`));
+        }
+
         return res.status(200).json({
             success:true,
             message:'fetched data successfully',
             data:orders
         })
     } catch (error) {
-        res.status(500).json({
-            success:false,
-            message:error.message
+        next(error);
+    }
+    
+}
+
+/**
+ * @desc    Get all orders (admins see every order, users their own), paginated
+ * @route   GET /api/mongoose/orders?page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Private
+ */
+export const getAllOrders = async (req, res, next) => {
+  try {
+    const query = req.user.role === 'ADMIN' ? {} : { user: req.user.id };
+    
+    const { data: orders, meta } = await findMongoosePage(Order, {
+      query: req.query,
+      filter: query,
+      populate: [['user', 'firstName lastName email']]
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      meta,
+      data: orders
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Place an order
+ *          In one transaction: snapshot each product's price, decrement stock
+ *          (only if enough is left), compute totalAmount and create the order
+ *          with a unique orderNumber.
+ *          Responds 409 when a product does not have enough stock.
+ *          Transactions need MongoDB to run as a replica set.
+ * @route   POST /api/mongoose/orders
+ * @access  Private
+ */
+export const createOrder = async (req, res, next) => {
+  let session;
+  
+  try {
+    session = await mongoose.startSession();
+    const { items, shippingAddress, paymentMethod } = req.body;
+    
+    // Orders are placed for the current user unless an admin specifies one
+    const user = (req.user.role === 'ADMIN' && req.body.user) || req.user.id;
+    
+    if (user !== req.user.id && !(await User.exists({ _id: user, ...NOT_DELETED }))) {
+      return next(new NotFoundError('User not found'));
+    }
+    
+    let order;
+    
+    await session.withTransaction(async () => {
+      const orderItems = [];
+      
+      for (const item of items) {
+        // Reserve stock: the conditional update fails if another order took it first
+        const product = await Product.findOneAndUpdate(
+          { _id: item.product, isActive: true, ...NOT_DELETED, stock: { $gte: item.quantity } },
+          { $inc: { stock: -item.quantity } },
+          { session }
+        );
+        
+        if (!product) {
+          const existing = await Product.findOne({ _id: item.product, isActive: true, ...NOT_DELETED }).session(session);
+          
+          if (!existing) {
+            throw new NotFoundError(`Product not found with id: ${item.product}`);
+          }
+          throw new ConflictError(
+            `Insufficient stock for product "${existing.name}" (requested ${item.quantity}, available ${existing.stock})`
+          );
+        }
+        
+        // Snapshot the unit price
+        orderItems.push({
+          product: product._id,
+          quantity: item.quantity,
+          price: product.price
         });
+      }
+      
+      // Work in cents to avoid floating point drift
+      const totalCents = orderItems.reduce(
+        (sum, item) => sum + Math.round(item.price * 100) * item.quantity,
+        0
+      );
+      
+      [order] = await Order.create([{
+        orderNumber: generateOrderNumber(),
+        user,
+        items: orderItems,
+        totalAmount: totalCents / 100,
+        shippingAddress,
+        paymentMethod,
+        // First history entry: the order was placed
+        history: [{ field: 'status', to: 'pending', actor: req.user.id }]
+      }], { session });
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  } finally {
+    await session?.endSession();
+  }
+};
+
+/**
+ * @desc    Update order details (shipping address, payment method)
+ *          A partial shippingAddress only changes the fields it names
+ * @route   PUT /api/mongoose/orders/:id
+ * @access  Private (admin)
+ */
+export const updateOrder = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { shippingAddress, ...fields } = req.body;
+    
+    // Dotted paths, so $set does not replace the whole address
+    const update = { ...fields };
+    for (const [field, value] of Object.entries(shippingAddress ?? {})) {
+      update[`shippingAddress.${field}`] = value;
+    }
+    
+    const order = await Order.findByIdAndUpdate(id, { $set: update }, {
+      new: true,
+      runValidators: true
+    });
+    
+    if (!order) {
+      return next(new NotFoundError(`Order not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Order updated successfully',
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Put an order's items back in stock (cancelling or deleting it)
+ */
+const restock = (items, session) => Product.bulkWrite(
+  items.map((item) => ({
+    updateOne: {
+      filter: { _id: item.product },
+      update: { $inc: { stock: item.quantity } }
+    }
+  })),
+  { session }
+);
+
+/**
+ * Whether an order still holds its items' stock: it can be cancelled
+ * (pending, processing), so nothing has been shipped yet
+ */
+const holdsStock = (order) => ORDER_STATUS_TRANSITIONS[order.status.toUpperCase()].includes('CANCELLED');
+
+/**
+ * @desc    Delete order
+ *          An order that still holds stock (pending, processing) puts its
+ *          items back, in the same transaction, as cancelling it would
+ * @route   DELETE /api/mongoose/orders/:id
+ * @access  Private (admin)
+ */
+export const deleteOrder = async (req, res, next) => {
+  let session;
+  
+  try {
+    const { id } = req.params;
+    
+    session = await mongoose.startSession();
+    let order;
+    
+    await session.withTransaction(async () => {
+      order = await Order.findByIdAndDelete(id, { session });
+      
+      if (!order) {
+        throw new NotFoundError(`Order not found with id: ${id}`);
+      }
+      
+      if (holdsStock(order)) {
+        await restock(order.items, session);
+      }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Order deleted successfully',
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  } finally {
+    await session?.endSession();
+  }
+};
+
+/**
+ * Map a Mongoose payment status onto the state machine spelling
+ * ('pending' is the Mongoose name for UNPAID)
+ */
+const toMachinePaymentStatus = (value) => (value === 'pending' ? 'UNPAID' : value.toUpperCase());
+
+/**
+ * @desc    Change order status and/or payment status
+ *          Only legal transitions are accepted (see utils/orderStateMachine.js),
+ *          cancelling puts the items back in stock, and every change is
+ *          recorded in the order history with the acting user.
+ *          Customers may only cancel their own orders; admins may do anything.
+ * @route   PATCH /api/mongoose/orders/:id/status
+ * @access  Private (customer or admin)
+ */
+export const updateOrderStatus = async (req, res, next) => {
+  let session;
+  
+  try {
+    const { id } = req.params;
+    const { status, paymentStatus, note } = req.body;
+    
+    if (req.user.role !== 'ADMIN' && (paymentStatus !== undefined || status !== 'cancelled')) {
+      return next(new ForbiddenError('Customers can only cancel their orders'));
+    }
+    
+    session = await mongoose.startSession();
+    let order;
+    
+    await session.withTransaction(async () => {
+      const existingOrder = await Order.findById(id).session(session);
+      
+      if (!existingOrder) {
+        throw new NotFoundError(`Order not found with id: ${id}`);
+      }
+      
+      // Validate each requested change and collect history entries
+      const update = {};
+      const history = [];
+      
+      if (status !== undefined && status !== existingOrder.status) {
+        assertTransition(
+          ORDER_STATUS_TRANSITIONS,
+          'status',
+          existingOrder.status.toUpperCase(),
+          status.toUpperCase()
+        );
+        update.status = status;
+        history.push({ field: 'status', from: existingOrder.status, to: status });
+      }
+      
+      if (paymentStatus !== undefined && paymentStatus !== existingOrder.paymentStatus) {
+        assertTransition(
+          PAYMENT_STATUS_TRANSITIONS,
+          'paymentStatus',
+          toMachinePaymentStatus(existingOrder.paymentStatus),
+          toMachinePaymentStatus(paymentStatus)
+        );
+        update.paymentStatus = paymentStatus;
+        history.push({ field: 'paymentStatus', from: existingOrder.paymentStatus, to: paymentStatus });
+      }
+      
+      if (history.length === 0) {
+        throw new ConflictError('Order already has the requested status');
+      }
+      
+      const at = new Date();
+      
+      // Only apply if nobody changed the order since we read it
+      order = await Order.findOneAndUpdate(
+        { _id: id, status: existingOrder.status, paymentStatus: existingOrder.paymentStatus },
+        {
+          $set: update,
+          $push: { history: { $each: history.map((entry) => ({ ...entry, note, actor: req.user.id, at })) } }
+        },
+        { new: true, session }
+      );
+      
+      if (!order) {
+        throw new ConflictError('Order was modified by another request, please retry');
+      }
+      
+      // Put cancelled items back in stock
+      if (update.status === 'cancelled') {
+        await restock(existingOrder.items, session);
+      }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  } finally {
+    await session?.endSession();
+  }
+};
+
+/**
+ * @desc    Get the status history of an order (oldest first)
+ * @route   GET /api/mongoose/orders/:id/history
+ * @access  Private (customer or admin)
+ */
+export const getOrderHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const order = await Order.findById(id)
+      .select('orderNumber history')
+      .populate('history.actor', 'username role');
+    
+    if (!order) {
+      return next(new NotFoundError(`Order not found with id: ${id}`));
     }
     
-}
\ No newline at end of file
+    res.status(200).json({
+      success: true,
+      count: order.history.length,
+      data: order.history
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,41 +1,330 @@
 import Category from '../../models/mongoose/Category.js'
 import Post from '../../models/mongoose/Post.js  '
+import Tag from '../../models/mongoose/Tag.js';
+import { generateUniqueSlug } from '../../utils/slugify.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { NOT_DELETED, deletedFilter } from '../../utils/softDelete.js';
+import { transitionPost, initialPublication } from '../../utils/postWorkflow.js';
+import { NotFoundError, ConflictError } from '../../utils/AppError.js';
 
-export const getPostsByCategory = async (req,res) => {
+export const getPostsByCategory = async (req,res,next) => {
   const {slug} = req.params;
 
  try {
    const category = await Category.findOne({slug});
 
   if(!category){
-    return res.status(404).json({
-      success:false,
-      message:"Catgeory not found!"
-    });
+    return next(new NotFoundError("Catgeory not found!"));
   }
 
-  const posts = await Post.find({
-    category:category._id,
-    status:'published'
+  const { data: posts, meta } = await findMongoosePage(Post, {
+    query: req.query,
+    filter: {
+      category:category._id,
+      ...visiblePosts(req.user),
+      ...NOT_DELETED
+    },
+    relations: POST_RELATIONS
+  });
+
+  return res.status(200).json({
+    success:true,
+    message:`Posts fetched for category - ${category.name}`,
+    count:posts.length,
+    meta,
+    data:posts
   })
+  
+ } catch (error) {
+    next(error);
+ }
+}
+
+// Author fields returned with a post (never the password)
+const AUTHOR_FIELDS = 'username firstName lastName';
+
+// Relations that ?filter[category] / ?filter[tags] match by slug
+const POST_RELATIONS = {
+  category: { model: Category, key: 'slug' },
+  tags: { model: Tag, key: 'slug', many: true }
+};
+
+// Response message for each status a post can be moved to
+const STATUS_MESSAGES = {
+  scheduled: 'Post scheduled successfully',
+  published: 'Post published successfully',
+  draft: 'Post unpublished successfully',
+  archived: 'Post archived successfully'
+};
+
+/**
+ * Posts the current user may see: admins see every post, authors also
+ * their own drafts, scheduled and archived posts, everyone else only published ones
+ * (an $or, so ?filter[status] narrows the result instead of replacing it)
+ */
+const visiblePosts = (user) => {
+  if (user?.role === 'ADMIN') return {};
+  if (user) return { $or: [{ status: 'published' }, { author: user.id }] };
+  return { status: 'published' };
+};
+
+/**
+ * Run a publishing workflow step (utils/postWorkflow.js uses the uppercase
+ * Prisma spelling) and return the lowercase status and publishedAt to save
+ */
+const publicationFor = (post, status, options) => {
+  const publication = transitionPost(
+    { status: post.status.toUpperCase(), publishedAt: post.publishedAt },
+    status.toUpperCase(),
+    options
+  );
+  return { ...publication, status: publication.status.toLowerCase() };
+};
 
-  if(!posts){
-    return res.status(404).json({
-      success:false,
-      message:"No posts found for this category!"
+/**
+ * Generate a slug from the title that no other post uses
+ */
+const uniquePostSlug = (title) => generateUniqueSlug(title, (slug) => Post.exists({ slug }));
+
+/**
+ * Find a post by id with its relations populated
+ * (filter narrows the match, e.g. to posts that are not deleted)
+ */
+const findPopulatedPost = (id, filter = {}) => {
+  return Post.findOne({ _id: id, ...filter })
+    .populate('author', AUTHOR_FIELDS)
+    .populate('category')
+    .populate('tags');
+};
+
+/**
+ * @desc    Get all posts (paginated, see utils/listQuery.js)
+ *          Published posts only, plus the current user's own posts
+ * @route   GET /api/mongoose/posts?page=&limit=&cursor=&sort=&fields=&filter[field][op]=&includeDeleted=
+ * @access  Public (includeDeleted: admin)
+ */
+export const getAllPosts = async (req, res, next) => {
+  try {
+    const { data: posts, meta } = await findMongoosePage(Post, {
+      query: req.query,
+      filter: { ...deletedFilter(req.query), ...visiblePosts(req.user) },
+      populate: [['author', AUTHOR_FIELDS], ['tags']],
+      relations: POST_RELATIONS
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: posts.length,
+      meta,
+      data: posts
     });
-  } else{
-    return res.status(200).json({
-      success:true,
-      message:`Posts fetched for category - ${category.name}`,
-      data:posts
-    })
+  } catch (error) {
+    next(error);
   }
-  
- } catch (error) {
-    res.status(500).json({
-      success:false,
-      message:error.message
+};
+
+/**
+ * @desc    Get single post by ID (unpublished posts: author or admin)
+ * @route   GET /api/mongoose/posts/:id?includeDeleted=
+ * @access  Public (includeDeleted: admin)
+ */
+export const getPostById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const post = await findPopulatedPost(id, { ...deletedFilter(req.query), ...visiblePosts(req.user) });
+    
+    if (!post) {
+      return next(new NotFoundError(`Post not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: post
     });
- }
-}
\ No newline at end of file
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new post
+ *          status published with a future publishedAt schedules the post
+ * @route   POST /api/mongoose/posts
+ * @access  Private
+ */
+export const createPost = async (req, res, next) => {
+  try {
+    const { title, slug, status = 'draft', publishedAt } = req.body;
+    
+    // Posts are created as the current user unless an admin specifies an author
+    const author = req.body.author ?? req.user.id;
+    
+    const publication = initialPublication(status.toUpperCase(), { publishAt: publishedAt });
+    
+    const post = await Post.create({
+      ...req.body,
+      author,
+      slug: slug || await uniquePostSlug(title),
+      status: publication.status.toLowerCase(),
+      publishedAt: publication.publishedAt
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Post created successfully',
+      data: await findPopulatedPost(post._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update post
+ *          A new status follows the publishing workflow (see utils/postWorkflow.js)
+ * @route   PUT /api/mongoose/posts/:id
+ * @access  Private (author or admin)
+ */
+export const updatePost = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const post = await Post.findOne({ _id: id, ...NOT_DELETED });
+    
+    if (!post) {
+      return next(new NotFoundError(`Post not found with id: ${id}`));
+    }
+    
+    const { status, ...updateData } = req.body;
+    
+    if (status !== undefined && status !== post.status) {
+      Object.assign(updateData, publicationFor(post, status));
+    }
+    
+    post.set(updateData);
+    await post.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Post updated successfully',
+      data: await findPopulatedPost(post._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Handler moving a post to `status` through the publishing workflow
+ * (409 when the post's current status does not allow it)
+ */
+const changePostStatus = (status) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const post = await Post.findOne({ _id: id, ...NOT_DELETED });
+    
+    if (!post) {
+      return next(new NotFoundError(`Post not found with id: ${id}`));
+    }
+    
+    post.set(publicationFor(post, status, { publishAt: req.body?.publishedAt }));
+    await post.save();
+    
+    res.status(200).json({
+      success: true,
+      message: STATUS_MESSAGES[post.status],
+      data: await findPopulatedPost(post._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Publish post now, or schedule it with a future publishedAt
+ * @route   POST /api/mongoose/posts/:id/publish
+ * @access  Private (author or admin)
+ */
+export const publishPost = changePostStatus('published');
+
+/**
+ * @desc    Unpublish post (back to draft, also cancels a scheduled publication)
+ * @route   POST /api/mongoose/posts/:id/unpublish
+ * @access  Private (author or admin)
+ */
+export const unpublishPost = changePostStatus('draft');
+
+/**
+ * @desc    Archive post (hidden from public listings, keeps its publication date)
+ * @route   POST /api/mongoose/posts/:id/archive
+ * @access  Private (author or admin)
+ */
+export const archivePost = changePostStatus('archived');
+
+/**
+ * @desc    Soft delete post (see utils/softDelete.js)
+ * @route   DELETE /api/mongoose/posts/:id
+ * @access  Private (author or admin)
+ */
+export const deletePost = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const post = await Post.findOneAndUpdate(
+      { _id: id, ...NOT_DELETED },
+      { deletedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!post) {
+      return next(new NotFoundError(`Post not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Post deleted successfully',
+      data: post
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a soft deleted post
+ * @route   POST /api/mongoose/posts/:id/restore
+ * @access  Private (author or admin)
+ */
+export const restorePost = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const post = await Post.findById(id).populate('author', 'deletedAt');
+    
+    if (!post) {
+      return next(new NotFoundError(`Post not found with id: ${id}`));
+    }
+    
+    if (!post.deletedAt) {
+      return next(new ConflictError('Post is not deleted'));
+    }
+    
+    // The author has to be restored first
+    if (post.author?.deletedAt) {
+      return next(new ConflictError('Post author is deleted, restore the user first'));
+    }
+    
+    post.deletedAt = null;
+    await post.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Post restored successfully',
+      data: await findPopulatedPost(post._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
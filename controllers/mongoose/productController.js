@@ -1,10 +1,18 @@
 import Product from "../../models/mongoose/Product.js";
+import Category from '../../models/mongoose/Category.js';
+import Tag from '../../models/mongoose/Tag.js';
+import { generateUniqueSlug } from '../../utils/slugify.js';
+import { getProductRatingStats } from './reviewController.js';
+import { findCategoryPath } from './categoryController.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { NOT_DELETED, deletedFilter } from '../../utils/softDelete.js';
+import { NotFoundError, ConflictError } from '../../utils/AppError.js';
 
 
-export const getFilteredProducts = async (req, res) => {
+export const getFilteredProducts = async (req, res, next) => {
   const { minPrice, maxPrice } = req.query;
 
-  const query = {};
+  const query = { ...NOT_DELETED };
   query.isActive = true;
 
   if (maxPrice || minPrice) {
@@ -18,16 +26,271 @@ export const getFilteredProducts = async (req, res) => {
   }
 
   try {
-    const products = await Product.find(query);
+    const { data: products, meta } = await findMongoosePage(Product, {
+      query: req.query,
+      filter: query,
+      relations: PRODUCT_RELATIONS
+    });
     return res.status(200).json({
       success:true,
       message:"Fetched filtered products successfully",
+      count:products.length,
+      meta,
       data:products
     });
   } catch (error) {
-    res.status(500).json({
-      success:false,
-      message:error.message
+    next(error);
+  }
+};
+
+// Relations that ?filter[category] / ?filter[tags] match by slug
+const PRODUCT_RELATIONS = {
+  category: { model: Category, key: 'slug' },
+  tags: { model: Tag, key: 'slug', many: true }
+};
+
+/**
+ * Generate a slug from the name that no other product uses
+ */
+const uniqueProductSlug = (name) => generateUniqueSlug(name, (slug) => Product.exists({ slug }));
+
+/**
+ * Find a product by id with its relations populated
+ * (filter narrows the match, e.g. to products that are not deleted)
+ */
+const findPopulatedProduct = (id, filter = {}) => {
+  return Product.findOne({ _id: id, ...filter }).populate('category').populate('tags');
+};
+
+/**
+ * Resolve { categorySlug } from the request body to a category id
+ * Returns undefined when no slug was given, null when the slug is unknown
+ */
+const resolveCategorySlug = async (categorySlug) => {
+  if (categorySlug === undefined) return undefined;
+  const category = await Category.findOne({ slug: categorySlug }).select('_id');
+  return category ? category._id : null;
+};
+
+/**
+ * @desc    Get all active products (paginated, see utils/listQuery.js)
+ * @route   GET /api/mongoose/products?category=&minPrice=&maxPrice=&page=&limit=&cursor=&sort=&fields=&filter[field][op]=&includeDeleted=
+ * @access  Public (includeDeleted: admin)
+ */
+export const getAllProducts = async (req, res, next) => {
+  try {
+    // Extract query parameters for filtering
+    const { category, minPrice, maxPrice } = req.query;
+    
+    // Build query based on filters
+    const query = { isActive: true, ...deletedFilter(req.query) };
+    if (category) {
+      // Filter by category slug (same contract as the Prisma endpoint)
+      // An unknown slug matches nothing rather than products without a category
+      const categoryId = await resolveCategorySlug(category);
+      query.category = categoryId ?? { $in: [] };
+    }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      query.price = {};
+      if (minPrice !== undefined) query.price.$gte = minPrice;
+      if (maxPrice !== undefined) query.price.$lte = maxPrice;
+    }
+    
+    const { data: products, meta } = await findMongoosePage(Product, {
+      query: req.query,
+      filter: query,
+      populate: [['category'], ['tags']],
+      relations: PRODUCT_RELATIONS
     });
+    
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      meta,
+      data: products
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single product by ID (with rating stats)
+ * @route   GET /api/mongoose/products/:id?includeDeleted=
+ * @access  Public (includeDeleted: admin)
+ */
+export const getProductById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const product = await findPopulatedProduct(id, deletedFilter(req.query));
+    
+    if (!product) {
+      return next(new NotFoundError(`Product not found with id: ${id}`));
+    }
+    
+    // Average rating and star histogram from the product's reviews
+    const rating = await getProductRatingStats(id);
+    
+    res.status(200).json({
+      success: true,
+      data: { ...product.toObject(), rating }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the breadcrumb path of a product's category, from the root down
+ * @route   GET /api/mongoose/products/:id/breadcrumbs
+ * @access  Public
+ */
+export const getProductBreadcrumbs = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const product = await Product.findOne({ _id: id, ...NOT_DELETED }).select('category');
+    
+    if (!product) {
+      return next(new NotFoundError(`Product not found with id: ${id}`));
+    }
+    
+    const breadcrumbs = product.category ? await findCategoryPath(product.category) : [];
+    
+    res.status(200).json({
+      success: true,
+      count: breadcrumbs.length,
+      data: breadcrumbs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new product
+ *          Category is given by id (category) or slug (categorySlug)
+ * @route   POST /api/mongoose/products
+ * @access  Private (admin)
+ */
+export const createProduct = async (req, res, next) => {
+  try {
+    const { categorySlug, ...data } = req.body;
+    
+    const categoryId = await resolveCategorySlug(categorySlug);
+    if (categoryId === null) {
+      return next(new NotFoundError(`Category not found with slug: ${categorySlug}`));
+    }
+    if (categoryId) data.category = categoryId;
+    
+    const product = await Product.create({
+      ...data,
+      slug: data.slug || await uniqueProductSlug(data.name)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: await findPopulatedProduct(product._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update product
+ * @route   PUT /api/mongoose/products/:id
+ * @access  Private (admin)
+ */
+export const updateProduct = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { categorySlug, ...updateData } = req.body;
+    
+    const categoryId = await resolveCategorySlug(categorySlug);
+    if (categoryId === null) {
+      return next(new NotFoundError(`Category not found with slug: ${categorySlug}`));
+    }
+    if (categoryId) updateData.category = categoryId;
+    
+    const product = await Product.findOneAndUpdate({ _id: id, ...NOT_DELETED }, updateData, {
+      new: true,
+      runValidators: true
+    }).populate('category').populate('tags');
+    
+    if (!product) {
+      return next(new NotFoundError(`Product not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product updated successfully',
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Soft delete product (orders keep referencing it, see utils/softDelete.js)
+ * @route   DELETE /api/mongoose/products/:id
+ * @access  Private (admin)
+ */
+export const deleteProduct = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const product = await Product.findOneAndUpdate(
+      { _id: id, ...NOT_DELETED },
+      { deletedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!product) {
+      return next(new NotFoundError(`Product not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product deleted successfully',
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a soft deleted product
+ * @route   POST /api/mongoose/products/:id/restore
+ * @access  Private (admin)
+ */
+export const restoreProduct = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const product = await Product.findById(id);
+    
+    if (!product) {
+      return next(new NotFoundError(`Product not found with id: ${id}`));
+    }
+    
+    if (!product.deletedAt) {
+      return next(new ConflictError('Product is not deleted'));
+    }
+    
+    product.deletedAt = null;
+    await product.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product restored successfully',
+      data: await findPopulatedProduct(product._id)
+    });
+  } catch (error) {
+    next(error);
   }
 };
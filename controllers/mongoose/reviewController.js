@@ -0,0 +1,227 @@
+/**
+ * MONGOOSE REVIEW CONTROLLER
+ * 
+ * Handles all CRUD operations for Reviews using Mongoose (MongoDB)
+ */
+
+import mongoose from 'mongoose';
+import Review from '../../models/mongoose/Review.js';
+import Product from '../../models/mongoose/Product.js';
+import Order from '../../models/mongoose/Order.js';
+import { reviewConfig } from '../../config/reviews.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { buildRatingStats } from '../../utils/ratingStats.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+import { NotFoundError, ConflictError, ForbiddenError } from '../../utils/AppError.js';
+
+// User fields returned with a review (never the password)
+const USER_FIELDS = 'username firstName lastName';
+
+// Relations populated on review lists
+const REVIEW_POPULATE = [['user', USER_FIELDS], ['product', 'name slug']];
+
+/**
+ * Average rating and 1-5 star histogram of a product
+ */
+export const getProductRatingStats = async (productId) => {
+  const groups = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId) } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  return buildRatingStats(groups.map((group) => ({
+    rating: group._id,
+    count: group.count
+  })));
+};
+
+/**
+ * @desc    Get all reviews (optionally for one product), paginated
+ * @route   GET /api/mongoose/reviews?product=:productId&page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Public
+ */
+export const getAllReviews = async (req, res, next) => {
+  try {
+    const { product } = req.query;
+    
+    const query = {};
+    if (product) query.product = product;
+    
+    const { data: reviews, meta } = await findMongoosePage(Review, {
+      query: req.query,
+      filter: query,
+      populate: REVIEW_POPULATE
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      meta,
+      data: reviews
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the reviews of a product with its rating stats, paginated
+ * @route   GET /api/mongoose/products/:id/reviews?page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Public
+ */
+export const getProductReviews = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!(await Product.exists({ _id: id, ...NOT_DELETED }))) {
+      return next(new NotFoundError(`Product not found with id: ${id}`));
+    }
+    
+    const [{ data: reviews, meta }, stats] = await Promise.all([
+      findMongoosePage(Review, {
+        query: req.query,
+        filter: { product: id },
+        populate: REVIEW_POPULATE
+      }),
+      getProductRatingStats(id)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      meta,
+      stats,
+      data: reviews
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single review by ID
+ * @route   GET /api/mongoose/reviews/:id
+ * @access  Public
+ */
+export const getReviewById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const review = await Review.findById(id)
+      .populate('user', USER_FIELDS)
+      .populate('product', 'name slug');
+    
+    if (!review) {
+      return next(new NotFoundError(`Review not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new review (as the current user, one per product)
+ *          With REVIEWS_REQUIRE_VERIFIED_PURCHASE=true the user must have a
+ *          delivered order containing the product
+ * @route   POST /api/mongoose/reviews
+ * @access  Private
+ */
+export const createReview = async (req, res, next) => {
+  try {
+    const { product, rating, comment } = req.body;
+    
+    // Check if product exists
+    if (!(await Product.exists({ _id: product, ...NOT_DELETED }))) {
+      return next(new NotFoundError(`Product not found with id: ${product}`));
+    }
+    
+    if (reviewConfig.requireVerifiedPurchase) {
+      const purchased = await Order.exists({
+        user: req.user.id,
+        status: 'delivered',
+        'items.product': product
+      });
+      
+      if (!purchased) {
+        return next(new ForbiddenError('Only customers who received this product can review it'));
+      }
+    }
+    
+    const review = await Review.create({
+      user: req.user.id,
+      product,
+      rating,
+      comment
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Review created successfully',
+      data: review
+    });
+  } catch (error) {
+    // Handle duplicate key error (user already reviewed this product)
+    if (error.code === 11000) {
+      return next(new ConflictError('You have already reviewed this product'));
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update review
+ * @route   PUT /api/mongoose/reviews/:id
+ * @access  Private (review author or admin)
+ */
+export const updateReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const review = await Review.findByIdAndUpdate(id, req.body, {
+      new: true,
+      runValidators: true
+    });
+    
+    if (!review) {
+      return next(new NotFoundError(`Review not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete review
+ * @route   DELETE /api/mongoose/reviews/:id
+ * @access  Private (review author or admin)
+ */
+export const deleteReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const review = await Review.findByIdAndDelete(id);
+    
+    if (!review) {
+      return next(new NotFoundError(`Review not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
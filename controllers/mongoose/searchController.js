@@ -0,0 +1,148 @@
+/**
+ * MONGOOSE SEARCH CONTROLLER
+ * 
+ * Full-text search over products and published posts using the MongoDB
+ * text indexes declared on the Product and Post models
+ */
+
+import Product from '../../models/mongoose/Product.js';
+import Post from '../../models/mongoose/Post.js';
+import Category from '../../models/mongoose/Category.js';
+import Tag from '../../models/mongoose/Tag.js';
+import { getPagination, buildPageMeta } from '../../utils/pagination.js';
+import { searchTerms, highlight, snippet } from '../../utils/highlight.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+
+/**
+ * Searchable collections and how their results are presented
+ */
+const SOURCES = {
+  product: {
+    Model: Product,
+    filter: { isActive: true, ...NOT_DELETED },
+    title: 'name',
+    body: 'description'
+  },
+  post: {
+    Model: Post,
+    filter: { status: 'published', ...NOT_DELETED },
+    title: 'title',
+    body: 'content'
+  }
+};
+
+/**
+ * Resolve a category / tag slug to its id (null when the slug is unknown)
+ */
+const idBySlug = async (Model, slug) => {
+  if (!slug) return undefined;
+  const doc = await Model.findOne({ slug }).select('_id');
+  return doc ? doc._id : null;
+};
+
+/**
+ * Merge per-collection facet counts and attach slug and name
+ */
+const buildFacet = async (Model, groups) => {
+  const counts = new Map();
+  for (const { _id, count } of groups) {
+    counts.set(String(_id), (counts.get(String(_id)) || 0) + count);
+  }
+  
+  const docs = await Model.find({ _id: { $in: [...counts.keys()] } }).select('slug name').lean();
+  
+  return docs
+    .map((doc) => ({ slug: doc.slug, name: doc.name, count: counts.get(String(doc._id)) }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+/**
+ * @desc    Search products and published posts
+ *          Results are ranked by text score, with a highlighted title and body
+ *          snippet, plus match counts per category and tag (facets)
+ * @route   GET /api/mongoose/search?q=&type=&category=&tag=&page=&limit=
+ * @access  Public
+ */
+export const search = async (req, res, next) => {
+  try {
+    const { q, type, category, tag } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    
+    const [categoryId, tagId] = await Promise.all([
+      idBySlug(Category, category),
+      idBySlug(Tag, tag)
+    ]);
+    
+    // An unknown category or tag matches nothing
+    const types = categoryId === null || tagId === null
+      ? []
+      : Object.keys(SOURCES).filter((name) => !type || name === type);
+    
+    const searches = types.map((name) => {
+      const source = SOURCES[name];
+      
+      // $text must be part of the first $match of a pipeline
+      const filter = { $text: { $search: q }, ...source.filter };
+      if (categoryId) filter.category = categoryId;
+      if (tagId) filter.tags = tagId;
+      
+      return Promise.all([
+        // The best skip + limit of each collection are enough to build the merged page
+        source.Model.find(filter, { score: { $meta: 'textScore' } })
+          .select(`${source.title} ${source.body} slug category tags`)
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(skip + limit)
+          .lean(),
+        source.Model.aggregate([
+          { $match: filter },
+          {
+            $facet: {
+              total: [{ $count: 'count' }],
+              categories: [
+                { $match: { category: { $ne: null } } },
+                { $group: { _id: '$category', count: { $sum: 1 } } }
+              ],
+              tags: [
+                { $unwind: '$tags' },
+                { $group: { _id: '$tags', count: { $sum: 1 } } }
+              ]
+            }
+          }
+        ])
+      ]).then(([docs, [facets]]) => ({ name, source, docs, facets }));
+    });
+    
+    const found = await Promise.all(searches);
+    
+    const terms = searchTerms(q);
+    const ranked = found
+      .flatMap(({ name, source, docs }) => docs.map((doc) => ({
+        type: name,
+        id: doc._id,
+        title: doc[source.title],
+        slug: doc.slug,
+        score: doc.score,
+        titleHighlight: highlight(doc[source.title], terms),
+        snippet: snippet(doc[source.body], terms)
+      })))
+      .sort((a, b) => b.score - a.score)
+      .slice(skip, skip + limit);
+    
+    const total = found.reduce((sum, { facets }) => sum + (facets.total[0]?.count || 0), 0);
+    const [categories, tags] = await Promise.all([
+      buildFacet(Category, found.flatMap(({ facets }) => facets.categories)),
+      buildFacet(Tag, found.flatMap(({ facets }) => facets.tags))
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      query: q,
+      count: ranked.length,
+      meta: buildPageMeta(total, page, limit),
+      facets: { categories, tags },
+      data: ranked
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,62 +1,345 @@
 import Tag from "../../models/mongoose/Tag.js";
+import Product from '../../models/mongoose/Product.js';
+import Post from '../../models/mongoose/Post.js';
+import { generateUniqueSlug } from '../../utils/slugify.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+import { NotFoundError, ValidationError } from '../../utils/AppError.js';
 
-export const getAllTags = async (req, res) => {
+// Content that can be tagged, by ?type= (mirrors the Prisma ProductTags / PostTags relations)
+const TAGGED_MODELS = { product: Product, post: Post };
+
+/**
+ * Filter narrowing tags to those used by ?type= content (none given: every tag)
+ */
+const tagTypeFilter = async (type) => {
+  if (!type) return {};
+  return { _id: { $in: await TAGGED_MODELS[type].distinct('tags', NOT_DELETED) } };
+};
+
+/**
+ * How many products and posts (not soft deleted) use each of the given tags
+ * @returns {Map<String, { products, posts, total }>} keyed by tag id
+ */
+const countTagUsage = async (tagIds) => {
+  const countBy = (Model) => Model.aggregate([
+    { $match: { tags: { $in: tagIds }, ...NOT_DELETED } },
+    { $unwind: '$tags' },
+    { $match: { tags: { $in: tagIds } } },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+  
+  const [products, posts] = await Promise.all([countBy(Product), countBy(Post)]);
+  const usage = new Map(tagIds.map((id) => [String(id), { products: 0, posts: 0, total: 0 }]));
+  
+  for (const [type, groups] of [['products', products], ['posts', posts]]) {
+    for (const { _id, count } of groups) {
+      const entry = usage.get(String(_id));
+      entry[type] = count;
+      entry.total += count;
+    }
+  }
+  
+  return usage;
+};
+
+/**
+ * Tags (documents or lean objects) with their usage counts attached
+ */
+const withUsage = async (tags) => {
+  const usage = await countTagUsage(tags.map((tag) => tag._id));
+  return tags.map((tag) => ({
+    ...(tag.toObject ? tag.toObject() : tag),
+    usage: usage.get(String(tag._id))
+  }));
+};
+
+export const getAllTags = async (req, res, next) => {
   try {
-    const tags = await Tag.find();
+    const { data: tags, meta } = await findMongoosePage(Tag, { query: req.query, defaultSort: 'name' });
     res.status(200).json({
       success: true,
       message:"Tags fetched succesfully",
       count: tags.length,
+      meta,
       data: tags,
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    next(error);
   }
 };
 
-export const getSingleTag = async (req, res) => {
+export const getSingleTag = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    if (!id) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Tag not found!" });
+    const tag = await Tag.findById(id);
+
+    if (!tag) {
+      return next(new NotFoundError("Tag not found!"));
     }
 
-    const tag = await Tag.findById(id);
     return res.status(200).json({
         success:true,
         message:"Tag fetched successfully",
         data:tag
     });
   } catch (error) {
-    return res.status(500).json({
-        success:false,
-        message:error.message
-    })
+    next(error);
   }
 };
 
-export const getTagsByType = async (req,res)=> {
+export const getTagsByType = async (req,res,next)=> {
     const {type} = req.query;
 
-    const query = {};
-    if(type){
-        query.type=type;
-    }
-
     try {
-        const tags = await Tag.find(query);
+        // ?type=product|post: tags in use on that kind of content
+        const query = await tagTypeFilter(type);
+        const { data: tags, meta } = await findMongoosePage(Tag, { query: req.query, filter: query, defaultSort: 'name' });
         return res.status(200).json({
             success:true,
             message:"Fetched tags successfully",
+            count:tags.length,
+            meta,
             data:tags
         });
     } catch (error) {
-        res.status(500).json({
-            success:false,
-            message:error.message
-        });
+        next(error);
     }
 }
+
+/**
+ * Generate a slug from the name that no other tag uses
+ */
+const uniqueTagSlug = (name) => generateUniqueSlug(name, (slug) => Tag.exists({ slug }));
+
+/**
+ * @desc    Get all tags with their usage counts (paginated, see utils/listQuery.js)
+ * @route   GET /api/mongoose/tags?type=&page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Public
+ */
+export const listTags = async (req, res, next) => {
+  try {
+    const { data: tags, meta } = await findMongoosePage(Tag, {
+      query: req.query,
+      filter: await tagTypeFilter(req.query.type),
+      defaultSort: 'name',
+      lean: true
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      meta,
+      data: await withUsage(tags)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single tag by ID with its usage counts
+ * @route   GET /api/mongoose/tags/:id
+ * @access  Public
+ */
+export const getTagById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const tag = await Tag.findById(id);
+    
+    if (!tag) {
+      return next(new NotFoundError(`Tag not found with id: ${id}`));
+    }
+    
+    const [data] = await withUsage([tag]);
+    
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the tags most often used together with a tag
+ *          (count = products and posts carrying both)
+ * @route   GET /api/mongoose/tags/:id/related?limit=
+ * @access  Public
+ */
+export const getRelatedTags = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { limit } = req.query;
+    
+    const tag = await Tag.findById(id).select('_id');
+    
+    if (!tag) {
+      return next(new NotFoundError(`Tag not found with id: ${id}`));
+    }
+    
+    const coOccurring = (Model) => Model.aggregate([
+      { $match: { tags: tag._id, ...NOT_DELETED } },
+      { $unwind: '$tags' },
+      { $match: { tags: { $ne: tag._id } } },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+    
+    const groups = (await Promise.all(Object.values(TAGGED_MODELS).map(coOccurring))).flat();
+    const counts = new Map();
+    for (const { _id, count } of groups) {
+      counts.set(String(_id), (counts.get(String(_id)) || 0) + count);
+    }
+    
+    const tags = await Tag.find({ _id: { $in: [...counts.keys()] } }).select('name slug').lean();
+    const related = tags
+      .map((entry) => ({ ...entry, count: counts.get(String(entry._id)) }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, limit);
+    
+    res.status(200).json({
+      success: true,
+      count: related.length,
+      data: related
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new tag
+ * @route   POST /api/mongoose/tags
+ * @access  Private (admin)
+ */
+export const createTag = async (req, res, next) => {
+  try {
+    const { name, slug } = req.body;
+    
+    const tag = await Tag.create({
+      name,
+      slug: slug || await uniqueTagSlug(name)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: tag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update tag
+ * @route   PUT /api/mongoose/tags/:id
+ * @access  Private (admin)
+ */
+export const updateTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const tag = await Tag.findByIdAndUpdate(id, req.body, {
+      new: true,
+      runValidators: true
+    });
+    
+    if (!tag) {
+      return next(new NotFoundError(`Tag not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: tag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Merge a tag into another: every product and post tagged with it
+ *          is tagged with the target instead, then the tag is deleted
+ * @route   POST /api/mongoose/tags/:id/merge
+ * @access  Private (admin)
+ */
+export const mergeTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { target: targetId } = req.body;
+    
+    if (String(targetId) === String(id)) {
+      return next(new ValidationError('Validation failed', [{
+        location: 'body',
+        field: 'target',
+        message: '"target" must be a different tag'
+      }]));
+    }
+    
+    const [tag, target] = await Promise.all([Tag.findById(id), Tag.findById(targetId)]);
+    
+    if (!tag) {
+      return next(new NotFoundError(`Tag not found with id: ${id}`));
+    }
+    if (!target) {
+      return next(new NotFoundError(`Tag not found with id: ${targetId}`));
+    }
+    
+    // $addToSet first so content already carrying both tags is not duplicated
+    const repoint = async (Model) => {
+      await Model.updateMany({ tags: tag._id }, { $addToSet: { tags: target._id } });
+      const { modifiedCount } = await Model.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } });
+      return modifiedCount;
+    };
+    
+    const [products, posts] = await Promise.all([repoint(Product), repoint(Post)]);
+    await tag.deleteOne();
+    
+    const [data] = await withUsage([target]);
+    
+    res.status(200).json({
+      success: true,
+      message: `Tag "${tag.name}" merged into "${target.name}"`,
+      merged: { products, posts },
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete tag (and remove it from every product and post)
+ * @route   DELETE /api/mongoose/tags/:id
+ * @access  Private (admin)
+ */
+export const deleteTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const tag = await Tag.findByIdAndDelete(id);
+    
+    if (!tag) {
+      return next(new NotFoundError(`Tag not found with id: ${id}`));
+    }
+    
+    // Mirror the Prisma implicit many-to-many: join rows go with the tag
+    await Promise.all([
+      Product.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } }),
+      Post.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } })
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Tag deleted successfully',
+      data: tag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
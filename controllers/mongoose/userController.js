@@ -1,30 +1,214 @@
 import User from '../../models/mongoose/User.js';
+import Post from '../../models/mongoose/Post.js';
+import RefreshToken from '../../models/mongoose/RefreshToken.js';
+import { hashPassword } from '../../utils/password.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { NOT_DELETED, deletedFilter } from '../../utils/softDelete.js';
+import { NotFoundError, ConflictError, ForbiddenError } from '../../utils/AppError.js';
 
-export const getUsers = async (req,res) => {
-  const {page} = req.query || 1;
-  const {limit} = req.query || 10;
-  const skip = (page-1) * limit;
-
+export const getUsers = async (req,res,next) => {
   try {
-    const users = await User.find({status:'active'})
-    .sort({createdAt:-1}).skip(skip).limit(limit)
-    .select('username email createdAt').lean(); 
-
-    const total = await User.countDocuments({status:'active'});
+    const { data: users, meta } = await findMongoosePage(User, {
+      query: req.query,
+      filter: { isActive: true, ...NOT_DELETED },
+      select: 'username email createdAt',
+      lean: true
+    });
 
     return res.status(200).json({
       success:true,
-      message:`Fetched users for page - ${page}`,
-      limit:limit,
+      message: meta.page ? `Fetched users for page - ${meta.page}` : 'Fetched users',
+      limit:meta.limit,
       count:users.length,
-      total:total,
+      total:meta.total,
+      meta,
       data:users
     });
 
   } catch (error) {
-    return res.status(500).json({
-      success:false,
-      message:error.message
+    next(error);
+  }
+}
+
+/**
+ * Remove the password hash before sending a user to the client
+ */
+const sanitizeUser = (user) => {
+  const { password, ...safeUser } = user.toObject();
+  return safeUser;
+};
+
+/**
+ * @desc    Get all users (paginated, see utils/listQuery.js)
+ * @route   GET /api/mongoose/users?page=&limit=&cursor=&sort=&fields=&filter[field][op]=&includeDeleted=
+ * @access  Public (includeDeleted: admin)
+ */
+export const getAllUsers = async (req, res, next) => {
+  try {
+    const { data: users, meta } = await findMongoosePage(User, {
+      query: req.query,
+      filter: deletedFilter(req.query)
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      meta,
+      data: users
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single user by ID
+ * @route   GET /api/mongoose/users/:id?includeDeleted=
+ * @access  Public (includeDeleted: admin)
+ */
+export const getUserById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await User.findOne({ _id: id, ...deletedFilter(req.query) });
+    
+    if (!user) {
+      return next(new NotFoundError(`User not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new user
+ * @route   POST /api/mongoose/users
+ * @access  Private (admin)
+ */
+export const createUser = async (req, res, next) => {
+  try {
+    const user = await User.create({
+      ...req.body,
+      password: await hashPassword(req.body.password)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: sanitizeUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update user
+ * @route   PUT /api/mongoose/users/:id
+ * @access  Private (account owner or admin)
+ */
+export const updateUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const updateData = { ...req.body };
+    
+    // Only admins may change roles or (de)activate accounts
+    if ((updateData.role !== undefined || updateData.isActive !== undefined) && req.user.role !== 'ADMIN') {
+      return next(new ForbiddenError('Only admins can change user roles or account status'));
+    }
+    
+    if (updateData.password !== undefined) {
+      updateData.password = await hashPassword(updateData.password);
+    }
+    
+    const user = await User.findOneAndUpdate({ _id: id, ...NOT_DELETED }, updateData, {
+      new: true,
+      runValidators: true
+    });
+    
+    if (!user) {
+      return next(new NotFoundError(`User not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Soft delete user
+ *          Their posts are soft deleted with them and their sessions revoked,
+ *          orders and reviews are kept (see utils/softDelete.js)
+ * @route   DELETE /api/mongoose/users/:id
+ * @access  Private (admin)
+ */
+export const deleteUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deletedAt = new Date();
+    
+    const user = await User.findOneAndUpdate({ _id: id, ...NOT_DELETED }, { deletedAt }, { new: true });
+    
+    if (!user) {
+      return next(new NotFoundError(`User not found with id: ${id}`));
+    }
+    
+    await Promise.all([
+      Post.updateMany({ author: user._id, ...NOT_DELETED }, { deletedAt }),
+      RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: deletedAt })
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      message: 'User deleted successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a soft deleted user and the posts deleted with them
+ * @route   POST /api/mongoose/users/:id/restore
+ * @access  Private (admin)
+ */
+export const restoreUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await User.findById(id);
+    
+    if (!user) {
+      return next(new NotFoundError(`User not found with id: ${id}`));
+    }
+    
+    if (!user.deletedAt) {
+      return next(new ConflictError('User is not deleted'));
+    }
+    
+    // Posts deleted on their own before the user stay deleted
+    await Post.updateMany({ author: user._id, deletedAt: user.deletedAt }, { deletedAt: null });
+    
+    user.deletedAt = null;
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'User restored successfully',
+      data: user
     });
+  } catch (error) {
+    next(error);
   }
-}
\ No newline at end of file
+};
@@ -0,0 +1,433 @@
+/**
+ * PRISMA ANALYTICS CONTROLLER
+ * 
+ * Reporting endpoints backed by raw SQL aggregates (PostgreSQL)
+ * Same reports and response shapes as the Mongoose analytics controller
+ * The rollup endpoints read the materialized views kept by jobs/refreshReports.js
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../config/prisma.js';
+import {
+  REVENUE_EXCLUDED,
+  STOCK_BUCKETS,
+  LIFETIME_VALUE_BUCKETS,
+  resolveDateRange,
+  fillBuckets,
+  buildCohorts
+} from '../../utils/analytics.js';
+import { refreshPrismaReports } from '../../jobs/refreshReports.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+
+const { status: EXCLUDED_STATUS, paymentStatus: EXCLUDED_PAYMENT } = REVENUE_EXCLUDED.prisma;
+
+/**
+ * Orders that count as revenue in the requested range (alias o)
+ */
+const revenueOrders = ({ from, to }) => Prisma.sql`
+  o."createdAt" BETWEEN ${from} AND ${to}
+  AND o.status <> ${EXCLUDED_STATUS}::"OrderStatus"
+  AND o."paymentStatus" <> ${EXCLUDED_PAYMENT}::"PaymentStatus"
+`;
+
+/**
+ * Number of whole periods between a cohort start and an order date
+ * (granularity is validated, so it can be inlined)
+ */
+const periodOffset = (granularity, cohort, date) => {
+  switch (granularity) {
+    case 'day':
+      return Prisma.sql`(date_trunc('day', ${date})::date - ${cohort}::date)`;
+    case 'week':
+      return Prisma.sql`((date_trunc('week', ${date})::date - ${cohort}::date) / 7)`;
+    case 'year':
+      return Prisma.sql`(extract(year FROM ${date}) - extract(year FROM ${cohort}))::int`;
+    default:
+      return Prisma.sql`((extract(year FROM ${date}) - extract(year FROM ${cohort})) * 12
+        + extract(month FROM ${date}) - extract(month FROM ${cohort}))::int`;
+  }
+};
+
+/**
+ * width_bucket over the boundaries, bucket 1 is the first boundary
+ */
+const bucketIndex = (column, boundaries, type) =>
+  Prisma.sql`width_bucket(${column}, ARRAY[${Prisma.join(boundaries)}]::${Prisma.raw(type)}[])`;
+
+/**
+ * Last refresh of a reporting view (every view is built on first use)
+ */
+const ensureRefreshed = async (name) => {
+  const refresh = await prisma.reportRefresh.findUnique({ where: { name } });
+  if (refresh) return refresh;
+  
+  const refreshes = await refreshPrismaReports();
+  return refreshes.find((entry) => entry.name === name);
+};
+
+/**
+ * @desc    Revenue per period, with totals for the whole range
+ *          (cancelled orders and refunded payments are excluded)
+ * @route   GET /api/prisma/analytics/revenue?from=&to=&granularity=
+ * @access  Private (admin)
+ */
+export const getRevenue = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const { granularity } = req.query;
+    
+    const [series, [totals]] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT date_trunc(${granularity}, o."createdAt") AS period,
+          round(sum(o."totalAmount"), 2)::float8 AS revenue,
+          count(*)::int AS orders,
+          count(DISTINCT o."userId")::int AS customers,
+          round(avg(o."totalAmount"), 2)::float8 AS "averageOrderValue"
+        FROM "Order" o
+        WHERE ${revenueOrders(range)}
+        GROUP BY 1
+        ORDER BY 1
+      `,
+      prisma.$queryRaw`
+        SELECT coalesce(round(sum(o."totalAmount"), 2), 0)::float8 AS revenue,
+          count(*)::int AS orders,
+          count(DISTINCT o."userId")::int AS customers,
+          coalesce(round(avg(o."totalAmount"), 2), 0)::float8 AS "averageOrderValue"
+        FROM "Order" o
+        WHERE ${revenueOrders(range)}
+      `
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      range: { ...range, granularity },
+      data: { totals, series }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Best-selling products by units sold
+ * @route   GET /api/prisma/analytics/top-products?from=&to=&limit=
+ * @access  Private (admin)
+ */
+export const getTopProducts = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const { limit } = req.query;
+    
+    const products = await prisma.$queryRaw`
+      SELECT p.id AS "productId", p.name, p.slug,
+        sum(oi.quantity)::int AS "unitsSold",
+        count(DISTINCT oi."orderId")::int AS orders,
+        round(sum(oi.quantity * oi."unitPrice"), 2)::float8 AS revenue
+      FROM "OrderItem" oi
+      JOIN "Order" o ON o.id = oi."orderId"
+      JOIN "Product" p ON p.id = oi."productId"
+      WHERE ${revenueOrders(range)}
+      GROUP BY p.id
+      ORDER BY "unitsSold" DESC, revenue DESC, p.id
+      LIMIT ${limit}
+    `;
+    
+    res.status(200).json({
+      success: true,
+      range,
+      count: products.length,
+      data: products
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Average review rating per product category
+ * @route   GET /api/prisma/analytics/ratings-by-category?from=&to=
+ * @access  Private (admin)
+ */
+export const getRatingsByCategory = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    
+    const categories = await prisma.$queryRaw`
+      SELECT c.id AS "categoryId", coalesce(c.name, 'Uncategorized') AS name, c.slug,
+        round(avg(r.rating), 2)::float8 AS "averageRating",
+        count(*)::int AS reviews,
+        count(DISTINCT r."productId")::int AS products
+      FROM "Review" r
+      JOIN "Product" p ON p.id = r."productId"
+      LEFT JOIN "Category" c ON c.id = p."categoryId"
+      WHERE r."createdAt" BETWEEN ${range.from} AND ${range.to}
+      GROUP BY c.id
+      ORDER BY "averageRating" DESC, reviews DESC
+    `;
+    
+    res.status(200).json({
+      success: true,
+      range,
+      count: categories.length,
+      data: categories
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Products at or below the stock threshold, with the stock distribution
+ * @route   GET /api/prisma/analytics/low-stock?threshold=&limit=
+ * @access  Private (admin)
+ */
+export const getLowStock = async (req, res, next) => {
+  try {
+    const { threshold, limit } = req.query;
+    
+    const [products, distribution, [summary]] = await Promise.all([
+      prisma.product.findMany({
+        where: { stock: { lte: threshold }, ...NOT_DELETED },
+        orderBy: [{ stock: 'asc' }, { name: 'asc' }],
+        take: limit,
+        select: {
+          id: true,
+          name: true,
+          slug: true,
+          stock: true,
+          price: true,
+          category: { select: { id: true, name: true, slug: true } }
+        }
+      }),
+      prisma.$queryRaw`
+        SELECT ${bucketIndex(Prisma.sql`p.stock`, STOCK_BUCKETS, 'int')} AS bucket, count(*)::int AS count
+        FROM "Product" p
+        WHERE p."deletedAt" IS NULL
+        GROUP BY 1
+      `,
+      prisma.$queryRaw`
+        SELECT count(*)::int AS "totalProducts",
+          (count(*) FILTER (WHERE p.stock <= 0))::int AS "outOfStock",
+          (count(*) FILTER (WHERE p.stock <= ${threshold}))::int AS "lowStock"
+        FROM "Product" p
+        WHERE p."deletedAt" IS NULL
+      `
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      threshold,
+      data: {
+        summary,
+        distribution: fillBuckets(STOCK_BUCKETS, (index) =>
+          distribution.find((row) => row.bucket === index + 1)?.count),
+        products
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Customer lifetime value: top customers, spend distribution and averages
+ * @route   GET /api/prisma/analytics/customer-lifetime-value?from=&to=&limit=
+ * @access  Private (admin)
+ */
+export const getCustomerLifetimeValue = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const { limit } = req.query;
+    
+    // One row per customer with their spend in the range
+    const customers = Prisma.sql`
+      WITH customers AS (
+        SELECT o."userId", sum(o."totalAmount") AS "totalSpent", count(*)::int AS orders,
+          min(o."createdAt") AS "firstOrderAt", max(o."createdAt") AS "lastOrderAt"
+        FROM "Order" o
+        WHERE ${revenueOrders(range)}
+        GROUP BY o."userId"
+      )
+    `;
+    
+    const [topCustomers, distribution, [summary]] = await Promise.all([
+      prisma.$queryRaw`
+        ${customers}
+        SELECT u.id AS "userId", u.username, u.email,
+          round(c."totalSpent", 2)::float8 AS "totalSpent", c.orders,
+          round(c."totalSpent" / c.orders, 2)::float8 AS "averageOrderValue",
+          c."firstOrderAt", c."lastOrderAt"
+        FROM customers c
+        JOIN "User" u ON u.id = c."userId"
+        ORDER BY c."totalSpent" DESC, u.id
+        LIMIT ${limit}
+      `,
+      prisma.$queryRaw`
+        ${customers}
+        SELECT ${bucketIndex(Prisma.sql`c."totalSpent"`, LIFETIME_VALUE_BUCKETS, 'numeric')} AS bucket,
+          count(*)::int AS count
+        FROM customers c
+        GROUP BY 1
+      `,
+      prisma.$queryRaw`
+        ${customers}
+        SELECT count(*)::int AS customers,
+          coalesce(round(sum(c."totalSpent"), 2), 0)::float8 AS revenue,
+          coalesce(round(avg(c."totalSpent"), 2), 0)::float8 AS "averageLifetimeValue",
+          coalesce(round(avg(c.orders), 2), 0)::float8 AS "averageOrders"
+        FROM customers c
+      `
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      range,
+      data: {
+        summary,
+        distribution: fillBuckets(LIFETIME_VALUE_BUCKETS, (index) =>
+          distribution.find((row) => row.bucket === index + 1)?.count),
+        topCustomers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Signup cohorts and how many of them order in each following period
+ * @route   GET /api/prisma/analytics/cohorts?from=&to=&granularity=
+ * @access  Private (admin)
+ */
+export const getCohorts = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const { granularity } = req.query;
+    
+    // Users who signed up in the range, with the start of their signup period
+    const cohortUsers = Prisma.sql`
+      WITH cohort_users AS (
+        SELECT u.id, date_trunc(${granularity}, u."createdAt") AS cohort
+        FROM "User" u
+        WHERE u."createdAt" BETWEEN ${range.from} AND ${range.to}
+      )
+    `;
+    
+    const [sizes, activity] = await Promise.all([
+      prisma.$queryRaw`
+        ${cohortUsers}
+        SELECT cu.cohort, count(*)::int AS users
+        FROM cohort_users cu
+        GROUP BY cu.cohort
+        ORDER BY cu.cohort
+      `,
+      prisma.$queryRaw`
+        ${cohortUsers}
+        SELECT cu.cohort,
+          ${periodOffset(granularity, Prisma.sql`cu.cohort`, Prisma.sql`o."createdAt"`)} AS "offset",
+          count(DISTINCT o."userId")::int AS customers,
+          round(sum(o."totalAmount"), 2)::float8 AS revenue
+        FROM cohort_users cu
+        JOIN "Order" o ON o."userId" = cu.id
+        WHERE ${revenueOrders(range)}
+        GROUP BY 1, 2
+      `
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      range: { ...range, granularity },
+      count: sizes.length,
+      data: buildCohorts(sizes, activity)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Sales per hour or day, read from the sales_rollup materialized view
+ * @route   GET /api/prisma/analytics/rollups/sales?from=&to=&granularity=
+ * @access  Private (admin)
+ */
+export const getSalesRollup = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const { granularity } = req.query;
+    const { lastRefreshedAt } = await ensureRefreshed('sales');
+    
+    const series = await prisma.$queryRaw`
+      SELECT s.period, s.revenue, s.orders, s.customers, s."itemsSold"
+      FROM sales_rollup s
+      WHERE s.granularity = ${granularity} AND s.period BETWEEN ${range.from} AND ${range.to}
+      ORDER BY s.period
+    `;
+    
+    res.status(200).json({
+      success: true,
+      lastRefreshedAt,
+      range: { ...range, granularity },
+      count: series.length,
+      data: series
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Best-selling products, read from the product_performance_rollup materialized view
+ * @route   GET /api/prisma/analytics/rollups/products?from=&to=&limit=
+ * @access  Private (admin)
+ */
+export const getProductPerformanceRollup = async (req, res, next) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const { limit } = req.query;
+    const { lastRefreshedAt } = await ensureRefreshed('productPerformance');
+    
+    const products = await prisma.$queryRaw`
+      SELECT p.id AS "productId", p.name, p.slug,
+        sum(r."unitsSold")::int AS "unitsSold",
+        sum(r.orders)::int AS orders,
+        round(sum(r.revenue)::numeric, 2)::float8 AS revenue
+      FROM product_performance_rollup r
+      JOIN "Product" p ON p.id = r."productId"
+      WHERE r.day BETWEEN ${range.from} AND ${range.to}
+      GROUP BY p.id
+      ORDER BY "unitsSold" DESC, revenue DESC, p.id
+      LIMIT ${limit}
+    `;
+    
+    res.status(200).json({
+      success: true,
+      lastRefreshedAt,
+      range,
+      count: products.length,
+      data: products
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Refresh the reporting materialized views now
+ *          (they are also refreshed on a schedule, see jobs/index.js)
+ * @route   POST /api/prisma/analytics/rollups/refresh
+ * @access  Private (admin)
+ */
+export const refreshRollups = async (req, res, next) => {
+  try {
+    const refreshes = await refreshPrismaReports();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Reports refreshed successfully',
+      lastRefreshedAt: refreshes.at(-1).lastRefreshedAt,
+      data: refreshes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
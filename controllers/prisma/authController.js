@@ -0,0 +1,223 @@
+/**
+ * PRISMA AUTH CONTROLLER
+ * 
+ * Handles registration, login, token refresh and logout using Prisma (PostgreSQL)
+ */
+
+import { prisma } from '../../config/prisma.js';
+import { hashPassword, comparePassword } from '../../utils/password.js';
+import {
+  signAccessToken,
+  generateRefreshToken,
+  hashToken,
+  buildAuthTokens
+} from '../../utils/tokens.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+import { NotFoundError, UnauthorizedError } from '../../utils/AppError.js';
+
+/**
+ * Remove the password hash before sending a user to the client
+ */
+const sanitizeUser = (user) => {
+  const { password, ...safeUser } = user;
+  return safeUser;
+};
+
+/**
+ * Revoke every live refresh token of a family (logout, or a leaked token)
+ */
+const revokeFamily = (family) => prisma.refreshToken.updateMany({
+  where: { family, revokedAt: null },
+  data: { revokedAt: new Date() }
+});
+
+/**
+ * Issue an access token and a refresh token for a user
+ * Pass the family of the previous refresh token when rotating
+ */
+const issueTokens = async (user, family, db = prisma) => {
+  const refreshToken = generateRefreshToken(family);
+
+  await db.refreshToken.create({
+    data: {
+      tokenHash: refreshToken.tokenHash,
+      family: refreshToken.family,
+      expiresAt: refreshToken.expiresAt,
+      userId: user.id
+    }
+  });
+
+  return buildAuthTokens(signAccessToken(user, 'prisma'), refreshToken);
+};
+
+/**
+ * @desc    Register a new user
+ * @route   POST /api/prisma/auth/register
+ * @access  Public
+ */
+export const register = async (req, res, next) => {
+  try {
+    const { email, username, password, firstName, lastName } = req.body;
+    
+    // Create user with hashed password (role always defaults to USER)
+    const user = await prisma.user.create({
+      data: {
+        email,
+        username,
+        password: await hashPassword(password),
+        firstName: firstName || null,
+        lastName: lastName || null
+      }
+    });
+    
+    const tokens = await issueTokens(user);
+    
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user: sanitizeUser(user),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log in with email (or username) and password
+ * @route   POST /api/prisma/auth/login
+ * @access  Public
+ */
+export const login = async (req, res, next) => {
+  try {
+    const { email, username, password } = req.body;
+    
+    const user = await prisma.user.findUnique({
+      where: email ? { email, ...NOT_DELETED } : { username, ...NOT_DELETED }
+    });
+    
+    // Same message for unknown user and wrong password
+    if (!user || !(await comparePassword(password, user.password))) {
+      return next(new UnauthorizedError('Invalid credentials'));
+    }
+    
+    const tokens = await issueTokens(user);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        user: sanitizeUser(user),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/prisma/auth/refresh
+ * @access  Public (requires a valid refresh token)
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const storedToken = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) },
+      include: { user: true }
+    });
+    
+    if (!storedToken || storedToken.expiresAt < new Date()) {
+      return next(new UnauthorizedError('Invalid or expired refresh token'));
+    }
+    
+    // Rotate: revoke the presented token and issue a new one in the same family.
+    // Only revoke it if it is still live, so two requests racing with the same
+    // token cannot both rotate it
+    const tokens = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.refreshToken.updateMany({
+        where: { id: storedToken.id, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+      if (count === 0) return null;
+      
+      return issueTokens(storedToken.user, storedToken.family, tx);
+    });
+    
+    // A revoked token being reused means it was leaked: revoke the whole family
+    if (!tokens) {
+      await revokeFamily(storedToken.family);
+      return next(new UnauthorizedError('Refresh token reuse detected, please log in again'));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        user: sanitizeUser(storedToken.user),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log out by revoking the refresh token family
+ * @route   POST /api/prisma/auth/logout
+ * @access  Public (requires the refresh token to revoke)
+ */
+export const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const storedToken = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) }
+    });
+    
+    // Logging out with an unknown token is not an error
+    if (storedToken) {
+      await revokeFamily(storedToken.family);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the currently authenticated user
+ * @route   GET /api/prisma/auth/me
+ * @access  Private
+ */
+export const getMe = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id, ...NOT_DELETED },
+      include: {
+        profile: true
+      }
+    });
+    
+    if (!user) {
+      return next(new NotFoundError(`User not found with id: ${req.user.id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: sanitizeUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
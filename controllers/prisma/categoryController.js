@@ -0,0 +1,304 @@
+/**
+ * PRISMA CATEGORY CONTROLLER
+ * 
+ * Handles all CRUD operations for Categories using Prisma (PostgreSQL),
+ * plus the category hierarchy (tree, descendants and product breadcrumbs)
+ */
+
+import { prisma } from '../../config/prisma.js';
+import { generateUniqueSlug } from '../../utils/slugify.js';
+import { buildCategoryTree } from '../../utils/categoryTree.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+import { NotFoundError, ConflictError } from '../../utils/AppError.js';
+
+/**
+ * Relations returned with every category
+ */
+const categoryInclude = {
+  parent: {
+    select: { id: true, name: true, slug: true }
+  }
+};
+
+/**
+ * Generate a slug from the name that no other category uses
+ */
+const uniqueCategorySlug = (name) => generateUniqueSlug(name, async (slug) => {
+  const category = await prisma.category.findUnique({ where: { slug }, select: { id: true } });
+  return Boolean(category);
+});
+
+/**
+ * A category and all of its ancestors, ordered from the root down (recursive CTE)
+ */
+export const findCategoryPath = (categoryId) => prisma.$queryRaw`
+  WITH RECURSIVE ancestors AS (
+    SELECT id, name, slug, "parentId", 0 AS depth
+    FROM "Category"
+    WHERE id = ${categoryId}
+    UNION ALL
+    SELECT c.id, c.name, c.slug, c."parentId", a.depth + 1
+    FROM "Category" c
+    JOIN ancestors a ON c.id = a."parentId"
+  )
+  SELECT id, name, slug, "parentId" FROM ancestors
+  ORDER BY depth DESC
+`;
+
+/**
+ * Moving a category under itself or one of its descendants would create a cycle,
+ * i.e. when the category is on the path from the root to its new parent
+ */
+const wouldCreateCycle = async (categoryId, parentId) => {
+  const path = await findCategoryPath(parentId);
+  return path.some((category) => category.id === categoryId);
+};
+
+/**
+ * @desc    Get all categories (paginated, see utils/listQuery.js)
+ * @route   GET /api/prisma/categories?page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Public
+ */
+export const getAllCategories = async (req, res, next) => {
+  try {
+    const { data: categories, meta } = await findPrismaPage(prisma.category, {
+      query: req.query,
+      include: categoryInclude,
+      relations: { parent: { key: 'slug' } }, // ?filter[parent]=<slug>
+      defaultSort: 'name'
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      meta,
+      data: categories
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the nested category hierarchy with per-node product counts
+ * @route   GET /api/prisma/categories/tree
+ * @access  Public
+ */
+export const getCategoryTree = async (req, res, next) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      prisma.category.findMany({ orderBy: { name: 'asc' } }),
+      prisma.product.groupBy({
+        by: ['categoryId'],
+        where: { categoryId: { not: null }, ...NOT_DELETED },
+        _count: { _all: true }
+      })
+    ]);
+    
+    const productCounts = new Map(
+      counts.map((count) => [String(count.categoryId), count._count._all])
+    );
+    const tree = buildCategoryTree(categories, productCounts);
+    
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: tree
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get every descendant of a category (recursive CTE), with its depth
+ * @route   GET /api/prisma/categories/:slug/descendants
+ * @access  Public
+ */
+export const getCategoryDescendants = async (req, res, next) => {
+  try {
+    const { slug } = req.params;
+    
+    const category = await prisma.category.findUnique({
+      where: { slug }
+    });
+    
+    if (!category) {
+      return next(new NotFoundError(`Category not found with slug: ${slug}`));
+    }
+    
+    const descendants = await prisma.$queryRaw`
+      WITH RECURSIVE descendants AS (
+        SELECT id, name, slug, description, "parentId", 1 AS depth
+        FROM "Category"
+        WHERE "parentId" = ${category.id}
+        UNION ALL
+        SELECT c.id, c.name, c.slug, c.description, c."parentId", d.depth + 1
+        FROM "Category" c
+        JOIN descendants d ON c."parentId" = d.id
+      )
+      SELECT * FROM descendants
+      ORDER BY depth, name
+    `;
+    
+    res.status(200).json({
+      success: true,
+      count: descendants.length,
+      data: {
+        category,
+        descendants
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single category by ID
+ * @route   GET /api/prisma/categories/:id
+ * @access  Public
+ */
+export const getCategoryById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const category = await prisma.category.findUnique({
+      where: { id },
+      include: categoryInclude
+    });
+    
+    if (!category) {
+      return next(new NotFoundError(`Category not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new category
+ * @route   POST /api/prisma/categories
+ * @access  Private (admin)
+ */
+export const createCategory = async (req, res, next) => {
+  try {
+    const { name, slug, description, parentId } = req.body;
+    
+    // Check if parent category exists
+    if (parentId && !(await prisma.category.findUnique({ where: { id: parentId } }))) {
+      return next(new NotFoundError(`Parent category not found with id: ${parentId}`));
+    }
+    
+    const category = await prisma.category.create({
+      data: {
+        name,
+        slug: slug || await uniqueCategorySlug(name),
+        description,
+        parentId: parentId ?? null
+      },
+      include: categoryInclude
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update category
+ *          Reparenting under itself or one of its descendants is rejected
+ * @route   PUT /api/prisma/categories/:id
+ * @access  Private (admin)
+ */
+export const updateCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, slug, description, parentId } = req.body;
+    
+    // Check if category exists
+    const existingCategory = await prisma.category.findUnique({
+      where: { id }
+    });
+    
+    if (!existingCategory) {
+      return next(new NotFoundError(`Category not found with id: ${id}`));
+    }
+    
+    if (parentId) {
+      if (!(await prisma.category.findUnique({ where: { id: parentId } }))) {
+        return next(new NotFoundError(`Parent category not found with id: ${parentId}`));
+      }
+      
+      if (await wouldCreateCycle(id, parentId)) {
+        return next(new ConflictError('A category cannot be moved under itself or one of its descendants'));
+      }
+    }
+    
+    // Prepare update data
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (slug !== undefined) updateData.slug = slug;
+    if (description !== undefined) updateData.description = description;
+    if (parentId !== undefined) updateData.parentId = parentId;
+    
+    const category = await prisma.category.update({
+      where: { id },
+      data: updateData,
+      include: categoryInclude
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete category
+ *          Children become top level and products lose the category
+ *          (optional relations default to SetNull)
+ * @route   DELETE /api/prisma/categories/:id
+ * @access  Private (admin)
+ */
+export const deleteCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if category exists
+    const existingCategory = await prisma.category.findUnique({
+      where: { id }
+    });
+    
+    if (!existingCategory) {
+      return next(new NotFoundError(`Category not found with id: ${id}`));
+    }
+    
+    await prisma.category.delete({
+      where: { id }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: existingCategory
+    });
+  } catch (error) {
+    next(error);
+  }
+};
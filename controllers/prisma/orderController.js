@@ -0,0 +1,351 @@
+/**
+ * PRISMA ORDER CONTROLLER
+ * 
+ * Handles order placement and retrieval using Prisma (PostgreSQL)
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../config/prisma.js';
+import OrderView from '../../models/mongoose/OrderView.js';
+import { NotFoundError, ConflictError, ForbiddenError } from '../../utils/AppError.js';
+import { generateOrderNumber } from '../../utils/orderNumber.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+import { outboxEvent, OUTBOX_EVENTS } from '../../utils/outbox.js';
+import {
+  ORDER_STATUS_TRANSITIONS,
+  PAYMENT_STATUS_TRANSITIONS,
+  assertTransition
+} from '../../utils/orderStateMachine.js';
+
+/**
+ * Relations returned with every order
+ */
+const orderInclude = {
+  items: {
+    include: {
+      product: {
+        select: { id: true, name: true, slug: true }
+      }
+    }
+  },
+  user: {
+    select: { id: true, email: true, firstName: true, lastName: true }
+  }
+};
+
+/**
+ * @desc    Get all orders (admins see every order, users their own), paginated
+ * @route   GET /api/prisma/orders?page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Private
+ */
+export const getAllOrders = async (req, res, next) => {
+  try {
+    const { data: orders, meta } = await findPrismaPage(prisma.order, {
+      query: req.query,
+      where: req.user.role === 'ADMIN' ? {} : { userId: req.user.id },
+      include: orderInclude
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      meta,
+      data: orders
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single order by ID
+ * @route   GET /api/prisma/orders/:id
+ * @access  Private (customer or admin)
+ */
+export const getOrderById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const order = await prisma.order.findUnique({
+      where: { id },
+      include: orderInclude
+    });
+    
+    if (!order) {
+      return next(new NotFoundError(`Order not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Place an order
+ *          In one transaction: snapshot each product's price into unitPrice,
+ *          decrement stock (only if enough is left), compute totalAmount and
+ *          create the order with a unique orderNumber.
+ *          Responds 409 when a product does not have enough stock.
+ * @route   POST /api/prisma/orders
+ * @access  Private
+ */
+export const createOrder = async (req, res, next) => {
+  try {
+    const { items } = req.body;
+    
+    // Orders are placed for the current user unless an admin specifies one
+    const userId = (req.user.role === 'ADMIN' && req.body.userId) || req.user.id;
+    
+    const order = await prisma.$transaction(async (tx) => {
+      // Not for a deleted user (the foreign key alone would allow it)
+      if (userId !== req.user.id) {
+        const user = await tx.user.findFirst({ where: { id: userId, ...NOT_DELETED }, select: { id: true } });
+        if (!user) throw new NotFoundError('User not found');
+      }
+      
+      const productIds = items.map((item) => item.productId);
+      const products = await tx.product.findMany({
+        where: { id: { in: productIds }, ...NOT_DELETED }
+      });
+      const productsById = new Map(products.map((product) => [product.id, product]));
+      
+      const missing = productIds.filter((productId) => !productsById.has(productId));
+      if (missing.length > 0) {
+        throw new NotFoundError(`Product not found with id: ${missing.join(', ')}`);
+      }
+      
+      // Reserve stock: the conditional update fails if another order took it first
+      for (const item of items) {
+        const { count } = await tx.product.updateMany({
+          where: { id: item.productId, stock: { gte: item.quantity } },
+          data: { stock: { decrement: item.quantity } }
+        });
+        
+        if (count === 0) {
+          const product = productsById.get(item.productId);
+          throw new ConflictError(
+            `Insufficient stock for product "${product.name}" (requested ${item.quantity}, available ${product.stock})`
+          );
+        }
+      }
+      
+      // Snapshot prices and compute the total with decimal precision
+      const orderItems = items.map((item) => ({
+        productId: item.productId,
+        quantity: item.quantity,
+        unitPrice: productsById.get(item.productId).price
+      }));
+      
+      const totalAmount = orderItems.reduce(
+        (sum, item) => sum.add(new Prisma.Decimal(item.unitPrice).mul(item.quantity)),
+        new Prisma.Decimal(0)
+      );
+      
+      const created = await tx.order.create({
+        data: {
+          orderNumber: generateOrderNumber(),
+          userId,
+          totalAmount,
+          items: {
+            create: orderItems
+          },
+          // First history entry: the order was placed
+          history: {
+            create: {
+              field: 'status',
+              toValue: 'PENDING',
+              actorId: req.user.id
+            }
+          }
+        },
+        include: orderInclude
+      });
+      
+      // Read models are updated from the outbox (see jobs/relayOutbox.js)
+      await outboxEvent(tx, OUTBOX_EVENTS.ORDER_PLACED, created.id);
+      
+      return created;
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      data: order
+    });
+  } catch (error) {
+    // Unknown user (foreign key violation)
+    if (error.code === 'P2003') {
+      return next(new NotFoundError('User not found'));
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change order status and/or payment status
+ *          Only legal transitions are accepted (see utils/orderStateMachine.js),
+ *          cancelling puts the items back in stock, and every change is
+ *          recorded in the order history with the acting user.
+ *          Customers may only cancel their own orders; admins may do anything.
+ * @route   PATCH /api/prisma/orders/:id/status
+ * @access  Private (customer or admin)
+ */
+export const updateOrderStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, paymentStatus, note } = req.body;
+    
+    if (req.user.role !== 'ADMIN' && (paymentStatus !== undefined || status !== 'CANCELLED')) {
+      return next(new ForbiddenError('Customers can only cancel their orders'));
+    }
+    
+    const order = await prisma.$transaction(async (tx) => {
+      const existingOrder = await tx.order.findUnique({
+        where: { id },
+        include: { items: true }
+      });
+      
+      if (!existingOrder) {
+        throw new NotFoundError(`Order not found with id: ${id}`);
+      }
+      
+      // Validate each requested change and collect history entries
+      const updateData = {};
+      const history = [];
+      
+      if (status !== undefined && status !== existingOrder.status) {
+        assertTransition(ORDER_STATUS_TRANSITIONS, 'status', existingOrder.status, status);
+        updateData.status = status;
+        history.push({ field: 'status', fromValue: existingOrder.status, toValue: status });
+      }
+      
+      if (paymentStatus !== undefined && paymentStatus !== existingOrder.paymentStatus) {
+        assertTransition(PAYMENT_STATUS_TRANSITIONS, 'paymentStatus', existingOrder.paymentStatus, paymentStatus);
+        updateData.paymentStatus = paymentStatus;
+        history.push({ field: 'paymentStatus', fromValue: existingOrder.paymentStatus, toValue: paymentStatus });
+      }
+      
+      if (history.length === 0) {
+        throw new ConflictError('Order already has the requested status');
+      }
+      
+      // Only apply if nobody changed the order since we read it
+      const { count } = await tx.order.updateMany({
+        where: {
+          id,
+          status: existingOrder.status,
+          paymentStatus: existingOrder.paymentStatus
+        },
+        data: updateData
+      });
+      
+      if (count === 0) {
+        throw new ConflictError('Order was modified by another request, please retry');
+      }
+      
+      // Put cancelled items back in stock
+      if (updateData.status === 'CANCELLED') {
+        for (const item of existingOrder.items) {
+          await tx.product.update({
+            where: { id: item.productId },
+            data: { stock: { increment: item.quantity } }
+          });
+        }
+      }
+      
+      await tx.orderHistory.createMany({
+        data: history.map((entry) => ({
+          ...entry,
+          orderId: id,
+          note: note || null,
+          actorId: req.user.id
+        }))
+      });
+      
+      await outboxEvent(tx, OUTBOX_EVENTS.ORDER_STATUS_CHANGED, id, { changes: history });
+      
+      return tx.order.findUnique({
+        where: { id },
+        include: orderInclude
+      });
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the status history of an order (oldest first)
+ * @route   GET /api/prisma/orders/:id/history
+ * @access  Private (customer or admin)
+ */
+export const getOrderHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const order = await prisma.order.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        orderNumber: true,
+        history: {
+          include: {
+            actor: {
+              select: { id: true, username: true, role: true }
+            }
+          },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+    
+    if (!order) {
+      return next(new NotFoundError(`Order not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      count: order.history.length,
+      data: order.history
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an order with its user and product snapshots from the MongoDB
+ *          read model (kept up to date from the outbox by jobs/relayOutbox.js,
+ *          so it can briefly lag behind GET /:id)
+ * @route   GET /api/prisma/orders/:id/view
+ * @access  Private (customer or admin)
+ */
+export const getOrderView = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const view = await OrderView.findOne({ orderId: id }, { _id: 0, __v: 0 }).lean();
+    
+    if (!view) {
+      return next(new NotFoundError(`Order view not found with id: ${id} (not relayed yet?)`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: view
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * PRISMA OUTBOX CONTROLLER
+ * 
+ * Monitoring and control of the relay that projects the PostgreSQL outbox
+ * into the MongoDB read models (see jobs/relayOutbox.js)
+ */
+
+import { relayOutbox, replayOutbox, getOutboxLag } from '../../jobs/relayOutbox.js';
+
+/**
+ * @desc    Relay lag: offset reached, events not relayed yet and the age of the oldest one
+ * @route   GET /api/prisma/outbox/lag
+ * @access  Private (admin)
+ */
+export const getLag = async (req, res, next) => {
+  try {
+    const lag = await getOutboxLag();
+    
+    res.status(200).json({
+      success: true,
+      data: lag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Relay the pending events now instead of waiting for the scheduler
+ * @route   POST /api/prisma/outbox/relay
+ * @access  Private (admin)
+ */
+export const relayNow = async (req, res, next) => {
+  try {
+    const { relayed } = await relayOutbox();
+    
+    res.status(200).json({
+      success: true,
+      message: `${relayed} event(s) relayed`,
+      data: await getOutboxLag()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move the relay back to an offset: the events after it are projected
+ *          again on the next run (projections are idempotent)
+ * @route   POST /api/prisma/outbox/replay
+ * @access  Private (admin)
+ */
+export const replay = async (req, res, next) => {
+  try {
+    const { fromOffset } = req.body;
+    
+    await replayOutbox(fromOffset);
+    
+    res.status(200).json({
+      success: true,
+      message: `Events after ${fromOffset} will be relayed again`,
+      data: await getOutboxLag()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -5,27 +5,79 @@
  */
 
 import { prisma } from '../../config/prisma.js';
+import { generateUniqueSlug } from '../../utils/slugify.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+import { NOT_DELETED, deletedFilter } from '../../utils/softDelete.js';
+import { transitionPost, initialPublication } from '../../utils/postWorkflow.js';
+import { NotFoundError, ConflictError } from '../../utils/AppError.js';
 
 /**
- * @desc    Get all posts
- * @route   GET /api/prisma/posts
- * @access  Public
+ * Relations returned with every post
+ * (author without sensitive fields, and the post's tags)
+ */
+const postInclude = {
+  author: {
+    select: {
+      id: true,
+      username: true,
+      firstName: true,
+      lastName: true
+    }
+  },
+  tags: true
+};
+
+// Response message for each status a post can be moved to
+const STATUS_MESSAGES = {
+  SCHEDULED: 'Post scheduled successfully',
+  PUBLISHED: 'Post published successfully',
+  DRAFT: 'Post unpublished successfully',
+  ARCHIVED: 'Post archived successfully'
+};
+
+/**
+ * Posts the current user may see: admins see every post, authors also
+ * their own drafts, scheduled and archived posts, everyone else only published ones
+ * (an OR, so ?filter[status] narrows the result instead of replacing it)
+ */
+const visiblePosts = (user) => {
+  if (user?.role === 'ADMIN') return {};
+  if (user) return { OR: [{ status: 'PUBLISHED' }, { authorId: user.id }] };
+  return { status: 'PUBLISHED' };
+};
+
+/**
+ * Generate a slug from the title that no other post uses
+ */
+const uniquePostSlug = (title) => generateUniqueSlug(title, async (slug) => {
+  const post = await prisma.post.findUnique({ where: { slug }, select: { id: true } });
+  return Boolean(post);
+});
+
+/**
+ * Map a list of tag ids to Prisma relation references
+ */
+const toTagRefs = (tagIds) => tagIds.map((id) => ({ id }));
+
+/**
+ * @desc    Get all posts (paginated, see utils/listQuery.js)
+ *          Published posts only, plus the current user's own posts
+ * @route   GET /api/prisma/posts?page=&limit=&cursor=&sort=&fields=&filter[field][op]=&includeDeleted=
+ * @access  Public (includeDeleted: admin)
  */
 export const getAllPosts = async (req, res, next) => {
   try {
-    // Retrieve all posts from database
-    const posts = await prisma.post.findMany({
-      include: {
-        author: true // Include author information
-      },
-      orderBy: {
-        createdAt: 'desc'
-      }
+    const { data: posts, meta } = await findPrismaPage(prisma.post, {
+      query: req.query,
+      where: { ...deletedFilter(req.query), ...visiblePosts(req.user) },
+      include: postInclude, // Include author and tags
+      relations: { tags: { key: 'slug', many: true } } // ?filter[tags][in]=<slug>,<slug>
     });
     
     res.status(200).json({
       success: true,
       count: posts.length,
+      meta,
       data: posts
     });
   } catch (error) {
@@ -34,26 +86,21 @@ export const getAllPosts = async (req, res, next) => {
 };
 
 /**
- * @desc    Get single post by ID
- * @route   GET /api/prisma/posts/:id
- * @access  Public
+ * @desc    Get single post by ID (unpublished posts: author or admin)
+ * @route   GET /api/prisma/posts/:id?includeDeleted=
+ * @access  Public (includeDeleted: admin)
  */
 export const getPostById = async (req, res, next) => {
   try {
     const { id } = req.params;
     
     const post = await prisma.post.findUnique({
-      where: { id: parseInt(id) },
-      include: {
-        author: true
-      }
+      where: { id, ...deletedFilter(req.query), ...visiblePosts(req.user) },
+      include: postInclude
     });
     
     if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: `Post not found with id: ${id}`
-      });
+      return next(new NotFoundError(`Post not found with id: ${id}`));
     }
     
     res.status(200).json({
@@ -67,44 +114,37 @@ export const getPostById = async (req, res, next) => {
 
 /**
  * @desc    Create new post
+ *          status PUBLISHED with a future publishedAt schedules the post
  * @route   POST /api/prisma/posts
- * @access  Public
+ * @access  Private
  */
 export const createPost = async (req, res, next) => {
   try {
-    const { title, content, published, authorId } = req.body;
-    
-    // Validate required fields
-    if (!title || !authorId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide title and authorId'
-      });
-    }
+    const { title, slug, content, status, publishedAt, tagIds } = req.body;
+    
+    // Posts are created as the current user unless an admin specifies an author
+    const authorId = req.body.authorId ?? req.user.id;
     
     // Check if author exists
     const author = await prisma.user.findUnique({
-      where: { id: parseInt(authorId) }
+      where: { id: authorId, ...NOT_DELETED }
     });
     
     if (!author) {
-      return res.status(404).json({
-        success: false,
-        message: `Author not found with id: ${authorId}`
-      });
+      return next(new NotFoundError(`Author not found with id: ${authorId}`));
     }
     
     // Create new post
     const post = await prisma.post.create({
       data: {
         title,
-        content: content || null,
-        published: published || false,
-        authorId: parseInt(authorId)
+        slug: slug || await uniquePostSlug(title),
+        content,
+        ...initialPublication(status, { publishAt: publishedAt }),
+        author: { connect: { id: authorId } },
+        tags: tagIds ? { connect: toTagRefs(tagIds) } : undefined
       },
-      include: {
-        author: true
-      }
+      include: postInclude
     });
     
     res.status(201).json({
@@ -119,39 +159,49 @@ export const createPost = async (req, res, next) => {
 
 /**
  * @desc    Update post
+ *          tagIds replaces all tags, addTagIds / removeTagIds connect or disconnect some
+ *          A new status follows the publishing workflow (see utils/postWorkflow.js)
  * @route   PUT /api/prisma/posts/:id
- * @access  Public
+ * @access  Private (author or admin)
  */
 export const updatePost = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, content, published } = req.body;
+    const { title, slug, content, status, tagIds, addTagIds, removeTagIds } = req.body;
     
     // Check if post exists
     const existingPost = await prisma.post.findUnique({
-      where: { id: parseInt(id) }
+      where: { id, ...NOT_DELETED }
     });
     
     if (!existingPost) {
-      return res.status(404).json({
-        success: false,
-        message: `Post not found with id: ${id}`
-      });
+      return next(new NotFoundError(`Post not found with id: ${id}`));
     }
     
     // Prepare update data
     const updateData = {};
     if (title !== undefined) updateData.title = title;
+    if (slug !== undefined) updateData.slug = slug;
     if (content !== undefined) updateData.content = content;
-    if (published !== undefined) updateData.published = published;
+    if (status !== undefined && status !== existingPost.status) {
+      Object.assign(updateData, transitionPost(existingPost, status));
+    }
+    
+    // Tag relations (PostTags)
+    if (tagIds !== undefined) {
+      updateData.tags = { set: toTagRefs(tagIds) };
+    } else if (addTagIds || removeTagIds) {
+      updateData.tags = {
+        connect: addTagIds ? toTagRefs(addTagIds) : undefined,
+        disconnect: removeTagIds ? toTagRefs(removeTagIds) : undefined
+      };
+    }
     
     // Update post
     const post = await prisma.post.update({
-      where: { id: parseInt(id) },
+      where: { id },
       data: updateData,
-      include: {
-        author: true
-      }
+      include: postInclude
     });
     
     res.status(200).json({
@@ -165,9 +215,65 @@ export const updatePost = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete post
+ * Handler moving a post to `status` through the publishing workflow
+ * (409 when the post's current status does not allow it)
+ */
+const changePostStatus = (status) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const existingPost = await prisma.post.findUnique({
+      where: { id, ...NOT_DELETED },
+      select: { status: true, publishedAt: true }
+    });
+    
+    if (!existingPost) {
+      return next(new NotFoundError(`Post not found with id: ${id}`));
+    }
+    
+    const publication = transitionPost(existingPost, status, { publishAt: req.body?.publishedAt });
+    
+    const post = await prisma.post.update({
+      where: { id },
+      data: publication,
+      include: postInclude
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: STATUS_MESSAGES[publication.status],
+      data: post
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Publish post now, or schedule it with a future publishedAt
+ * @route   POST /api/prisma/posts/:id/publish
+ * @access  Private (author or admin)
+ */
+export const publishPost = changePostStatus('PUBLISHED');
+
+/**
+ * @desc    Unpublish post (back to DRAFT, also cancels a scheduled publication)
+ * @route   POST /api/prisma/posts/:id/unpublish
+ * @access  Private (author or admin)
+ */
+export const unpublishPost = changePostStatus('DRAFT');
+
+/**
+ * @desc    Archive post (hidden from public listings, keeps its publication date)
+ * @route   POST /api/prisma/posts/:id/archive
+ * @access  Private (author or admin)
+ */
+export const archivePost = changePostStatus('ARCHIVED');
+
+/**
+ * @desc    Soft delete post (kept with its tags until purged, see utils/softDelete.js)
  * @route   DELETE /api/prisma/posts/:id
- * @access  Public
+ * @access  Private (author or admin)
  */
 export const deletePost = async (req, res, next) => {
   try {
@@ -175,25 +281,67 @@ export const deletePost = async (req, res, next) => {
     
     // Check if post exists
     const existingPost = await prisma.post.findUnique({
-      where: { id: parseInt(id) }
+      where: { id, ...NOT_DELETED },
+      select: { id: true }
     });
     
     if (!existingPost) {
-      return res.status(404).json({
-        success: false,
-        message: `Post not found with id: ${id}`
-      });
+      return next(new NotFoundError(`Post not found with id: ${id}`));
     }
     
-    // Delete post
-    await prisma.post.delete({
-      where: { id: parseInt(id) }
+    const post = await prisma.post.update({
+      where: { id },
+      data: { deletedAt: new Date() },
+      include: postInclude
     });
     
     res.status(200).json({
       success: true,
       message: 'Post deleted successfully',
-      data: existingPost
+      data: post
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a soft deleted post
+ * @route   POST /api/prisma/posts/:id/restore
+ * @access  Private (author or admin)
+ */
+export const restorePost = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const existingPost = await prisma.post.findUnique({
+      where: { id },
+      select: { deletedAt: true, author: { select: { deletedAt: true } } }
+    });
+    
+    if (!existingPost) {
+      return next(new NotFoundError(`Post not found with id: ${id}`));
+    }
+    
+    if (!existingPost.deletedAt) {
+      return next(new ConflictError('Post is not deleted'));
+    }
+    
+    // The author has to be restored first
+    if (existingPost.author.deletedAt) {
+      return next(new ConflictError('Post author is deleted, restore the user first'));
+    }
+    
+    const post = await prisma.post.update({
+      where: { id },
+      data: { deletedAt: null },
+      include: postInclude
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Post restored successfully',
+      data: post
     });
   } catch (error) {
     next(error);
@@ -5,11 +5,51 @@
  */
 
 import { prisma } from '../../config/prisma.js';
+import { generateUniqueSlug } from '../../utils/slugify.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+import { getProductRatingStats } from './reviewController.js';
+import { findCategoryPath } from './categoryController.js';
+import { NOT_DELETED, deletedFilter } from '../../utils/softDelete.js';
+import { NotFoundError, ConflictError } from '../../utils/AppError.js';
+import { outboxEvent, OUTBOX_EVENTS } from '../../utils/outbox.js';
 
 /**
- * @desc    Get all products
- * @route   GET /api/prisma/products
- * @access  Public
+ * Relations returned with every product
+ */
+const productInclude = {
+  category: true,
+  tags: true
+};
+
+/**
+ * Generate a slug from the name that no other product uses
+ */
+const uniqueProductSlug = (name) => generateUniqueSlug(name, async (slug) => {
+  const product = await prisma.product.findUnique({ where: { slug }, select: { id: true } });
+  return Boolean(product);
+});
+
+/**
+ * Map a list of tag ids to Prisma relation references
+ */
+const toTagRefs = (tagIds) => tagIds.map((id) => ({ id }));
+
+/**
+ * Build the category relation from categoryId or categorySlug
+ * - categoryId: null disconnects the category (update only)
+ * - returns undefined when neither is provided
+ */
+const toCategoryRelation = ({ categoryId, categorySlug }) => {
+  if (categoryId === null) return { disconnect: true };
+  if (categoryId !== undefined) return { connect: { id: categoryId } };
+  if (categorySlug !== undefined) return { connect: { slug: categorySlug } };
+  return undefined;
+};
+
+/**
+ * @desc    Get all products (paginated, see utils/listQuery.js)
+ * @route   GET /api/prisma/products?category=&minPrice=&maxPrice=&page=&limit=&cursor=&sort=&fields=&filter[field][op]=&includeDeleted=
+ * @access  Public (includeDeleted: admin)
  */
 export const getAllProducts = async (req, res, next) => {
   try {
@@ -17,25 +57,29 @@ export const getAllProducts = async (req, res, next) => {
     const { category, minPrice, maxPrice } = req.query;
     
     // Build where clause based on filters
-    const where = {};
-    if (category) where.category = category;
-    if (minPrice || maxPrice) {
+    const where = deletedFilter(req.query);
+    if (category) where.category = { slug: category }; // Filter by category slug
+    if (minPrice !== undefined || maxPrice !== undefined) {
       where.price = {};
-      if (minPrice) where.price.gte = parseFloat(minPrice);
-      if (maxPrice) where.price.lte = parseFloat(maxPrice);
+      if (minPrice !== undefined) where.price.gte = minPrice;
+      if (maxPrice !== undefined) where.price.lte = maxPrice;
     }
     
-    // Retrieve products
-    const products = await prisma.product.findMany({
+    // Retrieve one page of products
+    const { data: products, meta } = await findPrismaPage(prisma.product, {
+      query: req.query,
       where,
-      orderBy: {
-        createdAt: 'desc'
+      include: productInclude,
+      relations: {
+        category: { key: 'slug' },
+        tags: { key: 'slug', many: true }
       }
     });
     
     res.status(200).json({
       success: true,
       count: products.length,
+      meta,
       data: products
     });
   } catch (error) {
@@ -44,28 +88,29 @@ export const getAllProducts = async (req, res, next) => {
 };
 
 /**
- * @desc    Get single product by ID
- * @route   GET /api/prisma/products/:id
- * @access  Public
+ * @desc    Get single product by ID (with rating stats)
+ * @route   GET /api/prisma/products/:id?includeDeleted=
+ * @access  Public (includeDeleted: admin)
  */
 export const getProductById = async (req, res, next) => {
   try {
     const { id } = req.params;
     
     const product = await prisma.product.findUnique({
-      where: { id: parseInt(id) }
+      where: { id, ...deletedFilter(req.query) },
+      include: productInclude
     });
     
     if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: `Product not found with id: ${id}`
-      });
+      return next(new NotFoundError(`Product not found with id: ${id}`));
     }
     
+    // Average rating and star histogram from the product's reviews
+    const rating = await getProductRatingStats(id);
+    
     res.status(200).json({
       success: true,
-      data: product
+      data: { ...product, rating }
     });
   } catch (error) {
     next(error);
@@ -73,112 +118,118 @@ export const getProductById = async (req, res, next) => {
 };
 
 /**
- * @desc    Create new product
- * @route   POST /api/prisma/products
+ * @desc    Get the breadcrumb path of a product's category, from the root down
+ * @route   GET /api/prisma/products/:id/breadcrumbs
  * @access  Public
  */
-// exports.createProduct = async (req, res, next) => {
-//   try {
-//     const { name, description, price, stock, category, imageUrl } = req.body;
-    
-//     // Validate required fields
-//     if (!name || !price || !category) {
-//       return res.status(400).json({
-//         success: false,
-//         message: 'Please provide name, price, and category'
-//       });
-//     }
-    
-//     // Create new product
-//     const product = await prisma.product.create({
-//       data: {
-//         name,
-//         description: description || null,
-//         price: parseFloat(price),
-//         stock: stock ? parseInt(stock) : 0,
-//         category,
-//         imageUrl: imageUrl || null
-//       }
-//     });
-    
-//     res.status(201).json({
-//       success: true,
-//       message: 'Product created successfully',
-//       data: product
-//     });
-//   } catch (error) {
-//     next(error);
-//   }
-// };
-
-export const createProduct = async(req,res,next)=> {
+export const getProductBreadcrumbs = async (req, res, next) => {
   try {
-    const {name, description, price, stock, category, imageUrl} = req.body;
-
-    if(!name || !price || !category){
-     return res.status(400).json({
-        success:false,
-        message:"Please provide name, price, and category"
-      });
+    const { id } = req.params;
+    
+    const product = await prisma.product.findUnique({
+      where: { id, ...NOT_DELETED },
+      select: { id: true, categoryId: true }
+    });
+    
+    if (!product) {
+      return next(new NotFoundError(`Product not found with id: ${id}`));
     }
+    
+    const breadcrumbs = product.categoryId ? await findCategoryPath(product.categoryId) : [];
+    
+    res.status(200).json({
+      success: true,
+      count: breadcrumbs.length,
+      data: breadcrumbs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
+/**
+ * @desc    Create new product
+ *          Category is connected by categoryId or categorySlug, tags by tagIds
+ * @route   POST /api/prisma/products
+ * @access  Private (admin)
+ */
+export const createProduct = async (req, res, next) => {
+  try {
+    const { name, slug, description, price, stock, tagIds } = req.body;
+    
     const product = await prisma.product.create({
-      data:{
+      data: {
         name,
+        slug: slug || await uniqueProductSlug(name),
         description: description || null,
-        price: parseFloat(price),
-        stock: stock ? parseInt(stock) : 0,
-        category,
-        imageUrl: imageUrl || null
-      }
+        price,
+        stock,
+        category: toCategoryRelation(req.body),
+        tags: tagIds ? { connect: toTagRefs(tagIds) } : undefined
+      },
+      include: productInclude
     });
-
+    
     res.status(201).json({
-      success:true,
-      message:"product added successfully",
-      data:product
+      success: true,
+      message: 'Product created successfully',
+      data: product
     });
-
   } catch (error) {
     next(error);
   }
 };
+
 /**
  * @desc    Update product
+ *          tagIds replaces all tags, addTagIds / removeTagIds connect or disconnect some
  * @route   PUT /api/prisma/products/:id
- * @access  Public
+ * @access  Private (admin)
  */
 export const updateProduct = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, description, price, stock, category, imageUrl } = req.body;
+    const { name, slug, description, price, stock, tagIds, addTagIds, removeTagIds } = req.body;
     
     // Check if product exists
     const existingProduct = await prisma.product.findUnique({
-      where: { id: parseInt(id) }
+      where: { id, ...NOT_DELETED }
     });
     
     if (!existingProduct) {
-      return res.status(404).json({
-        success: false,
-        message: `Product not found with id: ${id}`
-      });
+      return next(new NotFoundError(`Product not found with id: ${id}`));
     }
     
     // Prepare update data
     const updateData = {};
     if (name !== undefined) updateData.name = name;
+    if (slug !== undefined) updateData.slug = slug;
     if (description !== undefined) updateData.description = description;
-    if (price !== undefined) updateData.price = parseFloat(price);
-    if (stock !== undefined) updateData.stock = parseInt(stock);
-    if (category !== undefined) updateData.category = category;
-    if (imageUrl !== undefined) updateData.imageUrl = imageUrl;
+    if (price !== undefined) updateData.price = price;
+    if (stock !== undefined) updateData.stock = stock;
     
-    // Update product
-    const product = await prisma.product.update({
-      where: { id: parseInt(id) },
-      data: updateData
-    });
+    const category = toCategoryRelation(req.body);
+    if (category) updateData.category = category;
+    
+    // Tag relations (ProductTags)
+    if (tagIds !== undefined) {
+      updateData.tags = { set: toTagRefs(tagIds) };
+    } else if (addTagIds || removeTagIds) {
+      updateData.tags = {
+        connect: addTagIds ? toTagRefs(addTagIds) : undefined,
+        disconnect: removeTagIds ? toTagRefs(removeTagIds) : undefined
+      };
+    }
+    
+    // Update product (order items embed a snapshot of it in the read models, see utils/outbox.js)
+    const [product] = await prisma.$transaction([
+      prisma.product.update({
+        where: { id },
+        data: updateData,
+        include: productInclude
+      }),
+      outboxEvent(prisma, OUTBOX_EVENTS.PRODUCT_UPDATED, id, { fields: Object.keys(updateData) })
+    ]);
     
     res.status(200).json({
       success: true,
@@ -191,9 +242,9 @@ export const updateProduct = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete product
+ * @desc    Soft delete product (orders keep referencing it, see utils/softDelete.js)
  * @route   DELETE /api/prisma/products/:id
- * @access  Public
+ * @access  Private (admin)
  */
 export const deleteProduct = async (req, res, next) => {
   try {
@@ -201,25 +252,62 @@ export const deleteProduct = async (req, res, next) => {
     
     // Check if product exists
     const existingProduct = await prisma.product.findUnique({
-      where: { id: parseInt(id) }
+      where: { id, ...NOT_DELETED },
+      select: { id: true }
     });
     
     if (!existingProduct) {
-      return res.status(404).json({
-        success: false,
-        message: `Product not found with id: ${id}`
-      });
+      return next(new NotFoundError(`Product not found with id: ${id}`));
     }
     
-    // Delete product
-    await prisma.product.delete({
-      where: { id: parseInt(id) }
+    const product = await prisma.product.update({
+      where: { id },
+      data: { deletedAt: new Date() },
+      include: productInclude
     });
     
     res.status(200).json({
       success: true,
       message: 'Product deleted successfully',
-      data: existingProduct
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a soft deleted product
+ * @route   POST /api/prisma/products/:id/restore
+ * @access  Private (admin)
+ */
+export const restoreProduct = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const existingProduct = await prisma.product.findUnique({
+      where: { id },
+      select: { deletedAt: true }
+    });
+    
+    if (!existingProduct) {
+      return next(new NotFoundError(`Product not found with id: ${id}`));
+    }
+    
+    if (!existingProduct.deletedAt) {
+      return next(new ConflictError('Product is not deleted'));
+    }
+    
+    const product = await prisma.product.update({
+      where: { id },
+      data: { deletedAt: null },
+      include: productInclude
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product restored successfully',
+      data: product
     });
   } catch (error) {
     next(error);
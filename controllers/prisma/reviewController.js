@@ -0,0 +1,261 @@
+/**
+ * PRISMA REVIEW CONTROLLER
+ * 
+ * Handles all CRUD operations for Reviews using Prisma (PostgreSQL)
+ */
+
+import { prisma } from '../../config/prisma.js';
+import { reviewConfig } from '../../config/reviews.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+import { buildRatingStats } from '../../utils/ratingStats.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+import { NotFoundError, ConflictError, ForbiddenError } from '../../utils/AppError.js';
+
+/**
+ * Relations returned with every review (reviewer without sensitive fields)
+ */
+const reviewInclude = {
+  user: {
+    select: { id: true, username: true, firstName: true, lastName: true }
+  }
+};
+
+/**
+ * Average rating and 1-5 star histogram of a product
+ */
+export const getProductRatingStats = async (productId) => {
+  const groups = await prisma.review.groupBy({
+    by: ['rating'],
+    where: { productId },
+    _count: { _all: true }
+  });
+
+  return buildRatingStats(groups.map((group) => ({
+    rating: group.rating,
+    count: group._count._all
+  })));
+};
+
+/**
+ * @desc    Get all reviews (optionally for one product), paginated
+ * @route   GET /api/prisma/reviews?productId=&page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Public
+ */
+export const getAllReviews = async (req, res, next) => {
+  try {
+    const { productId } = req.query;
+    
+    const { data: reviews, meta } = await findPrismaPage(prisma.review, {
+      query: req.query,
+      where: productId ? { productId } : {},
+      include: reviewInclude
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      meta,
+      data: reviews
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the reviews of a product with its rating stats, paginated
+ * @route   GET /api/prisma/products/:id/reviews?page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Public
+ */
+export const getProductReviews = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const product = await prisma.product.findUnique({
+      where: { id, ...NOT_DELETED },
+      select: { id: true }
+    });
+    
+    if (!product) {
+      return next(new NotFoundError(`Product not found with id: ${id}`));
+    }
+    
+    const [{ data: reviews, meta }, stats] = await Promise.all([
+      findPrismaPage(prisma.review, {
+        query: req.query,
+        where: { productId: id },
+        include: reviewInclude
+      }),
+      getProductRatingStats(id)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      meta,
+      stats,
+      data: reviews
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single review by ID
+ * @route   GET /api/prisma/reviews/:id
+ * @access  Public
+ */
+export const getReviewById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const review = await prisma.review.findUnique({
+      where: { id },
+      include: reviewInclude
+    });
+    
+    if (!review) {
+      return next(new NotFoundError(`Review not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new review (as the current user, one per product)
+ *          With REVIEWS_REQUIRE_VERIFIED_PURCHASE=true the user must have a
+ *          DELIVERED order containing the product
+ * @route   POST /api/prisma/reviews
+ * @access  Private
+ */
+export const createReview = async (req, res, next) => {
+  try {
+    const { productId, rating, comment } = req.body;
+    const userId = req.user.id;
+    
+    // Check if product exists
+    const product = await prisma.product.findUnique({
+      where: { id: productId, ...NOT_DELETED },
+      select: { id: true }
+    });
+    
+    if (!product) {
+      return next(new NotFoundError(`Product not found with id: ${productId}`));
+    }
+    
+    if (reviewConfig.requireVerifiedPurchase) {
+      const purchase = await prisma.orderItem.findFirst({
+        where: {
+          productId,
+          order: { userId, status: 'DELIVERED' }
+        },
+        select: { id: true }
+      });
+      
+      if (!purchase) {
+        return next(new ForbiddenError('Only customers who received this product can review it'));
+      }
+    }
+    
+    const review = await prisma.review.create({
+      data: {
+        rating,
+        comment: comment || null,
+        userId,
+        productId
+      },
+      include: reviewInclude
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Review created successfully',
+      data: review
+    });
+  } catch (error) {
+    // Handle unique constraint violation (user already reviewed this product)
+    if (error.code === 'P2002') {
+      return next(new ConflictError('You have already reviewed this product'));
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update review
+ * @route   PUT /api/prisma/reviews/:id
+ * @access  Private (reviewer or admin)
+ */
+export const updateReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { rating, comment } = req.body;
+    
+    // Check if review exists
+    const existingReview = await prisma.review.findUnique({
+      where: { id }
+    });
+    
+    if (!existingReview) {
+      return next(new NotFoundError(`Review not found with id: ${id}`));
+    }
+    
+    // Prepare update data
+    const updateData = {};
+    if (rating !== undefined) updateData.rating = rating;
+    if (comment !== undefined) updateData.comment = comment;
+    
+    const review = await prisma.review.update({
+      where: { id },
+      data: updateData,
+      include: reviewInclude
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete review
+ * @route   DELETE /api/prisma/reviews/:id
+ * @access  Private (reviewer or admin)
+ */
+export const deleteReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if review exists
+    const existingReview = await prisma.review.findUnique({
+      where: { id }
+    });
+    
+    if (!existingReview) {
+      return next(new NotFoundError(`Review not found with id: ${id}`));
+    }
+    
+    await prisma.review.delete({
+      where: { id }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+      data: existingReview
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,154 @@
+/**
+ * PRISMA SEARCH CONTROLLER
+ * 
+ * Full-text search over products and published posts using PostgreSQL
+ * tsvector / tsquery (raw SQL, Prisma has no ranking or highlighting API)
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../config/prisma.js';
+import { getPagination, buildPageMeta } from '../../utils/pagination.js';
+
+// Options for the highlighted title and the body snippet
+// (the headlines are HTML: <mark> around matches of the escaped text, see htmlText)
+const TITLE_HEADLINE = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+const SNIPPET_HEADLINE = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=25, MinWords=10, FragmentDelimiter=" … "';
+
+/**
+ * A text column as HTML text content, so ts_headline() only adds <mark> to it:
+ * stored markup (e.g. a product named "<img onerror=...>") comes back escaped
+ */
+const htmlText = (column) => Prisma.sql`
+  replace(replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;')
+`;
+
+/**
+ * Weighted documents: a match in the name / title ranks above one in the body.
+ * An expression GIN index on the same expression speeds these up, e.g.
+ * CREATE INDEX product_search_idx ON "Product" USING GIN ((<product document>));
+ */
+const productDocument = Prisma.sql`
+  setweight(to_tsvector('english', p.name), 'A') ||
+  setweight(to_tsvector('english', coalesce(p.description, '')), 'B')
+`;
+const postDocument = Prisma.sql`
+  setweight(to_tsvector('english', p.title), 'A') ||
+  setweight(to_tsvector('english', p.content), 'B')
+`;
+
+/**
+ * CTE with every matching product and post and its rank
+ * ?type, ?category and ?tag narrow the matches
+ */
+const buildMatches = ({ q, type, category, tag }) => {
+  const branches = [];
+  
+  if (type !== 'post') {
+    branches.push(Prisma.sql`
+      SELECT 'product' AS type, p.id, p.name AS title, p.slug, p.description AS body,
+        p."categoryId", ts_rank(${productDocument}, q.query) AS score
+      FROM "Product" p, q
+      WHERE p."deletedAt" IS NULL AND (${productDocument}) @@ q.query
+      ${category ? Prisma.sql`AND EXISTS (
+        SELECT 1 FROM "Category" c WHERE c.id = p."categoryId" AND c.slug = ${category}
+      )` : Prisma.empty}
+      ${tag ? Prisma.sql`AND EXISTS (
+        SELECT 1 FROM "_ProductTags" pt JOIN "Tag" t ON t.id = pt."B" WHERE pt."A" = p.id AND t.slug = ${tag}
+      )` : Prisma.empty}
+    `);
+  }
+  
+  // Posts have no category, so a category filter leaves only products
+  if (type !== 'product' && !category) {
+    branches.push(Prisma.sql`
+      SELECT 'post' AS type, p.id, p.title, p.slug, p.content AS body,
+        NULL::int AS "categoryId", ts_rank(${postDocument}, q.query) AS score
+      FROM "Post" p, q
+      WHERE p.status = 'PUBLISHED' AND p."deletedAt" IS NULL AND (${postDocument}) @@ q.query
+      ${tag ? Prisma.sql`AND EXISTS (
+        SELECT 1 FROM "_PostTags" pt JOIN "Tag" t ON t.id = pt."B" WHERE pt."A" = p.id AND t.slug = ${tag}
+      )` : Prisma.empty}
+    `);
+  }
+  
+  return Prisma.sql`
+    WITH q AS (SELECT websearch_to_tsquery('english', ${q}) AS query),
+    matches AS (${Prisma.join(branches, ' UNION ALL ')})
+  `;
+};
+
+/**
+ * @desc    Search products and published posts
+ *          Results are ranked, with a highlighted title and body snippet,
+ *          plus match counts per category and tag (facets)
+ * @route   GET /api/prisma/search?q=&type=&category=&tag=&page=&limit=
+ * @access  Public
+ */
+export const search = async (req, res, next) => {
+  try {
+    const { q, type, category, tag } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    
+    // Posts have no category, so nothing can match
+    if (type === 'post' && category) {
+      return res.status(200).json({
+        success: true,
+        query: q,
+        count: 0,
+        meta: buildPageMeta(0, page, limit),
+        facets: { categories: [], tags: [] },
+        data: []
+      });
+    }
+    
+    const matches = buildMatches({ q, type, category, tag });
+    
+    const [results, [{ total }], categories, tags] = await Promise.all([
+      prisma.$queryRaw`
+        ${matches}
+        SELECT m.type, m.id, m.title, m.slug, m.score,
+          ts_headline('english', ${htmlText(Prisma.sql`m.title`)}, q.query, ${TITLE_HEADLINE}) AS "titleHighlight",
+          ts_headline('english', ${htmlText(Prisma.sql`coalesce(m.body, '')`)}, q.query, ${SNIPPET_HEADLINE}) AS snippet
+        FROM matches m, q
+        ORDER BY m.score DESC, m.type, m.id
+        LIMIT ${limit} OFFSET ${skip}
+      `,
+      prisma.$queryRaw`
+        ${matches}
+        SELECT count(*)::int AS total FROM matches
+      `,
+      prisma.$queryRaw`
+        ${matches}
+        SELECT c.slug, c.name, count(*)::int AS count
+        FROM matches m
+        JOIN "Category" c ON c.id = m."categoryId"
+        GROUP BY c.slug, c.name
+        ORDER BY count DESC, c.name
+      `,
+      prisma.$queryRaw`
+        ${matches}
+        SELECT t.slug, t.name, count(*)::int AS count
+        FROM matches m
+        JOIN (
+          SELECT 'product' AS type, "A" AS id, "B" AS "tagId" FROM "_ProductTags"
+          UNION ALL
+          SELECT 'post' AS type, "A" AS id, "B" AS "tagId" FROM "_PostTags"
+        ) mt ON mt.type = m.type AND mt.id = m.id
+        JOIN "Tag" t ON t.id = mt."tagId"
+        GROUP BY t.slug, t.name
+        ORDER BY count DESC, t.name
+      `
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      query: q,
+      count: results.length,
+      meta: buildPageMeta(total, page, limit),
+      facets: { categories, tags },
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+};
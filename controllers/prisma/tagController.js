@@ -0,0 +1,316 @@
+/**
+ * PRISMA TAG CONTROLLER
+ * 
+ * Handles all CRUD operations for Tags using Prisma (PostgreSQL),
+ * plus usage counts, related tags and merging one tag into another
+ */
+
+import { prisma } from '../../config/prisma.js';
+import { generateUniqueSlug } from '../../utils/slugify.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+import { NotFoundError, ValidationError } from '../../utils/AppError.js';
+
+/**
+ * Products and posts (not soft deleted) using each tag
+ */
+const tagInclude = {
+  _count: {
+    select: {
+      products: { where: NOT_DELETED },
+      posts: { where: NOT_DELETED }
+    }
+  }
+};
+
+/**
+ * Replace Prisma's _count with { usage: { products, posts, total } }
+ */
+const withUsage = ({ _count, ...tag }) => {
+  if (!_count) return tag;
+  return {
+    ...tag,
+    usage: { products: _count.products, posts: _count.posts, total: _count.products + _count.posts }
+  };
+};
+
+/**
+ * Where clause narrowing tags to those used by ?type= content (none given: every tag)
+ */
+const tagTypeWhere = (type) => {
+  if (type === 'product') return { products: { some: NOT_DELETED } };
+  if (type === 'post') return { posts: { some: NOT_DELETED } };
+  return {};
+};
+
+/**
+ * Generate a slug from the name that no other tag uses
+ */
+const uniqueTagSlug = (name) => generateUniqueSlug(name, async (slug) => {
+  const tag = await prisma.tag.findUnique({ where: { slug }, select: { id: true } });
+  return Boolean(tag);
+});
+
+/**
+ * @desc    Get all tags with their usage counts (paginated, see utils/listQuery.js)
+ * @route   GET /api/prisma/tags?type=&page=&limit=&cursor=&sort=&fields=&filter[field][op]=
+ * @access  Public
+ */
+export const getAllTags = async (req, res, next) => {
+  try {
+    const { data: tags, meta } = await findPrismaPage(prisma.tag, {
+      query: req.query,
+      where: tagTypeWhere(req.query.type),
+      include: tagInclude,
+      defaultSort: 'name'
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      meta,
+      data: tags.map(withUsage)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single tag by ID with its usage counts
+ * @route   GET /api/prisma/tags/:id
+ * @access  Public
+ */
+export const getTagById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const tag = await prisma.tag.findUnique({
+      where: { id },
+      include: tagInclude
+    });
+    
+    if (!tag) {
+      return next(new NotFoundError(`Tag not found with id: ${id}`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: withUsage(tag)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the tags most often used together with a tag
+ *          (count = products and posts carrying both)
+ * @route   GET /api/prisma/tags/:id/related?limit=
+ * @access  Public
+ */
+export const getRelatedTags = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { limit } = req.query;
+    
+    const tag = await prisma.tag.findUnique({ where: { id }, select: { id: true } });
+    
+    if (!tag) {
+      return next(new NotFoundError(`Tag not found with id: ${id}`));
+    }
+    
+    // Join rows ("A" = product / post, "B" = tag) of content that is not deleted
+    const related = await prisma.$queryRaw`
+      WITH tagged AS (
+        SELECT 'product' AS type, pt."A" AS item, pt."B" AS "tagId"
+        FROM "_ProductTags" pt JOIN "Product" p ON p.id = pt."A"
+        WHERE p."deletedAt" IS NULL
+        UNION ALL
+        SELECT 'post' AS type, pt."A" AS item, pt."B" AS "tagId"
+        FROM "_PostTags" pt JOIN "Post" p ON p.id = pt."A"
+        WHERE p."deletedAt" IS NULL
+      )
+      SELECT t.id, t.name, t.slug, count(*)::int AS count
+      FROM tagged a
+      JOIN tagged b ON b.type = a.type AND b.item = a.item AND b."tagId" <> a."tagId"
+      JOIN "Tag" t ON t.id = b."tagId"
+      WHERE a."tagId" = ${id}
+      GROUP BY t.id
+      ORDER BY count DESC, t.name ASC
+      LIMIT ${limit}
+    `;
+    
+    res.status(200).json({
+      success: true,
+      count: related.length,
+      data: related
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new tag
+ * @route   POST /api/prisma/tags
+ * @access  Private (admin)
+ */
+export const createTag = async (req, res, next) => {
+  try {
+    const { name, slug } = req.body;
+    
+    const tag = await prisma.tag.create({
+      data: {
+        name,
+        slug: slug || await uniqueTagSlug(name)
+      },
+      include: tagInclude
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: withUsage(tag)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update tag
+ * @route   PUT /api/prisma/tags/:id
+ * @access  Private (admin)
+ */
+export const updateTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, slug } = req.body;
+    
+    // Check if tag exists
+    const existingTag = await prisma.tag.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+    
+    if (!existingTag) {
+      return next(new NotFoundError(`Tag not found with id: ${id}`));
+    }
+    
+    // Prepare update data
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (slug !== undefined) updateData.slug = slug;
+    
+    const tag = await prisma.tag.update({
+      where: { id },
+      data: updateData,
+      include: tagInclude
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: withUsage(tag)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Merge a tag into another: every product and post tagged with it
+ *          is tagged with the target instead, then the tag is deleted
+ * @route   POST /api/prisma/tags/:id/merge
+ * @access  Private (admin)
+ */
+export const mergeTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { targetId } = req.body;
+    
+    if (targetId === id) {
+      return next(new ValidationError('Validation failed', [{
+        location: 'body',
+        field: 'targetId',
+        message: '"targetId" must be a different tag'
+      }]));
+    }
+    
+    const [tag, target] = await Promise.all([
+      prisma.tag.findUnique({ where: { id } }),
+      prisma.tag.findUnique({ where: { id: targetId }, select: { id: true, name: true } })
+    ]);
+    
+    if (!tag) {
+      return next(new NotFoundError(`Tag not found with id: ${id}`));
+    }
+    if (!target) {
+      return next(new NotFoundError(`Tag not found with id: ${targetId}`));
+    }
+    
+    // Point the join rows at the target (skipping content that already has it),
+    // the deletes count every product and post that was moved off the tag
+    const repoint = (table) => [
+      prisma.$executeRawUnsafe(
+        `INSERT INTO "${table}" ("A", "B") SELECT "A", $1 FROM "${table}" WHERE "B" = $2 ON CONFLICT DO NOTHING`,
+        targetId,
+        id
+      ),
+      prisma.$executeRawUnsafe(`DELETE FROM "${table}" WHERE "B" = $1`, id)
+    ];
+    
+    const [, products, , posts] = await prisma.$transaction([
+      ...repoint('_ProductTags'),
+      ...repoint('_PostTags'),
+      prisma.tag.delete({ where: { id } })
+    ]);
+    
+    const merged = await prisma.tag.findUnique({
+      where: { id: targetId },
+      include: tagInclude
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `Tag "${tag.name}" merged into "${target.name}"`,
+      merged: { products, posts },
+      data: withUsage(merged)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete tag (its PostTags / ProductTags rows are removed with it)
+ * @route   DELETE /api/prisma/tags/:id
+ * @access  Private (admin)
+ */
+export const deleteTag = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if tag exists
+    const existingTag = await prisma.tag.findUnique({
+      where: { id }
+    });
+    
+    if (!existingTag) {
+      return next(new NotFoundError(`Tag not found with id: ${id}`));
+    }
+    
+    await prisma.tag.delete({
+      where: { id }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Tag deleted successfully',
+      data: existingTag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
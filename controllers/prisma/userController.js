@@ -5,21 +5,45 @@
  */
 
 import { prisma } from '../../config/prisma.js';
+import { hashPassword } from '../../utils/password.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+import { NOT_DELETED, deletedFilter } from '../../utils/softDelete.js';
+import { NotFoundError, ConflictError, ForbiddenError } from '../../utils/AppError.js';
+import { outboxEvent, OUTBOX_EVENTS } from '../../utils/outbox.js';
 
 /**
- * @desc    Get all users
- * @route   GET /api/prisma/users
- * @access  Public
+ * Fields returned for a user (everything except the password hash)
+ */
+const userSelect = {
+  id: true,
+  email: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  profile: true,
+  createdAt: true,
+  updatedAt: true,
+  deletedAt: true
+};
+
+// Related posts returned with a user (published only, soft deleted posts left out)
+const userPosts = { where: { status: 'PUBLISHED', ...NOT_DELETED } };
+
+/**
+ * @desc    Get all users (paginated, see utils/listQuery.js)
+ * @route   GET /api/prisma/users?page=&limit=&cursor=&sort=&fields=&filter[field][op]=&includeDeleted=
+ * @access  Public (includeDeleted: admin)
  */
 export const getAllUsers = async (req, res, next) => {
   try {
-    // Retrieve all users from database
-    const users = await prisma.user.findMany({
-      include: {
-        posts: true // Include related posts
-      },
-      orderBy: {
-        createdAt: 'desc' // Sort by newest first
+    // Retrieve one page of users, newest first by default
+    const { data: users, meta } = await findPrismaPage(prisma.user, {
+      query: req.query,
+      where: deletedFilter(req.query),
+      select: {
+        ...userSelect,
+        posts: userPosts // Include related posts
       }
     });
     
@@ -27,6 +51,7 @@ export const getAllUsers = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: users.length,
+      meta,
       data: users
     });
   } catch (error) {
@@ -37,8 +62,8 @@ export const getAllUsers = async (req, res, next) => {
 
 /**
  * @desc    Get single user by ID
- * @route   GET /api/prisma/users/:id
- * @access  Public
+ * @route   GET /api/prisma/users/:id?includeDeleted=
+ * @access  Public (includeDeleted: admin)
  */
 export const getUserById = async (req, res, next) => {
   try {
@@ -46,18 +71,16 @@ export const getUserById = async (req, res, next) => {
     
     // Find user by ID
     const user = await prisma.user.findUnique({
-      where: { id: parseInt(id) },
-      include: {
-        posts: true // Include related posts
+      where: { id, ...deletedFilter(req.query) },
+      select: {
+        ...userSelect,
+        posts: userPosts // Include related posts
       }
     });
     
     // Check if user exists
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: `User not found with id: ${id}`
-      });
+      return next(new NotFoundError(`User not found with id: ${id}`));
     }
     
     // Send success response
@@ -73,27 +96,24 @@ export const getUserById = async (req, res, next) => {
 /**
  * @desc    Create new user
  * @route   POST /api/prisma/users
- * @access  Public
+ * @access  Private (admin)
  */
 export const createUser = async (req, res, next) => {
   try {
-    const { email, name, age } = req.body;
-    
-    // Validate required fields
-    if (!email || !name) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide email and name'
-      });
-    }
+    const { email, username, password, firstName, lastName, role, profile } = req.body;
     
-    // Create new user
+    // Create new user (and its profile when provided)
     const user = await prisma.user.create({
       data: {
         email,
-        name,
-        age: age ? parseInt(age) : null
-      }
+        username,
+        password: await hashPassword(password),
+        firstName: firstName ?? null,
+        lastName: lastName ?? null,
+        role,
+        profile: profile ? { create: profile } : undefined
+      },
+      select: userSelect
     });
     
     // Send success response
@@ -103,50 +123,60 @@ export const createUser = async (req, res, next) => {
       data: user
     });
   } catch (error) {
-    // Handle unique constraint violation (duplicate email)
-    if (error.code === 'P2002') {
-      return res.status(400).json({
-        success: false,
-        message: 'Email already exists'
-      });
-    }
     next(error);
   }
 };
 
 /**
- * @desc    Update user
+ * @desc    Update user (profile is created if it does not exist yet)
  * @route   PUT /api/prisma/users/:id
- * @access  Public
+ * @access  Private (account owner or admin)
  */
 export const updateUser = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { email, name, age } = req.body;
+    const { email, username, password, firstName, lastName, role, profile } = req.body;
     
     // Check if user exists
     const existingUser = await prisma.user.findUnique({
-      where: { id: parseInt(id) }
+      where: { id, ...NOT_DELETED }
     });
     
     if (!existingUser) {
-      return res.status(404).json({
-        success: false,
-        message: `User not found with id: ${id}`
-      });
+      return next(new NotFoundError(`User not found with id: ${id}`));
+    }
+    
+    // Only admins may change roles
+    if (role !== undefined && req.user.role !== 'ADMIN') {
+      return next(new ForbiddenError('Only admins can change user roles'));
     }
     
     // Prepare update data (only include fields that are provided)
     const updateData = {};
     if (email !== undefined) updateData.email = email;
-    if (name !== undefined) updateData.name = name;
-    if (age !== undefined) updateData.age = age ? parseInt(age) : null;
+    if (username !== undefined) updateData.username = username;
+    if (password !== undefined) updateData.password = await hashPassword(password);
+    if (firstName !== undefined) updateData.firstName = firstName;
+    if (lastName !== undefined) updateData.lastName = lastName;
+    if (role !== undefined) updateData.role = role;
+    if (profile !== undefined) {
+      updateData.profile = {
+        upsert: {
+          create: profile,
+          update: profile
+        }
+      };
+    }
     
-    // Update user
-    const user = await prisma.user.update({
-      where: { id: parseInt(id) },
-      data: updateData
-    });
+    // Update user (orders embed a snapshot of it in the read models, see utils/outbox.js)
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id },
+        data: updateData,
+        select: userSelect
+      }),
+      outboxEvent(prisma, OUTBOX_EVENTS.USER_UPDATED, id, { fields: Object.keys(updateData) })
+    ]);
     
     // Send success response
     res.status(200).json({
@@ -155,21 +185,16 @@ export const updateUser = async (req, res, next) => {
       data: user
     });
   } catch (error) {
-    // Handle unique constraint violation
-    if (error.code === 'P2002') {
-      return res.status(400).json({
-        success: false,
-        message: 'Email already exists'
-      });
-    }
     next(error);
   }
 };
 
 /**
- * @desc    Delete user
+ * @desc    Soft delete user
+ *          Their posts are soft deleted with them and their sessions revoked,
+ *          orders and reviews are kept (see utils/softDelete.js)
  * @route   DELETE /api/prisma/users/:id
- * @access  Public
+ * @access  Private (admin)
  */
 export const deleteUser = async (req, res, next) => {
   try {
@@ -177,26 +202,82 @@ export const deleteUser = async (req, res, next) => {
     
     // Check if user exists
     const existingUser = await prisma.user.findUnique({
-      where: { id: parseInt(id) }
+      where: { id, ...NOT_DELETED },
+      select: { id: true }
     });
     
     if (!existingUser) {
-      return res.status(404).json({
-        success: false,
-        message: `User not found with id: ${id}`
-      });
+      return next(new NotFoundError(`User not found with id: ${id}`));
     }
     
-    // Delete user (cascade will delete related posts)
-    await prisma.user.delete({
-      where: { id: parseInt(id) }
-    });
+    const deletedAt = new Date();
+    
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id },
+        data: { deletedAt },
+        select: userSelect
+      }),
+      prisma.post.updateMany({
+        where: { authorId: id, ...NOT_DELETED },
+        data: { deletedAt }
+      }),
+      prisma.refreshToken.updateMany({
+        where: { userId: id, revokedAt: null },
+        data: { revokedAt: deletedAt }
+      })
+    ]);
     
     // Send success response
     res.status(200).json({
       success: true,
       message: 'User deleted successfully',
-      data: existingUser
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a soft deleted user and the posts deleted with them
+ * @route   POST /api/prisma/users/:id/restore
+ * @access  Private (admin)
+ */
+export const restoreUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const existingUser = await prisma.user.findUnique({
+      where: { id },
+      select: { deletedAt: true }
+    });
+    
+    if (!existingUser) {
+      return next(new NotFoundError(`User not found with id: ${id}`));
+    }
+    
+    if (!existingUser.deletedAt) {
+      return next(new ConflictError('User is not deleted'));
+    }
+    
+    // Posts deleted on their own before the user stay deleted
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id },
+        data: { deletedAt: null },
+        select: userSelect
+      }),
+      prisma.post.updateMany({
+        where: { authorId: id, deletedAt: existingUser.deletedAt },
+        data: { deletedAt: null }
+      })
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      message: 'User restored successfully',
+      data: user
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,53 @@
+/**
+ * GRAPHQL LOADERS
+ * 
+ * Relations are loaded through DataLoader: every lookup made while resolving
+ * one level of a query (e.g. the reviews of each of 20 products) is batched
+ * into a single repository call, and records are cached for the request.
+ * 
+ * Loaders are created per request, for its backend's repositories and its
+ * viewer (posts hidden from the viewer stay hidden, see repositories/index.js).
+ */
+
+import DataLoader from 'dataloader';
+
+// Prisma ids are Ints, Mongoose ids strings: compare them as strings
+const keyOf = (id) => String(id);
+const OPTIONS = { cacheKeyFn: keyOf };
+
+/**
+ * Records in the order of the ids asked for (null for a missing one)
+ */
+const byId = (records, ids) => {
+  const found = new Map(records.map((record) => [keyOf(record.id), record]));
+  return ids.map((id) => found.get(keyOf(id)) ?? null);
+};
+
+/**
+ * Records grouped by `field`, one list per id asked for
+ */
+const groupedBy = (field, records, ids) => {
+  const groups = new Map(ids.map((id) => [keyOf(id), []]));
+  for (const record of records) {
+    groups.get(keyOf(record[field]))?.push(record);
+  }
+  return ids.map((id) => groups.get(keyOf(id)));
+};
+
+const recordLoader = (find) => new DataLoader(async (ids) => byId(await find([...ids]), ids), OPTIONS);
+
+const groupLoader = (field, find) => new DataLoader(async (ids) => groupedBy(field, await find([...ids]), ids), OPTIONS);
+
+/**
+ * @param {Object} repos    - Repositories of the request's backend (req.repos)
+ * @param {Object} [viewer] - req.user
+ */
+export const createLoaders = (repos, viewer) => ({
+  products: recordLoader((ids) => repos.products.findByIds(ids)),
+  categories: recordLoader((ids) => repos.categories.findByIds(ids)),
+  tags: recordLoader((ids) => repos.tags.findByIds(ids)),
+  categoryChildren: groupLoader('parentId', (ids) => repos.categories.findChildren(ids)),
+  authorPosts: groupLoader('authorId', (ids) => repos.posts.findByAuthorIds(ids, { viewer })),
+  productReviews: groupLoader('productId', (ids) => repos.reviews.findByProductIds(ids)),
+  userOrders: groupLoader('userId', (ids) => repos.orders.findByUserIds(ids))
+});
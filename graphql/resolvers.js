@@ -0,0 +1,176 @@
+/**
+ * GRAPHQL RESOLVERS
+ * 
+ * Root queries and mutations run the /api route they mirror (see runRoute.js),
+ * so they share its validation, roles, ownership rules and errors.
+ * Relations are resolved through the request's loaders (see loaders.js).
+ */
+
+import { Kind } from 'graphql';
+import { runRoute, runMiddleware } from './runRoute.js';
+import { authorizeOwner } from '../middleware/authorize.js';
+import { NotFoundError } from '../utils/AppError.js';
+
+/**
+ * GraphQL arguments as plain JSON (input objects have no prototype);
+ * explicit nulls are kept, e.g. categoryId: null removes a product's category
+ */
+const toJson = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Arguments to the route's query string, first / after as limit / cursor
+ * (unset arguments left out)
+ */
+const toQuery = ({ first, after, ...args }) => Object.fromEntries(
+  Object.entries({ ...toJson(args), limit: first, cursor: after })
+    .filter(([, value]) => value !== null && value !== undefined)
+);
+
+/**
+ * GET route of a list as a connection
+ */
+const connection = (path) => async (parent, args, { req }) => {
+  const { data, meta } = await runRoute(req, 'GET', path, { query: toQuery(args) });
+
+  return {
+    nodes: data,
+    pageInfo: { endCursor: meta.nextCursor, hasNextPage: meta.nextCursor !== null },
+    totalCount: meta.total
+  };
+};
+
+/**
+ * GET route of a single record (null when it does not exist)
+ */
+const record = (path) => async (parent, { id, ...args }, { req }) => {
+  try {
+    const { data } = await runRoute(req, 'GET', path, { params: { id }, query: toQuery(args) });
+    return data;
+  } catch (error) {
+    if (error instanceof NotFoundError) return null;
+    throw error;
+  }
+};
+
+/**
+ * Route of a mutation; toInput maps the arguments to its { params, body }
+ */
+const mutation = (method, path, toInput) => async (parent, args, { req }) => {
+  const { data } = await runRoute(req, method, path, toInput(toJson(args)));
+  return data;
+};
+
+const withInput = ({ input }) => ({ body: input });
+const withId = ({ id }) => ({ params: { id } });
+const withIdAndInput = ({ id, input }) => ({ params: { id }, body: input });
+
+/**
+ * Records of the tag refs ({ id, name, slug }) a product or post carries
+ */
+const loadTags = async (tags, loaders) => (await loaders.tags.loadMany((tags ?? []).map((tag) => tag.id))).filter(Boolean);
+
+export const resolvers = {
+  DateTime: {
+    serialize: (value) => (value instanceof Date ? value.toISOString() : value),
+    // Parsed and checked by the route's Joi schema, like a query string date
+    parseValue: (value) => value,
+    parseLiteral: (ast) => (ast.kind === Kind.STRING ? ast.value : undefined)
+  },
+
+  Query: {
+    me: async (parent, args, { req }) => (await runRoute(req, 'GET', '/auth/me')).data,
+
+    users: connection('/users'),
+    user: record('/users/:id'),
+    posts: connection('/posts'),
+    post: record('/posts/:id'),
+    products: connection('/products'),
+    product: record('/products/:id'),
+    categories: connection('/categories'),
+    category: record('/categories/:id'),
+    tags: connection('/tags'),
+    tag: record('/tags/:id'),
+    reviews: connection('/reviews'),
+    review: record('/reviews/:id'),
+    orders: connection('/orders'),
+    order: record('/orders/:id')
+  },
+
+  Mutation: {
+    register: mutation('POST', '/auth/register', withInput),
+    login: mutation('POST', '/auth/login', withInput),
+    refreshToken: mutation('POST', '/auth/refresh', (args) => ({ body: args })),
+    logout: async (parent, args, { req }) => {
+      await runRoute(req, 'POST', '/auth/logout', { body: toJson(args) });
+      return true;
+    },
+
+    createUser: mutation('POST', '/users', withInput),
+    updateUser: mutation('PUT', '/users/:id', withIdAndInput),
+    deleteUser: mutation('DELETE', '/users/:id', withId),
+    restoreUser: mutation('POST', '/users/:id/restore', withId),
+
+    createPost: mutation('POST', '/posts', withInput),
+    updatePost: mutation('PUT', '/posts/:id', withIdAndInput),
+    publishPost: mutation('POST', '/posts/:id/publish', ({ id, publishedAt }) => ({
+      params: { id },
+      body: publishedAt ? { publishedAt } : {}
+    })),
+    unpublishPost: mutation('POST', '/posts/:id/unpublish', withId),
+    archivePost: mutation('POST', '/posts/:id/archive', withId),
+    deletePost: mutation('DELETE', '/posts/:id', withId),
+    restorePost: mutation('POST', '/posts/:id/restore', withId),
+
+    createProduct: mutation('POST', '/products', withInput),
+    updateProduct: mutation('PUT', '/products/:id', withIdAndInput),
+    deleteProduct: mutation('DELETE', '/products/:id', withId),
+    restoreProduct: mutation('POST', '/products/:id/restore', withId),
+
+    createCategory: mutation('POST', '/categories', withInput),
+    updateCategory: mutation('PUT', '/categories/:id', withIdAndInput),
+    deleteCategory: mutation('DELETE', '/categories/:id', withId),
+
+    createTag: mutation('POST', '/tags', withInput),
+    updateTag: mutation('PUT', '/tags/:id', withIdAndInput),
+    deleteTag: mutation('DELETE', '/tags/:id', withId),
+
+    createReview: mutation('POST', '/reviews', withInput),
+    updateReview: mutation('PUT', '/reviews/:id', withIdAndInput),
+    deleteReview: mutation('DELETE', '/reviews/:id', withId),
+
+    placeOrder: mutation('POST', '/orders', withInput),
+    updateOrderStatus: mutation('PATCH', '/orders/:id/status', ({ id, ...body }) => ({ params: { id }, body }))
+  },
+
+  User: {
+    posts: (user, args, { loaders }) => loaders.authorPosts.load(user.id),
+    // Only the customer (or an admin) sees their orders, as on the order routes
+    orders: async (user, args, { req, loaders }) => {
+      await runMiddleware(req, authorizeOwner(() => user.id));
+      return loaders.userOrders.load(user.id);
+    }
+  },
+
+  Post: {
+    tags: (post, args, { loaders }) => loadTags(post.tags, loaders)
+  },
+
+  Product: {
+    category: (product, args, { loaders }) => (product.categoryId ? loaders.categories.load(product.categoryId) : null),
+    tags: (product, args, { loaders }) => loadTags(product.tags, loaders),
+    reviews: (product, args, { loaders }) => loaders.productReviews.load(product.id)
+  },
+
+  Category: {
+    parent: (category, args, { loaders }) => (category.parentId ? loaders.categories.load(category.parentId) : null),
+    children: (category, args, { loaders }) => loaders.categoryChildren.load(category.id)
+  },
+
+  Review: {
+    product: (review, args, { loaders }) => loaders.products.load(review.productId)
+  },
+
+  OrderItem: {
+    product: (item, args, { loaders }) => (item.productId ? loaders.products.load(item.productId) : null)
+  }
+};
@@ -0,0 +1,101 @@
+/**
+ * REST ROUTES IN-PROCESS
+ * 
+ * GraphQL queries and mutations run the backend-agnostic route they mirror
+ * (e.g. createProduct -> POST /api/products) without going through HTTP:
+ * the same middleware chain (backend selection, authentication, Joi
+ * validation, roles and ownership policies) and the same controller, so both
+ * APIs always apply the same rules.
+ * 
+ * The routes are looked up in the registry mounted on the app
+ * (req.app.locals.routeGroups, see routes/index.js).
+ */
+
+import { listRouterRoutes } from '../utils/openapi.js';
+import AppError from '../utils/AppError.js';
+
+// Group of the registry holding the backend-agnostic routes
+const API_GROUP = 'api';
+
+// Route registry -> Map('POST /products/:id/restore' -> handlers), built once per registry
+const routeTables = new WeakMap();
+
+const routeTable = (groups) => {
+  if (!routeTables.has(groups)) {
+    const group = groups.find(({ name }) => name === API_GROUP);
+    const table = new Map();
+
+    for (const [name, router] of Object.entries(group.routers)) {
+      for (const { path, method, handlers } of listRouterRoutes(router)) {
+        const key = `${method.toUpperCase()} /${name}${path === '/' ? '' : path}`;
+        table.set(key, [...(group.middleware ?? []), ...handlers]);
+      }
+    }
+
+    routeTables.set(groups, table);
+  }
+  return routeTables.get(groups);
+};
+
+/**
+ * Call the handlers in turn, as Express would, until one responds or fails
+ * (resolves to undefined when every handler passed the request on)
+ */
+const runHandlers = (handlers, req) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    set: () => res,
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: resolve
+  };
+
+  const runFrom = (index) => (error) => {
+    if (error) return reject(error);
+    if (index === handlers.length) return resolve(undefined);
+
+    try {
+      handlers[index](req, res, runFrom(index + 1));
+    } catch (handlerError) {
+      reject(handlerError);
+    }
+  };
+
+  runFrom(0)();
+});
+
+/**
+ * Run a backend-agnostic route for a GraphQL request
+ * 
+ * @param {Object} req     - The /graphql request (its headers carry the token and X-Backend)
+ * @param {String} method  - HTTP method
+ * @param {String} path    - Route as declared under /api, e.g. '/products/:id'
+ * @param {Object} [input] - { params, query, body } of the route, validated by its Joi schemas
+ * @returns {Promise<Object>} The response body ({ success, data, meta, ... });
+ *                            failures reject with the error the route passed to next()
+ */
+export const runRoute = (req, method, path, { params = {}, query = {}, body = {} } = {}) => {
+  const handlers = routeTable(req.app.locals.routeGroups).get(`${method} ${path}`);
+  if (!handlers) {
+    return Promise.reject(new AppError(`No route for ${method} /api${path}`, 500));
+  }
+
+  // Own request fields on top of the GraphQL request (headers, app, ...)
+  const routeReq = Object.create(req, {
+    method: { value: method, writable: true },
+    params: { value: params, writable: true },
+    query: { value: query, writable: true },
+    body: { value: body, writable: true },
+    user: { value: undefined, writable: true }
+  });
+
+  return runHandlers(handlers, routeReq);
+};
+
+/**
+ * Run one middleware (e.g. a policy) on the GraphQL request
+ * @returns {Promise<void>} Rejects with the error it passed to next()
+ */
+export const runMiddleware = (req, middleware) => runHandlers([middleware], req);
@@ -0,0 +1,34 @@
+/**
+ * GRAPHQL SCHEMA
+ * 
+ * The executable schema: the type definitions of typeDefs.js with the
+ * resolvers of resolvers.js attached (scalars get their serialize / parse
+ * functions, object types their field resolvers; fields without one read
+ * the property of the same name)
+ */
+
+import { buildSchema, GraphQLScalarType } from 'graphql';
+import { typeDefs } from './typeDefs.js';
+import { resolvers } from './resolvers.js';
+
+const attachResolvers = (schema, typeResolvers) => {
+  for (const [typeName, fieldResolvers] of Object.entries(typeResolvers)) {
+    const type = schema.getType(typeName);
+    if (!type) throw new Error(`Resolvers given for unknown GraphQL type ${typeName}`);
+
+    if (type instanceof GraphQLScalarType) {
+      Object.assign(type, fieldResolvers);
+      continue;
+    }
+
+    const fields = type.getFields();
+    for (const [fieldName, resolve] of Object.entries(fieldResolvers)) {
+      if (!fields[fieldName]) throw new Error(`Resolver given for unknown field ${typeName}.${fieldName}`);
+      fields[fieldName].resolve = resolve;
+    }
+  }
+
+  return schema;
+};
+
+export const schema = attachResolvers(buildSchema(typeDefs), resolvers);
@@ -0,0 +1,484 @@
+/**
+ * GRAPHQL TYPE DEFINITIONS
+ * 
+ * Records have the shape of the repositories (repositories/index.js) on both
+ * backends: ids are Ints on Prisma and ObjectId strings on Mongoose, both
+ * sent as ID. Enum values are uppercase.
+ * 
+ * Lists are cursor connections: pass pageInfo.endCursor as `after` to get
+ * the next page. `sort` and `filter` take what ?sort= and ?filter[...] take
+ * on the matching /api route (see utils/listQuery.js, utils/filterQuery.js).
+ */
+
+export const typeDefs = /* GraphQL */ `
+  "ISO 8601 date and time"
+  scalar DateTime
+
+  type PageInfo {
+    "Cursor to pass as \`after\` for the next page"
+    endCursor: String
+    hasNextPage: Boolean!
+  }
+
+  "Public fields of a user (post author, reviewer)"
+  type UserSummary {
+    id: ID!
+    username: String!
+    firstName: String
+    lastName: String
+  }
+
+  type User {
+    id: ID!
+    email: String!
+    username: String!
+    firstName: String
+    lastName: String
+    role: String!
+    createdAt: DateTime!
+    updatedAt: DateTime!
+    deletedAt: DateTime
+    "Posts the viewer may see, newest first"
+    posts: [Post!]!
+    "Newest first (the user themselves or an admin)"
+    orders: [Order!]!
+  }
+
+  type Post {
+    id: ID!
+    title: String!
+    slug: String!
+    content: String!
+    status: String!
+    publishedAt: DateTime
+    author: UserSummary
+    tags: [Tag!]!
+    createdAt: DateTime!
+    updatedAt: DateTime!
+    deletedAt: DateTime
+  }
+
+  type Product {
+    id: ID!
+    name: String!
+    slug: String!
+    description: String
+    price: Float!
+    stock: Int!
+    category: Category
+    tags: [Tag!]!
+    "Newest first"
+    reviews: [Review!]!
+    createdAt: DateTime!
+    updatedAt: DateTime!
+    deletedAt: DateTime
+  }
+
+  type Category {
+    id: ID!
+    name: String!
+    slug: String!
+    description: String
+    parent: Category
+    children: [Category!]!
+    createdAt: DateTime!
+    updatedAt: DateTime!
+  }
+
+  type Tag {
+    id: ID!
+    name: String!
+    slug: String!
+    createdAt: DateTime!
+    updatedAt: DateTime!
+  }
+
+  type Review {
+    id: ID!
+    rating: Int!
+    comment: String
+    user: UserSummary
+    product: Product
+    createdAt: DateTime!
+    updatedAt: DateTime!
+  }
+
+  type Order {
+    id: ID!
+    orderNumber: String!
+    status: String!
+    paymentStatus: String!
+    totalAmount: Float!
+    items: [OrderItem!]!
+    createdAt: DateTime!
+    updatedAt: DateTime!
+  }
+
+  type OrderItem {
+    "Null when the product no longer exists"
+    product: Product
+    quantity: Int!
+    unitPrice: Float!
+  }
+
+  type UserConnection {
+    nodes: [User!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type PostConnection {
+    nodes: [Post!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type ProductConnection {
+    nodes: [Product!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type CategoryConnection {
+    nodes: [Category!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type TagConnection {
+    nodes: [Tag!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type ReviewConnection {
+    nodes: [Review!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type OrderConnection {
+    nodes: [Order!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type AuthPayload {
+    user: User!
+    accessToken: String!
+    refreshToken: String!
+    tokenType: String!
+    expiresIn: String!
+  }
+
+  # ─── Filters (operators of utils/filterQuery.js) ───
+
+  input NumberFilter {
+    eq: Float
+    ne: Float
+    gt: Float
+    gte: Float
+    lt: Float
+    lte: Float
+    in: [Float!]
+    nin: [Float!]
+    between: [Float!]
+    exists: Boolean
+  }
+
+  input DateFilter {
+    eq: DateTime
+    ne: DateTime
+    gt: DateTime
+    gte: DateTime
+    lt: DateTime
+    lte: DateTime
+    in: [DateTime!]
+    nin: [DateTime!]
+    between: [DateTime!]
+    exists: Boolean
+  }
+
+  input StringFilter {
+    eq: String
+    ne: String
+    in: [String!]
+    nin: [String!]
+    contains: String
+    startsWith: String
+    exists: Boolean
+  }
+
+  "Enum values, or related records by slug"
+  input SetFilter {
+    eq: String
+    ne: String
+    in: [String!]
+    nin: [String!]
+    exists: Boolean
+  }
+
+  input UserFilter {
+    email: StringFilter
+    username: StringFilter
+    firstName: StringFilter
+    lastName: StringFilter
+    role: SetFilter
+    createdAt: DateFilter
+    updatedAt: DateFilter
+  }
+
+  input PostFilter {
+    title: StringFilter
+    slug: StringFilter
+    status: SetFilter
+    publishedAt: DateFilter
+    createdAt: DateFilter
+    updatedAt: DateFilter
+    tags: SetFilter
+  }
+
+  input ProductFilter {
+    name: StringFilter
+    slug: StringFilter
+    price: NumberFilter
+    stock: NumberFilter
+    createdAt: DateFilter
+    updatedAt: DateFilter
+    category: SetFilter
+    tags: SetFilter
+  }
+
+  input CategoryFilter {
+    name: StringFilter
+    slug: StringFilter
+    createdAt: DateFilter
+    updatedAt: DateFilter
+    parent: SetFilter
+  }
+
+  input TagFilter {
+    name: StringFilter
+    slug: StringFilter
+    createdAt: DateFilter
+    updatedAt: DateFilter
+  }
+
+  input ReviewFilter {
+    rating: NumberFilter
+    createdAt: DateFilter
+    updatedAt: DateFilter
+  }
+
+  input OrderFilter {
+    orderNumber: StringFilter
+    status: SetFilter
+    paymentStatus: SetFilter
+    totalAmount: NumberFilter
+    createdAt: DateFilter
+    updatedAt: DateFilter
+  }
+
+  # ─── Mutation inputs (bodies of the matching /api routes) ───
+
+  input RegisterInput {
+    email: String!
+    username: String!
+    password: String!
+    firstName: String
+    lastName: String
+  }
+
+  "Email or username"
+  input LoginInput {
+    email: String
+    username: String
+    password: String!
+  }
+
+  input CreateUserInput {
+    email: String!
+    username: String!
+    password: String!
+    firstName: String
+    lastName: String
+    role: String
+  }
+
+  input UpdateUserInput {
+    email: String
+    username: String
+    password: String
+    firstName: String
+    lastName: String
+    role: String
+  }
+
+  input CreatePostInput {
+    title: String!
+    slug: String
+    content: String!
+    status: String
+    "With status PUBLISHED, a future date schedules the post"
+    publishedAt: DateTime
+    authorId: ID
+    tagIds: [ID!]
+  }
+
+  input UpdatePostInput {
+    title: String
+    slug: String
+    content: String
+    status: String
+    tagIds: [ID!]
+    addTagIds: [ID!]
+    removeTagIds: [ID!]
+  }
+
+  input CreateProductInput {
+    name: String!
+    slug: String
+    description: String
+    price: Float!
+    stock: Int
+    categoryId: ID
+    tagIds: [ID!]
+  }
+
+  input UpdateProductInput {
+    name: String
+    slug: String
+    description: String
+    price: Float
+    stock: Int
+    "null removes the category"
+    categoryId: ID
+    tagIds: [ID!]
+    addTagIds: [ID!]
+    removeTagIds: [ID!]
+  }
+
+  input CreateCategoryInput {
+    name: String!
+    slug: String
+    description: String
+    parentId: ID
+  }
+
+  input UpdateCategoryInput {
+    name: String
+    slug: String
+    description: String
+    parentId: ID
+  }
+
+  input CreateTagInput {
+    name: String!
+    slug: String
+  }
+
+  input UpdateTagInput {
+    name: String
+    slug: String
+  }
+
+  input CreateReviewInput {
+    productId: ID!
+    "1 to 5"
+    rating: Int!
+    comment: String
+  }
+
+  input UpdateReviewInput {
+    rating: Int
+    comment: String
+  }
+
+  input OrderItemInput {
+    productId: ID!
+    quantity: Int!
+  }
+
+  input PlaceOrderInput {
+    "Admins may order for another user"
+    userId: ID
+    items: [OrderItemInput!]!
+  }
+
+  enum TagType {
+    PRODUCT
+    POST
+  }
+
+  type Query {
+    "The authenticated user"
+    me: User
+
+    users(first: Int, after: String, sort: String, filter: UserFilter, includeDeleted: Boolean): UserConnection!
+    user(id: ID!, includeDeleted: Boolean): User
+
+    posts(first: Int, after: String, sort: String, filter: PostFilter, includeDeleted: Boolean): PostConnection!
+    post(id: ID!, includeDeleted: Boolean): Post
+
+    products(first: Int, after: String, sort: String, filter: ProductFilter, includeDeleted: Boolean): ProductConnection!
+    product(id: ID!, includeDeleted: Boolean): Product
+
+    categories(first: Int, after: String, sort: String, filter: CategoryFilter): CategoryConnection!
+    category(id: ID!): Category
+
+    "Tags used by products or by posts with \`type\`"
+    tags(first: Int, after: String, sort: String, filter: TagFilter, type: TagType): TagConnection!
+    tag(id: ID!): Tag
+
+    reviews(first: Int, after: String, sort: String, filter: ReviewFilter, productId: ID): ReviewConnection!
+    review(id: ID!): Review
+
+    "The viewer's orders, every order for admins"
+    orders(first: Int, after: String, sort: String, filter: OrderFilter): OrderConnection!
+    order(id: ID!): Order
+  }
+
+  type Mutation {
+    register(input: RegisterInput!): AuthPayload!
+    login(input: LoginInput!): AuthPayload!
+    refreshToken(refreshToken: String!): AuthPayload!
+    logout(refreshToken: String!): Boolean!
+
+    createUser(input: CreateUserInput!): User!
+    updateUser(id: ID!, input: UpdateUserInput!): User!
+    deleteUser(id: ID!): User!
+    restoreUser(id: ID!): User!
+
+    createPost(input: CreatePostInput!): Post!
+    updatePost(id: ID!, input: UpdatePostInput!): Post!
+    "A future publishedAt schedules the post"
+    publishPost(id: ID!, publishedAt: DateTime): Post!
+    unpublishPost(id: ID!): Post!
+    archivePost(id: ID!): Post!
+    deletePost(id: ID!): Post!
+    restorePost(id: ID!): Post!
+
+    createProduct(input: CreateProductInput!): Product!
+    updateProduct(id: ID!, input: UpdateProductInput!): Product!
+    deleteProduct(id: ID!): Product!
+    restoreProduct(id: ID!): Product!
+
+    createCategory(input: CreateCategoryInput!): Category!
+    updateCategory(id: ID!, input: UpdateCategoryInput!): Category!
+    deleteCategory(id: ID!): Category!
+
+    createTag(input: CreateTagInput!): Tag!
+    updateTag(id: ID!, input: UpdateTagInput!): Tag!
+    deleteTag(id: ID!): Tag!
+
+    "One review per user and product"
+    createReview(input: CreateReviewInput!): Review!
+    updateReview(id: ID!, input: UpdateReviewInput!): Review!
+    deleteReview(id: ID!): Review!
+
+    "Reserves the stock of every item, or fails without placing anything"
+    placeOrder(input: PlaceOrderInput!): Order!
+    "Legal transitions only, customers may only cancel (which restocks the items)"
+    updateOrderStatus(id: ID!, status: String, paymentStatus: String, note: String): Order!
+  }
+`;
@@ -0,0 +1,43 @@
+/**
+ * BACKGROUND JOBS
+ * 
+ * Registers the recurring jobs with the in-process scheduler
+ * Called from server.js once the databases are connected
+ */
+
+import { scheduleJob, stopJobs } from '../utils/scheduler.js';
+import { reportingConfig } from '../config/reporting.js';
+import { softDeleteConfig } from '../config/softDelete.js';
+import { postConfig } from '../config/posts.js';
+import { outboxConfig } from '../config/outbox.js';
+import { refreshPrismaReports, refreshMongooseReports } from './refreshReports.js';
+import { purgePrismaDeleted, purgeMongooseDeleted } from './purgeDeleted.js';
+import { publishPrismaScheduled, publishMongooseScheduled } from './publishScheduled.js';
+import { relayOutbox } from './relayOutbox.js';
+
+export const startJobs = () => {
+  if (reportingConfig.schedulerEnabled) {
+    const interval = reportingConfig.refreshIntervalMinutes * 60 * 1000;
+    scheduleJob('refresh-prisma-reports', interval, refreshPrismaReports, { runOnStart: true });
+    scheduleJob('refresh-mongoose-reports', interval, refreshMongooseReports, { runOnStart: true });
+  }
+  
+  if (softDeleteConfig.purgeEnabled) {
+    const interval = softDeleteConfig.purgeIntervalMinutes * 60 * 1000;
+    scheduleJob('purge-prisma-deleted', interval, () => purgePrismaDeleted());
+    scheduleJob('purge-mongoose-deleted', interval, () => purgeMongooseDeleted());
+  }
+  
+  if (postConfig.publishSchedulerEnabled) {
+    const interval = postConfig.publishIntervalSeconds * 1000;
+    scheduleJob('publish-prisma-scheduled', interval, () => publishPrismaScheduled(), { runOnStart: true });
+    scheduleJob('publish-mongoose-scheduled', interval, () => publishMongooseScheduled(), { runOnStart: true });
+  }
+  
+  if (outboxConfig.relayEnabled) {
+    const interval = outboxConfig.relayIntervalSeconds * 1000;
+    scheduleJob('relay-outbox', interval, () => relayOutbox(), { runOnStart: true });
+  }
+};
+
+export { stopJobs };
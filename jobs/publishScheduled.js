@@ -0,0 +1,28 @@
+/**
+ * PUBLISH SCHEDULED JOB
+ * 
+ * Publishes scheduled posts whose publishedAt has passed
+ * (see utils/postWorkflow.js). Each run resolves to the number of posts published.
+ */
+
+import { prisma } from '../config/prisma.js';
+import Post from '../models/mongoose/Post.js';
+import { NOT_DELETED } from '../utils/softDelete.js';
+
+export const publishPrismaScheduled = async (now = new Date()) => {
+  const { count } = await prisma.post.updateMany({
+    where: { status: 'SCHEDULED', publishedAt: { lte: now }, ...NOT_DELETED },
+    data: { status: 'PUBLISHED' }
+  });
+  
+  return count;
+};
+
+export const publishMongooseScheduled = async (now = new Date()) => {
+  const { modifiedCount } = await Post.updateMany(
+    { status: 'scheduled', publishedAt: { $lte: now }, ...NOT_DELETED },
+    { status: 'published' }
+  );
+  
+  return modifiedCount;
+};
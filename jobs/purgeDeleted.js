@@ -0,0 +1,59 @@
+/**
+ * PURGE DELETED JOB
+ * 
+ * Permanently removes users, posts and products that were soft deleted
+ * longer ago than the retention window (SOFT_DELETE_RETENTION_DAYS)
+ * 
+ * Records still referenced by orders are kept (orders are never purged):
+ * - products that appear in an order item
+ * - users that placed an order
+ * Removing a user or product also removes what the Prisma schema cascades
+ * (posts, reviews, refresh tokens, profile), mirrored by hand for MongoDB.
+ * 
+ * Each run resolves to the number of records removed per entity.
+ */
+
+import { prisma } from '../config/prisma.js';
+import User from '../models/mongoose/User.js';
+import Post from '../models/mongoose/Post.js';
+import Product from '../models/mongoose/Product.js';
+import Review from '../models/mongoose/Review.js';
+import Order from '../models/mongoose/Order.js';
+import RefreshToken from '../models/mongoose/RefreshToken.js';
+import { purgeCutoff } from '../utils/softDelete.js';
+
+export const purgePrismaDeleted = async (now = new Date()) => {
+  const expired = { deletedAt: { lt: purgeCutoff(now) } };
+  
+  const [posts, products, users] = await prisma.$transaction([
+    prisma.post.deleteMany({ where: expired }),
+    prisma.product.deleteMany({ where: { ...expired, orderItems: { none: {} } } }),
+    prisma.user.deleteMany({ where: { ...expired, orders: { none: {} } } })
+  ]);
+  
+  return { posts: posts.count, products: products.count, users: users.count };
+};
+
+export const purgeMongooseDeleted = async (now = new Date()) => {
+  const expired = { deletedAt: { $lt: purgeCutoff(now) } };
+  
+  const [orderedProducts, customers] = await Promise.all([
+    Order.distinct('items.product'),
+    Order.distinct('user')
+  ]);
+  
+  const [productIds, userIds] = await Promise.all([
+    Product.find({ ...expired, _id: { $nin: orderedProducts } }).distinct('_id'),
+    User.find({ ...expired, _id: { $nin: customers } }).distinct('_id')
+  ]);
+  
+  const [posts, products, users] = await Promise.all([
+    Post.deleteMany({ $or: [expired, { author: { $in: userIds } }] }),
+    Product.deleteMany({ _id: { $in: productIds } }),
+    User.deleteMany({ _id: { $in: userIds } }),
+    Review.deleteMany({ $or: [{ product: { $in: productIds } }, { user: { $in: userIds } }] }),
+    RefreshToken.deleteMany({ user: { $in: userIds } })
+  ]);
+  
+  return { posts: posts.deletedCount, products: products.deletedCount, users: users.deletedCount };
+};
@@ -0,0 +1,239 @@
+/**
+ * REFRESH REPORTS JOB
+ * 
+ * Rebuilds the reporting rollups read by the analytics rollup endpoints:
+ * - PostgreSQL: materialized views, created on first run and then refreshed
+ *   concurrently (readers are not blocked while a refresh runs); a view whose
+ *   definition changed in this file is dropped and created again
+ * - MongoDB: rollup collections written with $merge, rows not produced by
+ *   the latest run (e.g. a period whose orders were all cancelled) are removed
+ * 
+ * Each rollup records its lastRefreshedAt in ReportRefresh (both databases).
+ * Concurrent refreshes of the same backend share a single run.
+ */
+
+import { createHash } from 'node:crypto';
+import { prisma } from '../config/prisma.js';
+import Order from '../models/mongoose/Order.js';
+import SalesRollup from '../models/mongoose/SalesRollup.js';
+import ProductPerformanceRollup from '../models/mongoose/ProductPerformanceRollup.js';
+import ReportRefresh from '../models/mongoose/ReportRefresh.js';
+import { REVENUE_EXCLUDED } from '../utils/analytics.js';
+
+// Sales are rolled up per hour and per day, product performance per day
+export const SALES_GRANULARITIES = ['hour', 'day'];
+
+/**
+ * PostgreSQL materialized views (static SQL, no user input)
+ */
+const MATERIALIZED_VIEWS = {
+  sales: {
+    view: 'sales_rollup',
+    key: 'granularity, period',
+    definition: `
+      SELECT g.granularity, date_trunc(g.granularity, o."createdAt") AS period,
+        round(sum(o."totalAmount"), 2)::float8 AS revenue,
+        count(*)::int AS orders,
+        count(DISTINCT o."userId")::int AS customers,
+        coalesce(sum(i.quantity), 0)::int AS "itemsSold"
+      FROM "Order" o
+      CROSS JOIN (VALUES ${SALES_GRANULARITIES.map((unit) => `('${unit}')`).join(', ')}) AS g(granularity)
+      LEFT JOIN (
+        SELECT "orderId", sum(quantity) AS quantity FROM "OrderItem" GROUP BY "orderId"
+      ) i ON i."orderId" = o.id
+      WHERE o.status <> '${REVENUE_EXCLUDED.prisma.status}'
+        AND o."paymentStatus" <> '${REVENUE_EXCLUDED.prisma.paymentStatus}'
+      GROUP BY 1, 2
+    `
+  },
+  productPerformance: {
+    view: 'product_performance_rollup',
+    key: '"productId", day',
+    definition: `
+      SELECT oi."productId", date_trunc('day', o."createdAt") AS day,
+        sum(oi.quantity)::int AS "unitsSold",
+        count(DISTINCT o.id)::int AS orders,
+        round(sum(oi.quantity * oi."unitPrice"), 2)::float8 AS revenue
+      FROM "OrderItem" oi
+      JOIN "Order" o ON o.id = oi."orderId"
+      WHERE o.status <> '${REVENUE_EXCLUDED.prisma.status}'
+        AND o."paymentStatus" <> '${REVENUE_EXCLUDED.prisma.paymentStatus}'
+      GROUP BY 1, 2
+    `
+  }
+};
+
+/**
+ * Orders that count as revenue (MongoDB)
+ */
+const revenueOrders = {
+  status: { $ne: REVENUE_EXCLUDED.mongoose.status },
+  paymentStatus: { $ne: REVENUE_EXCLUDED.mongoose.paymentStatus }
+};
+
+/**
+ * MongoDB rollups, each rebuilt for one refreshedAt stamp
+ */
+const MONGOOSE_ROLLUPS = {
+  sales: async (refreshedAt) => {
+    for (const granularity of SALES_GRANULARITIES) {
+      await Order.aggregate([
+        { $match: revenueOrders },
+        {
+          $group: {
+            _id: { $dateTrunc: { date: '$createdAt', unit: granularity } },
+            revenue: { $sum: '$totalAmount' },
+            orders: { $sum: 1 },
+            customers: { $addToSet: '$user' },
+            itemsSold: { $sum: { $sum: '$items.quantity' } }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            granularity: { $literal: granularity },
+            period: '$_id',
+            revenue: { $round: ['$revenue', 2] },
+            orders: 1,
+            customers: { $size: '$customers' },
+            itemsSold: 1,
+            refreshedAt: { $literal: refreshedAt }
+          }
+        },
+        {
+          $merge: {
+            into: SalesRollup.collection.name,
+            on: ['granularity', 'period'],
+            whenMatched: 'replace',
+            whenNotMatched: 'insert'
+          }
+        }
+      ]);
+    }
+    await SalesRollup.deleteMany({ refreshedAt: { $lt: refreshedAt } });
+  },
+  productPerformance: async (refreshedAt) => {
+    await Order.aggregate([
+      { $match: revenueOrders },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: {
+            product: '$items.product',
+            day: { $dateTrunc: { date: '$createdAt', unit: 'day' } }
+          },
+          unitsSold: { $sum: '$items.quantity' },
+          orders: { $addToSet: '$_id' },
+          revenue: { $sum: { $multiply: ['$items.quantity', '$items.price'] } }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          product: '$_id.product',
+          day: '$_id.day',
+          unitsSold: 1,
+          orders: { $size: '$orders' },
+          revenue: { $round: ['$revenue', 2] },
+          refreshedAt: { $literal: refreshedAt }
+        }
+      },
+      {
+        $merge: {
+          into: ProductPerformanceRollup.collection.name,
+          on: ['product', 'day'],
+          whenMatched: 'replace',
+          whenNotMatched: 'insert'
+        }
+      }
+    ]);
+    await ProductPerformanceRollup.deleteMany({ refreshedAt: { $lt: refreshedAt } });
+  }
+};
+
+/**
+ * Share one run between concurrent callers (scheduler and manual refresh)
+ */
+const inFlight = new Map();
+
+const runOnce = (key, task) => {
+  if (!inFlight.has(key)) {
+    inFlight.set(key, task().finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+};
+
+/**
+ * Create a materialized view, or recreate it when its definition (or key)
+ * differs from the one it was created with: the view's comment holds a hash
+ * of both, since CREATE ... IF NOT EXISTS would keep an outdated view forever
+ * @returns {Promise<Boolean>} Whether the view was (re)created, and so is fresh
+ */
+const ensureMaterializedView = async ({ view, key, definition }) => {
+  const version = createHash('sha256').update(`${key}\n${definition}`).digest('hex').slice(0, 16);
+  const [{ comment }] = await prisma.$queryRaw`
+    SELECT obj_description(to_regclass(${view}), 'pg_class') AS comment
+  `;
+  if (comment === `version ${version}`) return false;
+  
+  await prisma.$transaction([
+    prisma.$executeRawUnsafe(`DROP MATERIALIZED VIEW IF EXISTS ${view}`),
+    prisma.$executeRawUnsafe(`CREATE MATERIALIZED VIEW ${view} AS ${definition}`),
+    // REFRESH ... CONCURRENTLY needs a unique index on the view
+    prisma.$executeRawUnsafe(`CREATE UNIQUE INDEX ${view}_key ON ${view} (${key})`),
+    prisma.$executeRawUnsafe(`COMMENT ON MATERIALIZED VIEW ${view} IS 'version ${version}'`)
+  ]);
+  return true;
+};
+
+/**
+ * Refresh every PostgreSQL materialized view
+ * @returns {Promise<Array<{ name, lastRefreshedAt, durationMs }>>}
+ */
+export const refreshPrismaReports = () => runOnce('prisma', async () => {
+  const refreshes = [];
+  
+  for (const [name, materializedView] of Object.entries(MATERIALIZED_VIEWS)) {
+    const startedAt = Date.now();
+    
+    // A view just created already holds the current data
+    if (!(await ensureMaterializedView(materializedView))) {
+      await prisma.$executeRawUnsafe(`REFRESH MATERIALIZED VIEW CONCURRENTLY ${materializedView.view}`);
+    }
+    
+    const refresh = { lastRefreshedAt: new Date(), durationMs: Date.now() - startedAt };
+    refreshes.push(await prisma.reportRefresh.upsert({
+      where: { name },
+      create: { name, ...refresh },
+      update: refresh
+    }));
+  }
+  
+  return refreshes;
+});
+
+/**
+ * Rebuild every MongoDB rollup collection
+ * @returns {Promise<Array<{ name, lastRefreshedAt, durationMs }>>}
+ */
+export const refreshMongooseReports = () => runOnce('mongoose', async () => {
+  const refreshes = [];
+  
+  // $merge on fields other than _id requires their unique index to exist
+  await Promise.all([SalesRollup.init(), ProductPerformanceRollup.init()]);
+  
+  for (const [name, rebuild] of Object.entries(MONGOOSE_ROLLUPS)) {
+    const startedAt = Date.now();
+    const refreshedAt = new Date();
+    
+    await rebuild(refreshedAt);
+    
+    refreshes.push(await ReportRefresh.findOneAndUpdate(
+      { name },
+      { lastRefreshedAt: refreshedAt, durationMs: Date.now() - startedAt },
+      { new: true, upsert: true, projection: { _id: 0, __v: 0 } }
+    ).lean());
+  }
+  
+  return refreshes;
+});
@@ -0,0 +1,171 @@
+/**
+ * RELAY OUTBOX JOB
+ * 
+ * Projects the PostgreSQL outbox (see utils/outbox.js) into the MongoDB read
+ * models, in event id order:
+ * - order events rebuild the order's OrderView from its current rows
+ * - user and product events refresh their snapshot in every OrderView
+ * 
+ * Projections read the current state instead of the event, so running an
+ * event twice gives the same document: after a crash the relay simply starts
+ * again from the last offset it saved, and replayOutbox() moves that offset
+ * back to rebuild the read models from any point.
+ */
+
+import { prisma } from '../config/prisma.js';
+import OrderView from '../models/mongoose/OrderView.js';
+import OutboxOffset from '../models/mongoose/OutboxOffset.js';
+import { outboxConfig } from '../config/outbox.js';
+import { takeContiguous } from '../utils/outbox.js';
+
+// Name of the relay's offset (OutboxOffset), one per set of read models
+export const RELAY_NAME = 'order-views';
+
+const userSnapshot = { id: true, email: true, firstName: true, lastName: true };
+const productSnapshot = { id: true, name: true, slug: true };
+
+/**
+ * Per aggregate: bring the read models up to date with one changed record
+ */
+const PROJECTIONS = {
+  order: async (id, eventId) => {
+    const order = await prisma.order.findUnique({
+      where: { id },
+      include: {
+        user: { select: userSnapshot },
+        items: { include: { product: { select: productSnapshot } }, orderBy: { id: 'asc' } }
+      }
+    });
+    if (!order) {
+      await OrderView.deleteOne({ orderId: id });
+      return;
+    }
+    
+    await OrderView.updateOne(
+      { orderId: id },
+      {
+        $set: {
+          orderNumber: order.orderNumber,
+          user: order.user,
+          items: order.items.map(({ product, quantity, unitPrice }) => ({ product, quantity, unitPrice: Number(unitPrice) })),
+          totalAmount: Number(order.totalAmount),
+          status: order.status,
+          paymentStatus: order.paymentStatus,
+          placedAt: order.createdAt,
+          changedAt: order.updatedAt
+        },
+        $max: { lastEventId: eventId }
+      },
+      { upsert: true }
+    );
+  },
+  
+  user: async (id, eventId) => {
+    const user = await prisma.user.findUnique({ where: { id }, select: userSnapshot });
+    if (!user) return;
+    
+    await OrderView.updateMany(
+      { 'user.id': id },
+      { $set: { user }, $max: { lastEventId: eventId } }
+    );
+  },
+  
+  product: async (id, eventId) => {
+    const product = await prisma.product.findUnique({ where: { id }, select: productSnapshot });
+    if (!product) return;
+    
+    await OrderView.updateMany(
+      { 'items.product.id': id },
+      { $set: { 'items.$[item].product': product }, $max: { lastEventId: eventId } },
+      { arrayFilters: [{ 'item.product.id': id }] }
+    );
+  }
+};
+
+/**
+ * Project a batch of events
+ * Several events about the same record need a single projection (of its latest state)
+ */
+const project = async (events) => {
+  const latest = new Map();
+  for (const event of events) {
+    const key = `${event.aggregate}:${event.aggregateId}`;
+    latest.delete(key);
+    latest.set(key, event);
+  }
+  
+  for (const { aggregate, aggregateId, id } of latest.values()) {
+    await PROJECTIONS[aggregate]?.(aggregateId, id);
+  }
+};
+
+const readOffset = async () => (await OutboxOffset.findOne({ name: RELAY_NAME }).lean())?.offset ?? 0;
+
+/**
+ * Relay every event that can be relayed, saving the offset after each batch
+ * @returns {Promise<{ relayed: Number, offset: Number }>}
+ */
+export const relayOutbox = async ({
+  batchSize = outboxConfig.batchSize,
+  gapGraceSeconds = outboxConfig.gapGraceSeconds,
+  now = () => new Date()
+} = {}) => {
+  let offset = await readOffset();
+  let relayed = 0;
+  
+  for (;;) {
+    const events = await prisma.outboxEvent.findMany({
+      where: { id: { gt: offset } },
+      orderBy: { id: 'asc' },
+      take: batchSize
+    });
+    const ready = takeContiguous(events, offset, new Date(now().getTime() - gapGraceSeconds * 1000));
+    if (!ready.length) break;
+    
+    await project(ready);
+    offset = ready.at(-1).id;
+    relayed += ready.length;
+    await OutboxOffset.updateOne(
+      { name: RELAY_NAME },
+      { $set: { offset, relayedAt: now() } },
+      { upsert: true }
+    );
+    
+    // Stopped at a gap, or nothing left
+    if (ready.length < events.length || events.length < batchSize) break;
+  }
+  
+  return { relayed, offset };
+};
+
+/**
+ * Project the events after `offset` again on the next run (0 rebuilds everything)
+ */
+export const replayOutbox = async (offset) => {
+  await OutboxOffset.updateOne({ name: RELAY_NAME }, { $set: { offset } }, { upsert: true });
+  return { offset };
+};
+
+/**
+ * How far the read models are behind the outbox
+ * @returns {Promise<Object>} offset, latestEventId, pendingEvents, lagSeconds (age of the
+ * oldest event not relayed yet, 0 when up to date) and relayedAt
+ */
+export const getOutboxLag = async (now = new Date()) => {
+  const checkpoint = await OutboxOffset.findOne({ name: RELAY_NAME }).lean();
+  const offset = checkpoint?.offset ?? 0;
+  
+  const [latest, oldestPending, pendingEvents] = await Promise.all([
+    prisma.outboxEvent.findFirst({ orderBy: { id: 'desc' }, select: { id: true } }),
+    prisma.outboxEvent.findFirst({ where: { id: { gt: offset } }, orderBy: { id: 'asc' }, select: { createdAt: true } }),
+    prisma.outboxEvent.count({ where: { id: { gt: offset } } })
+  ]);
+  
+  return {
+    offset,
+    latestEventId: latest?.id ?? 0,
+    pendingEvents,
+    lagSeconds: oldestPending ? Math.max(0, Math.round((now - oldestPending.createdAt) / 1000)) : 0,
+    relayedAt: checkpoint?.relayedAt ?? null
+  };
+};
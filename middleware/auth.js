@@ -0,0 +1,61 @@
+/**
+ * AUTHENTICATION MIDDLEWARE
+ * 
+ * requireAuth  - Verifies the Bearer access token and populates req.user
+ * optionalAuth - Same when a token is sent, anonymous requests pass through
+ * 
+ * req.user = {
+ *   id:      user id as issued (Int for Prisma, ObjectId string for Mongoose),
+ *   role:    'USER' | 'ADMIN',
+ *   backend: 'prisma' | 'mongoose'
+ * }
+ * 
+ * A token issued by the other backend than the one serving the request
+ * (req.backend, set by middleware/backend.js) is rejected: its user id means nothing there.
+ */
+
+import jwt from 'jsonwebtoken';
+import { UnauthorizedError } from '../utils/AppError.js';
+import { verifyAccessToken } from '../utils/tokens.js';
+
+export const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new UnauthorizedError('Not authorized, no token provided'));
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+
+    if (req.backend && payload.backend !== req.backend) {
+      return next(new UnauthorizedError(`Not authorized, token was issued by the ${payload.backend} backend`));
+    }
+
+    req.user = {
+      id: payload.backend === 'prisma' ? parseInt(payload.sub) : payload.sub,
+      role: payload.role,
+      backend: payload.backend
+    };
+
+    next();
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return next(new UnauthorizedError('Not authorized, token expired'));
+    }
+    next(new UnauthorizedError('Not authorized, invalid token'));
+  }
+};
+
+/**
+ * Populate req.user on public routes when the client sends a token
+ * (e.g. admins asking a public list for ?includeDeleted=true)
+ * A token that is sent but invalid is still rejected.
+ */
+export const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  requireAuth(req, res, next);
+};
@@ -0,0 +1,100 @@
+/**
+ * AUTHORIZATION MIDDLEWARE
+ * 
+ * Must run after requireAuth (relies on req.user), authorizeIncludeDeleted
+ * after optionalAuth and validate() on public routes.
+ * 
+ * authorize(...roles)       - Allow only users whose role is in the list
+ * authorizeOwner(getOwnerId) - Allow the owner of a resource (admins always pass)
+ * authorizeIncludeDeleted    - Allow ?includeDeleted=true for admins only
+ * 
+ * Denials are passed to the global error handler as ForbiddenError (403) so
+ * every route responds with the same shape.
+ */
+
+import { UnauthorizedError, ForbiddenError } from '../utils/AppError.js';
+
+const FORBIDDEN_MESSAGE = 'You do not have permission to perform this action';
+
+/**
+ * Restrict a route to one or more roles
+ * @example router.delete('/:id', requireAuth, authorize('ADMIN'), deleteUser)
+ */
+export const authorize = (...roles) => {
+  const allowedRoles = roles.map((role) => role.toUpperCase());
+
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError('Not authorized, no token provided'));
+    }
+
+    if (!allowedRoles.includes(req.user.role)) {
+      return next(new ForbiddenError(FORBIDDEN_MESSAGE));
+    }
+
+    next();
+  };
+
+  // Read by the OpenAPI generator (utils/openapi.js)
+  middleware.roles = allowedRoles;
+  return middleware;
+};
+
+/**
+ * Restrict a route to the owner of the resource
+ * @param {Function} getOwnerId - async (req) => id of the owning user,
+ *                                or null/undefined when the resource does not exist
+ *                                (the controller then answers with its own 404)
+ */
+export const authorizeOwner = (getOwnerId) => {
+  const middleware = async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(new UnauthorizedError('Not authorized, no token provided'));
+      }
+
+      // Admins may act on any resource
+      if (req.user.role === 'ADMIN') {
+        return next();
+      }
+
+      const ownerId = await getOwnerId(req);
+
+      if (ownerId === null || ownerId === undefined) {
+        return next();
+      }
+
+      if (String(ownerId) !== String(req.user.id)) {
+        return next(new ForbiddenError(FORBIDDEN_MESSAGE));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  middleware.owner = true;
+  return middleware;
+};
+
+/**
+ * Only admins may list or read soft deleted records
+ * Requests without ?includeDeleted=true pass through untouched
+ * @example router.get('/', optionalAuth, validate(listPostsSchema), authorizeIncludeDeleted, getAllPosts)
+ */
+export const authorizeIncludeDeleted = (req, res, next) => {
+  if (!req.query.includeDeleted) {
+    return next();
+  }
+
+  if (!req.user) {
+    return next(new UnauthorizedError('Not authorized, no token provided'));
+  }
+
+  if (req.user.role !== 'ADMIN') {
+    return next(new ForbiddenError('Only admins can include deleted records'));
+  }
+
+  next();
+};
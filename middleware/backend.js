@@ -0,0 +1,58 @@
+/**
+ * BACKEND SELECTION MIDDLEWARE
+ * 
+ * selectBackend - Picks the store serving a backend-agnostic request (/api/users, ...)
+ * useBackend    - Fixes the store of a per-backend router (/api/prisma/*, /api/mongoose/*)
+ * 
+ * In order: the X-Backend header (prisma | mongoose), the backend that issued
+ * the Bearer token (user ids only exist in one store), DEFAULT_BACKEND.
+ * Sets req.backend and req.repos (repositories/index.js) and echoes the
+ * choice in the X-Backend response header.
+ * 
+ * Both set req.backend, so requireAuth then rejects tokens issued by the other backend.
+ */
+
+import jwt from 'jsonwebtoken';
+import { backendConfig } from '../config/backend.js';
+import { repositories } from '../repositories/index.js';
+import { ValidationError } from '../utils/AppError.js';
+
+/**
+ * Backend named in the access token, when the request carries one
+ * (decoded only, requireAuth verifies the signature)
+ */
+const tokenBackend = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return undefined;
+  return jwt.decode(token)?.backend;
+};
+
+export const selectBackend = (req, res, next) => {
+  const requested = req.get(backendConfig.header);
+  const backend = requested
+    ? requested.trim().toLowerCase()
+    : tokenBackend(req) || backendConfig.defaultBackend;
+
+  if (!backendConfig.backends.includes(backend)) {
+    return next(new ValidationError('Validation failed', [{
+      location: 'headers',
+      field: backendConfig.header,
+      message: `"${backendConfig.header}" must be one of [${backendConfig.backends.join(', ')}]`
+    }]));
+  }
+
+  req.backend = backend;
+  req.repos = repositories[backend];
+  res.set(backendConfig.header, backend);
+  next();
+};
+
+/**
+ * Mark every request of a per-backend router as served by `backend`
+ * @param {String} backend - 'prisma' | 'mongoose'
+ */
+export const useBackend = (backend) => (req, res, next) => {
+  req.backend = backend;
+  req.repos = repositories[backend];
+  next();
+};
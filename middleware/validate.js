@@ -0,0 +1,70 @@
+/**
+ * VALIDATION MIDDLEWARE
+ * 
+ * validate({ params, query, body }) - Validates each part of the request
+ * against a Joi schema before the controller runs.
+ * 
+ * - Every failing field is reported (not just the first one)
+ * - Values are coerced to the schema types ('5' -> 5, 'true' -> true)
+ * - Unknown keys are stripped
+ * - Schemas can refer to the request's backend as $backend
+ *   (set on the backend-agnostic routes, see entityId in validators/common.js)
+ * 
+ * On success req.params / req.query / req.body are replaced with the
+ * validated values. On failure a 422 is passed to the global error handler:
+ * 
+ * {
+ *   success: false,
+ *   code: 'VALIDATION_ERROR',
+ *   message: 'Validation failed',
+ *   errors: [{ location: 'body', field: 'price', message: '"price" must be a number' }]
+ * }
+ */
+
+import { ValidationError } from '../utils/AppError.js';
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,   // Collect every error
+  convert: true,       // Coerce types
+  stripUnknown: true   // Drop keys not declared in the schema
+};
+
+// Order matters: params are checked first so a bad :id is reported before the body
+const LOCATIONS = ['params', 'query', 'body'];
+
+export const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const validated = {};
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+
+      const { value, error } = schemas[location].validate(req[location] ?? {}, {
+        ...VALIDATION_OPTIONS,
+        context: { backend: req.backend }
+      });
+
+      if (error) {
+        errors.push(...error.details.map((detail) => ({
+          location,
+          field: detail.path.join('.') || location, // Object level rules (xor, min) have no path
+          message: detail.message
+        })));
+      } else {
+        validated[location] = value;
+      }
+    }
+
+    if (errors.length > 0) {
+      return next(new ValidationError('Validation failed', errors));
+    }
+
+    Object.assign(req, validated);
+    next();
+  };
+
+  // Read by the OpenAPI generator (utils/openapi.js)
+  middleware.schemas = schemas;
+  return middleware;
+};
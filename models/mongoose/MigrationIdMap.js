@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Source id -> id of the copy made by scripts/migrate.js (one entry per migrated record)
+const migrationIdMapSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['prisma', 'mongoose'],
+    required: true
+  },
+  entity: {
+    type: String,
+    required: true
+  },
+  sourceId: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+migrationIdMapSchema.index({ source: 1, entity: 1, sourceId: 1 }, { unique: true });
+
+const MigrationIdMap = mongoose.model('MigrationIdMap', migrationIdMapSchema);
+
+export default MigrationIdMap;
@@ -1,6 +1,11 @@
 import mongoose from 'mongoose';
 
 const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -40,13 +45,38 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'paid', 'failed', 'refunded'],
     default: 'pending'
   },
   paymentMethod: {
     type: String,
     default: 'card'
-  }
+  },
+  // Audit trail of status / payment status transitions
+  history: [{
+    field: {
+      type: String,
+      enum: ['status', 'paymentStatus'],
+      required: true
+    },
+    from: {
+      type: String,
+      default: null // null for the entry written when the order is placed
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    note: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
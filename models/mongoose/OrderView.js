@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// PostgreSQL order with its user and product snapshots embedded (what
+// populate() builds for Mongoose orders), projected by jobs/relayOutbox.js
+// Ids and enum values are the PostgreSQL ones
+const orderViewSchema = new mongoose.Schema({
+  orderId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  user: {
+    id: { type: Number, required: true },
+    email: String,
+    firstName: String,
+    lastName: String
+  },
+  items: [{
+    _id: false,
+    product: {
+      id: { type: Number, required: true },
+      name: String,
+      slug: String
+    },
+    quantity: Number,
+    unitPrice: Number
+  }],
+  totalAmount: Number,
+  status: String,
+  paymentStatus: String,
+  placedAt: Date,
+  changedAt: Date,
+  // Offset of the latest outbox event projected into this document
+  lastEventId: {
+    type: Number,
+    required: true
+  }
+});
+
+// Snapshots are refreshed in every order of a changed user or product
+orderViewSchema.index({ 'user.id': 1 });
+orderViewSchema.index({ 'items.product.id': 1 });
+
+const OrderView = mongoose.model('OrderView', orderViewSchema);
+
+export default OrderView;
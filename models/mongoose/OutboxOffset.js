@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Id of the last outbox event a relay projected (see jobs/relayOutbox.js)
+const outboxOffsetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  offset: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  relayedAt: Date
+});
+
+const OutboxOffset = mongoose.model('OutboxOffset', outboxOffsetSchema);
+
+export default OutboxOffset;
@@ -31,7 +31,8 @@ const postSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    // scheduled posts are published by jobs/publishScheduled.js once publishedAt has passed
+    enum: ['draft', 'scheduled', 'published', 'archived'],
     default: 'draft'
   },
   publishedAt: {
@@ -39,11 +40,26 @@ const postSchema = new mongoose.Schema({
   },
   featuredImage: {
     type: String
+  },
+  // Soft delete: set instead of removing the document, purged after the retention window
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
   }
 }, {
   timestamps: true
 });
 
+// Scheduled publication (jobs/publishScheduled.js)
+postSchema.index({ status: 1, publishedAt: 1 });
+
+// Full-text search (GET /api/mongoose/search), title matches rank above content
+postSchema.index(
+  { title: 'text', content: 'text' },
+  { weights: { title: 10, content: 2 }, name: 'post_text_search' }
+);
+
 const Post = mongoose.model('Post', postSchema);
 
 export default Post;
@@ -40,11 +40,23 @@ const productSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Soft delete: set instead of removing the document, purged after the retention window
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
   }
 }, {
   timestamps: true
 });
 
+// Full-text search (GET /api/mongoose/search), name matches rank above description
+productSchema.index(
+  { name: 'text', description: 'text' },
+  { weights: { name: 10, description: 2 }, name: 'product_text_search' }
+);
+
 const Product = mongoose.model('Product', productSchema);
 
 export default Product;
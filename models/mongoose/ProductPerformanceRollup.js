@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Units sold and revenue per product per day, rebuilt with $merge by jobs/refreshReports.js
+const productPerformanceRollupSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  day: {
+    type: Date,
+    required: true
+  },
+  unitsSold: Number,
+  orders: Number,
+  revenue: Number,
+  refreshedAt: Date
+});
+
+// $merge matches on these fields, which requires a unique index
+productPerformanceRollupSchema.index({ product: 1, day: 1 }, { unique: true });
+productPerformanceRollupSchema.index({ day: 1 });
+
+const ProductPerformanceRollup = mongoose.model('ProductPerformanceRollup', productPerformanceRollupSchema);
+
+export default ProductPerformanceRollup;
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// When each reporting rollup was last rebuilt (see jobs/refreshReports.js)
+const reportRefreshSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastRefreshedAt: {
+    type: Date,
+    required: true
+  },
+  durationMs: Number
+});
+
+const ReportRefresh = mongoose.model('ReportRefresh', reportRefreshSchema);
+
+export default ReportRefresh;
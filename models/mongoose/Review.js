@@ -25,6 +25,9 @@ const reviewSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// One review per user per product
+reviewSchema.index({ user: 1, product: 1 }, { unique: true });
+
 const Review = mongoose.model('Review', reviewSchema);
 
 export default Review;
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Sales totals per hour / day, rebuilt with $merge by jobs/refreshReports.js
+const salesRollupSchema = new mongoose.Schema({
+  granularity: {
+    type: String,
+    enum: ['hour', 'day'],
+    required: true
+  },
+  period: {
+    type: Date,
+    required: true
+  },
+  revenue: Number,
+  orders: Number,
+  customers: Number,
+  itemsSold: Number,
+  refreshedAt: Date
+});
+
+// $merge matches on these fields, which requires a unique index
+salesRollupSchema.index({ granularity: 1, period: 1 }, { unique: true });
+
+const SalesRollup = mongoose.model('SalesRollup', salesRollupSchema);
+
+export default SalesRollup;
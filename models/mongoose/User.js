@@ -16,7 +16,8 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: true
+    required: true,
+    select: false // Never returned unless explicitly requested with .select('+password')
   },
   firstName: {
     type: String,
@@ -41,7 +42,13 @@ const userSchema = new mongoose.Schema({
     state: String,
     zipCode: String,
     country: String
-  }]
+  }],
+  // Soft delete: set instead of removing the document, purged after the retention window
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  }
 }, {
   timestamps: true
 });
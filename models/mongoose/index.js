@@ -12,6 +12,13 @@ import Order from './Order.js';
 import Review from './Review.js';
 import Category from './Category.js';
 import Tag from './Tag.js';
+import RefreshToken from './RefreshToken.js';
+import SalesRollup from './SalesRollup.js';
+import ProductPerformanceRollup from './ProductPerformanceRollup.js';
+import ReportRefresh from './ReportRefresh.js';
+import MigrationIdMap from './MigrationIdMap.js';
+import OrderView from './OrderView.js';
+import OutboxOffset from './OutboxOffset.js';
 
 export {
   User,
@@ -20,7 +27,14 @@ export {
   Order,
   Review,
   Category,
-  Tag
+  Tag,
+  RefreshToken,
+  SalesRollup,
+  ProductPerformanceRollup,
+  ReportRefresh,
+  MigrationIdMap,
+  OrderView,
+  OutboxOffset
 };
 
 /**
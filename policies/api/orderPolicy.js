@@ -0,0 +1,16 @@
+/**
+ * ORDER POLICY (backend-agnostic routes)
+ * 
+ * Ownership rules for Orders: only the customer (or an admin) may see or change an order
+ * (runs after selectBackend and validate(), so req.repos is set and ids are converted)
+ */
+
+import { authorizeOwner } from '../../middleware/authorize.js';
+
+/**
+ * Only the customer who placed the order may view it or change its status
+ */
+export const canViewOrder = authorizeOwner(async (req) => {
+  const order = await req.repos.orders.findState(req.params.id);
+  return order?.userId;
+});
@@ -0,0 +1,22 @@
+/**
+ * POST POLICY (backend-agnostic routes)
+ * 
+ * Ownership rules for Posts: only the author (or an admin) may modify a post
+ * (runs after selectBackend and validate(), so req.repos is set and ids are converted)
+ */
+
+import { authorizeOwner } from '../../middleware/authorize.js';
+
+/**
+ * Only the author may update, delete or restore an existing post
+ */
+export const canModifyPost = authorizeOwner(async (req) => {
+  const post = await req.repos.posts.findState(req.params.id);
+  return post?.authorId;
+});
+
+/**
+ * Users may only create posts as themselves
+ * (authorId defaults to the current user when omitted)
+ */
+export const canCreatePost = authorizeOwner((req) => req.body.authorId ?? null);
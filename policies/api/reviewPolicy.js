@@ -0,0 +1,16 @@
+/**
+ * REVIEW POLICY (backend-agnostic routes)
+ * 
+ * Ownership rules for Reviews: only the reviewer (or an admin) may modify a review
+ * (runs after selectBackend and validate(), so req.repos is set and ids are converted)
+ */
+
+import { authorizeOwner } from '../../middleware/authorize.js';
+
+/**
+ * Only the reviewer may update or delete an existing review
+ */
+export const canModifyReview = authorizeOwner(async (req) => {
+  const review = await req.repos.reviews.findById(req.params.id);
+  return review?.userId;
+});
@@ -0,0 +1,12 @@
+/**
+ * USER POLICY (backend-agnostic routes)
+ * 
+ * Ownership rules for Users: a user may only modify their own account
+ */
+
+import { authorizeOwner } from '../../middleware/authorize.js';
+
+/**
+ * Only the user themselves (or an admin) may update the account
+ */
+export const canModifyUser = authorizeOwner((req) => req.params.id);
@@ -0,0 +1,16 @@
+/**
+ * MONGOOSE ORDER POLICY
+ * 
+ * Ownership rules for Orders: only the customer (or an admin) may see an order
+ */
+
+import Order from '../../models/mongoose/Order.js';
+import { authorizeOwner } from '../../middleware/authorize.js';
+
+/**
+ * Only the customer who placed the order may view it
+ */
+export const canViewOrder = authorizeOwner(async (req) => {
+  const order = await Order.findById(req.params.id).select('user');
+  return order?.user;
+});
@@ -0,0 +1,22 @@
+/**
+ * MONGOOSE POST POLICY
+ * 
+ * Ownership rules for Posts: only the author (or an admin) may modify a post
+ */
+
+import Post from '../../models/mongoose/Post.js';
+import { authorizeOwner } from '../../middleware/authorize.js';
+
+/**
+ * Only the author may update, delete or restore an existing post
+ */
+export const canModifyPost = authorizeOwner(async (req) => {
+  const post = await Post.findById(req.params.id).select('author');
+  return post?.author;
+});
+
+/**
+ * Users may only create posts as themselves
+ * (author defaults to the current user when omitted)
+ */
+export const canCreatePost = authorizeOwner((req) => req.body.author ?? null);
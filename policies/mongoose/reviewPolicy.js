@@ -0,0 +1,16 @@
+/**
+ * MONGOOSE REVIEW POLICY
+ * 
+ * Ownership rules for Reviews: only the reviewer (or an admin) may modify a review
+ */
+
+import Review from '../../models/mongoose/Review.js';
+import { authorizeOwner } from '../../middleware/authorize.js';
+
+/**
+ * Only the reviewer may update or delete an existing review
+ */
+export const canModifyReview = authorizeOwner(async (req) => {
+  const review = await Review.findById(req.params.id).select('user');
+  return review?.user;
+});
@@ -0,0 +1,20 @@
+/**
+ * PRISMA ORDER POLICY
+ * 
+ * Ownership rules for Orders: only the customer (or an admin) may see an order
+ */
+
+import { prisma } from '../../config/prisma.js';
+import { authorizeOwner } from '../../middleware/authorize.js';
+
+/**
+ * Only the customer who placed the order may view it
+ */
+export const canViewOrder = authorizeOwner(async (req) => {
+  const order = await prisma.order.findUnique({
+    where: { id: parseInt(req.params.id) },
+    select: { userId: true }
+  });
+
+  return order?.userId;
+});
@@ -0,0 +1,28 @@
+/**
+ * PRISMA POST POLICY
+ * 
+ * Ownership rules for Posts: only the author (or an admin) may modify a post
+ */
+
+import { prisma } from '../../config/prisma.js';
+import { authorizeOwner } from '../../middleware/authorize.js';
+
+/**
+ * Only the author may update, delete or restore an existing post
+ */
+export const canModifyPost = authorizeOwner(async (req) => {
+  const post = await prisma.post.findUnique({
+    where: { id: parseInt(req.params.id) },
+    select: { authorId: true }
+  });
+
+  return post?.authorId;
+});
+
+/**
+ * Users may only create posts as themselves
+ * (authorId defaults to the current user when omitted)
+ */
+export const canCreatePost = authorizeOwner((req) => {
+  return req.body.authorId === undefined ? null : parseInt(req.body.authorId);
+});
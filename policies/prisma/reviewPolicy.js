@@ -0,0 +1,20 @@
+/**
+ * PRISMA REVIEW POLICY
+ * 
+ * Ownership rules for Reviews: only the reviewer (or an admin) may modify a review
+ */
+
+import { prisma } from '../../config/prisma.js';
+import { authorizeOwner } from '../../middleware/authorize.js';
+
+/**
+ * Only the reviewer may update or delete an existing review
+ */
+export const canModifyReview = authorizeOwner(async (req) => {
+  const review = await prisma.review.findUnique({
+    where: { id: parseInt(req.params.id) },
+    select: { userId: true }
+  });
+
+  return review?.userId;
+});
@@ -0,0 +1,97 @@
+/**
+ * REPOSITORIES
+ * 
+ * One repository per entity and backend, with the same functions on both
+ * sides so the controllers in controllers/api/ never know which store they
+ * talk to. req.repos holds the set picked for the request (middleware/backend.js).
+ * 
+ * Records use one shape on both backends (the Prisma one):
+ * - `id` (Int on Prisma, ObjectId string on Mongoose)
+ * - relations as `authorId`, `categoryId`, `parentId`, `tagIds`,
+ *   related records as { id, name, slug } (author: { id, username, firstName, lastName })
+ * - uppercase enums (role USER / ADMIN, post status DRAFT / SCHEDULED / PUBLISHED / ARCHIVED,
+ *   order status PENDING ... CANCELLED, payment status UNPAID / PAID / FAILED / REFUNDED)
+ * - product prices and order amounts as numbers
+ * 
+ * Contract (every lookup resolves to null when nothing matches, list() to
+ * { data, meta } as in utils/listQuery.js and takes the validated req.query,
+ * findBy*Ids() to the matching records in no particular order):
+ * 
+ *   users          list(query), findById(id, { includeDeleted }),
+ *                  findAccount({ id } | { email } | { username }) - with the password hash,
+ *                                                                  only accounts that can sign in
+ *                  create(data), update(id, data), softDelete(id), restore(id)
+ *   posts          list(query, { viewer }), findById(id, { includeDeleted, viewer }),
+ *                  findByAuthorIds(authorIds, { viewer }) - not deleted, newest first
+ *                  findState(id) - { authorId, status, publishedAt, deletedAt }, deleted or not
+ *                  slugExists(slug), create(data), update(id, data), softDelete(id), restore(id)
+ *   products       list(query), findById(id, { includeDeleted }),
+ *                  findByIds(ids) - deleted ones included (order items still point at them)
+ *                  slugExists(slug), create(data), update(id, data), softDelete(id), restore(id)
+ *   categories     list(query), findById(id), findByIds(ids), findChildren(parentIds),
+ *                  findPath(id) - root down to the category,
+ *                  slugExists(slug), create(data), update(id, data), remove(id)
+ *   tags           list(query, { type }), findById(id), findByIds(ids), findExistingIds(ids),
+ *                  slugExists(slug), create(data), update(id, data), remove(id)
+ *   reviews        list(query, { productId }), findById(id),
+ *                  findByProductIds(productIds) - with the reviewer, newest first
+ *                  reviewExists(userId, productId), create(data), update(id, data), remove(id)
+ *   orders         list(query, { userId }), findById(id),
+ *                  findByUserIds(userIds) - with items and their products, newest first
+ *                  findState(id) - { userId, status, paymentStatus },
+ *                  findHistory(id) - [{ field, fromValue, toValue, note, actorId, actor, createdAt }], oldest first
+ *                  place({ userId, items, actorId }) - reserves stock, snapshots prices and
+ *                    records the first history entry in one transaction; { order }, or
+ *                    { missingProductId } / { shortage: { productId, name, requested, available } }
+ *                    with nothing written
+ *                  changeStatus(id, { from, to, restock, note, actorId }) - applies `to` only while
+ *                    the order is still in state `from` (null otherwise), with history entries
+ *                  hasReceived(userId, productId) - a DELIVERED order of the user contains the product
+ *   refreshTokens  create({ tokenHash, family, expiresAt, userId }),
+ *                  consume(tokenHash) - revokes a live token, { userId, family },
+ *                  findByHash(tokenHash) - { family, revokedAt }, revokeFamily(family)
+ * 
+ * `viewer` is req.user: posts that are not published are only visible to
+ * their author and admins. update() / softDelete() leave deleted records
+ * alone, restore() only matches deleted ones.
+ */
+
+import * as prismaUsers from './prisma/userRepository.js';
+import * as prismaPosts from './prisma/postRepository.js';
+import * as prismaProducts from './prisma/productRepository.js';
+import * as prismaCategories from './prisma/categoryRepository.js';
+import * as prismaTags from './prisma/tagRepository.js';
+import * as prismaReviews from './prisma/reviewRepository.js';
+import * as prismaOrders from './prisma/orderRepository.js';
+import * as prismaRefreshTokens from './prisma/refreshTokenRepository.js';
+import * as mongooseUsers from './mongoose/userRepository.js';
+import * as mongoosePosts from './mongoose/postRepository.js';
+import * as mongooseProducts from './mongoose/productRepository.js';
+import * as mongooseCategories from './mongoose/categoryRepository.js';
+import * as mongooseTags from './mongoose/tagRepository.js';
+import * as mongooseReviews from './mongoose/reviewRepository.js';
+import * as mongooseOrders from './mongoose/orderRepository.js';
+import * as mongooseRefreshTokens from './mongoose/refreshTokenRepository.js';
+
+export const repositories = {
+  prisma: {
+    users: prismaUsers,
+    posts: prismaPosts,
+    products: prismaProducts,
+    categories: prismaCategories,
+    tags: prismaTags,
+    reviews: prismaReviews,
+    orders: prismaOrders,
+    refreshTokens: prismaRefreshTokens
+  },
+  mongoose: {
+    users: mongooseUsers,
+    posts: mongoosePosts,
+    products: mongooseProducts,
+    categories: mongooseCategories,
+    tags: mongooseTags,
+    reviews: mongooseReviews,
+    orders: mongooseOrders,
+    refreshTokens: mongooseRefreshTokens
+  }
+};
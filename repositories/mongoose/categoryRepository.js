@@ -0,0 +1,83 @@
+/**
+ * MONGOOSE CATEGORY REPOSITORY
+ * 
+ * Category records (MongoDB), see repositories/index.js for the contract
+ */
+
+import Category from '../../models/mongoose/Category.js';
+import Product from '../../models/mongoose/Product.js';
+import Post from '../../models/mongoose/Post.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { findCategoryPath } from '../../controllers/mongoose/categoryController.js';
+import { idOf, toRef, pickFields, toDocumentQuery } from './translate.js';
+
+const toCategory = (doc) => doc && ({
+  id: String(doc._id),
+  name: doc.name,
+  slug: doc.slug,
+  description: doc.description ?? null,
+  parentId: idOf(doc.parent) ?? null,
+  parent: toRef(doc.parent) ?? null,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt
+});
+
+const toCategoryData = ({ parentId, ...fields }) => (parentId === undefined ? fields : { ...fields, parent: parentId });
+
+const findPopulated = (filter) => Category.findOne(filter).populate('parent', 'name slug').lean();
+
+export const list = async (query) => {
+  const { data, meta } = await findMongoosePage(Category, {
+    query: toDocumentQuery(query, { parentId: 'parent' }),
+    populate: [['parent', 'name slug']],
+    relations: { parent: { model: Category, key: 'slug' } },
+    defaultSort: 'name',
+    lean: true
+  });
+
+  return { data: data.map((doc) => pickFields(toCategory(doc), query.fields)), meta };
+};
+
+export const findById = async (id) => toCategory(await findPopulated({ _id: id }));
+
+export const findByIds = async (ids) => (
+  await Category.find({ _id: { $in: ids } }).populate('parent', 'name slug').lean()
+).map(toCategory);
+
+export const findChildren = async (parentIds) => (
+  await Category.find({ parent: { $in: parentIds } }).populate('parent', 'name slug').sort({ name: 1 }).lean()
+).map(toCategory);
+
+export const findPath = async (id) => {
+  const path = await findCategoryPath(id);
+  return path.map(({ _id, name, slug, parent }) => ({ id: String(_id), name, slug, parentId: idOf(parent) }));
+};
+
+export const slugExists = async (slug) => Boolean(await Category.exists({ slug }));
+
+export const create = async (data) => {
+  const category = await Category.create(toCategoryData(data));
+  return findById(category._id);
+};
+
+export const update = async (id, data) => {
+  const category = await Category.findByIdAndUpdate(id, toCategoryData(data), { runValidators: true });
+  if (!category) return null;
+
+  return findById(category._id);
+};
+
+// Children become top level and products / posts lose the category (as Prisma's SetNull)
+export const remove = async (id) => {
+  const category = await findById(id);
+  if (!category) return null;
+
+  await Category.deleteOne({ _id: id });
+  await Promise.all([
+    Category.updateMany({ parent: id }, { parent: null }),
+    Product.updateMany({ category: id }, { $unset: { category: 1 } }),
+    Post.updateMany({ category: id }, { $unset: { category: 1 } })
+  ]);
+
+  return category;
+};
@@ -0,0 +1,203 @@
+/**
+ * MONGOOSE ORDER REPOSITORY
+ * 
+ * Order records (MongoDB), see repositories/index.js for the contract
+ * (the Mongo-only shippingAddress and paymentMethod fields are not part of
+ * the record). Placing and changing orders uses transactions, which need
+ * MongoDB to run as a replica set.
+ */
+
+import mongoose from 'mongoose';
+import Order from '../../models/mongoose/Order.js';
+import Product from '../../models/mongoose/Product.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+import { generateOrderNumber } from '../../utils/orderNumber.js';
+import { idOf, upper, lower, toRef, pickFields, toDocumentQuery } from './translate.js';
+
+/**
+ * Unpaid orders are 'pending' in MongoDB, UNPAID in the record
+ */
+const toPaymentStatus = (value) => (value === 'pending' ? 'UNPAID' : upper(value));
+
+const toDocumentPaymentStatus = (value) => {
+  if (Array.isArray(value)) return value.map(toDocumentPaymentStatus);
+  return value === 'UNPAID' ? 'pending' : lower(value);
+};
+
+// Value converters of the order fields, record -> document
+const toDocumentValue = { status: lower, paymentStatus: toDocumentPaymentStatus };
+
+const toOrder = (doc) => doc && ({
+  id: String(doc._id),
+  orderNumber: doc.orderNumber,
+  userId: idOf(doc.user),
+  status: upper(doc.status),
+  paymentStatus: toPaymentStatus(doc.paymentStatus),
+  totalAmount: doc.totalAmount,
+  items: doc.items?.map((item) => ({
+    productId: idOf(item.product),
+    product: toRef(item.product),
+    quantity: item.quantity,
+    unitPrice: item.price
+  })),
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt
+});
+
+/**
+ * Document status / paymentStatus values of record ones
+ */
+const toOrderData = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([field, value]) => [field, toDocumentValue[field](value)])
+);
+
+/**
+ * Thrown inside place() to roll back the stock already reserved
+ */
+class Unavailable extends Error {
+  constructor(result) {
+    super('Order items unavailable');
+    this.result = result;
+  }
+}
+
+export const list = async (query, { userId } = {}) => {
+  const { data, meta } = await findMongoosePage(Order, {
+    query: toDocumentQuery(query, { userId: 'user' }, toDocumentValue),
+    filter: userId === undefined ? {} : { user: userId },
+    populate: [['items.product', 'name slug']],
+    lean: true
+  });
+
+  return { data: data.map((doc) => pickFields(toOrder(doc), query.fields)), meta };
+};
+
+export const findById = async (id) => toOrder(
+  await Order.findById(id).populate('items.product', 'name slug').lean()
+);
+
+export const findByUserIds = async (userIds) => (
+  await Order.find({ user: { $in: userIds } })
+    .populate('items.product', 'name slug')
+    .sort({ createdAt: -1, _id: 1 })
+    .lean()
+).map(toOrder);
+
+export const findState = async (id) => {
+  const order = await Order.findById(id).select('user status paymentStatus').lean();
+  return order && {
+    userId: String(order.user),
+    status: upper(order.status),
+    paymentStatus: toPaymentStatus(order.paymentStatus)
+  };
+};
+
+export const findHistory = async (id) => {
+  const order = await Order.findById(id).select('history').populate('history.actor', 'username role').lean();
+  if (!order) return null;
+
+  const toValue = (field, value) => (field === 'paymentStatus' && value ? toPaymentStatus(value) : upper(value));
+
+  return order.history.map((entry) => ({
+    field: entry.field,
+    fromValue: toValue(entry.field, entry.from ?? null),
+    toValue: toValue(entry.field, entry.to),
+    note: entry.note ?? null,
+    actorId: idOf(entry.actor) ?? null,
+    actor: entry.actor?._id
+      ? { id: String(entry.actor._id), username: entry.actor.username, role: upper(entry.actor.role) }
+      : null,
+    createdAt: entry.at
+  }));
+};
+
+export const place = async ({ userId, items, actorId }) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let orderId;
+
+    await session.withTransaction(async () => {
+      const orderItems = [];
+
+      for (const item of items) {
+        // Reserve stock: the conditional update fails if another order took it first
+        const product = await Product.findOneAndUpdate(
+          { _id: item.productId, isActive: true, ...NOT_DELETED, stock: { $gte: item.quantity } },
+          { $inc: { stock: -item.quantity } },
+          { session }
+        );
+
+        if (!product) {
+          const existing = await Product.findOne({ _id: item.productId, isActive: true, ...NOT_DELETED }).session(session);
+          throw new Unavailable(existing
+            ? { shortage: { productId: String(existing._id), name: existing.name, requested: item.quantity, available: existing.stock } }
+            : { missingProductId: item.productId });
+        }
+
+        // Snapshot the unit price
+        orderItems.push({ product: product._id, quantity: item.quantity, price: product.price });
+      }
+
+      // Work in cents to avoid floating point drift
+      const totalCents = orderItems.reduce((sum, item) => sum + Math.round(item.price * 100) * item.quantity, 0);
+
+      const [order] = await Order.create([{
+        orderNumber: generateOrderNumber(),
+        user: userId,
+        items: orderItems,
+        totalAmount: totalCents / 100,
+        // First history entry: the order was placed
+        history: [{ field: 'status', to: 'pending', actor: actorId }]
+      }], { session });
+      orderId = order._id;
+    });
+
+    return { order: await findById(orderId) };
+  } catch (error) {
+    if (error instanceof Unavailable) return error.result;
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+export const changeStatus = async (id, { from, to, restock = false, note = null, actorId }) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let changed = false;
+
+    await session.withTransaction(async () => {
+      const expected = toOrderData(from);
+      const update = toOrderData(to);
+      const at = new Date();
+      const history = Object.entries(update).map(([field, value]) => ({
+        field, from: expected[field], to: value, note, actor: actorId, at
+      }));
+
+      // Only apply if nobody changed the order since `from` was read
+      const order = await Order.findOneAndUpdate(
+        { _id: id, status: expected.status, paymentStatus: expected.paymentStatus },
+        { $set: update, $push: { history: { $each: history } } },
+        { session }
+      );
+      changed = Boolean(order);
+
+      if (order && restock) {
+        await Product.bulkWrite(order.items.map((item) => ({
+          updateOne: { filter: { _id: item.product }, update: { $inc: { stock: item.quantity } } }
+        })), { session });
+      }
+    });
+
+    return changed ? findById(id) : null;
+  } finally {
+    await session.endSession();
+  }
+};
+
+export const hasReceived = async (userId, productId) => Boolean(
+  await Order.exists({ user: userId, status: 'delivered', 'items.product': productId })
+);
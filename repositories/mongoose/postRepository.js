@@ -0,0 +1,116 @@
+/**
+ * MONGOOSE POST REPOSITORY
+ * 
+ * Post records (MongoDB), see repositories/index.js for the contract
+ * (the Mongo-only category and featuredImage fields are not part of the record)
+ */
+
+import Post from '../../models/mongoose/Post.js';
+import Tag from '../../models/mongoose/Tag.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { NOT_DELETED, deletedFilter } from '../../utils/softDelete.js';
+import { AUTHOR_FIELDS, idOf, upper, lower, toRef, toAuthor, pickFields, toDocumentQuery } from './translate.js';
+
+const toPost = (doc) => doc && ({
+  id: String(doc._id),
+  title: doc.title,
+  slug: doc.slug,
+  content: doc.content,
+  status: upper(doc.status),
+  publishedAt: doc.publishedAt ?? null,
+  authorId: idOf(doc.author),
+  author: toAuthor(doc.author),
+  tags: doc.tags?.map(toRef),
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+  deletedAt: doc.deletedAt ?? null
+});
+
+/**
+ * Posts a viewer may see: admins every post, users also their own, anonymous only published ones
+ * (an $or, so ?filter[status] narrows the result instead of replacing it)
+ */
+const visibleTo = (viewer) => {
+  if (viewer?.role === 'ADMIN') return {};
+  if (viewer) return { $or: [{ status: 'published' }, { author: viewer.id }] };
+  return { status: 'published' };
+};
+
+/**
+ * Record fields to document fields (tagIds replaces every tag,
+ * addTagIds / removeTagIds are applied by update())
+ */
+const toPostData = ({ authorId, tagIds, addTagIds, removeTagIds, status, ...fields }) => {
+  const data = { ...fields };
+  if (authorId !== undefined) data.author = authorId;
+  if (tagIds !== undefined) data.tags = tagIds;
+  if (status !== undefined) data.status = lower(status);
+  return data;
+};
+
+const findPopulated = (filter) => Post.findOne(filter)
+  .populate('author', AUTHOR_FIELDS)
+  .populate('tags', 'name slug')
+  .lean();
+
+export const list = async (query, { viewer } = {}) => {
+  const { data, meta } = await findMongoosePage(Post, {
+    query: toDocumentQuery(query, { authorId: 'author' }, { status: lower }),
+    filter: { ...deletedFilter(query), ...visibleTo(viewer) },
+    populate: [['author', AUTHOR_FIELDS], ['tags', 'name slug']],
+    relations: { tags: { model: Tag, key: 'slug', many: true } },
+    lean: true
+  });
+
+  return { data: data.map((doc) => pickFields(toPost(doc), query.fields)), meta };
+};
+
+export const findById = async (id, { includeDeleted = false, viewer } = {}) => toPost(
+  await findPopulated({ _id: id, ...deletedFilter({ includeDeleted }), ...visibleTo(viewer) })
+);
+
+export const findByAuthorIds = async (authorIds, { viewer } = {}) => (
+  await Post.find({ author: { $in: authorIds }, ...NOT_DELETED, ...visibleTo(viewer) })
+    .populate('author', AUTHOR_FIELDS)
+    .populate('tags', 'name slug')
+    .sort({ createdAt: -1, _id: 1 })
+    .lean()
+).map(toPost);
+
+export const findState = async (id) => {
+  const post = await Post.findById(id).select('author status publishedAt deletedAt').lean();
+  return post && {
+    authorId: String(post.author),
+    status: upper(post.status),
+    publishedAt: post.publishedAt ?? null,
+    deletedAt: post.deletedAt ?? null
+  };
+};
+
+export const slugExists = async (slug) => Boolean(await Post.exists({ slug }));
+
+export const create = async (data) => {
+  const post = await Post.create(toPostData(data));
+  return toPost(await findPopulated({ _id: post._id }));
+};
+
+export const update = async (id, data) => {
+  const { addTagIds, removeTagIds } = data;
+  const post = await Post.findOneAndUpdate({ _id: id, ...NOT_DELETED }, toPostData(data), { runValidators: true });
+  if (!post) return null;
+
+  // $addToSet and $pull on the same array cannot share one update
+  if (addTagIds) await Post.updateOne({ _id: post._id }, { $addToSet: { tags: { $each: addTagIds } } });
+  if (removeTagIds) await Post.updateOne({ _id: post._id }, { $pull: { tags: { $in: removeTagIds } } });
+
+  return toPost(await findPopulated({ _id: post._id }));
+};
+
+export const softDelete = (id) => update(id, { deletedAt: new Date() });
+
+export const restore = async (id) => {
+  const post = await Post.findOneAndUpdate({ _id: id, deletedAt: { $ne: null } }, { deletedAt: null });
+  if (!post) return null;
+
+  return toPost(await findPopulated({ _id: post._id }));
+};
@@ -0,0 +1,99 @@
+/**
+ * MONGOOSE PRODUCT REPOSITORY
+ * 
+ * Product records (MongoDB), see repositories/index.js for the contract
+ * (inactive products are left out like on /api/mongoose/products,
+ * the Mongo-only images and isActive fields are not part of the record)
+ */
+
+import Product from '../../models/mongoose/Product.js';
+import Category from '../../models/mongoose/Category.js';
+import Tag from '../../models/mongoose/Tag.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { NOT_DELETED, deletedFilter } from '../../utils/softDelete.js';
+import { idOf, toRef, pickFields, toDocumentQuery } from './translate.js';
+
+const toProduct = (doc) => doc && ({
+  id: String(doc._id),
+  name: doc.name,
+  slug: doc.slug,
+  description: doc.description ?? null,
+  price: doc.price,
+  stock: doc.stock,
+  categoryId: idOf(doc.category) ?? null,
+  category: toRef(doc.category) ?? null,
+  tags: doc.tags?.map(toRef),
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+  deletedAt: doc.deletedAt ?? null
+});
+
+/**
+ * Record fields to document fields (categoryId null removes the category,
+ * tagIds replaces every tag, addTagIds / removeTagIds are applied by update())
+ */
+const toProductData = ({ categoryId, tagIds, addTagIds, removeTagIds, ...fields }) => {
+  const data = { ...fields };
+  if (categoryId !== undefined) data.category = categoryId;
+  if (tagIds !== undefined) data.tags = tagIds;
+  return data;
+};
+
+const findPopulated = (filter) => Product.findOne(filter)
+  .populate('category', 'name slug')
+  .populate('tags', 'name slug')
+  .lean();
+
+export const list = async (query) => {
+  const { data, meta } = await findMongoosePage(Product, {
+    query: toDocumentQuery(query, { categoryId: 'category' }),
+    filter: { isActive: true, ...deletedFilter(query) },
+    populate: [['category', 'name slug'], ['tags', 'name slug']],
+    relations: {
+      category: { model: Category, key: 'slug' },
+      tags: { model: Tag, key: 'slug', many: true }
+    },
+    lean: true
+  });
+
+  return { data: data.map((doc) => pickFields(toProduct(doc), query.fields)), meta };
+};
+
+export const findById = async (id, { includeDeleted = false } = {}) => toProduct(
+  await findPopulated({ _id: id, ...deletedFilter({ includeDeleted }) })
+);
+
+export const findByIds = async (ids) => (
+  await Product.find({ _id: { $in: ids } })
+    .populate('category', 'name slug')
+    .populate('tags', 'name slug')
+    .lean()
+).map(toProduct);
+
+export const slugExists = async (slug) => Boolean(await Product.exists({ slug }));
+
+export const create = async (data) => {
+  const product = await Product.create(toProductData(data));
+  return toProduct(await findPopulated({ _id: product._id }));
+};
+
+export const update = async (id, data) => {
+  const { addTagIds, removeTagIds } = data;
+  const product = await Product.findOneAndUpdate({ _id: id, ...NOT_DELETED }, toProductData(data), { runValidators: true });
+  if (!product) return null;
+
+  // $addToSet and $pull on the same array cannot share one update
+  if (addTagIds) await Product.updateOne({ _id: product._id }, { $addToSet: { tags: { $each: addTagIds } } });
+  if (removeTagIds) await Product.updateOne({ _id: product._id }, { $pull: { tags: { $in: removeTagIds } } });
+
+  return toProduct(await findPopulated({ _id: product._id }));
+};
+
+export const softDelete = (id) => update(id, { deletedAt: new Date() });
+
+export const restore = async (id) => {
+  const product = await Product.findOneAndUpdate({ _id: id, deletedAt: { $ne: null } }, { deletedAt: null });
+  if (!product) return null;
+
+  return toProduct(await findPopulated({ _id: product._id }));
+};
@@ -0,0 +1,36 @@
+/**
+ * MONGOOSE REFRESH TOKEN REPOSITORY
+ * 
+ * Stored (hashed) refresh tokens (MongoDB), see repositories/index.js for the contract
+ */
+
+import RefreshToken from '../../models/mongoose/RefreshToken.js';
+
+export const create = ({ tokenHash, family, expiresAt, userId }) => RefreshToken.create({
+  tokenHash,
+  family,
+  expiresAt,
+  user: userId
+});
+
+export const consume = async (tokenHash) => {
+  const now = new Date();
+
+  // Revoke atomically: only one request can rotate a given token
+  const token = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now }
+  ).lean();
+
+  return token && { userId: String(token.user), family: token.family };
+};
+
+export const findByHash = async (tokenHash) => {
+  const token = await RefreshToken.findOne({ tokenHash }).lean();
+  return token && { family: token.family, revokedAt: token.revokedAt ?? null };
+};
+
+export const revokeFamily = (family) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { revokedAt: new Date() }
+);
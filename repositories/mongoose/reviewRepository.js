@@ -0,0 +1,66 @@
+/**
+ * MONGOOSE REVIEW REPOSITORY
+ * 
+ * Review records (MongoDB), see repositories/index.js for the contract
+ */
+
+import Review from '../../models/mongoose/Review.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { AUTHOR_FIELDS, idOf, toAuthor, pickFields, toDocumentQuery } from './translate.js';
+
+const toReview = (doc) => doc && ({
+  id: String(doc._id),
+  rating: doc.rating,
+  comment: doc.comment ?? null,
+  userId: idOf(doc.user),
+  user: toAuthor(doc.user),
+  productId: idOf(doc.product),
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt
+});
+
+const findPopulated = (id) => Review.findById(id).populate('user', AUTHOR_FIELDS).lean();
+
+export const list = async (query, { productId } = {}) => {
+  const { data, meta } = await findMongoosePage(Review, {
+    query: toDocumentQuery(query, { userId: 'user', productId: 'product' }),
+    filter: productId === undefined ? {} : { product: productId },
+    populate: [['user', AUTHOR_FIELDS]],
+    lean: true
+  });
+
+  return { data: data.map((doc) => pickFields(toReview(doc), query.fields)), meta };
+};
+
+export const findById = async (id) => toReview(await findPopulated(id));
+
+export const findByProductIds = async (productIds) => (
+  await Review.find({ product: { $in: productIds } })
+    .populate('user', AUTHOR_FIELDS)
+    .sort({ createdAt: -1, _id: 1 })
+    .lean()
+).map(toReview);
+
+export const reviewExists = async (userId, productId) => Boolean(
+  await Review.exists({ user: userId, product: productId })
+);
+
+export const create = async ({ userId, productId, rating, comment }) => {
+  const review = await Review.create({ user: userId, product: productId, rating, comment: comment || undefined });
+  return findById(review._id);
+};
+
+export const update = async (id, data) => {
+  const review = await Review.findByIdAndUpdate(id, data, { runValidators: true });
+  if (!review) return null;
+
+  return findById(review._id);
+};
+
+export const remove = async (id) => {
+  const review = await findById(id);
+  if (!review) return null;
+
+  await Review.deleteOne({ _id: id });
+  return review;
+};
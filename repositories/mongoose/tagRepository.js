@@ -0,0 +1,63 @@
+/**
+ * MONGOOSE TAG REPOSITORY
+ * 
+ * Tag records (MongoDB), see repositories/index.js for the contract
+ */
+
+import Tag from '../../models/mongoose/Tag.js';
+import Product from '../../models/mongoose/Product.js';
+import Post from '../../models/mongoose/Post.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+import { pickFields, toDocumentQuery } from './translate.js';
+
+// Content that can be tagged, for ?type=
+const TAGGED_MODELS = { product: Product, post: Post };
+
+const toTag = (doc) => doc && ({
+  id: String(doc._id),
+  name: doc.name,
+  slug: doc.slug,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt
+});
+
+export const list = async (query, { type } = {}) => {
+  const filter = type ? { _id: { $in: await TAGGED_MODELS[type].distinct('tags', NOT_DELETED) } } : {};
+
+  const { data, meta } = await findMongoosePage(Tag, {
+    query: toDocumentQuery(query),
+    filter,
+    defaultSort: 'name',
+    lean: true
+  });
+
+  return { data: data.map((doc) => pickFields(toTag(doc), query.fields)), meta };
+};
+
+export const findById = async (id) => toTag(await Tag.findById(id).lean());
+
+export const findByIds = async (ids) => (await Tag.find({ _id: { $in: ids } }).lean()).map(toTag);
+
+export const findExistingIds = async (ids) => (await Tag.find({ _id: { $in: ids } }).distinct('_id')).map(String);
+
+export const slugExists = async (slug) => Boolean(await Tag.exists({ slug }));
+
+export const create = async (data) => toTag((await Tag.create(data)).toObject());
+
+export const update = async (id, data) => toTag(
+  await Tag.findByIdAndUpdate(id, data, { new: true, runValidators: true }).lean()
+);
+
+// Products and posts lose the tag (as Prisma removes its PostTags / ProductTags rows)
+export const remove = async (id) => {
+  const tag = await Tag.findByIdAndDelete(id).lean();
+  if (!tag) return null;
+
+  await Promise.all([
+    Product.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } }),
+    Post.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } })
+  ]);
+
+  return toTag(tag);
+};
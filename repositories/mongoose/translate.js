@@ -0,0 +1,84 @@
+/**
+ * MONGOOSE RECORD TRANSLATION
+ * 
+ * The repositories speak the backend-agnostic record shape (the Prisma one):
+ * `id` instead of `_id`, relation ids as `authorId` / `categoryId` / `parentId`
+ * and uppercase enum values. These helpers translate list queries on the
+ * way in and documents on the way out.
+ */
+
+/**
+ * Id of a reference, populated or not (undefined stays undefined)
+ */
+export const idOf = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  return String(value._id ?? value);
+};
+
+/**
+ * Uppercase an enum value, or every value of a list (booleans of ?filter[x][exists] pass through)
+ */
+export const upper = (value) => {
+  if (Array.isArray(value)) return value.map(upper);
+  return typeof value === 'string' ? value.toUpperCase() : value;
+};
+
+export const lower = (value) => {
+  if (Array.isArray(value)) return value.map(lower);
+  return typeof value === 'string' ? value.toLowerCase() : value;
+};
+
+/**
+ * { id, name, slug } of a populated tag / category (null when not populated)
+ */
+export const toRef = (doc) => {
+  if (!doc?._id) return doc === undefined ? undefined : null;
+  return { id: String(doc._id), name: doc.name, slug: doc.slug };
+};
+
+// Fields of a populated author / reviewer (never the password)
+export const AUTHOR_FIELDS = 'username firstName lastName';
+
+/**
+ * { id, username, firstName, lastName } of a populated user (null when not populated)
+ */
+export const toAuthor = (doc) => {
+  if (!doc?._id) return doc === undefined ? undefined : null;
+  return {
+    id: String(doc._id),
+    username: doc.username,
+    firstName: doc.firstName ?? null,
+    lastName: doc.lastName ?? null
+  };
+};
+
+/**
+ * Keep only the ?fields= asked for (and id), like a Prisma select does
+ */
+export const pickFields = (record, fields) => {
+  if (!fields) return record;
+  return Object.fromEntries(Object.entries(record).filter(([key]) => key === 'id' || fields.includes(key)));
+};
+
+/**
+ * Translate a validated list query (utils/listQuery.js) to document field names
+ * 
+ * @param {Object} query - Validated req.query
+ * @param {Object} [paths]  - Record field -> document path, e.g. { authorId: 'author' }
+ * @param {Object} [values] - Record field -> value converter, e.g. { status: lower }
+ */
+export const toDocumentQuery = (query, paths = {}, values = {}) => {
+  const path = (field) => (field === 'id' ? '_id' : paths[field] ?? field);
+
+  return {
+    ...query,
+    sort: query.sort?.map(({ field, direction }) => ({ field: path(field), direction })),
+    fields: query.fields && [...new Set(query.fields.map(path))],
+    filter: query.filter?.map(({ field, operator, value }) => ({
+      field: path(field),
+      operator,
+      value: values[field] ? values[field](value) : value
+    }))
+  };
+};
@@ -0,0 +1,101 @@
+/**
+ * MONGOOSE USER REPOSITORY
+ * 
+ * User records (MongoDB), see repositories/index.js for the contract
+ */
+
+import User from '../../models/mongoose/User.js';
+import Post from '../../models/mongoose/Post.js';
+import RefreshToken from '../../models/mongoose/RefreshToken.js';
+import { findMongoosePage } from '../../utils/listQuery.js';
+import { NOT_DELETED, deletedFilter } from '../../utils/softDelete.js';
+import { upper, lower, pickFields, toDocumentQuery } from './translate.js';
+
+// Fields of a user record (the password hash is never selected by default)
+const USER_FIELDS = 'email username firstName lastName role createdAt updatedAt deletedAt';
+
+const toUser = (doc) => doc && ({
+  id: String(doc._id),
+  email: doc.email,
+  username: doc.username,
+  firstName: doc.firstName ?? null,
+  lastName: doc.lastName ?? null,
+  role: upper(doc.role),
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+  deletedAt: doc.deletedAt ?? null
+});
+
+/**
+ * Record fields to document fields (role is stored lowercase)
+ */
+const toUserData = ({ role, ...fields }) => (role === undefined ? fields : { ...fields, role: lower(role) });
+
+export const list = async (query) => {
+  const { data, meta } = await findMongoosePage(User, {
+    query: toDocumentQuery(query, {}, { role: lower }),
+    filter: deletedFilter(query),
+    select: USER_FIELDS,
+    lean: true
+  });
+
+  return { data: data.map((doc) => pickFields(toUser(doc), query.fields)), meta };
+};
+
+export const findById = async (id, { includeDeleted = false } = {}) => toUser(
+  await User.findOne({ _id: id, ...deletedFilter({ includeDeleted }) }).select(USER_FIELDS).lean()
+);
+
+export const findAccount = async ({ id, email, username }) => {
+  let filter = { username };
+  if (id !== undefined) filter = { _id: id };
+  else if (email !== undefined) filter = { email: email.toLowerCase() };
+
+  // Deactivated accounts cannot sign in either
+  const user = await User.findOne({ ...filter, isActive: true, ...NOT_DELETED })
+    .select(`${USER_FIELDS} +password`)
+    .lean();
+
+  return user && { ...toUser(user), password: user.password };
+};
+
+export const create = async (data) => {
+  const user = await User.create(toUserData(data));
+  return findById(user._id);
+};
+
+export const update = async (id, data) => toUser(
+  await User.findOneAndUpdate({ _id: id, ...NOT_DELETED }, toUserData(data), {
+    new: true,
+    runValidators: true
+  }).select(USER_FIELDS).lean()
+);
+
+export const softDelete = async (id) => {
+  const deletedAt = new Date();
+  const user = await User.findOneAndUpdate({ _id: id, ...NOT_DELETED }, { deletedAt }, { new: true })
+    .select(USER_FIELDS)
+    .lean();
+  if (!user) return null;
+
+  // Their posts are deleted with them and their sessions revoked
+  await Promise.all([
+    Post.updateMany({ author: user._id, ...NOT_DELETED }, { deletedAt }),
+    RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: deletedAt })
+  ]);
+
+  return toUser(user);
+};
+
+export const restore = async (id) => {
+  const user = await User.findOne({ _id: id, deletedAt: { $ne: null } }).select('deletedAt').lean();
+  if (!user) return null;
+
+  // Posts deleted on their own before the user stay deleted
+  await Promise.all([
+    Post.updateMany({ author: user._id, deletedAt: user.deletedAt }, { deletedAt: null }),
+    User.updateOne({ _id: user._id }, { deletedAt: null })
+  ]);
+
+  return findById(user._id);
+};
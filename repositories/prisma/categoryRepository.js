@@ -0,0 +1,75 @@
+/**
+ * PRISMA CATEGORY REPOSITORY
+ * 
+ * Category records (PostgreSQL), see repositories/index.js for the contract
+ */
+
+import { prisma } from '../../config/prisma.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+import { findCategoryPath } from '../../controllers/prisma/categoryController.js';
+
+// Fields of a category record, with its parent
+const categorySelect = {
+  id: true,
+  name: true,
+  slug: true,
+  description: true,
+  parentId: true,
+  parent: { select: { id: true, name: true, slug: true } },
+  createdAt: true,
+  updatedAt: true
+};
+
+export const list = (query) => findPrismaPage(prisma.category, {
+  query,
+  select: categorySelect,
+  relations: { parent: { key: 'slug' } },
+  defaultSort: 'name'
+});
+
+export const findById = (id) => prisma.category.findUnique({
+  where: { id },
+  select: categorySelect
+});
+
+export const findByIds = (ids) => prisma.category.findMany({
+  where: { id: { in: ids } },
+  select: categorySelect
+});
+
+export const findChildren = (parentIds) => prisma.category.findMany({
+  where: { parentId: { in: parentIds } },
+  select: categorySelect,
+  orderBy: { name: 'asc' }
+});
+
+export const findPath = findCategoryPath;
+
+export const slugExists = async (slug) => Boolean(
+  await prisma.category.findUnique({ where: { slug }, select: { id: true } })
+);
+
+export const create = (data) => prisma.category.create({
+  data: {
+    ...data,
+    description: data.description ?? null,
+    parentId: data.parentId ?? null
+  },
+  select: categorySelect
+});
+
+export const update = async (id, data) => {
+  const existing = await prisma.category.findUnique({ where: { id }, select: { id: true } });
+  if (!existing) return null;
+
+  return prisma.category.update({ where: { id }, data, select: categorySelect });
+};
+
+// Children become top level and products lose the category (optional relations default to SetNull)
+export const remove = async (id) => {
+  const existing = await findById(id);
+  if (!existing) return null;
+
+  await prisma.category.delete({ where: { id } });
+  return existing;
+};
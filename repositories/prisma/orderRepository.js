@@ -0,0 +1,198 @@
+/**
+ * PRISMA ORDER REPOSITORY
+ * 
+ * Order records (PostgreSQL), see repositories/index.js for the contract
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../config/prisma.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+import { generateOrderNumber } from '../../utils/orderNumber.js';
+import { outboxEvent, OUTBOX_EVENTS } from '../../utils/outbox.js';
+
+// Fields of an order record, with its items and their products
+const orderSelect = {
+  id: true,
+  orderNumber: true,
+  userId: true,
+  status: true,
+  paymentStatus: true,
+  totalAmount: true,
+  items: {
+    select: {
+      productId: true,
+      product: { select: { id: true, name: true, slug: true } },
+      quantity: true,
+      unitPrice: true
+    }
+  },
+  createdAt: true,
+  updatedAt: true
+};
+
+// Fields of an order history entry, with the acting user
+const historySelect = {
+  field: true,
+  fromValue: true,
+  toValue: true,
+  note: true,
+  actorId: true,
+  actor: { select: { id: true, username: true, role: true } },
+  createdAt: true
+};
+
+/**
+ * Amounts are Decimals in PostgreSQL, numbers in the record
+ * (?fields= may leave either out)
+ */
+const toOrder = (order) => order && ({
+  ...order,
+  ...(order.totalAmount !== undefined && { totalAmount: Number(order.totalAmount) }),
+  ...(order.items && { items: order.items.map((item) => ({ ...item, unitPrice: Number(item.unitPrice) })) })
+});
+
+/**
+ * Thrown inside place() to roll back the stock already reserved
+ */
+class Unavailable extends Error {
+  constructor(result) {
+    super('Order items unavailable');
+    this.result = result;
+  }
+}
+
+export const list = async (query, { userId } = {}) => {
+  const { data, meta } = await findPrismaPage(prisma.order, {
+    query,
+    where: userId === undefined ? {} : { userId },
+    select: orderSelect
+  });
+
+  return { data: data.map(toOrder), meta };
+};
+
+export const findById = async (id) => toOrder(
+  await prisma.order.findUnique({ where: { id }, select: orderSelect })
+);
+
+export const findByUserIds = async (userIds) => (
+  await prisma.order.findMany({
+    where: { userId: { in: userIds } },
+    select: orderSelect,
+    orderBy: [{ createdAt: 'desc' }, { id: 'asc' }]
+  })
+).map(toOrder);
+
+export const findState = (id) => prisma.order.findUnique({
+  where: { id },
+  select: { userId: true, status: true, paymentStatus: true }
+});
+
+export const findHistory = async (id) => {
+  const order = await prisma.order.findUnique({
+    where: { id },
+    select: { history: { select: historySelect, orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] } }
+  });
+  return order?.history ?? null;
+};
+
+export const place = async ({ userId, items, actorId }) => {
+  try {
+    const order = await prisma.$transaction(async (tx) => {
+      const productIds = items.map((item) => item.productId);
+      const products = await tx.product.findMany({
+        where: { id: { in: productIds }, ...NOT_DELETED },
+        select: { id: true, name: true, price: true, stock: true }
+      });
+      const productsById = new Map(products.map((product) => [product.id, product]));
+
+      const missingProductId = productIds.find((productId) => !productsById.has(productId));
+      if (missingProductId !== undefined) throw new Unavailable({ missingProductId });
+
+      // Reserve stock: the conditional update fails if another order took it first
+      for (const item of items) {
+        const { count } = await tx.product.updateMany({
+          where: { id: item.productId, stock: { gte: item.quantity } },
+          data: { stock: { decrement: item.quantity } }
+        });
+
+        if (count === 0) {
+          const product = productsById.get(item.productId);
+          throw new Unavailable({
+            shortage: { productId: product.id, name: product.name, requested: item.quantity, available: product.stock }
+          });
+        }
+      }
+
+      // Snapshot prices and compute the total with decimal precision
+      const orderItems = items.map((item) => ({
+        productId: item.productId,
+        quantity: item.quantity,
+        unitPrice: productsById.get(item.productId).price
+      }));
+
+      const totalAmount = orderItems.reduce(
+        (sum, item) => sum.add(new Prisma.Decimal(item.unitPrice).mul(item.quantity)),
+        new Prisma.Decimal(0)
+      );
+
+      const created = await tx.order.create({
+        data: {
+          orderNumber: generateOrderNumber(),
+          userId,
+          totalAmount,
+          items: { create: orderItems },
+          // First history entry: the order was placed
+          history: { create: { field: 'status', toValue: 'PENDING', actorId } }
+        },
+        select: orderSelect
+      });
+
+      // Read models are updated from the outbox (see jobs/relayOutbox.js)
+      await outboxEvent(tx, OUTBOX_EVENTS.ORDER_PLACED, created.id);
+
+      return created;
+    });
+
+    return { order: toOrder(order) };
+  } catch (error) {
+    if (error instanceof Unavailable) return error.result;
+    throw error;
+  }
+};
+
+export const changeStatus = (id, { from, to, restock = false, note = null, actorId }) => prisma.$transaction(async (tx) => {
+  // Only apply if nobody changed the order since `from` was read
+  const { count } = await tx.order.updateMany({
+    where: { id, status: from.status, paymentStatus: from.paymentStatus },
+    data: to
+  });
+  if (count === 0) return null;
+
+  if (restock) {
+    const items = await tx.orderItem.findMany({ where: { orderId: id }, select: { productId: true, quantity: true } });
+    for (const item of items) {
+      await tx.product.update({
+        where: { id: item.productId },
+        data: { stock: { increment: item.quantity } }
+      });
+    }
+  }
+
+  const changes = Object.entries(to).map(([field, toValue]) => ({ field, fromValue: from[field], toValue }));
+  await tx.orderHistory.createMany({
+    data: changes.map((change) => ({ ...change, orderId: id, note, actorId }))
+  });
+
+  await outboxEvent(tx, OUTBOX_EVENTS.ORDER_STATUS_CHANGED, id, { changes });
+
+  return toOrder(await tx.order.findUnique({ where: { id }, select: orderSelect }));
+});
+
+export const hasReceived = async (userId, productId) => Boolean(
+  await prisma.orderItem.findFirst({
+    where: { productId, order: { userId, status: 'DELIVERED' } },
+    select: { id: true }
+  })
+);
@@ -0,0 +1,102 @@
+/**
+ * PRISMA POST REPOSITORY
+ * 
+ * Post records (PostgreSQL), see repositories/index.js for the contract
+ */
+
+import { prisma } from '../../config/prisma.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+import { NOT_DELETED, deletedFilter } from '../../utils/softDelete.js';
+
+// Fields of a post record, with its author (no sensitive fields) and tags
+const postSelect = {
+  id: true,
+  title: true,
+  slug: true,
+  content: true,
+  status: true,
+  publishedAt: true,
+  authorId: true,
+  author: { select: { id: true, username: true, firstName: true, lastName: true } },
+  tags: { select: { id: true, name: true, slug: true } },
+  createdAt: true,
+  updatedAt: true,
+  deletedAt: true
+};
+
+/**
+ * Posts a viewer may see: admins every post, users also their own, anonymous only published ones
+ * (an OR, so ?filter[status] narrows the result instead of replacing it)
+ */
+const visibleTo = (viewer) => {
+  if (viewer?.role === 'ADMIN') return {};
+  if (viewer) return { OR: [{ status: 'PUBLISHED' }, { authorId: viewer.id }] };
+  return { status: 'PUBLISHED' };
+};
+
+const toTagRefs = (tagIds) => tagIds?.map((id) => ({ id }));
+
+/**
+ * Prisma data for the record fields given (tagIds replaces every tag,
+ * addTagIds / removeTagIds connect or disconnect some)
+ */
+const toPostData = ({ authorId, tagIds, addTagIds, removeTagIds, ...fields }, { creating = false } = {}) => {
+  const data = { ...fields };
+  if (authorId !== undefined) data.author = { connect: { id: authorId } };
+
+  if (tagIds !== undefined) {
+    data.tags = creating ? { connect: toTagRefs(tagIds) } : { set: toTagRefs(tagIds) };
+  } else if (addTagIds || removeTagIds) {
+    data.tags = { connect: toTagRefs(addTagIds), disconnect: toTagRefs(removeTagIds) };
+  }
+
+  return data;
+};
+
+export const list = (query, { viewer } = {}) => findPrismaPage(prisma.post, {
+  query,
+  where: { ...deletedFilter(query), ...visibleTo(viewer) },
+  select: postSelect,
+  relations: { tags: { key: 'slug', many: true } }
+});
+
+export const findById = (id, { includeDeleted = false, viewer } = {}) => prisma.post.findUnique({
+  where: { id, ...deletedFilter({ includeDeleted }), ...visibleTo(viewer) },
+  select: postSelect
+});
+
+export const findByAuthorIds = (authorIds, { viewer } = {}) => prisma.post.findMany({
+  where: { authorId: { in: authorIds }, ...NOT_DELETED, ...visibleTo(viewer) },
+  select: postSelect,
+  orderBy: [{ createdAt: 'desc' }, { id: 'asc' }]
+});
+
+export const findState = (id) => prisma.post.findUnique({
+  where: { id },
+  select: { authorId: true, status: true, publishedAt: true, deletedAt: true }
+});
+
+export const slugExists = async (slug) => Boolean(
+  await prisma.post.findUnique({ where: { slug }, select: { id: true } })
+);
+
+export const create = (data) => prisma.post.create({
+  data: toPostData(data, { creating: true }),
+  select: postSelect
+});
+
+export const update = async (id, data) => {
+  const existing = await prisma.post.findUnique({ where: { id, ...NOT_DELETED }, select: { id: true } });
+  if (!existing) return null;
+
+  return prisma.post.update({ where: { id }, data: toPostData(data), select: postSelect });
+};
+
+export const softDelete = (id) => update(id, { deletedAt: new Date() });
+
+export const restore = async (id) => {
+  const existing = await prisma.post.findUnique({ where: { id }, select: { deletedAt: true } });
+  if (!existing?.deletedAt) return null;
+
+  return prisma.post.update({ where: { id }, data: { deletedAt: null }, select: postSelect });
+};
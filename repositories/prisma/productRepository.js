@@ -0,0 +1,115 @@
+/**
+ * PRISMA PRODUCT REPOSITORY
+ * 
+ * Product records (PostgreSQL), see repositories/index.js for the contract
+ */
+
+import { prisma } from '../../config/prisma.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+import { NOT_DELETED, deletedFilter } from '../../utils/softDelete.js';
+import { outboxEvent, OUTBOX_EVENTS } from '../../utils/outbox.js';
+
+// Fields of a product record, with its category and tags
+const productSelect = {
+  id: true,
+  name: true,
+  slug: true,
+  description: true,
+  price: true,
+  stock: true,
+  categoryId: true,
+  category: { select: { id: true, name: true, slug: true } },
+  tags: { select: { id: true, name: true, slug: true } },
+  createdAt: true,
+  updatedAt: true,
+  deletedAt: true
+};
+
+/**
+ * Prices are Decimals in PostgreSQL, numbers in the record
+ */
+const toProduct = (product) => {
+  if (!product || product.price === undefined) return product;
+  return { ...product, price: Number(product.price) };
+};
+
+const toTagRefs = (tagIds) => tagIds?.map((id) => ({ id }));
+
+/**
+ * Prisma data for the record fields given (categoryId null removes the category,
+ * tagIds replaces every tag, addTagIds / removeTagIds connect or disconnect some)
+ */
+const toProductData = ({ categoryId, tagIds, addTagIds, removeTagIds, ...fields }, { creating = false } = {}) => {
+  const data = { ...fields };
+  if (categoryId === null) data.category = { disconnect: true };
+  else if (categoryId !== undefined) data.category = { connect: { id: categoryId } };
+
+  if (tagIds !== undefined) {
+    data.tags = creating ? { connect: toTagRefs(tagIds) } : { set: toTagRefs(tagIds) };
+  } else if (addTagIds || removeTagIds) {
+    data.tags = { connect: toTagRefs(addTagIds), disconnect: toTagRefs(removeTagIds) };
+  }
+
+  return data;
+};
+
+export const list = async (query) => {
+  const { data, meta } = await findPrismaPage(prisma.product, {
+    query,
+    where: deletedFilter(query),
+    select: productSelect,
+    relations: {
+      category: { key: 'slug' },
+      tags: { key: 'slug', many: true }
+    }
+  });
+
+  return { data: data.map(toProduct), meta };
+};
+
+export const findById = async (id, { includeDeleted = false } = {}) => toProduct(
+  await prisma.product.findUnique({
+    where: { id, ...deletedFilter({ includeDeleted }) },
+    select: productSelect
+  })
+);
+
+export const findByIds = async (ids) => (
+  await prisma.product.findMany({ where: { id: { in: ids } }, select: productSelect })
+).map(toProduct);
+
+export const slugExists = async (slug) => Boolean(
+  await prisma.product.findUnique({ where: { slug }, select: { id: true } })
+);
+
+export const create = async (data) => toProduct(
+  await prisma.product.create({
+    data: {
+      ...toProductData(data, { creating: true }),
+      description: data.description ?? null
+    },
+    select: productSelect
+  })
+);
+
+export const update = async (id, data) => {
+  const existing = await prisma.product.findUnique({ where: { id, ...NOT_DELETED }, select: { id: true } });
+  if (!existing) return null;
+
+  // Order items embed a snapshot of the product in the read models (see utils/outbox.js)
+  const [product] = await prisma.$transaction([
+    prisma.product.update({ where: { id }, data: toProductData(data), select: productSelect }),
+    outboxEvent(prisma, OUTBOX_EVENTS.PRODUCT_UPDATED, id, { fields: Object.keys(data) })
+  ]);
+
+  return toProduct(product);
+};
+
+export const softDelete = (id) => update(id, { deletedAt: new Date() });
+
+export const restore = async (id) => {
+  const existing = await prisma.product.findUnique({ where: { id }, select: { deletedAt: true } });
+  if (!existing?.deletedAt) return null;
+
+  return toProduct(await prisma.product.update({ where: { id }, data: { deletedAt: null }, select: productSelect }));
+};
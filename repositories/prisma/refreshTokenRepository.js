@@ -0,0 +1,37 @@
+/**
+ * PRISMA REFRESH TOKEN REPOSITORY
+ * 
+ * Stored (hashed) refresh tokens (PostgreSQL), see repositories/index.js for the contract
+ */
+
+import { prisma } from '../../config/prisma.js';
+
+export const create = ({ tokenHash, family, expiresAt, userId }) => prisma.refreshToken.create({
+  data: { tokenHash, family, expiresAt, userId }
+});
+
+export const consume = async (tokenHash) => {
+  const now = new Date();
+
+  // Revoke atomically: only one request can rotate a given token
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { tokenHash, revokedAt: null, expiresAt: { gt: now } },
+    data: { revokedAt: now }
+  });
+  if (count === 0) return null;
+
+  return prisma.refreshToken.findUnique({
+    where: { tokenHash },
+    select: { userId: true, family: true }
+  });
+};
+
+export const findByHash = (tokenHash) => prisma.refreshToken.findUnique({
+  where: { tokenHash },
+  select: { family: true, revokedAt: true }
+});
+
+export const revokeFamily = (family) => prisma.refreshToken.updateMany({
+  where: { family, revokedAt: null },
+  data: { revokedAt: new Date() }
+});
@@ -0,0 +1,58 @@
+/**
+ * PRISMA REVIEW REPOSITORY
+ * 
+ * Review records (PostgreSQL), see repositories/index.js for the contract
+ */
+
+import { prisma } from '../../config/prisma.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+
+// Fields of a review record, with its reviewer (no sensitive fields)
+const reviewSelect = {
+  id: true,
+  rating: true,
+  comment: true,
+  userId: true,
+  user: { select: { id: true, username: true, firstName: true, lastName: true } },
+  productId: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+export const list = (query, { productId } = {}) => findPrismaPage(prisma.review, {
+  query,
+  where: productId === undefined ? {} : { productId },
+  select: reviewSelect
+});
+
+export const findById = (id) => prisma.review.findUnique({ where: { id }, select: reviewSelect });
+
+export const findByProductIds = (productIds) => prisma.review.findMany({
+  where: { productId: { in: productIds } },
+  select: reviewSelect,
+  orderBy: [{ createdAt: 'desc' }, { id: 'asc' }]
+});
+
+export const reviewExists = async (userId, productId) => Boolean(
+  await prisma.review.findUnique({ where: { userId_productId: { userId, productId } }, select: { id: true } })
+);
+
+export const create = ({ userId, productId, rating, comment }) => prisma.review.create({
+  data: { rating, comment: comment || null, userId, productId },
+  select: reviewSelect
+});
+
+export const update = async (id, data) => {
+  const existing = await prisma.review.findUnique({ where: { id }, select: { id: true } });
+  if (!existing) return null;
+
+  return prisma.review.update({ where: { id }, data, select: reviewSelect });
+};
+
+export const remove = async (id) => {
+  const existing = await findById(id);
+  if (!existing) return null;
+
+  await prisma.review.delete({ where: { id } });
+  return existing;
+};
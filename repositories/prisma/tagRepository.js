@@ -0,0 +1,71 @@
+/**
+ * PRISMA TAG REPOSITORY
+ * 
+ * Tag records (PostgreSQL), see repositories/index.js for the contract
+ */
+
+import { prisma } from '../../config/prisma.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+import { NOT_DELETED } from '../../utils/softDelete.js';
+
+// Fields of a tag record
+const tagSelect = {
+  id: true,
+  name: true,
+  slug: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Tags used by (not deleted) products or posts, for ?type=
+const TYPE_WHERE = {
+  product: { products: { some: NOT_DELETED } },
+  post: { posts: { some: NOT_DELETED } }
+};
+
+export const list = (query, { type } = {}) => findPrismaPage(prisma.tag, {
+  query,
+  where: TYPE_WHERE[type] ?? {},
+  select: tagSelect,
+  defaultSort: 'name'
+});
+
+export const findById = (id) => prisma.tag.findUnique({
+  where: { id },
+  select: tagSelect
+});
+
+export const findByIds = (ids) => prisma.tag.findMany({
+  where: { id: { in: ids } },
+  select: tagSelect
+});
+
+export const findExistingIds = async (ids) => {
+  const tags = await prisma.tag.findMany({ where: { id: { in: ids } }, select: { id: true } });
+  return tags.map((tag) => tag.id);
+};
+
+export const slugExists = async (slug) => Boolean(
+  await prisma.tag.findUnique({ where: { slug }, select: { id: true } })
+);
+
+export const create = (data) => prisma.tag.create({
+  data,
+  select: tagSelect
+});
+
+export const update = async (id, data) => {
+  const existing = await prisma.tag.findUnique({ where: { id }, select: { id: true } });
+  if (!existing) return null;
+
+  return prisma.tag.update({ where: { id }, data, select: tagSelect });
+};
+
+// Its PostTags / ProductTags rows are removed with it
+export const remove = async (id) => {
+  const existing = await findById(id);
+  if (!existing) return null;
+
+  await prisma.tag.delete({ where: { id } });
+  return existing;
+};
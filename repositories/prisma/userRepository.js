@@ -0,0 +1,95 @@
+/**
+ * PRISMA USER REPOSITORY
+ * 
+ * User records (PostgreSQL), see repositories/index.js for the contract
+ */
+
+import { prisma } from '../../config/prisma.js';
+import { findPrismaPage } from '../../utils/listQuery.js';
+import { NOT_DELETED, deletedFilter } from '../../utils/softDelete.js';
+import { outboxEvent, OUTBOX_EVENTS } from '../../utils/outbox.js';
+
+// Fields of a user record (everything except the password hash)
+const userSelect = {
+  id: true,
+  email: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  createdAt: true,
+  updatedAt: true,
+  deletedAt: true
+};
+
+export const list = (query) => findPrismaPage(prisma.user, {
+  query,
+  where: deletedFilter(query),
+  select: userSelect
+});
+
+export const findById = (id, { includeDeleted = false } = {}) => prisma.user.findUnique({
+  where: { id, ...deletedFilter({ includeDeleted }) },
+  select: userSelect
+});
+
+export const findAccount = ({ id, email, username }) => {
+  let where = { username };
+  if (id !== undefined) where = { id };
+  else if (email !== undefined) where = { email };
+
+  return prisma.user.findUnique({
+    where: { ...where, ...NOT_DELETED },
+    select: { ...userSelect, password: true }
+  });
+};
+
+export const create = (data) => prisma.user.create({
+  data: {
+    ...data,
+    firstName: data.firstName ?? null,
+    lastName: data.lastName ?? null
+  },
+  select: userSelect
+});
+
+export const update = async (id, data) => {
+  const existing = await prisma.user.findUnique({ where: { id, ...NOT_DELETED }, select: { id: true } });
+  if (!existing) return null;
+
+  // Orders embed a snapshot of the user in the read models (see utils/outbox.js)
+  const [user] = await prisma.$transaction([
+    prisma.user.update({ where: { id }, data, select: userSelect }),
+    outboxEvent(prisma, OUTBOX_EVENTS.USER_UPDATED, id, { fields: Object.keys(data) })
+  ]);
+
+  return user;
+};
+
+export const softDelete = async (id) => {
+  const existing = await prisma.user.findUnique({ where: { id, ...NOT_DELETED }, select: { id: true } });
+  if (!existing) return null;
+
+  // Their posts are deleted with them and their sessions revoked
+  const deletedAt = new Date();
+  const [user] = await prisma.$transaction([
+    prisma.user.update({ where: { id }, data: { deletedAt }, select: userSelect }),
+    prisma.post.updateMany({ where: { authorId: id, ...NOT_DELETED }, data: { deletedAt } }),
+    prisma.refreshToken.updateMany({ where: { userId: id, revokedAt: null }, data: { revokedAt: deletedAt } })
+  ]);
+
+  return user;
+};
+
+export const restore = async (id) => {
+  const existing = await prisma.user.findUnique({ where: { id }, select: { deletedAt: true } });
+  if (!existing?.deletedAt) return null;
+
+  // Posts deleted on their own before the user stay deleted
+  const [user] = await prisma.$transaction([
+    prisma.user.update({ where: { id }, data: { deletedAt: null }, select: userSelect }),
+    prisma.post.updateMany({ where: { authorId: id, deletedAt: existing.deletedAt }, data: { deletedAt: null } })
+  ]);
+
+  return user;
+};
@@ -0,0 +1,33 @@
+/**
+ * AUTH ROUTES (backend-agnostic)
+ * 
+ * Defines all authentication routes (tokens are issued for the backend picked by middleware/backend.js)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  getMe
+} from '../../controllers/api/authController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema
+} from '../../validators/authSchemas.js';
+
+router.post('/register', validate(registerSchema), register);      // POST /api/auth/register - Create account
+router.post('/login', validate(loginSchema), login);               // POST /api/auth/login - Get access + refresh token
+router.post('/refresh', validate(refreshTokenSchema), refresh);    // POST /api/auth/refresh - Rotate refresh token
+router.post('/logout', validate(refreshTokenSchema), logout);      // POST /api/auth/logout - Revoke refresh token
+
+router.get('/me', requireAuth, getMe);                             // GET /api/auth/me - Current user
+
+export default router;
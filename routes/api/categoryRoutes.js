@@ -0,0 +1,51 @@
+/**
+ * CATEGORY ROUTES (backend-agnostic)
+ * 
+ * Defines all routes for Category CRUD operations (store picked per request, see middleware/backend.js)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  getAllCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} from '../../controllers/api/categoryController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  listCategoriesSchema,
+  getCategorySchema,
+  createCategorySchema,
+  updateCategorySchema,
+  deleteCategorySchema
+} from '../../validators/api/categorySchemas.js';
+
+/**
+ * Route: /api/categories
+ * Methods: GET (all categories), POST (create category - admin only)
+ */
+router.route('/')
+  // GET /api/categories - Get all categories
+  .get(validate(listCategoriesSchema), getAllCategories)
+  // POST /api/categories - Create new category
+  .post(requireAuth, authorize('ADMIN'), validate(createCategorySchema), createCategory);
+
+/**
+ * Route: /api/categories/:id
+ * Methods: GET (single category), PUT (update - admin only), DELETE (admin only)
+ */
+router.route('/:id')
+  // GET /api/categories/:id - Get category by ID
+  .get(validate(getCategorySchema), getCategoryById)
+  // PUT /api/categories/:id - Update category
+  .put(requireAuth, authorize('ADMIN'), validate(updateCategorySchema), updateCategory)
+  // DELETE /api/categories/:id - Delete category
+  .delete(requireAuth, authorize('ADMIN'), validate(deleteCategorySchema), deleteCategory);
+
+export default router;
@@ -0,0 +1,61 @@
+/**
+ * ORDER ROUTES (backend-agnostic)
+ * 
+ * Defines all routes for Order operations (store picked per request, see middleware/backend.js)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  getAllOrders,
+  getOrderById,
+  createOrder,
+  updateOrderStatus,
+  getOrderHistory
+} from '../../controllers/api/orderController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { canViewOrder } from '../../policies/api/orderPolicy.js';
+import {
+  listOrdersSchema,
+  getOrderSchema,
+  createOrderSchema,
+  updateOrderStatusSchema
+} from '../../validators/api/orderSchemas.js';
+
+// Every order route requires a logged in user
+router.use(requireAuth);
+
+/**
+ * Route: /api/orders
+ * Methods: GET (own orders, all for admins), POST (place order)
+ */
+router.route('/')
+  // GET /api/orders - Get orders
+  .get(validate(listOrdersSchema), getAllOrders)
+  // POST /api/orders - Place new order
+  .post(validate(createOrderSchema), createOrder);
+
+/**
+ * Route: /api/orders/:id
+ * Methods: GET (single order - customer or admin)
+ */
+router.route('/:id')
+  // GET /api/orders/:id - Get order by ID
+  .get(validate(getOrderSchema), canViewOrder, getOrderById);
+
+/**
+ * Route: /api/orders/:id/status
+ * Methods: PATCH (transition status / payment status - customers may only cancel)
+ */
+router.patch('/:id/status', validate(updateOrderStatusSchema), canViewOrder, updateOrderStatus);
+
+/**
+ * Route: /api/orders/:id/history
+ * Methods: GET (status history - customer or admin)
+ */
+router.get('/:id/history', validate(getOrderSchema), canViewOrder, getOrderHistory);
+
+export default router;
@@ -0,0 +1,92 @@
+/**
+ * POST ROUTES (backend-agnostic)
+ * 
+ * Defines all routes for Post CRUD operations (store picked per request, see middleware/backend.js)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  getAllPosts,
+  getPostById,
+  createPost,
+  updatePost,
+  publishPost,
+  unpublishPost,
+  archivePost,
+  deletePost,
+  restorePost
+} from '../../controllers/api/postController.js';
+import { requireAuth, optionalAuth } from '../../middleware/auth.js';
+import { authorizeIncludeDeleted } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import { canCreatePost, canModifyPost } from '../../policies/api/postPolicy.js';
+import {
+  listPostsSchema,
+  getPostSchema,
+  createPostSchema,
+  updatePostSchema,
+  publishPostSchema,
+  unpublishPostSchema,
+  archivePostSchema,
+  deletePostSchema,
+  restorePostSchema
+} from '../../validators/api/postSchemas.js';
+
+/**
+ * Route: /api/posts
+ * Methods: GET (all posts), POST (create post - authenticated, as yourself)
+ */
+router.route('/')
+  // GET /api/posts - Get all posts
+  .get(optionalAuth, validate(listPostsSchema), authorizeIncludeDeleted, getAllPosts)
+  // POST /api/posts - Create new post
+  .post(requireAuth, validate(createPostSchema), canCreatePost, createPost);
+
+/**
+ * Route: /api/posts/:id
+ * Methods: GET (single post), PUT (update - author or admin), DELETE (author or admin)
+ */
+router.route('/:id')
+  // GET /api/posts/:id - Get post by ID
+  .get(optionalAuth, validate(getPostSchema), authorizeIncludeDeleted, getPostById)
+  // PUT /api/posts/:id - Update post
+  .put(requireAuth, validate(updatePostSchema), canModifyPost, updatePost)
+  // DELETE /api/posts/:id - Delete post
+  .delete(requireAuth, validate(deletePostSchema), canModifyPost, deletePost);
+
+/**
+ * Route: /api/posts/:id/publish
+ * Methods: POST (publish now, or schedule with a future publishedAt - author or admin, see utils/postWorkflow.js)
+ */
+router.route('/:id/publish')
+  // POST /api/posts/:id/publish - Publish post
+  .post(requireAuth, validate(publishPostSchema), canModifyPost, publishPost);
+
+/**
+ * Route: /api/posts/:id/unpublish
+ * Methods: POST (back to draft - author or admin)
+ */
+router.route('/:id/unpublish')
+  // POST /api/posts/:id/unpublish - Unpublish post
+  .post(requireAuth, validate(unpublishPostSchema), canModifyPost, unpublishPost);
+
+/**
+ * Route: /api/posts/:id/archive
+ * Methods: POST (hide from listings - author or admin)
+ */
+router.route('/:id/archive')
+  // POST /api/posts/:id/archive - Archive post
+  .post(requireAuth, validate(archivePostSchema), canModifyPost, archivePost);
+
+/**
+ * Route: /api/posts/:id/restore
+ * Methods: POST (undo a soft delete - author or admin)
+ */
+router.route('/:id/restore')
+  // POST /api/posts/:id/restore - Restore soft deleted post
+  .post(requireAuth, validate(restorePostSchema), canModifyPost, restorePost);
+
+export default router;
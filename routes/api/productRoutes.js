@@ -0,0 +1,61 @@
+/**
+ * PRODUCT ROUTES (backend-agnostic)
+ * 
+ * Defines all routes for Product CRUD operations (store picked per request, see middleware/backend.js)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  getAllProducts,
+  getProductById,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  restoreProduct
+} from '../../controllers/api/productController.js';
+import { requireAuth, optionalAuth } from '../../middleware/auth.js';
+import { authorize, authorizeIncludeDeleted } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  listProductsSchema,
+  getProductSchema,
+  createProductSchema,
+  updateProductSchema,
+  deleteProductSchema,
+  restoreProductSchema
+} from '../../validators/api/productSchemas.js';
+
+/**
+ * Route: /api/products
+ * Methods: GET (all products), POST (create product - admin only)
+ */
+router.route('/')
+  // GET /api/products - Get all products
+  .get(optionalAuth, validate(listProductsSchema), authorizeIncludeDeleted, getAllProducts)
+  // POST /api/products - Create new product
+  .post(requireAuth, authorize('ADMIN'), validate(createProductSchema), createProduct);
+
+/**
+ * Route: /api/products/:id
+ * Methods: GET (single product), PUT (update - admin only), DELETE (admin only)
+ */
+router.route('/:id')
+  // GET /api/products/:id - Get product by ID
+  .get(optionalAuth, validate(getProductSchema), authorizeIncludeDeleted, getProductById)
+  // PUT /api/products/:id - Update product
+  .put(requireAuth, authorize('ADMIN'), validate(updateProductSchema), updateProduct)
+  // DELETE /api/products/:id - Delete product
+  .delete(requireAuth, authorize('ADMIN'), validate(deleteProductSchema), deleteProduct);
+
+/**
+ * Route: /api/products/:id/restore
+ * Methods: POST (undo a soft delete - admin only)
+ */
+router.route('/:id/restore')
+  // POST /api/products/:id/restore - Restore soft deleted product
+  .post(requireAuth, authorize('ADMIN'), validate(restoreProductSchema), restoreProduct);
+
+export default router;
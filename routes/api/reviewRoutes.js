@@ -0,0 +1,51 @@
+/**
+ * REVIEW ROUTES (backend-agnostic)
+ * 
+ * Defines all routes for Review CRUD operations (store picked per request, see middleware/backend.js)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  getAllReviews,
+  getReviewById,
+  createReview,
+  updateReview,
+  deleteReview
+} from '../../controllers/api/reviewController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { canModifyReview } from '../../policies/api/reviewPolicy.js';
+import {
+  listReviewsSchema,
+  getReviewSchema,
+  createReviewSchema,
+  updateReviewSchema,
+  deleteReviewSchema
+} from '../../validators/api/reviewSchemas.js';
+
+/**
+ * Route: /api/reviews
+ * Methods: GET (paginated reviews, ?productId=), POST (create review - authenticated, as yourself)
+ */
+router.route('/')
+  // GET /api/reviews - Get reviews
+  .get(validate(listReviewsSchema), getAllReviews)
+  // POST /api/reviews - Create new review
+  .post(requireAuth, validate(createReviewSchema), createReview);
+
+/**
+ * Route: /api/reviews/:id
+ * Methods: GET (single review), PUT (update - reviewer or admin), DELETE (reviewer or admin)
+ */
+router.route('/:id')
+  // GET /api/reviews/:id - Get review by ID
+  .get(validate(getReviewSchema), getReviewById)
+  // PUT /api/reviews/:id - Update review
+  .put(requireAuth, validate(updateReviewSchema), canModifyReview, updateReview)
+  // DELETE /api/reviews/:id - Delete review
+  .delete(requireAuth, validate(deleteReviewSchema), canModifyReview, deleteReview);
+
+export default router;
@@ -0,0 +1,51 @@
+/**
+ * TAG ROUTES (backend-agnostic)
+ * 
+ * Defines all routes for Tag CRUD operations (store picked per request, see middleware/backend.js)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  getAllTags,
+  getTagById,
+  createTag,
+  updateTag,
+  deleteTag
+} from '../../controllers/api/tagController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  listTagsSchema,
+  getTagSchema,
+  createTagSchema,
+  updateTagSchema,
+  deleteTagSchema
+} from '../../validators/api/tagSchemas.js';
+
+/**
+ * Route: /api/tags
+ * Methods: GET (all tags), POST (create tag - admin only)
+ */
+router.route('/')
+  // GET /api/tags - Get all tags (?type=product|post)
+  .get(validate(listTagsSchema), getAllTags)
+  // POST /api/tags - Create new tag
+  .post(requireAuth, authorize('ADMIN'), validate(createTagSchema), createTag);
+
+/**
+ * Route: /api/tags/:id
+ * Methods: GET (single tag), PUT (update - admin only), DELETE (admin only)
+ */
+router.route('/:id')
+  // GET /api/tags/:id - Get tag by ID
+  .get(validate(getTagSchema), getTagById)
+  // PUT /api/tags/:id - Update tag
+  .put(requireAuth, authorize('ADMIN'), validate(updateTagSchema), updateTag)
+  // DELETE /api/tags/:id - Delete tag
+  .delete(requireAuth, authorize('ADMIN'), validate(deleteTagSchema), deleteTag);
+
+export default router;
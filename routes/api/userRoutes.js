@@ -0,0 +1,62 @@
+/**
+ * USER ROUTES (backend-agnostic)
+ * 
+ * Defines all routes for User CRUD operations (store picked per request, see middleware/backend.js)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  getAllUsers,
+  getUserById,
+  createUser,
+  updateUser,
+  deleteUser,
+  restoreUser
+} from '../../controllers/api/userController.js';
+import { requireAuth, optionalAuth } from '../../middleware/auth.js';
+import { authorize, authorizeIncludeDeleted } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import { canModifyUser } from '../../policies/api/userPolicy.js';
+import {
+  listUsersSchema,
+  getUserSchema,
+  createUserSchema,
+  updateUserSchema,
+  deleteUserSchema,
+  restoreUserSchema
+} from '../../validators/api/userSchemas.js';
+
+/**
+ * Route: /api/users
+ * Methods: GET (all users), POST (create user - admin only, others use /auth/register)
+ */
+router.route('/')
+  // GET /api/users - Get all users
+  .get(optionalAuth, validate(listUsersSchema), authorizeIncludeDeleted, getAllUsers)
+  // POST /api/users - Create new user
+  .post(requireAuth, authorize('ADMIN'), validate(createUserSchema), createUser);
+
+/**
+ * Route: /api/users/:id
+ * Methods: GET (single user), PUT (update - self or admin), DELETE (admin only)
+ */
+router.route('/:id')
+  // GET /api/users/:id - Get user by ID
+  .get(optionalAuth, validate(getUserSchema), authorizeIncludeDeleted, getUserById)
+  // PUT /api/users/:id - Update user
+  .put(requireAuth, validate(updateUserSchema), canModifyUser, updateUser)
+  // DELETE /api/users/:id - Delete user
+  .delete(requireAuth, authorize('ADMIN'), validate(deleteUserSchema), deleteUser);
+
+/**
+ * Route: /api/users/:id/restore
+ * Methods: POST (undo a soft delete - admin only)
+ */
+router.route('/:id/restore')
+  // POST /api/users/:id/restore - Restore soft deleted user
+  .post(requireAuth, authorize('ADMIN'), validate(restoreUserSchema), restoreUser);
+
+export default router;
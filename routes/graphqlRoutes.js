@@ -0,0 +1,25 @@
+/**
+ * GRAPHQL ROUTES
+ * 
+ * Single GraphQL endpoint over the backend-agnostic routes (store picked per
+ * request, see middleware/backend.js)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import { executeGraphql } from '../controllers/graphqlController.js';
+import { optionalAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { graphqlRequestSchema } from '../validators/graphqlSchemas.js';
+
+/**
+ * Route: /graphql
+ * Methods: POST (query or mutation, each field applies the rules of the /api route it mirrors)
+ */
+router.route('/')
+  // POST /graphql - Execute a GraphQL operation
+  .post(optionalAuth, validate(graphqlRequestSchema), executeGraphql);
+
+export default router;
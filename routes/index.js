@@ -0,0 +1,184 @@
+/**
+ * ROUTE REGISTRY
+ * 
+ * Every route module of the API and where it is mounted. app.js mounts them
+ * from here, and the same list feeds the root and 404 responses and the
+ * OpenAPI document (utils/openapi.js), so none of them can go stale.
+ * 
+ * A group mounts each of its routers at <prefix>/<name>; a router named ''
+ * is mounted at the prefix itself and its routes are listed one by one.
+ */
+
+import { selectBackend, useBackend } from '../middleware/backend.js';
+import { backendConfig } from '../config/backend.js';
+
+import metaRoutes from './metaRoutes.js';
+
+// Prisma (PostgreSQL) Routes
+import prismaAuthRoutes from './prisma/authRoutes.js';
+import prismaUserRoutes from './prisma/userRoutes.js';
+import prismaPostRoutes from './prisma/postRoutes.js';
+import prismaProductRoutes from './prisma/productRoutes.js';
+import prismaOrderRoutes from './prisma/orderRoutes.js';
+import prismaReviewRoutes from './prisma/reviewRoutes.js';
+import prismaCategoryRoutes from './prisma/categoryRoutes.js';
+import prismaTagRoutes from './prisma/tagRoutes.js';
+import prismaSearchRoutes from './prisma/searchRoutes.js';
+import prismaAnalyticsRoutes from './prisma/analyticsRoutes.js';
+import prismaOutboxRoutes from './prisma/outboxRoutes.js';
+
+// Mongoose (MongoDB) Routes
+import mongooseAuthRoutes from './mongoose/authRoutes.js';
+import mongooseUserRoutes from './mongoose/userRoutes.js';
+import mongoosePostRoutes from './mongoose/postRoutes.js';
+import mongooseProductRoutes from './mongoose/productRoutes.js';
+import mongooseOrderRoutes from './mongoose/orderRoutes.js';
+import mongooseReviewRoutes from './mongoose/reviewRoutes.js';
+import mongooseCategoryRoutes from './mongoose/categoryRoutes.js';
+import mongooseTagRoutes from './mongoose/tagRoutes.js';
+import mongooseSearchRoutes from './mongoose/searchRoutes.js';
+import mongooseAnalyticsRoutes from './mongoose/analyticsRoutes.js';
+
+// Backend-agnostic Routes
+import apiAuthRoutes from './api/authRoutes.js';
+import apiUserRoutes from './api/userRoutes.js';
+import apiPostRoutes from './api/postRoutes.js';
+import apiProductRoutes from './api/productRoutes.js';
+import apiOrderRoutes from './api/orderRoutes.js';
+import apiReviewRoutes from './api/reviewRoutes.js';
+import apiCategoryRoutes from './api/categoryRoutes.js';
+import apiTagRoutes from './api/tagRoutes.js';
+
+// GraphQL (over the backend-agnostic routes)
+import graphqlRoutes from './graphqlRoutes.js';
+
+export const ROUTE_GROUPS = [
+  {
+    name: 'meta',
+    title: 'Health check and API documentation',
+    prefix: '/api',
+    routers: { '': metaRoutes }
+  },
+  {
+    name: 'prisma',
+    title: 'PostgreSQL (Prisma)',
+    prefix: '/api/prisma',
+    middleware: [useBackend('prisma')],
+    routers: {
+      auth: prismaAuthRoutes,
+      users: prismaUserRoutes,
+      posts: prismaPostRoutes,
+      products: prismaProductRoutes,
+      orders: prismaOrderRoutes,
+      reviews: prismaReviewRoutes,
+      categories: prismaCategoryRoutes,
+      tags: prismaTagRoutes,
+      search: prismaSearchRoutes,
+      analytics: prismaAnalyticsRoutes,
+      outbox: prismaOutboxRoutes
+    }
+  },
+  {
+    name: 'mongoose',
+    title: 'MongoDB (Mongoose)',
+    prefix: '/api/mongoose',
+    middleware: [useBackend('mongoose')],
+    routers: {
+      auth: mongooseAuthRoutes,
+      users: mongooseUserRoutes,
+      posts: mongoosePostRoutes,
+      products: mongooseProductRoutes,
+      orders: mongooseOrderRoutes,
+      reviews: mongooseReviewRoutes,
+      categories: mongooseCategoryRoutes,
+      tags: mongooseTagRoutes,
+      search: mongooseSearchRoutes,
+      analytics: mongooseAnalyticsRoutes
+    }
+  },
+  {
+    // One set of controllers over repositories/, the store is picked by the
+    // X-Backend header or DEFAULT_BACKEND (see middleware/backend.js)
+    name: 'api',
+    title: `Backend-agnostic (${backendConfig.header}: ${backendConfig.backends.join(' | ')})`,
+    prefix: '/api',
+    middleware: [selectBackend],
+    routers: {
+      auth: apiAuthRoutes,
+      users: apiUserRoutes,
+      posts: apiPostRoutes,
+      products: apiProductRoutes,
+      orders: apiOrderRoutes,
+      reviews: apiReviewRoutes,
+      categories: apiCategoryRoutes,
+      tags: apiTagRoutes
+    }
+  },
+  {
+    // Queries and mutations run the backend-agnostic routes (see graphql/runRoute.js)
+    name: 'graphql',
+    title: `GraphQL (${backendConfig.header}: ${backendConfig.backends.join(' | ')})`,
+    prefix: '/graphql',
+    middleware: [selectBackend],
+    routers: { '': graphqlRoutes }
+  }
+];
+
+const mountPath = (group, name) => (name ? `${group.prefix}/${name}` : group.prefix);
+
+/**
+ * Mount every router (and keep the registry for the OpenAPI document)
+ */
+export const mountRoutes = (app, groups = ROUTE_GROUPS) => {
+  app.locals.routeGroups = groups;
+  
+  for (const group of groups) {
+    for (const [name, router] of Object.entries(group.routers)) {
+      app.use(mountPath(group, name), ...(group.middleware ?? []), router);
+    }
+  }
+};
+
+/**
+ * Routes listed one by one: { health: '/api/health', openapi: '/api/openapi.json', ... }
+ * (a route at the prefix itself is named after the group: { graphql: '/graphql' })
+ */
+const listEndpoints = (group, router) => Object.fromEntries(router.stack
+  .filter((layer) => layer.route)
+  .map(({ route }) => (route.path === '/'
+    ? [group.name, group.prefix]
+    : [route.path.slice(1).split('.')[0], `${group.prefix}${route.path}`])));
+
+/**
+ * Every mount path, per group (404 response)
+ * { health: '/api/health', ..., prisma: { auth: '/api/prisma/auth', ... }, ... }
+ */
+export const listRoutes = (groups = ROUTE_GROUPS) => {
+  const routes = {};
+  
+  for (const group of groups) {
+    const { '': endpoints, ...routers } = group.routers;
+    if (endpoints) Object.assign(routes, listEndpoints(group, endpoints));
+    if (Object.keys(routers).length) {
+      routes[group.name] = Object.fromEntries(Object.keys(routers).map((name) => [name, mountPath(group, name)]));
+    }
+  }
+  
+  return routes;
+};
+
+/**
+ * One line per group (root response)
+ * { health: '/api/health', ..., prisma: '/api/prisma/* - PostgreSQL (Prisma)', ... }
+ */
+export const describeRoutes = (groups = ROUTE_GROUPS) => {
+  const documentation = {};
+  
+  for (const group of groups) {
+    const { '': endpoints, ...routers } = group.routers;
+    if (endpoints) Object.assign(documentation, listEndpoints(group, endpoints));
+    if (Object.keys(routers).length) documentation[group.name] = `${group.prefix}/* - ${group.title}`;
+  }
+  
+  return documentation;
+};
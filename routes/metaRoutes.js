@@ -0,0 +1,17 @@
+/**
+ * META ROUTES
+ * 
+ * Health check and API documentation
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import { getHealth, getOpenApiDocument, getDocs } from '../controllers/metaController.js';
+
+router.get('/health', getHealth);                    // GET /api/health - Health check
+router.get('/openapi.json', getOpenApiDocument);     // GET /api/openapi.json - OpenAPI 3 document
+router.get('/docs', getDocs);                        // GET /api/docs - Interactive docs
+
+export default router;
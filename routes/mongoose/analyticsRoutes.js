@@ -0,0 +1,108 @@
+/**
+ * MONGOOSE ANALYTICS ROUTES
+ * 
+ * Admin reporting endpoints (MongoDB)
+ */
+
+import express from 'express';
+import * as analyticsController from '../../controllers/mongoose/analyticsController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  revenueSchema,
+  topProductsSchema,
+  ratingsByCategorySchema,
+  lowStockSchema,
+  customerLifetimeValueSchema,
+  cohortsSchema,
+  salesRollupSchema,
+  productPerformanceRollupSchema
+} from '../../validators/analyticsSchemas.js';
+
+const router = express.Router();
+
+// Every analytics route is admin only
+router.use(requireAuth, authorize('ADMIN'));
+
+/**
+ * Route: /api/mongoose/analytics/revenue
+ * Methods: GET (revenue per day / week / month / year)
+ * Query params: from, to (ISO dates, default last 12 months), granularity
+ */
+router.route('/revenue')
+  // GET /api/mongoose/analytics/revenue - Revenue time series and totals
+  .get(validate(revenueSchema), analyticsController.getRevenue);
+
+/**
+ * Route: /api/mongoose/analytics/top-products
+ * Methods: GET (best-selling products)
+ * Query params: from, to, limit (default 10)
+ */
+router.route('/top-products')
+  // GET /api/mongoose/analytics/top-products - Best sellers by units sold
+  .get(validate(topProductsSchema), analyticsController.getTopProducts);
+
+/**
+ * Route: /api/mongoose/analytics/ratings-by-category
+ * Methods: GET (average review rating per category)
+ * Query params: from, to
+ */
+router.route('/ratings-by-category')
+  // GET /api/mongoose/analytics/ratings-by-category - Average rating per category
+  .get(validate(ratingsByCategorySchema), analyticsController.getRatingsByCategory);
+
+/**
+ * Route: /api/mongoose/analytics/low-stock
+ * Methods: GET (products running out, stock distribution)
+ * Query params: threshold (default 10), limit (default 50)
+ */
+router.route('/low-stock')
+  // GET /api/mongoose/analytics/low-stock - Low-stock products
+  .get(validate(lowStockSchema), analyticsController.getLowStock);
+
+/**
+ * Route: /api/mongoose/analytics/customer-lifetime-value
+ * Methods: GET (top customers, spend distribution, averages)
+ * Query params: from, to, limit (default 10)
+ */
+router.route('/customer-lifetime-value')
+  // GET /api/mongoose/analytics/customer-lifetime-value - Customer lifetime value
+  .get(validate(customerLifetimeValueSchema), analyticsController.getCustomerLifetimeValue);
+
+/**
+ * Route: /api/mongoose/analytics/cohorts
+ * Methods: GET (signup cohorts and their ordering activity per period)
+ * Query params: from, to, granularity
+ */
+router.route('/cohorts')
+  // GET /api/mongoose/analytics/cohorts - Cohort retention
+  .get(validate(cohortsSchema), analyticsController.getCohorts);
+
+/**
+ * Route: /api/mongoose/analytics/rollups/sales
+ * Methods: GET (precomputed sales per hour / day, with lastRefreshedAt)
+ * Query params: from, to, granularity (hour | day)
+ */
+router.route('/rollups/sales')
+  // GET /api/mongoose/analytics/rollups/sales - Sales rollup
+  .get(validate(salesRollupSchema), analyticsController.getSalesRollup);
+
+/**
+ * Route: /api/mongoose/analytics/rollups/products
+ * Methods: GET (precomputed product performance, with lastRefreshedAt)
+ * Query params: from, to, limit (default 10)
+ */
+router.route('/rollups/products')
+  // GET /api/mongoose/analytics/rollups/products - Product performance rollup
+  .get(validate(productPerformanceRollupSchema), analyticsController.getProductPerformanceRollup);
+
+/**
+ * Route: /api/mongoose/analytics/rollups/refresh
+ * Methods: POST (rebuild the rollups now instead of waiting for the scheduler)
+ */
+router.route('/rollups/refresh')
+  // POST /api/mongoose/analytics/rollups/refresh - Refresh rollups
+  .post(analyticsController.refreshRollups);
+
+export default router;
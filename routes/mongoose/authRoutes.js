@@ -0,0 +1,33 @@
+/**
+ * MONGOOSE AUTH ROUTES
+ * 
+ * Defines all authentication routes (MongoDB)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  getMe
+} from '../../controllers/mongoose/authController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema
+} from '../../validators/authSchemas.js';
+
+router.post('/register', validate(registerSchema), register);      // POST /api/mongoose/auth/register - Create account
+router.post('/login', validate(loginSchema), login);               // POST /api/mongoose/auth/login - Get access + refresh token
+router.post('/refresh', validate(refreshTokenSchema), refresh);    // POST /api/mongoose/auth/refresh - Rotate refresh token
+router.post('/logout', validate(refreshTokenSchema), logout);      // POST /api/mongoose/auth/logout - Revoke refresh token
+
+router.get('/me', requireAuth, getMe);                             // GET /api/mongoose/auth/me - Current user
+
+export default router;
@@ -0,0 +1,61 @@
+/**
+ * MONGOOSE CATEGORY ROUTES
+ * 
+ * Defines all routes for Category CRUD operations and the category hierarchy (MongoDB)
+ */
+
+import express from 'express';
+import * as categoryController from '../../controllers/mongoose/categoryController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  listCategoriesSchema,
+  getCategorySchema,
+  getCategoryDescendantsSchema,
+  createCategorySchema,
+  updateCategorySchema,
+  deleteCategorySchema
+} from '../../validators/mongoose/categorySchemas.js';
+
+const router = express.Router();
+
+/**
+ * Route: /api/mongoose/categories
+ * Methods: GET (all categories), POST (create category - admin only)
+ */
+router.route('/')
+  // GET /api/mongoose/categories - Get all categories
+  .get(validate(listCategoriesSchema), categoryController.getAllCategories)
+  // POST /api/mongoose/categories - Create new category
+  .post(requireAuth, authorize('ADMIN'), validate(createCategorySchema), categoryController.createCategory);
+
+/**
+ * Route: /api/mongoose/categories/tree
+ * Methods: GET (nested hierarchy with product counts)
+ */
+router.route('/tree')
+  // GET /api/mongoose/categories/tree - Get category tree
+  .get(categoryController.getCategoryTree);
+
+/**
+ * Route: /api/mongoose/categories/:slug/descendants
+ * Methods: GET (every category below the given one)
+ */
+router.route('/:slug/descendants')
+  // GET /api/mongoose/categories/:slug/descendants - Get category descendants
+  .get(validate(getCategoryDescendantsSchema), categoryController.getCategoryDescendants);
+
+/**
+ * Route: /api/mongoose/categories/:id
+ * Methods: GET (single category), PUT (update - admin only), DELETE (admin only)
+ */
+router.route('/:id')
+  // GET /api/mongoose/categories/:id - Get category by ID
+  .get(validate(getCategorySchema), categoryController.getCategoryById)
+  // PUT /api/mongoose/categories/:id - Update category
+  .put(requireAuth, authorize('ADMIN'), validate(updateCategorySchema), categoryController.updateCategory)
+  // DELETE /api/mongoose/categories/:id - Delete category
+  .delete(requireAuth, authorize('ADMIN'), validate(deleteCategorySchema), categoryController.deleteCategory);
+
+export default router;
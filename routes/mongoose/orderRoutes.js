@@ -1,8 +1,61 @@
+/**
+ * MONGOOSE ORDER ROUTES
+ * 
+ * Defines all routes for Order CRUD operations (MongoDB)
+ */
+
 import express from 'express';
 import * as orderController from '../../controllers/mongoose/orderController.js'
+import { requireAuth } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import { canViewOrder } from '../../policies/mongoose/orderPolicy.js';
+import {
+  listOrdersSchema,
+  getOrderSchema,
+  createOrderSchema,
+  updateOrderSchema,
+  updateOrderStatusSchema,
+  deleteOrderSchema
+} from '../../validators/mongoose/orderSchemas.js';
 
 const router = express.Router();
 
-router.get('/:id',orderController.getOrdersWithUserAndProductDetails);
+// Every order route requires a logged in user
+router.use(requireAuth);
+
+/**
+ * Route: /api/mongoose/orders
+ * Methods: GET (own orders, all for admins), POST (place order)
+ */
+router.route('/')
+  // GET /api/mongoose/orders - Get orders
+  .get(validate(listOrdersSchema), orderController.getAllOrders)
+  // POST /api/mongoose/orders - Create new order
+  .post(validate(createOrderSchema), orderController.createOrder);
+
+/**
+ * Route: /api/mongoose/orders/:id
+ * Methods: GET (single order - customer or admin), PUT (shipping / payment method - admin only), DELETE (admin only)
+ */
+router.route('/:id')
+  // GET /api/mongoose/orders/:id - Get order with user and product details
+  .get(validate(getOrderSchema), canViewOrder, orderController.getOrdersWithUserAndProductDetails)
+  // PUT /api/mongoose/orders/:id - Update order
+  .put(authorize('ADMIN'), validate(updateOrderSchema), orderController.updateOrder)
+  // DELETE /api/mongoose/orders/:id - Delete order
+  .delete(authorize('ADMIN'), validate(deleteOrderSchema), orderController.deleteOrder);
+
+/**
+ * Route: /api/mongoose/orders/:id/status
+ * Methods: PATCH (transition status / payment status - customers may only cancel)
+ */
+router.patch('/:id/status', validate(updateOrderStatusSchema), canViewOrder, orderController.updateOrderStatus);
+
+/**
+ * Route: /api/mongoose/orders/:id/history
+ * Methods: GET (status history - customer or admin)
+ */
+router.get('/:id/history', validate(getOrderSchema), canViewOrder, orderController.getOrderHistory);
 
-export default router;
\ No newline at end of file
+export default router;
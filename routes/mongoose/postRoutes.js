@@ -1,8 +1,84 @@
+/**
+ * MONGOOSE POST ROUTES
+ * 
+ * Defines all routes for Post CRUD operations (MongoDB)
+ */
+
 import express from 'express'
 import * as postController from '../../controllers/mongoose/postController.js';
+import { requireAuth, optionalAuth } from '../../middleware/auth.js';
+import { authorizeIncludeDeleted } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import { canCreatePost, canModifyPost } from '../../policies/mongoose/postPolicy.js';
+import {
+  getPostsByCategorySchema,
+  listPostsSchema,
+  getPostSchema,
+  createPostSchema,
+  updatePostSchema,
+  publishPostSchema,
+  unpublishPostSchema,
+  archivePostSchema,
+  deletePostSchema,
+  restorePostSchema
+} from '../../validators/mongoose/postSchemas.js';
 
 const router = express.Router();
 
-router.get('/category/:slug',postController.getPostsByCategory);
+router.get('/category/:slug', optionalAuth, validate(getPostsByCategorySchema), postController.getPostsByCategory);
+
+/**
+ * Route: /api/mongoose/posts
+ * Methods: GET (all posts), POST (create post - authenticated, as yourself)
+ */
+router.route('/')
+  // GET /api/mongoose/posts - Get all posts
+  .get(optionalAuth, validate(listPostsSchema), authorizeIncludeDeleted, postController.getAllPosts)
+  // POST /api/mongoose/posts - Create new post
+  .post(requireAuth, validate(createPostSchema), canCreatePost, postController.createPost);
+
+/**
+ * Route: /api/mongoose/posts/:id
+ * Methods: GET (single post), PUT (update - author or admin), DELETE (author or admin)
+ */
+router.route('/:id')
+  // GET /api/mongoose/posts/:id - Get post by ID
+  .get(optionalAuth, validate(getPostSchema), authorizeIncludeDeleted, postController.getPostById)
+  // PUT /api/mongoose/posts/:id - Update post
+  .put(requireAuth, validate(updatePostSchema), canModifyPost, postController.updatePost)
+  // DELETE /api/mongoose/posts/:id - Delete post
+  .delete(requireAuth, validate(deletePostSchema), canModifyPost, postController.deletePost);
+
+/**
+ * Route: /api/mongoose/posts/:id/publish
+ * Methods: POST (publish now, or schedule with a future publishedAt - author or admin, see utils/postWorkflow.js)
+ */
+router.route('/:id/publish')
+  // POST /api/mongoose/posts/:id/publish - Publish post
+  .post(requireAuth, validate(publishPostSchema), canModifyPost, postController.publishPost);
+
+/**
+ * Route: /api/mongoose/posts/:id/unpublish
+ * Methods: POST (back to draft - author or admin)
+ */
+router.route('/:id/unpublish')
+  // POST /api/mongoose/posts/:id/unpublish - Unpublish post
+  .post(requireAuth, validate(unpublishPostSchema), canModifyPost, postController.unpublishPost);
+
+/**
+ * Route: /api/mongoose/posts/:id/archive
+ * Methods: POST (hide from listings - author or admin)
+ */
+router.route('/:id/archive')
+  // POST /api/mongoose/posts/:id/archive - Archive post
+  .post(requireAuth, validate(archivePostSchema), canModifyPost, postController.archivePost);
+
+/**
+ * Route: /api/mongoose/posts/:id/restore
+ * Methods: POST (undo a soft delete - author or admin)
+ */
+router.route('/:id/restore')
+  // POST /api/mongoose/posts/:id/restore - Restore soft deleted post
+  .post(requireAuth, validate(restorePostSchema), canModifyPost, postController.restorePost);
 
-export default router;
\ No newline at end of file
+export default router;
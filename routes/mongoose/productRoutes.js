@@ -1,8 +1,75 @@
+/**
+ * MONGOOSE PRODUCT ROUTES
+ * 
+ * Defines all routes for Product CRUD operations (MongoDB)
+ */
+
 import express from 'express';
 import * as productController from '../../controllers/mongoose/productController.js'
+import { getProductReviews } from '../../controllers/mongoose/reviewController.js';
+import { requireAuth, optionalAuth } from '../../middleware/auth.js';
+import { authorize, authorizeIncludeDeleted } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  getFilteredProductsSchema,
+  listProductsSchema,
+  getProductSchema,
+  createProductSchema,
+  updateProductSchema,
+  deleteProductSchema,
+  restoreProductSchema
+} from '../../validators/mongoose/productSchemas.js';
+import { listProductReviewsSchema } from '../../validators/mongoose/reviewSchemas.js';
 
 const router = express.Router();
 
-router.get('/get-products-filtered', productController.getFilteredProducts);
+router.get('/get-products-filtered', validate(getFilteredProductsSchema), productController.getFilteredProducts);
+
+/**
+ * Route: /api/mongoose/products
+ * Methods: GET (all products), POST (create product - admin only)
+ * Query params for GET: category (slug), minPrice, maxPrice, page, limit, cursor, sort, fields
+ */
+router.route('/')
+  // GET /api/mongoose/products - Get all products
+  .get(optionalAuth, validate(listProductsSchema), authorizeIncludeDeleted, productController.getAllProducts)
+  // POST /api/mongoose/products - Create new product
+  .post(requireAuth, authorize('ADMIN'), validate(createProductSchema), productController.createProduct);
+
+/**
+ * Route: /api/mongoose/products/:id
+ * Methods: GET (single product), PUT (update - admin only), DELETE (admin only)
+ */
+router.route('/:id')
+  // GET /api/mongoose/products/:id - Get product by ID
+  .get(optionalAuth, validate(getProductSchema), authorizeIncludeDeleted, productController.getProductById)
+  // PUT /api/mongoose/products/:id - Update product
+  .put(requireAuth, authorize('ADMIN'), validate(updateProductSchema), productController.updateProduct)
+  // DELETE /api/mongoose/products/:id - Delete product
+  .delete(requireAuth, authorize('ADMIN'), validate(deleteProductSchema), productController.deleteProduct);
+
+/**
+ * Route: /api/mongoose/products/:id/restore
+ * Methods: POST (undo a soft delete - admin only)
+ */
+router.route('/:id/restore')
+  // POST /api/mongoose/products/:id/restore - Restore soft deleted product
+  .post(requireAuth, authorize('ADMIN'), validate(restoreProductSchema), productController.restoreProduct);
+
+/**
+ * Route: /api/mongoose/products/:id/breadcrumbs
+ * Methods: GET (category path of the product, from the root down)
+ */
+router.route('/:id/breadcrumbs')
+  // GET /api/mongoose/products/:id/breadcrumbs - Get product breadcrumbs
+  .get(validate(getProductSchema), productController.getProductBreadcrumbs);
+
+/**
+ * Route: /api/mongoose/products/:id/reviews
+ * Methods: GET (paginated reviews of the product with rating stats)
+ */
+router.route('/:id/reviews')
+  // GET /api/mongoose/products/:id/reviews - Get product reviews
+  .get(validate(listProductReviewsSchema), getProductReviews);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,44 @@
+/**
+ * MONGOOSE REVIEW ROUTES
+ * 
+ * Defines all routes for Review CRUD operations (MongoDB)
+ */
+
+import express from 'express';
+import * as reviewController from '../../controllers/mongoose/reviewController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { canModifyReview } from '../../policies/mongoose/reviewPolicy.js';
+import {
+  listReviewsSchema,
+  getReviewSchema,
+  createReviewSchema,
+  updateReviewSchema,
+  deleteReviewSchema
+} from '../../validators/mongoose/reviewSchemas.js';
+
+const router = express.Router();
+
+/**
+ * Route: /api/mongoose/reviews
+ * Methods: GET (paginated reviews, ?product=), POST (create review - authenticated)
+ */
+router.route('/')
+  // GET /api/mongoose/reviews - Get all reviews
+  .get(validate(listReviewsSchema), reviewController.getAllReviews)
+  // POST /api/mongoose/reviews - Create new review
+  .post(requireAuth, validate(createReviewSchema), reviewController.createReview);
+
+/**
+ * Route: /api/mongoose/reviews/:id
+ * Methods: GET (single review), PUT (update - reviewer or admin), DELETE (reviewer or admin)
+ */
+router.route('/:id')
+  // GET /api/mongoose/reviews/:id - Get review by ID
+  .get(validate(getReviewSchema), reviewController.getReviewById)
+  // PUT /api/mongoose/reviews/:id - Update review
+  .put(requireAuth, validate(updateReviewSchema), canModifyReview, reviewController.updateReview)
+  // DELETE /api/mongoose/reviews/:id - Delete review
+  .delete(requireAuth, validate(deleteReviewSchema), canModifyReview, reviewController.deleteReview);
+
+export default router;
@@ -0,0 +1,23 @@
+/**
+ * MONGOOSE SEARCH ROUTES
+ * 
+ * Full-text search over products and posts (MongoDB)
+ */
+
+import express from 'express';
+import * as searchController from '../../controllers/mongoose/searchController.js';
+import { validate } from '../../middleware/validate.js';
+import { searchSchema } from '../../validators/searchSchemas.js';
+
+const router = express.Router();
+
+/**
+ * Route: /api/mongoose/search
+ * Methods: GET (ranked, highlighted results with category / tag facets)
+ * Query params: q (required), type (product | post), category, tag, page, limit
+ */
+router.route('/')
+  // GET /api/mongoose/search - Search products and posts
+  .get(validate(searchSchema), searchController.search);
+
+export default router;
@@ -1,10 +1,68 @@
+/**
+ * MONGOOSE TAG ROUTES
+ * 
+ * Defines all routes for Tag CRUD operations (MongoDB)
+ */
+
 import express from 'express';
 import * as tagController from '../../controllers/mongoose/tagController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  listTagsSchema,
+  getSingleTagSchema,
+  getTagsByTypeSchema,
+  getTagSchema,
+  getRelatedTagsSchema,
+  createTagSchema,
+  updateTagSchema,
+  mergeTagSchema,
+  deleteTagSchema
+} from '../../validators/mongoose/tagSchemas.js';
 
 const router=express.Router();
 
-router.get('/get-all-tags',tagController.getAllTags);
-router.get('/get-single-tag/:id',tagController.getSingleTag);
-router.get('/get-tags',tagController.getTagsByType);
+router.get('/get-all-tags', validate(listTagsSchema), tagController.getAllTags);
+router.get('/get-single-tag/:id', validate(getSingleTagSchema), tagController.getSingleTag);
+router.get('/get-tags', validate(getTagsByTypeSchema), tagController.getTagsByType);
+
+/**
+ * Route: /api/mongoose/tags
+ * Methods: GET (all tags with usage counts), POST (create tag - admin only)
+ */
+router.route('/')
+  // GET /api/mongoose/tags - Get all tags
+  .get(validate(listTagsSchema), tagController.listTags)
+  // POST /api/mongoose/tags - Create new tag
+  .post(requireAuth, authorize('ADMIN'), validate(createTagSchema), tagController.createTag);
+
+/**
+ * Route: /api/mongoose/tags/:id
+ * Methods: GET (single tag), PUT (update - admin only), DELETE (admin only)
+ */
+router.route('/:id')
+  // GET /api/mongoose/tags/:id - Get tag by ID
+  .get(validate(getTagSchema), tagController.getTagById)
+  // PUT /api/mongoose/tags/:id - Update tag
+  .put(requireAuth, authorize('ADMIN'), validate(updateTagSchema), tagController.updateTag)
+  // DELETE /api/mongoose/tags/:id - Delete tag
+  .delete(requireAuth, authorize('ADMIN'), validate(deleteTagSchema), tagController.deleteTag);
+
+/**
+ * Route: /api/mongoose/tags/:id/related
+ * Methods: GET (tags most often used together with this one)
+ */
+router.route('/:id/related')
+  // GET /api/mongoose/tags/:id/related - Get related tags
+  .get(validate(getRelatedTagsSchema), tagController.getRelatedTags);
+
+/**
+ * Route: /api/mongoose/tags/:id/merge
+ * Methods: POST (move every product and post to another tag, then delete this one - admin only)
+ */
+router.route('/:id/merge')
+  // POST /api/mongoose/tags/:id/merge - Merge tag into another
+  .post(requireAuth, authorize('ADMIN'), validate(mergeTagSchema), tagController.mergeTag);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -1,8 +1,57 @@
+/**
+ * MONGOOSE USER ROUTES
+ * 
+ * Defines all routes for User CRUD operations (MongoDB)
+ */
+
 import express from 'express';
 import * as userController from '../../controllers/mongoose/userController.js';
+import { requireAuth, optionalAuth } from '../../middleware/auth.js';
+import { authorize, authorizeIncludeDeleted } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import { canModifyUser } from '../../policies/mongoose/userPolicy.js';
+import {
+  getUsersSchema,
+  listUsersSchema,
+  getUserSchema,
+  createUserSchema,
+  updateUserSchema,
+  deleteUserSchema,
+  restoreUserSchema
+} from '../../validators/mongoose/userSchemas.js';
 
 const router = express.Router();
 
-router.get('/get-users',userController.getUsers);
+router.get('/get-users', validate(getUsersSchema), userController.getUsers);
+
+/**
+ * Route: /api/mongoose/users
+ * Methods: GET (all users), POST (create user - admin only, others use /auth/register)
+ */
+router.route('/')
+  // GET /api/mongoose/users - Get all users
+  .get(optionalAuth, validate(listUsersSchema), authorizeIncludeDeleted, userController.getAllUsers)
+  // POST /api/mongoose/users - Create new user
+  .post(requireAuth, authorize('ADMIN'), validate(createUserSchema), userController.createUser);
+
+/**
+ * Route: /api/mongoose/users/:id
+ * Methods: GET (single user), PUT (update - self or admin), DELETE (admin only)
+ */
+router.route('/:id')
+  // GET /api/mongoose/users/:id - Get user by ID
+  .get(optionalAuth, validate(getUserSchema), authorizeIncludeDeleted, userController.getUserById)
+  // PUT /api/mongoose/users/:id - Update user
+  .put(requireAuth, validate(updateUserSchema), canModifyUser, userController.updateUser)
+  // DELETE /api/mongoose/users/:id - Delete user
+  .delete(requireAuth, authorize('ADMIN'), validate(deleteUserSchema), userController.deleteUser);
+
+/**
+ * Route: /api/mongoose/users/:id/restore
+ * Methods: POST (undo a soft delete - admin only)
+ */
+router.route('/:id/restore')
+  // POST /api/mongoose/users/:id/restore - Restore soft deleted user
+  .post(requireAuth, authorize('ADMIN'), validate(restoreUserSchema), userController.restoreUser);
 
-export default router;
\ No newline at end of file
+export default router;
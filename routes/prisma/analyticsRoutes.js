@@ -0,0 +1,119 @@
+/**
+ * PRISMA ANALYTICS ROUTES
+ * 
+ * Admin reporting endpoints (PostgreSQL)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  getRevenue,
+  getTopProducts,
+  getRatingsByCategory,
+  getLowStock,
+  getCustomerLifetimeValue,
+  getCohorts,
+  getSalesRollup,
+  getProductPerformanceRollup,
+  refreshRollups
+} from '../../controllers/prisma/analyticsController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  revenueSchema,
+  topProductsSchema,
+  ratingsByCategorySchema,
+  lowStockSchema,
+  customerLifetimeValueSchema,
+  cohortsSchema,
+  salesRollupSchema,
+  productPerformanceRollupSchema
+} from '../../validators/analyticsSchemas.js';
+
+// Every analytics route is admin only
+router.use(requireAuth, authorize('ADMIN'));
+
+/**
+ * Route: /api/prisma/analytics/revenue
+ * Methods: GET (revenue per day / week / month / year)
+ * Query params: from, to (ISO dates, default last 12 months), granularity
+ */
+router.route('/revenue')
+  // GET /api/prisma/analytics/revenue - Revenue time series and totals
+  .get(validate(revenueSchema), getRevenue);
+
+/**
+ * Route: /api/prisma/analytics/top-products
+ * Methods: GET (best-selling products)
+ * Query params: from, to, limit (default 10)
+ */
+router.route('/top-products')
+  // GET /api/prisma/analytics/top-products - Best sellers by units sold
+  .get(validate(topProductsSchema), getTopProducts);
+
+/**
+ * Route: /api/prisma/analytics/ratings-by-category
+ * Methods: GET (average review rating per category)
+ * Query params: from, to
+ */
+router.route('/ratings-by-category')
+  // GET /api/prisma/analytics/ratings-by-category - Average rating per category
+  .get(validate(ratingsByCategorySchema), getRatingsByCategory);
+
+/**
+ * Route: /api/prisma/analytics/low-stock
+ * Methods: GET (products running out, stock distribution)
+ * Query params: threshold (default 10), limit (default 50)
+ */
+router.route('/low-stock')
+  // GET /api/prisma/analytics/low-stock - Low-stock products
+  .get(validate(lowStockSchema), getLowStock);
+
+/**
+ * Route: /api/prisma/analytics/customer-lifetime-value
+ * Methods: GET (top customers, spend distribution, averages)
+ * Query params: from, to, limit (default 10)
+ */
+router.route('/customer-lifetime-value')
+  // GET /api/prisma/analytics/customer-lifetime-value - Customer lifetime value
+  .get(validate(customerLifetimeValueSchema), getCustomerLifetimeValue);
+
+/**
+ * Route: /api/prisma/analytics/cohorts
+ * Methods: GET (signup cohorts and their ordering activity per period)
+ * Query params: from, to, granularity
+ */
+router.route('/cohorts')
+  // GET /api/prisma/analytics/cohorts - Cohort retention
+  .get(validate(cohortsSchema), getCohorts);
+
+/**
+ * Route: /api/prisma/analytics/rollups/sales
+ * Methods: GET (precomputed sales per hour / day, with lastRefreshedAt)
+ * Query params: from, to, granularity (hour | day)
+ */
+router.route('/rollups/sales')
+  // GET /api/prisma/analytics/rollups/sales - Sales rollup
+  .get(validate(salesRollupSchema), getSalesRollup);
+
+/**
+ * Route: /api/prisma/analytics/rollups/products
+ * Methods: GET (precomputed product performance, with lastRefreshedAt)
+ * Query params: from, to, limit (default 10)
+ */
+router.route('/rollups/products')
+  // GET /api/prisma/analytics/rollups/products - Product performance rollup
+  .get(validate(productPerformanceRollupSchema), getProductPerformanceRollup);
+
+/**
+ * Route: /api/prisma/analytics/rollups/refresh
+ * Methods: POST (rebuild the rollups now instead of waiting for the scheduler)
+ */
+router.route('/rollups/refresh')
+  // POST /api/prisma/analytics/rollups/refresh - Refresh rollups
+  .post(refreshRollups);
+
+export default router;
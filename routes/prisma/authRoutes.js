@@ -0,0 +1,33 @@
+/**
+ * PRISMA AUTH ROUTES
+ * 
+ * Defines all authentication routes (PostgreSQL)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  getMe
+} from '../../controllers/prisma/authController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema
+} from '../../validators/authSchemas.js';
+
+router.post('/register', validate(registerSchema), register);      // POST /api/prisma/auth/register - Create account
+router.post('/login', validate(loginSchema), login);               // POST /api/prisma/auth/login - Get access + refresh token
+router.post('/refresh', validate(refreshTokenSchema), refresh);    // POST /api/prisma/auth/refresh - Rotate refresh token
+router.post('/logout', validate(refreshTokenSchema), logout);      // POST /api/prisma/auth/logout - Revoke refresh token
+
+router.get('/me', requireAuth, getMe);                             // GET /api/prisma/auth/me - Current user
+
+export default router;
@@ -0,0 +1,70 @@
+/**
+ * PRISMA CATEGORY ROUTES
+ * 
+ * Defines all routes for Category CRUD operations and the category hierarchy (PostgreSQL)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  getAllCategories,
+  getCategoryTree,
+  getCategoryDescendants,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} from '../../controllers/prisma/categoryController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  listCategoriesSchema,
+  getCategorySchema,
+  getCategoryDescendantsSchema,
+  createCategorySchema,
+  updateCategorySchema,
+  deleteCategorySchema
+} from '../../validators/prisma/categorySchemas.js';
+
+/**
+ * Route: /api/prisma/categories
+ * Methods: GET (all categories), POST (create category - admin only)
+ */
+router.route('/')
+  // GET /api/prisma/categories - Get all categories
+  .get(validate(listCategoriesSchema), getAllCategories)
+  // POST /api/prisma/categories - Create new category
+  .post(requireAuth, authorize('ADMIN'), validate(createCategorySchema), createCategory);
+
+/**
+ * Route: /api/prisma/categories/tree
+ * Methods: GET (nested hierarchy with product counts)
+ */
+router.route('/tree')
+  // GET /api/prisma/categories/tree - Get category tree
+  .get(getCategoryTree);
+
+/**
+ * Route: /api/prisma/categories/:slug/descendants
+ * Methods: GET (every category below the given one)
+ */
+router.route('/:slug/descendants')
+  // GET /api/prisma/categories/:slug/descendants - Get category descendants
+  .get(validate(getCategoryDescendantsSchema), getCategoryDescendants);
+
+/**
+ * Route: /api/prisma/categories/:id
+ * Methods: GET (single category), PUT (update - admin only), DELETE (admin only)
+ */
+router.route('/:id')
+  // GET /api/prisma/categories/:id - Get category by ID
+  .get(validate(getCategorySchema), getCategoryById)
+  // PUT /api/prisma/categories/:id - Update category
+  .put(requireAuth, authorize('ADMIN'), validate(updateCategorySchema), updateCategory)
+  // DELETE /api/prisma/categories/:id - Delete category
+  .delete(requireAuth, authorize('ADMIN'), validate(deleteCategorySchema), deleteCategory);
+
+export default router;
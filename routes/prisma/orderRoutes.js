@@ -0,0 +1,68 @@
+/**
+ * PRISMA ORDER ROUTES
+ * 
+ * Defines all routes for Order operations (PostgreSQL)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  getAllOrders,
+  getOrderById,
+  createOrder,
+  updateOrderStatus,
+  getOrderHistory,
+  getOrderView
+} from '../../controllers/prisma/orderController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { canViewOrder } from '../../policies/prisma/orderPolicy.js';
+import {
+  listOrdersSchema,
+  getOrderSchema,
+  createOrderSchema,
+  updateOrderStatusSchema
+} from '../../validators/prisma/orderSchemas.js';
+
+// Every order route requires a logged in user
+router.use(requireAuth);
+
+/**
+ * Route: /api/prisma/orders
+ * Methods: GET (own orders, all for admins), POST (place order)
+ */
+router.route('/')
+  // GET /api/prisma/orders - Get orders
+  .get(validate(listOrdersSchema), getAllOrders)
+  // POST /api/prisma/orders - Place new order
+  .post(validate(createOrderSchema), createOrder);
+
+/**
+ * Route: /api/prisma/orders/:id
+ * Methods: GET (single order - customer or admin)
+ */
+router.route('/:id')
+  // GET /api/prisma/orders/:id - Get order by ID
+  .get(validate(getOrderSchema), canViewOrder, getOrderById);
+
+/**
+ * Route: /api/prisma/orders/:id/status
+ * Methods: PATCH (transition status / payment status - customers may only cancel)
+ */
+router.patch('/:id/status', validate(updateOrderStatusSchema), canViewOrder, updateOrderStatus);
+
+/**
+ * Route: /api/prisma/orders/:id/history
+ * Methods: GET (status history - customer or admin)
+ */
+router.get('/:id/history', validate(getOrderSchema), canViewOrder, getOrderHistory);
+
+/**
+ * Route: /api/prisma/orders/:id/view
+ * Methods: GET (denormalized read model in MongoDB - customer or admin)
+ */
+router.get('/:id/view', validate(getOrderSchema), canViewOrder, getOrderView);
+
+export default router;
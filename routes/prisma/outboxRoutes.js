@@ -0,0 +1,45 @@
+/**
+ * PRISMA OUTBOX ROUTES
+ * 
+ * Admin endpoints of the outbox relay into the MongoDB read models
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import { getLag, relayNow, replay } from '../../controllers/prisma/outboxController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import { replayOutboxSchema } from '../../validators/outboxSchemas.js';
+
+// Every outbox route is admin only
+router.use(requireAuth, authorize('ADMIN'));
+
+/**
+ * Route: /api/prisma/outbox/lag
+ * Methods: GET (how far the read models are behind the outbox)
+ */
+router.route('/lag')
+  // GET /api/prisma/outbox/lag - Relay lag metric
+  .get(getLag);
+
+/**
+ * Route: /api/prisma/outbox/relay
+ * Methods: POST (relay pending events now)
+ */
+router.route('/relay')
+  // POST /api/prisma/outbox/relay - Relay now
+  .post(relayNow);
+
+/**
+ * Route: /api/prisma/outbox/replay
+ * Methods: POST (relay the events after an offset again)
+ * Body: fromOffset
+ */
+router.route('/replay')
+  // POST /api/prisma/outbox/replay - Replay from an offset
+  .post(validate(replayOutboxSchema), replay);
+
+export default router;
@@ -13,24 +13,80 @@ import {
   getPostById,
   createPost,
   updatePost,
-  deletePost
+  publishPost,
+  unpublishPost,
+  archivePost,
+  deletePost,
+  restorePost
 } from '../../controllers/prisma/postController.js';
+import { requireAuth, optionalAuth } from '../../middleware/auth.js';
+import { authorizeIncludeDeleted } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import { canCreatePost, canModifyPost } from '../../policies/prisma/postPolicy.js';
+import {
+  listPostsSchema,
+  getPostSchema,
+  createPostSchema,
+  updatePostSchema,
+  publishPostSchema,
+  unpublishPostSchema,
+  archivePostSchema,
+  deletePostSchema,
+  restorePostSchema
+} from '../../validators/prisma/postSchemas.js';
 
 /**
  * Route: /api/prisma/posts
- * Methods: GET (all posts), POST (create post)
+ * Methods: GET (all posts), POST (create post - authenticated, as yourself)
  */
 router.route('/')
-  .get(getAllPosts)     // GET /api/prisma/posts - Get all posts
-  .post(createPost);    // POST /api/prisma/posts - Create new post
+  // GET /api/prisma/posts - Get all posts
+  .get(optionalAuth, validate(listPostsSchema), authorizeIncludeDeleted, getAllPosts)
+  // POST /api/prisma/posts - Create new post
+  .post(requireAuth, validate(createPostSchema), canCreatePost, createPost);
 
 /**
  * Route: /api/prisma/posts/:id
- * Methods: GET (single post), PUT (update), DELETE
+ * Methods: GET (single post), PUT (update - author or admin), DELETE (author or admin)
  */
 router.route('/:id')
-  .get(getPostById)     // GET /api/prisma/posts/:id - Get post by ID
-  .put(updatePost)      // PUT /api/prisma/posts/:id - Update post
-  .delete(deletePost);  // DELETE /api/prisma/posts/:id - Delete post
+  // GET /api/prisma/posts/:id - Get post by ID
+  .get(optionalAuth, validate(getPostSchema), authorizeIncludeDeleted, getPostById)
+  // PUT /api/prisma/posts/:id - Update post
+  .put(requireAuth, validate(updatePostSchema), canModifyPost, updatePost)
+  // DELETE /api/prisma/posts/:id - Delete post
+  .delete(requireAuth, validate(deletePostSchema), canModifyPost, deletePost);
+
+/**
+ * Route: /api/prisma/posts/:id/publish
+ * Methods: POST (publish now, or schedule with a future publishedAt - author or admin, see utils/postWorkflow.js)
+ */
+router.route('/:id/publish')
+  // POST /api/prisma/posts/:id/publish - Publish post
+  .post(requireAuth, validate(publishPostSchema), canModifyPost, publishPost);
+
+/**
+ * Route: /api/prisma/posts/:id/unpublish
+ * Methods: POST (back to draft - author or admin)
+ */
+router.route('/:id/unpublish')
+  // POST /api/prisma/posts/:id/unpublish - Unpublish post
+  .post(requireAuth, validate(unpublishPostSchema), canModifyPost, unpublishPost);
+
+/**
+ * Route: /api/prisma/posts/:id/archive
+ * Methods: POST (hide from listings - author or admin)
+ */
+router.route('/:id/archive')
+  // POST /api/prisma/posts/:id/archive - Archive post
+  .post(requireAuth, validate(archivePostSchema), canModifyPost, archivePost);
+
+/**
+ * Route: /api/prisma/posts/:id/restore
+ * Methods: POST (undo a soft delete - author or admin)
+ */
+router.route('/:id/restore')
+  // POST /api/prisma/posts/:id/restore - Restore soft deleted post
+  .post(requireAuth, validate(restorePostSchema), canModifyPost, restorePost);
 
 export default router;
@@ -11,27 +11,71 @@ const router = express.Router();
 import {
   getAllProducts,
   getProductById,
+  getProductBreadcrumbs,
   createProduct,
   updateProduct,
-  deleteProduct
+  deleteProduct,
+  restoreProduct
 } from '../../controllers/prisma/productController.js';
+import { getProductReviews } from '../../controllers/prisma/reviewController.js';
+import { requireAuth, optionalAuth } from '../../middleware/auth.js';
+import { authorize, authorizeIncludeDeleted } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  listProductsSchema,
+  getProductSchema,
+  createProductSchema,
+  updateProductSchema,
+  deleteProductSchema,
+  restoreProductSchema
+} from '../../validators/prisma/productSchemas.js';
+import { listProductReviewsSchema } from '../../validators/prisma/reviewSchemas.js';
 
 /**
  * Route: /api/prisma/products
- * Methods: GET (all products), POST (create product)
- * Query params for GET: category, minPrice, maxPrice
+ * Methods: GET (all products), POST (create product - admin only)
+ * Query params for GET: category (slug), minPrice, maxPrice, page, limit, cursor, sort, fields
  */
 router.route('/')
-  .get(getAllProducts)     // GET /api/prisma/products - Get all products
-  .post(createProduct);    // POST /api/prisma/products - Create new product
+  // GET /api/prisma/products - Get all products
+  .get(optionalAuth, validate(listProductsSchema), authorizeIncludeDeleted, getAllProducts)
+  // POST /api/prisma/products - Create new product
+  .post(requireAuth, authorize('ADMIN'), validate(createProductSchema), createProduct);
 
 /**
  * Route: /api/prisma/products/:id
- * Methods: GET (single product), PUT (update), DELETE
+ * Methods: GET (single product), PUT (update - admin only), DELETE (admin only)
  */
 router.route('/:id')
-  .get(getProductById)     // GET /api/prisma/products/:id - Get product by ID
-  .put(updateProduct)      // PUT /api/prisma/products/:id - Update product
-  .delete(deleteProduct);  // DELETE /api/prisma/products/:id - Delete product
+  // GET /api/prisma/products/:id - Get product by ID
+  .get(optionalAuth, validate(getProductSchema), authorizeIncludeDeleted, getProductById)
+  // PUT /api/prisma/products/:id - Update product
+  .put(requireAuth, authorize('ADMIN'), validate(updateProductSchema), updateProduct)
+  // DELETE /api/prisma/products/:id - Delete product
+  .delete(requireAuth, authorize('ADMIN'), validate(deleteProductSchema), deleteProduct);
+
+/**
+ * Route: /api/prisma/products/:id/restore
+ * Methods: POST (undo a soft delete - admin only)
+ */
+router.route('/:id/restore')
+  // POST /api/prisma/products/:id/restore - Restore soft deleted product
+  .post(requireAuth, authorize('ADMIN'), validate(restoreProductSchema), restoreProduct);
+
+/**
+ * Route: /api/prisma/products/:id/breadcrumbs
+ * Methods: GET (category path of the product, from the root down)
+ */
+router.route('/:id/breadcrumbs')
+  // GET /api/prisma/products/:id/breadcrumbs - Get product breadcrumbs
+  .get(validate(getProductSchema), getProductBreadcrumbs);
+
+/**
+ * Route: /api/prisma/products/:id/reviews
+ * Methods: GET (paginated reviews of the product with rating stats)
+ */
+router.route('/:id/reviews')
+  // GET /api/prisma/products/:id/reviews - Get product reviews
+  .get(validate(listProductReviewsSchema), getProductReviews);
 
 export default router;
@@ -0,0 +1,51 @@
+/**
+ * PRISMA REVIEW ROUTES
+ * 
+ * Defines all routes for Review CRUD operations (PostgreSQL)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  getAllReviews,
+  getReviewById,
+  createReview,
+  updateReview,
+  deleteReview
+} from '../../controllers/prisma/reviewController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { canModifyReview } from '../../policies/prisma/reviewPolicy.js';
+import {
+  listReviewsSchema,
+  getReviewSchema,
+  createReviewSchema,
+  updateReviewSchema,
+  deleteReviewSchema
+} from '../../validators/prisma/reviewSchemas.js';
+
+/**
+ * Route: /api/prisma/reviews
+ * Methods: GET (paginated reviews, ?productId=), POST (create review - authenticated)
+ */
+router.route('/')
+  // GET /api/prisma/reviews - Get reviews
+  .get(validate(listReviewsSchema), getAllReviews)
+  // POST /api/prisma/reviews - Create new review
+  .post(requireAuth, validate(createReviewSchema), createReview);
+
+/**
+ * Route: /api/prisma/reviews/:id
+ * Methods: GET (single review), PUT (update - reviewer or admin), DELETE (reviewer or admin)
+ */
+router.route('/:id')
+  // GET /api/prisma/reviews/:id - Get review by ID
+  .get(validate(getReviewSchema), getReviewById)
+  // PUT /api/prisma/reviews/:id - Update review
+  .put(requireAuth, validate(updateReviewSchema), canModifyReview, updateReview)
+  // DELETE /api/prisma/reviews/:id - Delete review
+  .delete(requireAuth, validate(deleteReviewSchema), canModifyReview, deleteReview);
+
+export default router;
@@ -0,0 +1,24 @@
+/**
+ * PRISMA SEARCH ROUTES
+ * 
+ * Full-text search over products and posts (PostgreSQL)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import { search } from '../../controllers/prisma/searchController.js';
+import { validate } from '../../middleware/validate.js';
+import { searchSchema } from '../../validators/searchSchemas.js';
+
+/**
+ * Route: /api/prisma/search
+ * Methods: GET (ranked, highlighted results with category / tag facets)
+ * Query params: q (required), type (product | post), category, tag, page, limit
+ */
+router.route('/')
+  // GET /api/prisma/search - Search products and posts
+  .get(validate(searchSchema), search);
+
+export default router;
@@ -0,0 +1,71 @@
+/**
+ * PRISMA TAG ROUTES
+ * 
+ * Defines all routes for Tag CRUD operations, usage counts, related tags and merging (PostgreSQL)
+ */
+
+import express from 'express';
+const router = express.Router();
+
+// Import controller functions
+import {
+  getAllTags,
+  getTagById,
+  getRelatedTags,
+  createTag,
+  updateTag,
+  mergeTag,
+  deleteTag
+} from '../../controllers/prisma/tagController.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  listTagsSchema,
+  getTagSchema,
+  getRelatedTagsSchema,
+  createTagSchema,
+  updateTagSchema,
+  mergeTagSchema,
+  deleteTagSchema
+} from '../../validators/prisma/tagSchemas.js';
+
+/**
+ * Route: /api/prisma/tags
+ * Methods: GET (all tags with usage counts), POST (create tag - admin only)
+ */
+router.route('/')
+  // GET /api/prisma/tags - Get all tags
+  .get(validate(listTagsSchema), getAllTags)
+  // POST /api/prisma/tags - Create new tag
+  .post(requireAuth, authorize('ADMIN'), validate(createTagSchema), createTag);
+
+/**
+ * Route: /api/prisma/tags/:id
+ * Methods: GET (single tag), PUT (update - admin only), DELETE (admin only)
+ */
+router.route('/:id')
+  // GET /api/prisma/tags/:id - Get tag by ID
+  .get(validate(getTagSchema), getTagById)
+  // PUT /api/prisma/tags/:id - Update tag
+  .put(requireAuth, authorize('ADMIN'), validate(updateTagSchema), updateTag)
+  // DELETE /api/prisma/tags/:id - Delete tag
+  .delete(requireAuth, authorize('ADMIN'), validate(deleteTagSchema), deleteTag);
+
+/**
+ * Route: /api/prisma/tags/:id/related
+ * Methods: GET (tags most often used together with this one)
+ */
+router.route('/:id/related')
+  // GET /api/prisma/tags/:id/related - Get related tags
+  .get(validate(getRelatedTagsSchema), getRelatedTags);
+
+/**
+ * Route: /api/prisma/tags/:id/merge
+ * Methods: POST (move every product and post to another tag, then delete this one - admin only)
+ */
+router.route('/:id/merge')
+  // POST /api/prisma/tags/:id/merge - Merge tag into another
+  .post(requireAuth, authorize('ADMIN'), validate(mergeTagSchema), mergeTag);
+
+export default router;
@@ -13,24 +13,50 @@ import {
   getUserById,
   createUser,
   updateUser,
-  deleteUser
+  deleteUser,
+  restoreUser
 } from '../../controllers/prisma/userController.js';
+import { requireAuth, optionalAuth } from '../../middleware/auth.js';
+import { authorize, authorizeIncludeDeleted } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import { canModifyUser } from '../../policies/prisma/userPolicy.js';
+import {
+  listUsersSchema,
+  getUserSchema,
+  createUserSchema,
+  updateUserSchema,
+  deleteUserSchema,
+  restoreUserSchema
+} from '../../validators/prisma/userSchemas.js';
 
 /**
  * Route: /api/prisma/users
- * Methods: GET (all users), POST (create user)
+ * Methods: GET (all users), POST (create user - admin only, others use /auth/register)
  */
 router.route('/')
-  .get(getAllUsers)     // GET /api/prisma/users - Get all users
-  .post(createUser);    // POST /api/prisma/users - Create new user
+  // GET /api/prisma/users - Get all users
+  .get(optionalAuth, validate(listUsersSchema), authorizeIncludeDeleted, getAllUsers)
+  // POST /api/prisma/users - Create new user
+  .post(requireAuth, authorize('ADMIN'), validate(createUserSchema), createUser);
 
 /**
  * Route: /api/prisma/users/:id
- * Methods: GET (single user), PUT (update), DELETE
+ * Methods: GET (single user), PUT (update - self or admin), DELETE (admin only)
  */
 router.route('/:id')
-  .get(getUserById)     // GET /api/prisma/users/:id - Get user by ID
-  .put(updateUser)      // PUT /api/prisma/users/:id - Update user
-  .delete(deleteUser);  // DELETE /api/prisma/users/:id - Delete user
+  // GET /api/prisma/users/:id - Get user by ID
+  .get(optionalAuth, validate(getUserSchema), authorizeIncludeDeleted, getUserById)
+  // PUT /api/prisma/users/:id - Update user
+  .put(requireAuth, validate(updateUserSchema), canModifyUser, updateUser)
+  // DELETE /api/prisma/users/:id - Delete user
+  .delete(requireAuth, authorize('ADMIN'), validate(deleteUserSchema), deleteUser);
+
+/**
+ * Route: /api/prisma/users/:id/restore
+ * Methods: POST (undo a soft delete - admin only)
+ */
+router.route('/:id/restore')
+  // POST /api/prisma/users/:id/restore - Restore soft deleted user
+  .post(requireAuth, authorize('ADMIN'), validate(restoreUserSchema), restoreUser);
 
 export default router;
@@ -0,0 +1,187 @@
+/**
+ * MIGRATED ENTITIES
+ *
+ * What scripts/migrate.js copies, in dependency order, and how.
+ *
+ * Both stores read and write "portable" records: the Prisma spelling
+ * (uppercase enums, OrderItem-like `items`, `history` with fromValue / toValue),
+ * ids as strings and relations as ids of the same store:
+ *
+ *   users       { id, email, username, password, firstName, lastName, role, createdAt, updatedAt, deletedAt }
+ *   categories  { id, name, slug, description, parentId, createdAt, updatedAt }
+ *   tags        { id, name, slug, createdAt, updatedAt }
+ *   products    { id, name, slug, description, price, stock, categoryId, tagIds, createdAt, updatedAt, deletedAt }
+ *   posts       { id, title, slug, content, status, publishedAt, authorId, tagIds, createdAt, updatedAt, deletedAt }
+ *   orders      { id, orderNumber, userId, status, paymentStatus, totalAmount, createdAt, updatedAt,
+ *                 items: [{ productId, quantity, unitPrice }],
+ *                 history: [{ field, fromValue, toValue, note, actorId, createdAt }] }
+ *   reviews     { id, userId, productId, rating, comment, createdAt, updatedAt }
+ *
+ * Fields only one store has are not copied: Prisma profiles, Mongo user
+ * addresses and isActive, product images and isActive, post category and
+ * featuredImage, order shippingAddress and paymentMethod.
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Entity -> {
+ *   relations            - entities its records point to
+ *   key(record)          - natural key, unique in both stores (relation ids are target ids)
+ *   remap(record, idOf)  - record with its relations pointing to target ids,
+ *                          null when its owner (author, customer) was not migrated
+ *   canonical(record, keyOf) - the fields both stores keep, relations as natural keys
+ *                              (what the verification checksums compare)
+ * }
+ * idOf(entity, sourceId) and keyOf(entity, id) return undefined when unknown;
+ * idOf(entity, sourceId, { required: true }) throws instead (see migrateEntity).
+ */
+export const ENTITIES = {
+  users: {
+    relations: [],
+    key: (user) => user.email,
+    remap: (user) => user,
+    canonical: (user) => [
+      user.email, user.username, user.password, user.firstName, user.lastName, user.role,
+      user.createdAt, user.deletedAt
+    ]
+  },
+
+  // Parents are linked once every category exists (see migrateEntity)
+  categories: {
+    relations: [],
+    key: (category) => category.slug,
+    remap: (category) => ({ ...category, parentId: null }),
+    canonical: (category, keyOf) => [
+      category.slug, category.name, category.description, keyOf('categories', category.parentId), category.createdAt
+    ]
+  },
+
+  tags: {
+    relations: [],
+    key: (tag) => tag.slug,
+    remap: (tag) => tag,
+    canonical: (tag) => [tag.slug, tag.name, tag.createdAt]
+  },
+
+  products: {
+    relations: ['categories', 'tags'],
+    key: (product) => product.slug,
+    remap: (product, idOf) => ({
+      ...product,
+      categoryId: idOf('categories', product.categoryId, { required: true }) ?? null,
+      tagIds: mapIds(product.tagIds, 'tags', idOf)
+    }),
+    canonical: (product, keyOf) => [
+      product.slug, product.name, product.description, money(product.price), product.stock,
+      keyOf('categories', product.categoryId), keysOf(product.tagIds, 'tags', keyOf),
+      product.createdAt, product.deletedAt
+    ]
+  },
+
+  posts: {
+    relations: ['users', 'tags'],
+    key: (post) => post.slug,
+    remap: (post, idOf) => {
+      const authorId = idOf('users', post.authorId);
+      return authorId === undefined ? null : { ...post, authorId, tagIds: mapIds(post.tagIds, 'tags', idOf) };
+    },
+    canonical: (post, keyOf) => [
+      post.slug, post.title, post.content, post.status, post.publishedAt,
+      keyOf('users', post.authorId), keysOf(post.tagIds, 'tags', keyOf),
+      post.createdAt, post.deletedAt
+    ]
+  },
+
+  orders: {
+    relations: ['users', 'products'],
+    key: (order) => order.orderNumber,
+    remap: (order, idOf) => {
+      const userId = idOf('users', order.userId);
+      const items = order.items.map((item) => ({ ...item, productId: idOf('products', item.productId) }));
+      if (userId === undefined || items.some((item) => item.productId === undefined)) return null;
+
+      return {
+        ...order,
+        userId,
+        items,
+        history: order.history.map((entry) => ({ ...entry, actorId: idOf('users', entry.actorId) ?? null }))
+      };
+    },
+    canonical: (order, keyOf) => [
+      order.orderNumber, keyOf('users', order.userId), order.status, order.paymentStatus, money(order.totalAmount),
+      order.items
+        .map((item) => [keyOf('products', item.productId), item.quantity, money(item.unitPrice)])
+        .sort(compareJson),
+      order.history
+        .map((entry) => [entry.field, entry.fromValue, entry.toValue, keyOf('users', entry.actorId), entry.createdAt])
+        .sort(compareJson),
+      order.createdAt
+    ]
+  },
+
+  reviews: {
+    relations: ['users', 'products'],
+    key: (review) => `${review.userId}:${review.productId}`,
+    remap: (review, idOf) => {
+      const userId = idOf('users', review.userId);
+      const productId = idOf('products', review.productId);
+      return userId === undefined || productId === undefined ? null : { ...review, userId, productId };
+    },
+    canonical: (review, keyOf) => [
+      keyOf('users', review.userId), keyOf('products', review.productId), review.rating, review.comment, review.createdAt
+    ]
+  }
+};
+
+export const ENTITY_NAMES = Object.keys(ENTITIES);
+
+// Entities other records point to, and the field that identifies them across stores
+export const KEY_FIELDS = {
+  users: 'email',
+  categories: 'slug',
+  tags: 'slug',
+  products: 'slug'
+};
+
+const mapIds = (ids, entity, idOf) => ids.map((id) => idOf(entity, id, { required: true }));
+
+const keysOf = (ids, entity, keyOf) => ids.map((id) => keyOf(entity, id)).sort();
+
+const money = (value) => (value === null || value === undefined ? null : Number(value).toFixed(2));
+
+const compareJson = (a, b) => {
+  const [left, right] = [JSON.stringify(a), JSON.stringify(b)];
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+/**
+ * Normalize a canonical row so both stores spell values the same way
+ * (dates as ISO strings, missing values as null)
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalize);
+  return value;
+};
+
+/**
+ * Running checksum of canonical rows
+ * The sum of the rows' SHA-256 digests (mod 2^256), so the result does not
+ * depend on the order the rows were read in
+ */
+export const createChecksum = () => {
+  let sum = 0n;
+  let count = 0;
+
+  return {
+    add: (row) => {
+      const digest = createHash('sha256').update(JSON.stringify(normalize(row))).digest('hex');
+      sum = (sum + BigInt(`0x${digest}`)) % (1n << 256n);
+      count += 1;
+    },
+    result: () => ({ count, checksum: sum.toString(16).padStart(64, '0') })
+  };
+};
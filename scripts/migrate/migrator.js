@@ -0,0 +1,179 @@
+/**
+ * CROSS-DATABASE MIGRATOR
+ *
+ * Copies portable records (see entities.js) from one store to the other, in
+ * batches, recording source id -> target id in the target's MigrationIdMap:
+ *
+ * - relations are rewritten through the id maps of the entities they point to,
+ *   loaded from the target, so entities copied by an earlier run (or another
+ *   --only) resolve too; pointing to an entity that was never copied is an error
+ * - a record already in the map is skipped, so an interrupted run resumes
+ *   where it stopped (rerun the same command)
+ * - a record whose natural key (email, slug, orderNumber, user + product)
+ *   already exists in the target is mapped to it instead of copied; this also
+ *   recovers a batch written before its id map entries were
+ * - records whose owner was not migrated (e.g. a post whose author is not in
+ *   the users map) are skipped and counted; a missing category or tag is an
+ *   error, so a product is never copied without them
+ *
+ * A dry run reads everything and reports what would be copied without writing.
+ */
+
+import { ENTITIES, KEY_FIELDS, createChecksum } from './entities.js';
+
+/**
+ * Target id of a record a dry run would insert (there is no real one yet)
+ */
+class PlannedId {
+  constructor(sourceId) {
+    this.sourceId = sourceId;
+  }
+
+  toString() {
+    return `(new ${this.sourceId})`;
+  }
+}
+
+const isPlanned = (record) => Object.values(record).some((value) => value instanceof PlannedId);
+
+/**
+ * Copy one entity
+ *
+ * @param {Object} options
+ * @param {Object} options.from   - Source store (prisma.js / mongoose.js)
+ * @param {Object} options.to     - Target store
+ * @param {String} options.entity - Entity name (see ENTITIES)
+ * @param {Object} options.idMaps - Entity -> Map(source id -> target id), filled as entities are copied
+ *                                  (relations not in it are loaded from the target)
+ * @param {Number} options.batchSize
+ * @param {Boolean} [options.dryRun]
+ * @param {Function} [options.onBatch] - Called with the running stats after each batch
+ * @returns {Promise<Object>} { read, alreadyMigrated, matched, inserted, skipped }
+ */
+export const migrateEntity = async ({ from, to, entity, idMaps, batchSize, dryRun = false, onBatch }) => {
+  const definition = ENTITIES[entity];
+  const idMap = await to.loadIdMap(from.name, entity);
+  idMaps[entity] = idMap;
+  // Relations copied by an earlier run are only in the target's id map
+  for (const relation of definition.relations) {
+    idMaps[relation] ??= await to.loadIdMap(from.name, relation);
+  }
+
+  const idOf = (relation, sourceId, { required = false } = {}) => {
+    if (sourceId === null || sourceId === undefined) return undefined;
+    if (!idMaps[relation].size) {
+      throw new Error(`${entity} point to ${relation}, which were not migrated to ${to.name}: migrate ${relation} first`);
+    }
+
+    const targetId = idMaps[relation].get(sourceId);
+    if (targetId === undefined && required) {
+      throw new Error(`${entity}: ${relation} ${sourceId} was not migrated to ${to.name}`);
+    }
+    return targetId;
+  };
+  const stats = { read: 0, alreadyMigrated: 0, matched: 0, inserted: 0, skipped: 0 };
+
+  for await (const batch of from.readBatches(entity, batchSize)) {
+    stats.read += batch.length;
+
+    const pending = [];
+    for (const record of batch) {
+      if (idMap.has(record.id)) {
+        stats.alreadyMigrated += 1;
+        continue;
+      }
+
+      const remapped = definition.remap(record, idOf);
+      if (remapped) pending.push(remapped);
+      else stats.skipped += 1;
+    }
+
+    const existing = await to.findExisting(entity, pending.filter((record) => !isPlanned(record)));
+    const pairs = [];
+    const toInsert = [];
+    for (const record of pending) {
+      const targetId = existing.get(definition.key(record));
+      if (targetId === undefined) toInsert.push(record);
+      else pairs.push([record.id, targetId]);
+    }
+    stats.matched += pairs.length;
+    stats.inserted += toInsert.length;
+
+    if (dryRun) {
+      pairs.forEach(([sourceId, targetId]) => idMap.set(sourceId, targetId));
+      toInsert.forEach((record) => idMap.set(record.id, new PlannedId(record.id)));
+    } else {
+      if (toInsert.length) {
+        const ids = await to.insert(entity, toInsert);
+        toInsert.forEach((record, index) => pairs.push([record.id, ids[index]]));
+      }
+      if (pairs.length) await to.saveIdMap(from.name, entity, pairs);
+      pairs.forEach(([sourceId, targetId]) => idMap.set(sourceId, targetId));
+    }
+
+    onBatch?.(stats);
+  }
+
+  // Every category exists now: link children to their parents
+  if (entity === 'categories' && !dryRun) {
+    for await (const batch of from.readBatches(entity, batchSize)) {
+      const links = batch
+        .filter((category) => category.parentId !== null)
+        .map((category) => ({ id: idMap.get(category.id), parentId: idOf('categories', category.parentId) }))
+        .filter(({ id, parentId }) => id !== undefined && parentId !== undefined);
+      if (links.length) await to.linkParents(links);
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Count and checksum every entity in a store, relations compared by natural key
+ * (see ENTITIES[entity].canonical)
+ * @returns {Promise<Object>} Entity -> { count, checksum }
+ */
+export const summarizeStore = async (store, entities, batchSize) => {
+  // id -> natural key of the records others point to
+  const keys = {};
+  for (const [entity, field] of Object.entries(KEY_FIELDS)) {
+    keys[entity] = new Map();
+    for await (const batch of store.readBatches(entity, batchSize)) {
+      batch.forEach((record) => keys[entity].set(record.id, record[field]));
+    }
+  }
+  const keyOf = (entity, id) => (id === null || id === undefined ? null : keys[entity].get(id) ?? `(missing ${id})`);
+
+  const summary = {};
+  for (const entity of entities) {
+    const checksum = createChecksum();
+    for await (const batch of store.readBatches(entity, batchSize)) {
+      batch.forEach((record) => checksum.add(ENTITIES[entity].canonical(record, keyOf)));
+    }
+    summary[entity] = checksum.result();
+  }
+
+  return summary;
+};
+
+/**
+ * Verification report: counts and checksums of both stores side by side
+ * @returns {Promise<{ rows: Object[], ok: Boolean }>}
+ */
+export const verify = async ({ from, to, entities, batchSize }) => {
+  const [source, target] = [
+    await summarizeStore(from, entities, batchSize),
+    await summarizeStore(to, entities, batchSize)
+  ];
+
+  const rows = entities.map((entity) => ({
+    entity,
+    [`${from.name} count`]: source[entity].count,
+    [`${to.name} count`]: target[entity].count,
+    [`${from.name} checksum`]: source[entity].checksum.slice(0, 12),
+    [`${to.name} checksum`]: target[entity].checksum.slice(0, 12),
+    match: source[entity].count === target[entity].count && source[entity].checksum === target[entity].checksum
+  }));
+
+  return { rows, ok: rows.every((row) => row.match) };
+};
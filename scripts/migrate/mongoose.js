@@ -0,0 +1,228 @@
+/**
+ * MONGOOSE MIGRATION STORE
+ *
+ * Reads and writes portable records (see entities.js) in MongoDB, and keeps
+ * the id map of the documents copied into it (MigrationIdMap). Enums are
+ * stored lowercase, and UNPAID is called 'pending'. Order items stay
+ * embedded, as in the Order model.
+ */
+
+import User from '../../models/mongoose/User.js';
+import Category from '../../models/mongoose/Category.js';
+import Tag from '../../models/mongoose/Tag.js';
+import Product from '../../models/mongoose/Product.js';
+import Post from '../../models/mongoose/Post.js';
+import Order from '../../models/mongoose/Order.js';
+import Review from '../../models/mongoose/Review.js';
+import MigrationIdMap from '../../models/mongoose/MigrationIdMap.js';
+import { connectMongoDB, disconnectMongoDB } from '../../config/mongoose.js';
+import { ENTITIES } from './entities.js';
+
+const toId = (id) => (id === null || id === undefined ? null : String(id));
+
+/**
+ * Portable (Prisma) enum spelling to Mongo and back
+ * (`field` tells payment statuses apart: 'pending' is UNPAID there, PENDING for an order status)
+ */
+const toMongoEnum = (value) => (value === 'UNPAID' ? 'pending' : value?.toLowerCase() ?? null);
+const fromMongoEnum = (value, field) => {
+  if (value === null || value === undefined) return null;
+  return field === 'paymentStatus' && value === 'pending' ? 'UNPAID' : value.toUpperCase();
+};
+
+/**
+ * Per entity: the model, what to select and how a document becomes a portable record
+ */
+const READERS = {
+  users: {
+    Model: User,
+    select: '+password',
+    toRecord: ({ _id, email, username, password, firstName, lastName, role, createdAt, updatedAt, deletedAt }) => ({
+      id: toId(_id), email, username, password,
+      firstName: firstName ?? null,
+      lastName: lastName ?? null,
+      role: fromMongoEnum(role),
+      createdAt, updatedAt,
+      deletedAt: deletedAt ?? null
+    })
+  },
+  categories: {
+    Model: Category,
+    toRecord: ({ _id, name, slug, description, parent, createdAt, updatedAt }) => ({
+      id: toId(_id), name, slug, description: description ?? null, parentId: toId(parent), createdAt, updatedAt
+    })
+  },
+  tags: {
+    Model: Tag,
+    toRecord: ({ _id, name, slug, createdAt, updatedAt }) => ({ id: toId(_id), name, slug, createdAt, updatedAt })
+  },
+  products: {
+    Model: Product,
+    toRecord: ({ _id, name, slug, description, price, stock, category, tags, createdAt, updatedAt, deletedAt }) => ({
+      id: toId(_id), name, slug, description: description ?? null, price, stock,
+      categoryId: toId(category),
+      tagIds: (tags ?? []).map(toId),
+      createdAt, updatedAt,
+      deletedAt: deletedAt ?? null
+    })
+  },
+  posts: {
+    Model: Post,
+    toRecord: ({ _id, title, slug, content, status, publishedAt, author, tags, createdAt, updatedAt, deletedAt }) => ({
+      id: toId(_id), title, slug, content,
+      status: fromMongoEnum(status),
+      publishedAt: publishedAt ?? null,
+      authorId: toId(author),
+      tagIds: (tags ?? []).map(toId),
+      createdAt, updatedAt,
+      deletedAt: deletedAt ?? null
+    })
+  },
+  orders: {
+    Model: Order,
+    toRecord: ({ _id, orderNumber, user, status, paymentStatus, totalAmount, items, history, createdAt, updatedAt }) => ({
+      id: toId(_id), orderNumber,
+      userId: toId(user),
+      status: fromMongoEnum(status),
+      paymentStatus: fromMongoEnum(paymentStatus, 'paymentStatus'),
+      totalAmount,
+      items: (items ?? []).map(({ product, quantity, price }) => ({ productId: toId(product), quantity, unitPrice: price })),
+      history: (history ?? []).map(({ field, from, to, note, actor, at }) => ({
+        field,
+        fromValue: fromMongoEnum(from, field),
+        toValue: fromMongoEnum(to, field),
+        note: note ?? null,
+        actorId: toId(actor),
+        createdAt: at
+      })),
+      createdAt, updatedAt
+    })
+  },
+  reviews: {
+    Model: Review,
+    toRecord: ({ _id, user, product, rating, comment, createdAt, updatedAt }) => ({
+      id: toId(_id), userId: toId(user), productId: toId(product), rating, comment: comment ?? null, createdAt, updatedAt
+    })
+  }
+};
+
+/**
+ * Per entity: a portable record (relations already target ids) as a document
+ */
+const TO_DOCUMENT = {
+  users: ({ id, role, ...user }) => ({ ...user, role: toMongoEnum(role) }),
+  categories: ({ id, parentId, ...category }) => ({ ...category, parent: parentId }),
+  tags: ({ id, ...tag }) => tag,
+  products: ({ id, categoryId, tagIds, ...product }) => ({ ...product, category: categoryId ?? undefined, tags: tagIds }),
+  posts: ({ id, authorId, tagIds, status, ...post }) => ({ ...post, status: toMongoEnum(status), author: authorId, tags: tagIds }),
+  orders: ({ id, userId, status, paymentStatus, items, history, ...order }) => ({
+    ...order,
+    user: userId,
+    status: toMongoEnum(status),
+    paymentStatus: toMongoEnum(paymentStatus),
+    items: items.map(({ productId, quantity, unitPrice }) => ({ product: productId, quantity, price: unitPrice })),
+    history: history.map(({ field, fromValue, toValue, note, actorId, createdAt }) => ({
+      field,
+      from: toMongoEnum(fromValue),
+      to: toMongoEnum(toValue),
+      note: note ?? undefined,
+      actor: actorId ?? undefined,
+      at: createdAt
+    }))
+  }),
+  reviews: ({ id, userId, productId, comment, ...review }) => ({
+    ...review,
+    user: userId,
+    product: productId,
+    comment: comment ?? undefined
+  })
+};
+
+/**
+ * Per entity: the documents already holding some of the records' natural keys
+ */
+const FINDERS = {
+  users: (users) => User.find({ email: { $in: users.map((user) => user.email) } }).select('email').lean(),
+  categories: (categories) => Category.find({ slug: { $in: categories.map((category) => category.slug) } }).select('slug').lean(),
+  tags: (tags) => Tag.find({ slug: { $in: tags.map((tag) => tag.slug) } }).select('slug').lean(),
+  products: (products) => Product.find({ slug: { $in: products.map((product) => product.slug) } }).select('slug').lean(),
+  posts: (posts) => Post.find({ slug: { $in: posts.map((post) => post.slug) } }).select('slug').lean(),
+  orders: (orders) => Order.find({ orderNumber: { $in: orders.map((order) => order.orderNumber) } }).select('orderNumber').lean(),
+  reviews: (reviews) => Review.find({ $or: reviews.map(({ userId, productId }) => ({ user: userId, product: productId })) })
+    .select('user product')
+    .lean()
+};
+
+export const mongooseStore = {
+  name: 'mongoose',
+  label: 'MongoDB',
+
+  /**
+   * Portable records of an entity, `size` at a time in _id order
+   */
+  async *readBatches(entity, size) {
+    const { Model, select, toRecord } = READERS[entity];
+    let cursor;
+
+    for (;;) {
+      const documents = await Model.find(cursor === undefined ? {} : { _id: { $gt: cursor } })
+        .select(select)
+        .sort({ _id: 1 })
+        .limit(size)
+        .lean();
+      if (!documents.length) return;
+
+      cursor = documents[documents.length - 1]._id;
+      yield documents.map(toRecord);
+    }
+  },
+
+  /**
+   * Natural key -> _id of the documents already in the database
+   */
+  async findExisting(entity, records) {
+    if (!records.length) return new Map();
+    const documents = await FINDERS[entity](records);
+    return new Map(documents.map((document) => [
+      ENTITIES[entity].key(READERS[entity].toRecord(document)),
+      toId(document._id)
+    ]));
+  },
+
+  /**
+   * Insert records, resolving to their new _ids in order
+   * (fixture timestamps are kept, as the seed does)
+   */
+  async insert(entity, records) {
+    const { Model } = READERS[entity];
+    const documents = await Model.insertMany(records.map(TO_DOCUMENT[entity]), { timestamps: false });
+    return documents.map((document) => toId(document._id));
+  },
+
+  /**
+   * Link categories to their parents ({ id, parentId } target ids), keeping updatedAt
+   */
+  linkParents: (links) => Category.bulkWrite(links.map(({ id, parentId }) => ({
+    updateOne: { filter: { _id: id }, update: { $set: { parent: parentId } }, timestamps: false }
+  }))),
+
+  /**
+   * Source id -> target id of the documents copied from `source`
+   */
+  async loadIdMap(source, entity) {
+    const entries = await MigrationIdMap.find({ source, entity }).select('sourceId targetId').lean();
+    return new Map(entries.map((entry) => [entry.sourceId, entry.targetId]));
+  },
+
+  // Entries saved by an interrupted run are skipped
+  saveIdMap: (source, entity, pairs) => MigrationIdMap.bulkWrite(pairs.map(([sourceId, targetId]) => ({
+    updateOne: {
+      filter: { source, entity, sourceId },
+      update: { $setOnInsert: { targetId } },
+      upsert: true
+    }
+  }))),
+
+  connect: connectMongoDB,
+  disconnect: disconnectMongoDB
+};
@@ -0,0 +1,271 @@
+/**
+ * PRISMA MIGRATION STORE
+ *
+ * Reads and writes portable records (see entities.js) in PostgreSQL,
+ * and keeps the id map of the records copied into it (MigrationIdMap)
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma, connectPrisma, disconnectPrisma } from '../../config/prisma.js';
+import { ENTITIES } from './entities.js';
+
+const toId = (id) => (id === null || id === undefined ? null : String(id));
+const toDbId = (id) => (id === null || id === undefined ? null : Number(id));
+
+/**
+ * Per entity: the delegate, what to read with a row and how to turn it into a portable record
+ */
+const READERS = {
+  users: {
+    delegate: prisma.user,
+    toRecord: ({ id, email, username, password, firstName, lastName, role, createdAt, updatedAt, deletedAt }) => ({
+      id: toId(id), email, username, password, firstName, lastName, role, createdAt, updatedAt, deletedAt
+    })
+  },
+  categories: {
+    delegate: prisma.category,
+    toRecord: ({ id, name, slug, description, parentId, createdAt, updatedAt }) => ({
+      id: toId(id), name, slug, description, parentId: toId(parentId), createdAt, updatedAt
+    })
+  },
+  tags: {
+    delegate: prisma.tag,
+    toRecord: ({ id, name, slug, createdAt, updatedAt }) => ({ id: toId(id), name, slug, createdAt, updatedAt })
+  },
+  products: {
+    delegate: prisma.product,
+    include: { tags: { select: { id: true } } },
+    toRecord: ({ id, name, slug, description, price, stock, categoryId, tags, createdAt, updatedAt, deletedAt }) => ({
+      id: toId(id), name, slug, description, price: Number(price), stock,
+      categoryId: toId(categoryId),
+      tagIds: tags.map((tag) => toId(tag.id)),
+      createdAt, updatedAt, deletedAt
+    })
+  },
+  posts: {
+    delegate: prisma.post,
+    include: { tags: { select: { id: true } } },
+    toRecord: ({ id, title, slug, content, status, publishedAt, authorId, tags, createdAt, updatedAt, deletedAt }) => ({
+      id: toId(id), title, slug, content, status, publishedAt,
+      authorId: toId(authorId),
+      tagIds: tags.map((tag) => toId(tag.id)),
+      createdAt, updatedAt, deletedAt
+    })
+  },
+  orders: {
+    delegate: prisma.order,
+    include: { items: true, history: true },
+    toRecord: ({ id, orderNumber, userId, status, paymentStatus, totalAmount, items, history, createdAt, updatedAt }) => ({
+      id: toId(id), orderNumber, userId: toId(userId), status, paymentStatus,
+      totalAmount: Number(totalAmount),
+      items: items.map(({ productId, quantity, unitPrice }) => ({
+        productId: toId(productId), quantity, unitPrice: Number(unitPrice)
+      })),
+      history: history.map(({ field, fromValue, toValue, note, actorId, createdAt: at }) => ({
+        field, fromValue, toValue, note, actorId: toId(actorId), createdAt: at
+      })),
+      createdAt, updatedAt
+    })
+  },
+  reviews: {
+    delegate: prisma.review,
+    toRecord: ({ id, userId, productId, rating, comment, createdAt, updatedAt }) => ({
+      id: toId(id), userId: toId(userId), productId: toId(productId), rating, comment, createdAt, updatedAt
+    })
+  }
+};
+
+/**
+ * Bulk insert into an implicit many-to-many table ("A" = entity, "B" = tag)
+ */
+const insertTagLinks = async (tx, table, links) => {
+  if (!links.length) return;
+  await tx.$executeRaw`
+    INSERT INTO ${Prisma.raw(`"${table}"`)} ("A", "B")
+    VALUES ${Prisma.join(links.map(([entityId, tagId]) => Prisma.sql`(${entityId}, ${tagId})`))}
+    ON CONFLICT DO NOTHING
+  `;
+};
+
+/**
+ * Ids in record order, matched on a unique column
+ */
+const idsInOrder = (rows, key, values) => {
+  const ids = new Map(rows.map((row) => [row[key], toId(row.id)]));
+  return values.map((value) => ids.get(value));
+};
+
+/**
+ * Per entity: insert portable records (relations already target ids) in one
+ * transaction, resolving to their new ids in order
+ */
+const WRITERS = {
+  users: async (tx, users) => {
+    const rows = await tx.user.createManyAndReturn({
+      data: users.map(({ email, username, password, firstName, lastName, role, createdAt, updatedAt, deletedAt }) => ({
+        email, username, password, firstName, lastName, role, createdAt, updatedAt, deletedAt
+      })),
+      select: { id: true, email: true }
+    });
+    return idsInOrder(rows, 'email', users.map((user) => user.email));
+  },
+
+  categories: async (tx, categories) => {
+    const rows = await tx.category.createManyAndReturn({
+      data: categories.map(({ name, slug, description, parentId, createdAt, updatedAt }) => ({
+        name, slug, description, parentId: toDbId(parentId), createdAt, updatedAt
+      })),
+      select: { id: true, slug: true }
+    });
+    return idsInOrder(rows, 'slug', categories.map((category) => category.slug));
+  },
+
+  tags: async (tx, tags) => {
+    const rows = await tx.tag.createManyAndReturn({
+      data: tags.map(({ name, slug, createdAt, updatedAt }) => ({ name, slug, createdAt, updatedAt })),
+      select: { id: true, slug: true }
+    });
+    return idsInOrder(rows, 'slug', tags.map((tag) => tag.slug));
+  },
+
+  products: async (tx, products) => {
+    const rows = await tx.product.createManyAndReturn({
+      data: products.map(({ name, slug, description, price, stock, categoryId, createdAt, updatedAt, deletedAt }) => ({
+        name, slug, description, price, stock, categoryId: toDbId(categoryId), createdAt, updatedAt, deletedAt
+      })),
+      select: { id: true, slug: true }
+    });
+    const ids = idsInOrder(rows, 'slug', products.map((product) => product.slug));
+    await insertTagLinks(tx, '_ProductTags', products.flatMap((product, index) =>
+      product.tagIds.map((tagId) => [toDbId(ids[index]), toDbId(tagId)])));
+    return ids;
+  },
+
+  posts: async (tx, posts) => {
+    const rows = await tx.post.createManyAndReturn({
+      data: posts.map(({ title, slug, content, status, publishedAt, authorId, createdAt, updatedAt, deletedAt }) => ({
+        title, slug, content, status, publishedAt, authorId: toDbId(authorId), createdAt, updatedAt, deletedAt
+      })),
+      select: { id: true, slug: true }
+    });
+    const ids = idsInOrder(rows, 'slug', posts.map((post) => post.slug));
+    await insertTagLinks(tx, '_PostTags', posts.flatMap((post, index) =>
+      post.tagIds.map((tagId) => [toDbId(ids[index]), toDbId(tagId)])));
+    return ids;
+  },
+
+  // OrderItem and OrderHistory rows are written with their order
+  orders: async (tx, orders) => {
+    const rows = await tx.order.createManyAndReturn({
+      data: orders.map(({ orderNumber, userId, status, paymentStatus, totalAmount, createdAt, updatedAt }) => ({
+        orderNumber, userId: toDbId(userId), status, paymentStatus, totalAmount, createdAt, updatedAt
+      })),
+      select: { id: true, orderNumber: true }
+    });
+    const ids = idsInOrder(rows, 'orderNumber', orders.map((order) => order.orderNumber));
+
+    await tx.orderItem.createMany({
+      data: orders.flatMap((order, index) => order.items.map(({ productId, quantity, unitPrice }) => ({
+        orderId: toDbId(ids[index]), productId: toDbId(productId), quantity, unitPrice
+      })))
+    });
+    await tx.orderHistory.createMany({
+      data: orders.flatMap((order, index) => order.history.map(({ field, fromValue, toValue, note, actorId, createdAt }) => ({
+        orderId: toDbId(ids[index]), field, fromValue, toValue, note, actorId: toDbId(actorId), createdAt
+      })))
+    });
+    return ids;
+  },
+
+  reviews: async (tx, reviews) => {
+    const rows = await tx.review.createManyAndReturn({
+      data: reviews.map(({ userId, productId, rating, comment, createdAt, updatedAt }) => ({
+        userId: toDbId(userId), productId: toDbId(productId), rating, comment, createdAt, updatedAt
+      })),
+      select: { id: true, userId: true, productId: true }
+    });
+    const ids = new Map(rows.map((row) => [`${row.userId}:${row.productId}`, toId(row.id)]));
+    return reviews.map((review) => ids.get(ENTITIES.reviews.key(review)));
+  }
+};
+
+/**
+ * Per entity: the target rows already holding some of the records' natural keys
+ */
+const FINDERS = {
+  users: (users) => prisma.user.findMany({ where: { email: { in: users.map((user) => user.email) } } }),
+  categories: (categories) => prisma.category.findMany({ where: { slug: { in: categories.map((category) => category.slug) } } }),
+  tags: (tags) => prisma.tag.findMany({ where: { slug: { in: tags.map((tag) => tag.slug) } } }),
+  products: (products) => prisma.product.findMany({ where: { slug: { in: products.map((product) => product.slug) } } }),
+  posts: (posts) => prisma.post.findMany({ where: { slug: { in: posts.map((post) => post.slug) } } }),
+  orders: (orders) => prisma.order.findMany({ where: { orderNumber: { in: orders.map((order) => order.orderNumber) } } }),
+  reviews: (reviews) => prisma.review.findMany({
+    where: { OR: reviews.map(({ userId, productId }) => ({ userId: toDbId(userId), productId: toDbId(productId) })) }
+  })
+};
+
+export const prismaStore = {
+  name: 'prisma',
+  label: 'PostgreSQL',
+
+  /**
+   * Portable records of an entity, `size` at a time in id order
+   */
+  async *readBatches(entity, size) {
+    const { delegate, include, toRecord } = READERS[entity];
+    let cursor;
+
+    for (;;) {
+      const rows = await delegate.findMany({
+        where: cursor === undefined ? undefined : { id: { gt: cursor } },
+        orderBy: { id: 'asc' },
+        take: size,
+        include
+      });
+      if (!rows.length) return;
+
+      cursor = rows[rows.length - 1].id;
+      yield rows.map(toRecord);
+    }
+  },
+
+  /**
+   * Natural key -> id of the records already in the database
+   */
+  async findExisting(entity, records) {
+    if (!records.length) return new Map();
+    const rows = await FINDERS[entity](records);
+    return new Map(rows.map((row) => [ENTITIES[entity].key(row), toId(row.id)]));
+  },
+
+  /**
+   * Insert records, resolving to their new ids in order
+   */
+  insert: (entity, records) => prisma.$transaction((tx) => WRITERS[entity](tx, records)),
+
+  /**
+   * Link categories to their parents ({ id, parentId } target ids), keeping updatedAt
+   */
+  linkParents: (links) => prisma.$transaction(links.map(({ id, parentId }) => prisma.$executeRaw`
+    UPDATE "Category" SET "parentId" = ${toDbId(parentId)} WHERE id = ${toDbId(id)}
+  `)),
+
+  /**
+   * Source id -> target id of the records copied from `source`
+   */
+  async loadIdMap(source, entity) {
+    const rows = await prisma.migrationIdMap.findMany({
+      where: { source, entity },
+      select: { sourceId: true, targetId: true }
+    });
+    return new Map(rows.map((row) => [row.sourceId, row.targetId]));
+  },
+
+  saveIdMap: (source, entity, pairs) => prisma.migrationIdMap.createMany({
+    data: pairs.map(([sourceId, targetId]) => ({ source, entity, sourceId, targetId })),
+    skipDuplicates: true
+  }),
+
+  connect: connectPrisma,
+  disconnect: disconnectPrisma
+};
@@ -0,0 +1,93 @@
+/**
+ * OUTBOX RELAY CLI
+ * 
+ * Runs the outbox relay (see jobs/relayOutbox.js) as its own process:
+ * projects the events PostgreSQL writes into the MongoDB read models until
+ * stopped, logging how far behind they are. Set OUTBOX_RELAY=false on the
+ * API servers when this process does the relaying.
+ * 
+ * Usage: node scripts/outbox-relay.js [options]
+ *   --replay-from <offset>   Relay the events after this id again first (0 rebuilds everything)
+ *   --interval <seconds>     Pause between runs once caught up (default: OUTBOX_RELAY_SECONDS or 5)
+ *   --once                   Relay what is pending, print the lag and exit
+ *   --help                   Show this message
+ */
+
+// Load environment variables before any module reads them
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { connectPrisma, disconnectPrisma } from '../config/prisma.js';
+import { connectMongoDB, disconnectMongoDB } from '../config/mongoose.js';
+import { outboxConfig } from '../config/outbox.js';
+import { relayOutbox, replayOutbox, getOutboxLag } from '../jobs/relayOutbox.js';
+
+const USAGE = 'Usage: node scripts/outbox-relay.js [--replay-from <offset>] [--interval <seconds>] [--once]';
+
+/**
+ * Parse and check the command line
+ */
+const parseOptions = () => {
+  const { values } = parseArgs({
+    options: {
+      'replay-from': { type: 'string' },
+      interval: { type: 'string', default: String(outboxConfig.relayIntervalSeconds) },
+      once: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  
+  const replayFrom = values['replay-from'] === undefined ? undefined : Number(values['replay-from']);
+  const interval = Number(values.interval);
+  
+  if (replayFrom !== undefined && !(Number.isInteger(replayFrom) && replayFrom >= 0)) {
+    throw new Error('--replay-from must be an event id (0 or more)');
+  }
+  if (!(interval > 0)) throw new Error('--interval must be a positive number of seconds');
+  
+  return { ...values, replayFrom, interval };
+};
+
+async function main() {
+  const options = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  
+  await connectPrisma();
+  await connectMongoDB();
+  
+  // Finish the current run before exiting
+  const stop = new AbortController();
+  process.once('SIGINT', () => stop.abort());
+  process.once('SIGTERM', () => stop.abort());
+  
+  try {
+    if (options.replayFrom !== undefined) {
+      await replayOutbox(options.replayFrom);
+      console.log(`⏪ Replaying the events after ${options.replayFrom}`);
+    }
+    
+    console.log('📤 Relaying the outbox into the MongoDB read models');
+    do {
+      const { relayed } = await relayOutbox();
+      if (relayed || options.once) {
+        const lag = await getOutboxLag();
+        console.log(`✅ ${relayed} event(s) relayed, offset ${lag.offset}/${lag.latestEventId}, ${lag.pendingEvents} pending, lag ${lag.lagSeconds}s`);
+      }
+      if (options.once) break;
+      
+      await sleep(options.interval * 1000, undefined, { signal: stop.signal }).catch(() => {});
+    } while (!stop.signal.aborted);
+  } finally {
+    await disconnectPrisma();
+    await disconnectMongoDB();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Outbox relay failed:', error.message);
+  console.error(USAGE);
+  process.exitCode = 1;
+});
@@ -0,0 +1,98 @@
+/**
+ * SEED CLI
+ * 
+ * Fills PostgreSQL (Prisma) and / or MongoDB (Mongoose) with deterministic,
+ * relationally consistent fake data (see scripts/seed/fixtures.js)
+ * 
+ * Usage: node scripts/seed.js [options]
+ *   --db <prisma|mongoose|all>     Databases to seed (default: all)
+ *   --preset <small|medium|large>  Dataset size (default: small)
+ *   --seed <number>                Random seed (default: 42)
+ *   --anchor <ISO date>            Newest timestamp in the data (default: 2025-01-01)
+ *   --reset                        Delete the existing data first
+ *   --help                         Show this message
+ * 
+ * Every seeded user's password is SEED_PASSWORD; the admin is admin@example.com
+ */
+
+// Load environment variables before any module reads them
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { connectPrisma, disconnectPrisma } from '../config/prisma.js';
+import { connectMongoDB, disconnectMongoDB } from '../config/mongoose.js';
+import { hashPassword } from '../utils/password.js';
+import { generateFixtures, PRESETS, SEED_PASSWORD, DEFAULT_ANCHOR } from './seed/fixtures.js';
+import { seedPrisma, resetPrisma } from './seed/prisma.js';
+import { seedMongoose, resetMongoose } from './seed/mongoose.js';
+
+const USAGE = `Usage: node scripts/seed.js [--db prisma|mongoose|all] [--preset ${Object.keys(PRESETS).join('|')}] [--seed <number>] [--anchor <ISO date>] [--reset]`;
+
+/**
+ * Databases the CLI can seed
+ */
+const TARGETS = {
+  prisma: { label: 'PostgreSQL', connect: connectPrisma, disconnect: disconnectPrisma, reset: resetPrisma, seed: seedPrisma },
+  mongoose: { label: 'MongoDB', connect: connectMongoDB, disconnect: disconnectMongoDB, reset: resetMongoose, seed: seedMongoose }
+};
+
+/**
+ * Parse and check the command line
+ */
+const parseOptions = () => {
+  const { values } = parseArgs({
+    options: {
+      db: { type: 'string', default: 'all' },
+      preset: { type: 'string', default: 'small' },
+      seed: { type: 'string', default: '42' },
+      anchor: { type: 'string', default: DEFAULT_ANCHOR },
+      reset: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  
+  const seed = Number(values.seed);
+  const anchor = new Date(values.anchor);
+  const targets = values.db === 'all' ? Object.keys(TARGETS) : [values.db];
+  
+  if (targets.some((target) => !TARGETS[target])) throw new Error(`Unknown --db "${values.db}"`);
+  if (!PRESETS[values.preset]) throw new Error(`Unknown --preset "${values.preset}"`);
+  if (!Number.isInteger(seed)) throw new Error('--seed must be an integer');
+  if (Number.isNaN(anchor.getTime())) throw new Error('--anchor must be a date');
+  
+  return { ...values, seed, anchor, targets };
+};
+
+async function main() {
+  const options = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  
+  const fixtures = generateFixtures(options);
+  const passwordHash = await hashPassword(SEED_PASSWORD);
+  console.log(`🌱 Seeding preset "${options.preset}" with seed ${options.seed}`);
+  
+  for (const name of options.targets) {
+    const target = TARGETS[name];
+    await target.connect();
+    try {
+      if (options.reset) {
+        await target.reset();
+        console.log(`🗑️  ${target.label} data removed`);
+      }
+      const counts = await target.seed(fixtures, { passwordHash, seed: options.seed });
+      console.log(`✅ ${target.label} seeded:`, counts);
+    } finally {
+      await target.disconnect();
+    }
+  }
+  
+  console.log(`🔑 Every user's password is "${SEED_PASSWORD}" (admin: admin@example.com)`);
+}
+
+main().catch((error) => {
+  console.error('❌ Seeding failed:', error.message);
+  console.error(USAGE);
+  process.exitCode = 1;
+});
@@ -0,0 +1,273 @@
+/**
+ * SEED FIXTURES
+ * 
+ * Builds one backend-neutral dataset that the Prisma and Mongoose writers
+ * both load. Relations point at array indexes (author: 3 is users[3]) and
+ * enum values use the Prisma spelling; the writers translate both.
+ * 
+ * Everything derives from the seed and the anchor date, so the same
+ * options always produce the same data:
+ * - users with profiles and an address (users[0] is the admin)
+ * - a three-level category tree
+ * - tagged products, tagged posts (draft / published / archived)
+ * - orders with items and a status history that follows the order state machine
+ * - reviews, only for products the reviewer received (verified purchases)
+ */
+
+import { createRandom } from './random.js';
+import { slugify } from '../../utils/slugify.js';
+
+/**
+ * Dataset sizes
+ */
+export const PRESETS = {
+  small: { users: 10, categories: [3, 2, 1], tags: 10, products: 20, posts: 15, orders: 30 },
+  medium: { users: 50, categories: [5, 3, 2], tags: 25, products: 100, posts: 80, orders: 300 },
+  large: { users: 500, categories: [8, 4, 3], tags: 60, products: 1000, posts: 800, orders: 5000 }
+};
+
+// Every seeded account uses this password
+export const SEED_PASSWORD = 'Password123!';
+
+// Data is spread over the year before the anchor date
+export const DEFAULT_ANCHOR = '2025-01-01T00:00:00.000Z';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const FIRST_NAMES = ['Ada', 'Alan', 'Grace', 'Linus', 'Margaret', 'Ken', 'Barbara', 'Dennis', 'Frances', 'Guido', 'Radia', 'Tim', 'Hedy', 'John', 'Katherine', 'Edsger', 'Sophie', 'Brendan', 'Joan', 'Bjarne'];
+const LAST_NAMES = ['Lovelace', 'Turing', 'Hopper', 'Torvalds', 'Hamilton', 'Thompson', 'Liskov', 'Ritchie', 'Allen', 'Rossum', 'Perlman', 'Berners', 'Lamarr', 'Backus', 'Johnson', 'Dijkstra', 'Wilson', 'Eich', 'Clarke', 'Stroustrup'];
+const CITIES = [['Berlin', 'BE', 'Germany'], ['Lyon', 'ARA', 'France'], ['Austin', 'TX', 'USA'], ['Toronto', 'ON', 'Canada'], ['Osaka', 'OS', 'Japan'], ['Leeds', 'WYK', 'United Kingdom']];
+const STREETS = ['Main Street', 'Oak Avenue', 'Station Road', 'Harbour Lane', 'Market Square', 'Mill Road'];
+
+const ROOT_CATEGORIES = ['Electronics', 'Home & Kitchen', 'Books', 'Sports & Outdoors', 'Clothing', 'Toys & Games', 'Beauty', 'Garden'];
+const SUB_CATEGORIES = ['Accessories', 'Essentials', 'Premium', 'Outlet', 'Kids', 'Professional', 'Travel', 'Eco'];
+
+const ADJECTIVES = ['Ergonomic', 'Compact', 'Rustic', 'Sleek', 'Durable', 'Handmade', 'Wireless', 'Vintage', 'Smart', 'Portable', 'Classic', 'Modern'];
+const MATERIALS = ['Steel', 'Wooden', 'Cotton', 'Leather', 'Bamboo', 'Ceramic', 'Aluminium', 'Glass', 'Wool', 'Carbon'];
+const NOUNS = ['Chair', 'Lamp', 'Backpack', 'Keyboard', 'Mug', 'Jacket', 'Speaker', 'Notebook', 'Bottle', 'Headphones', 'Watch', 'Blanket', 'Kettle', 'Tent', 'Camera'];
+const TAG_WORDS = ['new', 'sale', 'bestseller', 'eco', 'gift', 'premium', 'budget', 'outdoor', 'indoor', 'tech', 'handmade', 'vintage', 'kids', 'travel', 'office', 'fitness', 'kitchen', 'winter', 'summer', 'limited'];
+const WORDS = ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua', 'enim', 'minim', 'veniam', 'quis', 'nostrud', 'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip', 'commodo'];
+const REVIEW_COMMENTS = {
+  1: ['Broke after a week.', 'Not as described.'],
+  2: ['Disappointing quality.', 'Works, but barely.'],
+  3: ['Does the job.', 'Average, nothing special.'],
+  4: ['Very good value.', 'Happy with it, would buy again.'],
+  5: ['Excellent, highly recommended!', 'Exactly what I needed.']
+};
+
+/**
+ * Paths an order can have taken through the state machine (utils/orderStateMachine.js)
+ */
+const STATUS_PATHS = {
+  PENDING: ['PENDING'],
+  PROCESSING: ['PENDING', 'PROCESSING'],
+  SHIPPED: ['PENDING', 'PROCESSING', 'SHIPPED'],
+  DELIVERED: ['PENDING', 'PROCESSING', 'SHIPPED', 'DELIVERED'],
+  CANCELLED: ['PENDING', 'CANCELLED']
+};
+const PAYMENT_PATHS = {
+  UNPAID: [],
+  PAID: ['PAID'],
+  FAILED: ['FAILED'],
+  REFUNDED: ['PAID', 'REFUNDED']
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Slug generator that never hands out the same slug twice
+ */
+const slugRegistry = () => {
+  const used = new Set();
+  return (text) => {
+    const base = slugify(text) || 'item';
+    let slug = base;
+    for (let suffix = 2; used.has(slug); suffix += 1) slug = `${base}-${suffix}`;
+    used.add(slug);
+    return slug;
+  };
+};
+
+/**
+ * Generate the dataset
+ * @param {Object} options
+ * @param {String} options.preset - small | medium | large
+ * @param {Number} options.seed   - PRNG seed
+ * @param {Date}   options.anchor - newest possible timestamp
+ */
+export const generateFixtures = ({ preset = 'small', seed = 42, anchor = new Date(DEFAULT_ANCHOR) } = {}) => {
+  const size = PRESETS[preset];
+  if (!size) {
+    throw new Error(`Unknown preset "${preset}" (use ${Object.keys(PRESETS).join(', ')})`);
+  }
+  
+  const random = createRandom(seed);
+  const start = new Date(anchor.getTime() - 365 * DAY);
+  const sentence = (min, max) => capitalize(Array.from({ length: random.int(min, max) }, () => random.pick(WORDS)).join(' ')) + '.';
+  const paragraph = (sentences) => Array.from({ length: sentences }, () => sentence(8, 16)).join(' ');
+  // A date after `from` (and never after the anchor)
+  const after = (from, maxDays) => random.date(from, new Date(Math.min(anchor.getTime(), from.getTime() + maxDays * DAY)));
+  
+  // Users (first one is the admin)
+  const users = Array.from({ length: size.users }, (_, index) => {
+    const firstName = random.pick(FIRST_NAMES);
+    const lastName = random.pick(LAST_NAMES);
+    const username = index === 0 ? 'admin' : `${firstName}.${lastName}${index}`.toLowerCase();
+    const [city, state, country] = random.pick(CITIES);
+    return {
+      email: `${username}@example.com`,
+      username,
+      firstName,
+      lastName,
+      role: index === 0 ? 'ADMIN' : 'USER',
+      profile: {
+        bio: sentence(6, 14),
+        avatarUrl: `https://i.pravatar.cc/150?u=${username}`
+      },
+      address: {
+        street: `${random.int(1, 250)} ${random.pick(STREETS)}`,
+        city,
+        state,
+        zipCode: String(random.int(10000, 99999)),
+        country
+      },
+      createdAt: index === 0 ? start : random.date(start, anchor)
+    };
+  });
+  
+  // Category tree, parents always before their children
+  const categorySlug = slugRegistry();
+  const categories = [];
+  const addCategories = (count, depth, parent) => {
+    const names = depth === 0
+      ? random.sample(ROOT_CATEGORIES, count)
+      : random.sample(SUB_CATEGORIES.filter((name) => !categories[parent].name.includes(name)), count);
+    for (const name of names) {
+      const fullName = parent === null ? name : `${categories[parent].name} ${name}`;
+      categories.push({
+        name: fullName,
+        slug: categorySlug(fullName),
+        description: sentence(6, 12),
+        parent,
+        createdAt: start
+      });
+      const index = categories.length - 1;
+      if (depth + 1 < size.categories.length) addCategories(size.categories[depth + 1], depth + 1, index);
+    }
+  };
+  addCategories(size.categories[0], 0, null);
+  
+  // Tags
+  const tagSlug = slugRegistry();
+  const tags = Array.from({ length: size.tags }, (_, index) => {
+    const name = index < TAG_WORDS.length ? TAG_WORDS[index] : `${random.pick(TAG_WORDS)} ${random.pick(WORDS)}`;
+    return { name, slug: tagSlug(name), createdAt: start };
+  });
+  const tagIndexes = tags.map((_, index) => index);
+  const categoryIndexes = categories.map((_, index) => index);
+  
+  // Products
+  const productSlug = slugRegistry();
+  const products = Array.from({ length: size.products }, () => {
+    const name = `${random.pick(ADJECTIVES)} ${random.pick(MATERIALS)} ${random.pick(NOUNS)}`;
+    return {
+      name,
+      slug: productSlug(name),
+      description: paragraph(random.int(1, 3)),
+      price: random.float(5, 500),
+      // Some products run low or out of stock
+      stock: random.chance(0.15) ? random.int(0, 5) : random.int(6, 200),
+      category: random.chance(0.95) ? random.pick(categoryIndexes) : null,
+      tags: random.sample(tagIndexes, random.int(0, 4)),
+      createdAt: random.date(start, anchor)
+    };
+  });
+  
+  // Posts
+  const postSlug = slugRegistry();
+  const posts = Array.from({ length: size.posts }, () => {
+    const title = capitalize(Array.from({ length: random.int(3, 7) }, () => random.pick(WORDS)).join(' '));
+    const author = random.int(0, users.length - 1);
+    const createdAt = after(users[author].createdAt, 120);
+    const status = random.pickWeighted({ PUBLISHED: 6, DRAFT: 3, ARCHIVED: 1 });
+    return {
+      title,
+      slug: postSlug(title),
+      content: Array.from({ length: random.int(2, 5) }, () => paragraph(random.int(2, 5))).join('\n\n'),
+      status,
+      publishedAt: status === 'DRAFT' ? null : after(createdAt, 14),
+      author,
+      category: random.chance(0.7) ? random.pick(categoryIndexes) : null,
+      tags: random.sample(tagIndexes, random.int(0, 3)),
+      createdAt
+    };
+  });
+  
+  // Orders with items and their status history
+  const orders = Array.from({ length: size.orders }, () => {
+    const user = random.int(0, users.length - 1);
+    const createdAt = after(users[user].createdAt, 365);
+    const items = random.sample(products.map((_, index) => index), random.int(1, 4)).map((product) => ({
+      product,
+      quantity: random.int(1, 3),
+      price: products[product].price
+    }));
+    const status = random.pickWeighted({ DELIVERED: 6, SHIPPED: 1, PROCESSING: 1, PENDING: 1, CANCELLED: 1 });
+    const paymentStatus = status === 'CANCELLED'
+      ? random.pickWeighted({ UNPAID: 1, FAILED: 1, REFUNDED: 2 })
+      : status === 'PENDING'
+        ? random.pickWeighted({ UNPAID: 2, FAILED: 1 })
+        : random.pickWeighted({ PAID: 19, REFUNDED: 1 });
+    
+    // One entry for the placement, then one per transition
+    let at = createdAt;
+    const history = [{ field: 'status', from: null, to: 'PENDING', at }];
+    // Payment is settled first, a refund comes last
+    const [payment, ...laterPayments] = PAYMENT_PATHS[paymentStatus]
+      .map((to, step) => ({ field: 'paymentStatus', from: step ? PAYMENT_PATHS[paymentStatus][step - 1] : 'UNPAID', to }));
+    const transitions = [
+      ...(payment ? [payment] : []),
+      ...STATUS_PATHS[status].slice(1).map((to, step) => ({ field: 'status', from: STATUS_PATHS[status][step], to })),
+      ...laterPayments
+    ];
+    for (const transition of transitions) {
+      at = after(at, 3);
+      history.push({ ...transition, at });
+    }
+    
+    return {
+      orderNumber: `ORD-${createdAt.toISOString().slice(0, 10).replace(/-/g, '')}-${random.hex(8).toUpperCase()}`,
+      user,
+      status,
+      paymentStatus,
+      items,
+      totalAmount: Number(items.reduce((sum, item) => sum + item.price * item.quantity, 0).toFixed(2)),
+      shippingAddress: users[user].address,
+      history,
+      createdAt,
+      updatedAt: at
+    };
+  });
+  
+  // Reviews of delivered products, one per user and product
+  const reviewed = new Set();
+  const reviews = [];
+  for (const order of orders.filter((entry) => entry.status === 'DELIVERED')) {
+    const deliveredAt = order.history[order.history.length - 1].at;
+    for (const { product } of order.items) {
+      const key = `${order.user}:${product}`;
+      if (reviewed.has(key) || !random.chance(0.5)) continue;
+      reviewed.add(key);
+      const rating = Number(random.pickWeighted({ 5: 4, 4: 3, 3: 2, 2: 1, 1: 1 }));
+      reviews.push({
+        user: order.user,
+        product,
+        rating,
+        comment: random.chance(0.8) ? random.pick(REVIEW_COMMENTS[rating]) : null,
+        createdAt: after(deliveredAt, 30)
+      });
+    }
+  }
+  
+  return { users, categories, tags, products, posts, orders, reviews };
+};
@@ -0,0 +1,150 @@
+/**
+ * MONGOOSE SEED WRITER
+ * 
+ * Loads the fixtures (see fixtures.js) into MongoDB
+ * ObjectIds are derived from the seed and the document's creation date, so
+ * reseeding with the same options gives the same ids. Mongo users have no
+ * profile document; the fixture address becomes their first address.
+ */
+
+import mongoose from 'mongoose';
+import User from '../../models/mongoose/User.js';
+import Category from '../../models/mongoose/Category.js';
+import Tag from '../../models/mongoose/Tag.js';
+import Product from '../../models/mongoose/Product.js';
+import Post from '../../models/mongoose/Post.js';
+import Order from '../../models/mongoose/Order.js';
+import Review from '../../models/mongoose/Review.js';
+import RefreshToken from '../../models/mongoose/RefreshToken.js';
+import SalesRollup from '../../models/mongoose/SalesRollup.js';
+import ProductPerformanceRollup from '../../models/mongoose/ProductPerformanceRollup.js';
+import ReportRefresh from '../../models/mongoose/ReportRefresh.js';
+import MigrationIdMap from '../../models/mongoose/MigrationIdMap.js';
+import OrderView from '../../models/mongoose/OrderView.js';
+import OutboxOffset from '../../models/mongoose/OutboxOffset.js';
+import { createRandom } from './random.js';
+
+// Every collection the seed writes (plus the ones derived from them)
+const MODELS = [User, Category, Tag, Product, Post, Order, Review, RefreshToken, SalesRollup, ProductPerformanceRollup, ReportRefresh, MigrationIdMap, OrderView, OutboxOffset];
+
+/**
+ * Fixture enums use the Prisma spelling; Mongo uses lowercase and calls UNPAID 'pending'
+ */
+const toMongoEnum = (value) => (value === 'UNPAID' ? 'pending' : value?.toLowerCase() ?? null);
+
+/**
+ * Empty every seeded collection
+ */
+export const resetMongoose = () => Promise.all(MODELS.map((Model) => Model.deleteMany({})));
+
+/**
+ * Load the fixtures
+ * @param {Object} fixtures
+ * @param {Object} options
+ * @param {String} options.passwordHash - Hash stored for every user
+ * @param {Number} options.seed         - Seed for the ObjectIds
+ * @returns {Promise<Object>} Document count per entity
+ */
+export const seedMongoose = async (fixtures, { passwordHash, seed }) => {
+  const { users, categories, tags, products, posts, orders, reviews } = fixtures;
+  
+  if (await User.exists({})) {
+    throw new Error('MongoDB already contains users, run with --reset to replace them');
+  }
+  
+  // 4-byte timestamp (as in a generated ObjectId) + 8 seeded random bytes
+  const random = createRandom(seed);
+  const objectId = (date) => new mongoose.Types.ObjectId(
+    Math.floor(date.getTime() / 1000).toString(16).padStart(8, '0') + random.hex(16)
+  );
+  const idsFor = (entries) => entries.map((entry) => objectId(entry.createdAt));
+  
+  const userIds = idsFor(users);
+  const categoryIds = idsFor(categories);
+  const tagIds = idsFor(tags);
+  const productIds = idsFor(products);
+  const options = { timestamps: false }; // keep the fixture timestamps
+  
+  await User.insertMany(users.map(({ email, username, firstName, lastName, role, address, createdAt }, index) => ({
+    _id: userIds[index],
+    email, username, password: passwordHash, firstName, lastName,
+    role: toMongoEnum(role),
+    addresses: [address],
+    createdAt,
+    updatedAt: createdAt
+  })), options);
+  
+  await Category.insertMany(categories.map(({ name, slug, description, parent, createdAt }, index) => ({
+    _id: categoryIds[index],
+    name, slug, description,
+    parent: parent === null ? null : categoryIds[parent],
+    createdAt,
+    updatedAt: createdAt
+  })), options);
+  
+  await Tag.insertMany(tags.map(({ name, slug, createdAt }, index) => ({
+    _id: tagIds[index], name, slug, createdAt, updatedAt: createdAt
+  })), options);
+  
+  await Product.insertMany(products.map(({ name, slug, description, price, stock, category, tags: productTags, createdAt }, index) => ({
+    _id: productIds[index],
+    name, slug, description, price, stock,
+    category: category === null ? undefined : categoryIds[category],
+    tags: productTags.map((tag) => tagIds[tag]),
+    createdAt,
+    updatedAt: createdAt
+  })), options);
+  
+  await Post.insertMany(posts.map(({ title, slug, content, status, publishedAt, author, category, tags: postTags, createdAt }) => ({
+    _id: objectId(createdAt),
+    title, slug, content,
+    status: toMongoEnum(status),
+    publishedAt,
+    author: userIds[author],
+    category: category === null ? undefined : categoryIds[category],
+    tags: postTags.map((tag) => tagIds[tag]),
+    createdAt,
+    updatedAt: publishedAt || createdAt
+  })), options);
+  
+  // The customer placed the order, the admin (users[0]) moved it along
+  await Order.insertMany(orders.map((order) => ({
+    _id: objectId(order.createdAt),
+    orderNumber: order.orderNumber,
+    user: userIds[order.user],
+    items: order.items.map(({ product, quantity, price }) => ({ product: productIds[product], quantity, price })),
+    totalAmount: order.totalAmount,
+    status: toMongoEnum(order.status),
+    paymentStatus: toMongoEnum(order.paymentStatus),
+    shippingAddress: order.shippingAddress,
+    history: order.history.map(({ field, from, to, at }) => ({
+      field,
+      from: toMongoEnum(from),
+      to: toMongoEnum(to),
+      actor: from === null ? userIds[order.user] : userIds[0],
+      at
+    })),
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt
+  })), options);
+  
+  await Review.insertMany(reviews.map(({ user, product, rating, comment, createdAt }) => ({
+    _id: objectId(createdAt),
+    user: userIds[user],
+    product: productIds[product],
+    rating,
+    comment: comment ?? undefined,
+    createdAt,
+    updatedAt: createdAt
+  })), options);
+  
+  return {
+    users: users.length,
+    categories: categories.length,
+    tags: tags.length,
+    products: products.length,
+    posts: posts.length,
+    orders: orders.length,
+    reviews: reviews.length
+  };
+};
@@ -0,0 +1,171 @@
+/**
+ * PRISMA SEED WRITER
+ * 
+ * Loads the fixtures (see fixtures.js) into PostgreSQL
+ * Rows are bulk inserted with createManyAndReturn; the fixture indexes are
+ * mapped to the generated ids through each table's unique column.
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../config/prisma.js';
+
+// Every table the seed writes (plus the ones that reference them)
+const TABLES = ['OrderHistory', 'OrderItem', 'Order', 'Review', 'Post', 'Product', 'Tag', 'Category', 'Profile', 'RefreshToken', 'User', 'ReportRefresh', 'MigrationIdMap', 'OutboxEvent'];
+
+const CHUNK_SIZE = 1000;
+
+/**
+ * Ids in fixture order, matched on a unique column
+ */
+const idsInOrder = (rows, key, values) => {
+  const ids = new Map(rows.map((row) => [row[key], row.id]));
+  return values.map((value) => ids.get(value));
+};
+
+/**
+ * Bulk insert into an implicit many-to-many table ("A" = entity, "B" = tag)
+ */
+const insertTagLinks = async (table, links) => {
+  for (let i = 0; i < links.length; i += CHUNK_SIZE) {
+    const chunk = links.slice(i, i + CHUNK_SIZE);
+    await prisma.$executeRaw`
+      INSERT INTO ${Prisma.raw(`"${table}"`)} ("A", "B")
+      VALUES ${Prisma.join(chunk.map(([entityId, tagId]) => Prisma.sql`(${entityId}, ${tagId})`))}
+    `;
+  }
+};
+
+/**
+ * Nesting level of a category (roots are 0)
+ */
+const depthOf = (categories, index) =>
+  categories[index].parent === null ? 0 : depthOf(categories, categories[index].parent) + 1;
+
+/**
+ * Empty every seeded table and restart the id sequences
+ */
+export const resetPrisma = () =>
+  prisma.$executeRawUnsafe(`TRUNCATE ${TABLES.map((table) => `"${table}"`).join(', ')} RESTART IDENTITY CASCADE`);
+
+/**
+ * Load the fixtures
+ * @param {Object} fixtures
+ * @param {Object} options
+ * @param {String} options.passwordHash - Hash stored for every user
+ * @returns {Promise<Object>} Row count per entity
+ */
+export const seedPrisma = async (fixtures, { passwordHash }) => {
+  const { users, categories, tags, products, posts, orders, reviews } = fixtures;
+  
+  if (await prisma.user.count()) {
+    throw new Error('PostgreSQL already contains users, run with --reset to replace them');
+  }
+  
+  // Users and their profiles
+  const createdUsers = await prisma.user.createManyAndReturn({
+    data: users.map(({ email, username, firstName, lastName, role, createdAt }) => ({
+      email, username, password: passwordHash, firstName, lastName, role, createdAt, updatedAt: createdAt
+    })),
+    select: { id: true, email: true }
+  });
+  const userIds = idsInOrder(createdUsers, 'email', users.map((user) => user.email));
+  
+  await prisma.profile.createMany({
+    data: users.map(({ profile }, index) => ({ ...profile, userId: userIds[index] }))
+  });
+  
+  // Categories, one tree level at a time so parents exist first
+  const categoryIds = [];
+  const depths = categories.map((_, index) => depthOf(categories, index));
+  for (let depth = 0; depth <= Math.max(...depths); depth += 1) {
+    const level = categories.map((_, index) => index).filter((index) => depths[index] === depth);
+    const created = await prisma.category.createManyAndReturn({
+      data: level.map((index) => {
+        const { name, slug, description, parent, createdAt } = categories[index];
+        return { name, slug, description, parentId: parent === null ? null : categoryIds[parent], createdAt, updatedAt: createdAt };
+      }),
+      select: { id: true, slug: true }
+    });
+    const ids = idsInOrder(created, 'slug', level.map((index) => categories[index].slug));
+    level.forEach((index, position) => { categoryIds[index] = ids[position]; });
+  }
+  
+  // Tags
+  const createdTags = await prisma.tag.createManyAndReturn({
+    data: tags.map(({ name, slug, createdAt }) => ({ name, slug, createdAt, updatedAt: createdAt })),
+    select: { id: true, slug: true }
+  });
+  const tagIds = idsInOrder(createdTags, 'slug', tags.map((tag) => tag.slug));
+  
+  // Products and their tags
+  const createdProducts = await prisma.product.createManyAndReturn({
+    data: products.map(({ name, slug, description, price, stock, category, createdAt }) => ({
+      name, slug, description, price, stock,
+      categoryId: category === null ? null : categoryIds[category],
+      createdAt,
+      updatedAt: createdAt
+    })),
+    select: { id: true, slug: true }
+  });
+  const productIds = idsInOrder(createdProducts, 'slug', products.map((product) => product.slug));
+  await insertTagLinks('_ProductTags', products.flatMap((product, index) =>
+    product.tags.map((tag) => [productIds[index], tagIds[tag]])));
+  
+  // Posts and their tags (Prisma posts have no category)
+  const createdPosts = await prisma.post.createManyAndReturn({
+    data: posts.map(({ title, slug, content, status, publishedAt, author, createdAt }) => ({
+      title, slug, content, status, publishedAt,
+      authorId: userIds[author],
+      createdAt,
+      updatedAt: publishedAt || createdAt
+    })),
+    select: { id: true, slug: true }
+  });
+  const postIds = idsInOrder(createdPosts, 'slug', posts.map((post) => post.slug));
+  await insertTagLinks('_PostTags', posts.flatMap((post, index) =>
+    post.tags.map((tag) => [postIds[index], tagIds[tag]])));
+  
+  // Orders, their items and status history
+  const createdOrders = await prisma.order.createManyAndReturn({
+    data: orders.map(({ orderNumber, user, status, paymentStatus, totalAmount, createdAt, updatedAt }) => ({
+      orderNumber, userId: userIds[user], status, paymentStatus, totalAmount, createdAt, updatedAt
+    })),
+    select: { id: true, orderNumber: true }
+  });
+  const orderIds = idsInOrder(createdOrders, 'orderNumber', orders.map((order) => order.orderNumber));
+  
+  await prisma.orderItem.createMany({
+    data: orders.flatMap((order, index) => order.items.map(({ product, quantity, price }) => ({
+      orderId: orderIds[index], productId: productIds[product], quantity, unitPrice: price
+    })))
+  });
+  
+  // The customer placed the order, the admin (users[0]) moved it along
+  await prisma.orderHistory.createMany({
+    data: orders.flatMap((order, index) => order.history.map(({ field, from, to, at }) => ({
+      orderId: orderIds[index],
+      field,
+      fromValue: from,
+      toValue: to,
+      actorId: from === null ? userIds[order.user] : userIds[0],
+      createdAt: at
+    })))
+  });
+  
+  // Reviews
+  await prisma.review.createMany({
+    data: reviews.map(({ user, product, rating, comment, createdAt }) => ({
+      userId: userIds[user], productId: productIds[product], rating, comment, createdAt, updatedAt: createdAt
+    }))
+  });
+  
+  return {
+    users: userIds.length,
+    categories: categoryIds.length,
+    tags: tagIds.length,
+    products: productIds.length,
+    posts: postIds.length,
+    orders: orderIds.length,
+    reviews: reviews.length
+  };
+};
@@ -0,0 +1,57 @@
+/**
+ * SEEDED RANDOM
+ * 
+ * Small deterministic PRNG (mulberry32) so the same --seed always
+ * generates the same fixtures
+ */
+
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  
+  // Float in [0, 1)
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  
+  // Integer in [min, max]
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  
+  const random = {
+    next,
+    int,
+    // Float in [min, max) rounded to `decimals`
+    float: (min, max, decimals = 2) => Number((min + next() * (max - min)).toFixed(decimals)),
+    chance: (probability) => next() < probability,
+    pick: (items) => items[int(0, items.length - 1)],
+    // Pick by weight: pickWeighted({ a: 3, b: 1 }) returns 'a' three times as often
+    pickWeighted: (weights) => {
+      const entries = Object.entries(weights);
+      let roll = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+      for (const [value, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return value;
+      }
+      return entries[entries.length - 1][0];
+    },
+    shuffle: (items) => {
+      const copy = [...items];
+      for (let i = copy.length - 1; i > 0; i -= 1) {
+        const j = int(0, i);
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy;
+    },
+    // `count` distinct items
+    sample: (items, count) => random.shuffle(items).slice(0, Math.min(count, items.length)),
+    // Date between two dates
+    date: (from, to) => new Date(from.getTime() + Math.floor(next() * (to.getTime() - from.getTime()))),
+    // `length` hexadecimal characters
+    hex: (length) => Array.from({ length }, () => int(0, 15).toString(16)).join('')
+  };
+  
+  return random;
+};
@@ -5,7 +5,9 @@
  * 1. Loading environment variables
  * 2. Connecting to databases (PostgreSQL via Prisma & MongoDB via Mongoose)
  * 3. Starting the Express server
- * 4. Handling graceful shutdown
+ * 4. Starting the background jobs (reporting rollups, soft delete purge,
+ *    scheduled post publication, outbox relay into the MongoDB read models)
+ * 5. Handling graceful shutdown
  */
 
 // Load environment variables from .env file
@@ -19,6 +21,9 @@ import app from './app.js';
 import { connectPrisma, disconnectPrisma } from './config/prisma.js';
 import { connectMongoDB, disconnectMongoDB } from './config/mongoose.js';
 
+// Import the in-process job scheduler
+import { startJobs, stopJobs } from './jobs/index.js';
+
 // Get port from environment or use default
 const PORT = process.env.PORT || 5000;
 
@@ -67,8 +72,13 @@ async function startServer() {
       console.log('   - Prisma/PostgreSQL: /api/prisma/*');
       console.log('   - Mongoose/MongoDB: /api/mongoose/*');
       console.log('   - Health Check: /api/health');
+      console.log('   - API docs: /api/docs (OpenAPI: /api/openapi.json)');
+      console.log('   - GraphQL: /graphql');
       console.log('\n💡 Press Ctrl+C to stop the server\n');
     });
+    
+    // Start recurring background jobs (see jobs/index.js)
+    startJobs();
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
@@ -83,6 +93,9 @@ async function gracefulShutdown(signal) {
   console.log(`\n\n🛑 ${signal} received. Starting graceful shutdown...`);
   
   try {
+    // Stop scheduling background jobs
+    stopJobs();
+    
     // Close server to stop accepting new connections
     if (server) {
       await new Promise((resolve) => {
@@ -0,0 +1,74 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { BACKENDS, setupBackendSuite, withBackend } from '../helpers/backends.js';
+import { SEED_PASSWORD } from '../helpers/prisma.js';
+
+for (const suite of BACKENDS) {
+  describe(`Auth on ${suite.backend} (/api/auth)`, { skip: suite.skip }, () => {
+    let server;
+    let seeded;
+    let request;
+    let tokens;
+    
+    before(async () => {
+      seeded = await setupBackendSuite(suite);
+      server = await startServer();
+      request = withBackend(server, suite.backend);
+    });
+    
+    after(async () => {
+      await server.close();
+      await suite.teardown();
+    });
+    
+    it('POST /register issues tokens for the selected backend', async () => {
+      const { status, body } = await request('POST', '/api/auth/register', {
+        body: { email: 'unified@example.com', username: 'unified', password: 'Password123!' }
+      });
+      assert.equal(status, 201);
+      assert.equal(body.data.user.role, 'USER');
+      assert.equal(body.data.user.password, undefined);
+      
+      const me = await server.request('GET', '/api/auth/me', { token: body.data.accessToken });
+      assert.equal(me.status, 200);
+      assert.equal(me.headers.get('x-backend'), suite.backend);
+      assert.equal(me.body.data.email, 'unified@example.com');
+    });
+    
+    it('POST /login checks the password', async () => {
+      const wrong = await request('POST', '/api/auth/login', { body: { username: 'admin', password: 'wrong-password' } });
+      assert.equal(wrong.status, 401);
+      assert.equal(wrong.body.message, 'Invalid credentials');
+      
+      const { status, body } = await request('POST', '/api/auth/login', { body: { username: 'admin', password: SEED_PASSWORD } });
+      assert.equal(status, 200);
+      assert.equal(String(body.data.user.id), String(seeded.adminId));
+      assert.equal(body.data.user.password, undefined);
+      tokens = body.data;
+    });
+    
+    it('POST /refresh rotates the token and detects reuse', async () => {
+      const rotated = await request('POST', '/api/auth/refresh', { body: { refreshToken: tokens.refreshToken } });
+      assert.equal(rotated.status, 200);
+      assert.notEqual(rotated.body.data.refreshToken, tokens.refreshToken);
+      
+      const reused = await request('POST', '/api/auth/refresh', { body: { refreshToken: tokens.refreshToken } });
+      assert.equal(reused.status, 401);
+      assert.equal(reused.body.message, 'Refresh token reuse detected, please log in again');
+      
+      // The whole family was revoked
+      const revoked = await request('POST', '/api/auth/refresh', { body: { refreshToken: rotated.body.data.refreshToken } });
+      assert.equal(revoked.status, 401);
+    });
+    
+    it('POST /logout revokes the family', async () => {
+      const login = await request('POST', '/api/auth/login', { body: { username: 'admin', password: SEED_PASSWORD } });
+      const logout = await request('POST', '/api/auth/logout', { body: { refreshToken: login.body.data.refreshToken } });
+      assert.equal(logout.status, 200);
+      
+      const refresh = await request('POST', '/api/auth/refresh', { body: { refreshToken: login.body.data.refreshToken } });
+      assert.equal(refresh.status, 401);
+    });
+  });
+}
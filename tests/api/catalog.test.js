@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { BACKENDS, setupBackendSuite, withBackend } from '../helpers/backends.js';
+
+for (const suite of BACKENDS) {
+  describe(`Catalog on ${suite.backend} (/api/products, /api/categories, /api/tags)`, { skip: suite.skip }, () => {
+    let server;
+    let seeded;
+    let request;
+    let category;
+    let child;
+    let tag;
+    let product;
+    
+    before(async () => {
+      seeded = await setupBackendSuite(suite);
+      server = await startServer();
+      request = withBackend(server, suite.backend);
+    });
+    
+    after(async () => {
+      await server.close();
+      await suite.teardown();
+    });
+    
+    it('GET /api/tags and /api/categories list the seeded data', async () => {
+      const tags = await request('GET', '/api/tags?limit=100');
+      assert.equal(tags.status, 200);
+      assert.equal(tags.body.meta.total, seeded.fixtures.tags.length);
+      
+      const categories = await request('GET', '/api/categories?limit=100');
+      assert.equal(categories.body.meta.total, seeded.fixtures.categories.length);
+      assert.ok(categories.body.data.some((entry) => entry.parent && entry.parentId === entry.parent.id));
+    });
+    
+    it('POST /api/categories and /api/tags create with generated slugs', async () => {
+      const parent = await request('POST', '/api/categories', { token: seeded.adminToken, body: { name: 'Unified Parent' } });
+      assert.equal(parent.status, 201);
+      assert.equal(parent.body.data.slug, 'unified-parent');
+      category = parent.body.data;
+      
+      const created = await request('POST', '/api/categories', {
+        token: seeded.adminToken,
+        body: { name: 'Unified Child', parentId: category.id }
+      });
+      assert.equal(created.body.data.parentId, category.id);
+      child = created.body.data;
+      
+      const missingParent = await request('POST', '/api/categories', {
+        token: seeded.adminToken,
+        body: { name: 'Orphan', parentId: suite.unknownId }
+      });
+      assert.equal(missingParent.status, 404);
+      
+      const createdTag = await request('POST', '/api/tags', { token: seeded.adminToken, body: { name: 'Unified Tag' } });
+      assert.equal(createdTag.status, 201);
+      tag = createdTag.body.data;
+    });
+    
+    it('PUT /api/categories/:id rejects cycles', async () => {
+      const { status } = await request('PUT', `/api/categories/${category.id}`, {
+        token: seeded.adminToken,
+        body: { parentId: child.id }
+      });
+      assert.equal(status, 409);
+    });
+    
+    it('POST /api/products creates a product with numeric price', async () => {
+      const { status, body } = await request('POST', '/api/products', {
+        token: seeded.adminToken,
+        body: { name: 'Unified Lamp', price: 19.99, stock: 3, categoryId: child.id, tagIds: [tag.id] }
+      });
+      assert.equal(status, 201);
+      assert.equal(body.data.price, 19.99);
+      assert.equal(body.data.category.id, child.id);
+      assert.deepEqual(body.data.tags.map((entry) => entry.id), [tag.id]);
+      product = body.data;
+      
+      const filtered = await request('GET', '/api/products?filter[tags]=unified-tag');
+      assert.deepEqual(filtered.body.data.map((entry) => entry.id), [product.id]);
+    });
+    
+    it('GET /api/tags?type=product only lists tags in use', async () => {
+      const { body } = await request('GET', '/api/tags?type=product&limit=100');
+      assert.ok(body.data.some((entry) => entry.id === tag.id));
+    });
+    
+    it('PUT /api/products/:id removes the category with null', async () => {
+      const { status, body } = await request('PUT', `/api/products/${product.id}`, {
+        token: seeded.adminToken,
+        body: { categoryId: null }
+      });
+      assert.equal(status, 200);
+      assert.equal(body.data.categoryId, null);
+    });
+    
+    it('DELETE /api/tags/:id removes the tag from products', async () => {
+      const deleted = await request('DELETE', `/api/tags/${tag.id}`, { token: seeded.adminToken });
+      assert.equal(deleted.status, 200);
+      
+      const { body } = await request('GET', `/api/products/${product.id}`);
+      assert.deepEqual(body.data.tags, []);
+    });
+    
+    it('DELETE /api/categories/:id makes children top level', async () => {
+      const deleted = await request('DELETE', `/api/categories/${category.id}`, { token: seeded.adminToken });
+      assert.equal(deleted.status, 200);
+      
+      const { body } = await request('GET', `/api/categories/${child.id}`);
+      assert.equal(body.data.parentId, null);
+    });
+    
+    it('DELETE /api/products/:id soft deletes and restores', async () => {
+      const deleted = await request('DELETE', `/api/products/${product.id}`, { token: seeded.adminToken });
+      assert.equal(deleted.status, 200);
+      
+      const hidden = await request('GET', `/api/products/${product.id}`);
+      assert.equal(hidden.status, 404);
+      
+      const restored = await request('POST', `/api/products/${product.id}/restore`, { token: seeded.adminToken });
+      assert.equal(restored.status, 200);
+      assert.equal(restored.body.data.deletedAt, null);
+    });
+  });
+}
@@ -0,0 +1,245 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { BACKENDS, setupBackendSuite, withBackend } from '../helpers/backends.js';
+import { SEED_PASSWORD } from '../helpers/prisma.js';
+
+for (const suite of BACKENDS) {
+  describe(`GraphQL on ${suite.backend} (/graphql)`, { skip: suite.skip }, () => {
+    let server;
+    let seeded;
+    let request;
+    
+    /**
+     * Run an operation, { status, data, errors }
+     */
+    const graphql = async (query, { variables, token } = {}) => {
+      const { status, body } = await request('POST', '/graphql', { token, body: { query, variables } });
+      return { status, ...body };
+    };
+    
+    before(async () => {
+      seeded = await setupBackendSuite(suite);
+      server = await startServer();
+      request = withBackend(server, suite.backend);
+    });
+    
+    after(async () => {
+      await server.close();
+      await suite.teardown();
+    });
+    
+    it('pages through products like GET /api/products', async () => {
+      const query = `query Products($after: String) {
+        products(first: 5, sort: "name", after: $after) {
+          totalCount
+          pageInfo { endCursor hasNextPage }
+          nodes { id name }
+        }
+      }`;
+      
+      const first = await graphql(query);
+      assert.equal(first.status, 200);
+      const rest = await request('GET', '/api/products?limit=5&sort=name');
+      assert.deepEqual(first.data.products.nodes.map((node) => String(node.id)), rest.body.data.map((product) => String(product.id)));
+      assert.equal(first.data.products.totalCount, rest.body.meta.total);
+      assert.equal(first.data.products.pageInfo.hasNextPage, true);
+      
+      const second = await graphql(query, { variables: { after: first.data.products.pageInfo.endCursor } });
+      const restNext = await request('GET', `/api/products?limit=5&sort=name&cursor=${rest.body.meta.nextCursor}`);
+      assert.deepEqual(second.data.products.nodes.map((node) => String(node.id)), restNext.body.data.map((product) => String(product.id)));
+    });
+    
+    it('loads products with their category, tags and reviews in one request', async () => {
+      const { data, errors } = await graphql(`{
+        products(first: 100) {
+          nodes {
+            id
+            category { id name parent { id } }
+            tags { id slug }
+            reviews { rating user { id username } product { id } }
+          }
+        }
+      }`);
+      assert.equal(errors, undefined);
+      
+      const { nodes } = data.products;
+      assert.equal(nodes.length, seeded.fixtures.products.length);
+      assert.equal(nodes.flatMap((node) => node.reviews).length, seeded.fixtures.reviews.length);
+      for (const node of nodes) {
+        assert.ok(node.reviews.every((review) => review.product.id === node.id));
+      }
+      
+      const withCategory = nodes.find((node) => node.category);
+      const rest = await request('GET', `/api/products/${withCategory.id}`);
+      assert.equal(withCategory.category.id, String(rest.body.data.categoryId));
+      assert.deepEqual(withCategory.tags.map((tag) => tag.slug).sort(), rest.body.data.tags.map((tag) => tag.slug).sort());
+    });
+    
+    it('loads a user with their posts and orders', async () => {
+      const query = `query User($id: ID!) {
+        user(id: $id) {
+          username
+          posts { id author { id } }
+          orders { orderNumber totalAmount items { quantity product { id name } } }
+        }
+      }`;
+      const { data, errors } = await graphql(query, { variables: { id: seeded.customerId }, token: seeded.customerToken });
+      assert.equal(errors, undefined);
+      
+      const { fixtures } = seeded;
+      assert.equal(data.user.posts.length, fixtures.posts.filter((post) => post.author === 1).length);
+      assert.ok(data.user.posts.every((post) => post.author.id === String(seeded.customerId)));
+      assert.equal(data.user.orders.length, fixtures.orders.filter((order) => order.user === 1).length);
+      assert.ok(data.user.orders.every((order) => order.items.every((item) => item.product.name)));
+    });
+    
+    it('applies the order rules: only the customer or an admin sees their orders', async () => {
+      const query = `query User($id: ID!) { user(id: $id) { orders { orderNumber } } }`;
+      
+      const anonymous = await graphql(query, { variables: { id: seeded.customerId } });
+      assert.equal(anonymous.errors[0].extensions.code, 'UNAUTHORIZED');
+      
+      const otherCustomer = await graphql(query, { variables: { id: seeded.adminId }, token: seeded.customerToken });
+      assert.equal(otherCustomer.errors[0].extensions.code, 'FORBIDDEN');
+      
+      const admin = await graphql(query, { variables: { id: seeded.customerId }, token: seeded.adminToken });
+      assert.equal(admin.errors, undefined);
+    });
+    
+    it('returns null for an unknown record', async () => {
+      const { data, errors } = await graphql(`query Product($id: ID!) { product(id: $id) { id } }`, {
+        variables: { id: String(suite.unknownId) }
+      });
+      assert.equal(errors, undefined);
+      assert.equal(data.product, null);
+    });
+    
+    it('creates a product with the rules of POST /api/products', async () => {
+      const mutation = `mutation Create($input: CreateProductInput!) {
+        createProduct(input: $input) { id slug price category { id } tags { id } }
+      }`;
+      const tags = await request('GET', '/api/tags?limit=2');
+      const categories = await request('GET', '/api/categories?limit=1');
+      const input = {
+        name: 'GraphQL Lamp',
+        price: 12.5,
+        categoryId: String(categories.body.data[0].id),
+        tagIds: tags.body.data.map((tag) => String(tag.id))
+      };
+      
+      const customer = await graphql(mutation, { variables: { input }, token: seeded.customerToken });
+      assert.equal(customer.errors[0].extensions.code, 'FORBIDDEN');
+      
+      const invalid = await graphql(mutation, { variables: { input: { ...input, price: -1 } }, token: seeded.adminToken });
+      assert.equal(invalid.errors[0].extensions.code, 'VALIDATION_ERROR');
+      assert.equal(invalid.errors[0].extensions.errors[0].field, 'price');
+      
+      const { data, errors } = await graphql(mutation, { variables: { input }, token: seeded.adminToken });
+      assert.equal(errors, undefined);
+      assert.equal(data.createProduct.slug, 'graphql-lamp');
+      assert.equal(data.createProduct.price, 12.5);
+      assert.equal(data.createProduct.category.id, input.categoryId);
+      assert.deepEqual(data.createProduct.tags.map((tag) => tag.id).sort(), [...input.tagIds].sort());
+      
+      const rest = await request('GET', `/api/products/${data.createProduct.id}`);
+      assert.equal(rest.body.data.name, 'GraphQL Lamp');
+    });
+    
+    it('places and cancels an order with the rules of /api/orders', async () => {
+      const created = await request('POST', '/api/products', {
+        token: seeded.adminToken,
+        body: { name: 'GraphQL Kettle', price: 20, stock: 2 }
+      });
+      const productId = String(created.body.data.id);
+      const place = `mutation Place($input: PlaceOrderInput!) {
+        placeOrder(input: $input) { id status paymentStatus totalAmount items { quantity unitPrice product { id } } }
+      }`;
+      
+      const short = await graphql(place, {
+        variables: { input: { items: [{ productId, quantity: 3 }] } },
+        token: seeded.customerToken
+      });
+      assert.equal(short.errors[0].extensions.code, 'CONFLICT');
+      
+      const { data, errors } = await graphql(place, {
+        variables: { input: { items: [{ productId, quantity: 2 }] } },
+        token: seeded.customerToken
+      });
+      assert.equal(errors, undefined);
+      assert.equal(data.placeOrder.status, 'PENDING');
+      assert.equal(data.placeOrder.totalAmount, 40);
+      assert.equal(data.placeOrder.items[0].product.id, productId);
+      const orderId = data.placeOrder.id;
+      
+      const { data: listed } = await graphql('{ orders(first: 100) { nodes { id } } }', { token: seeded.customerToken });
+      assert.ok(listed.orders.nodes.some((node) => node.id === orderId));
+      
+      const update = `mutation Update($id: ID!, $status: String) { updateOrderStatus(id: $id, status: $status) { status } }`;
+      const shipped = await graphql(update, { variables: { id: orderId, status: 'SHIPPED' }, token: seeded.customerToken });
+      assert.equal(shipped.errors[0].extensions.code, 'FORBIDDEN');
+      
+      const cancelled = await graphql(update, { variables: { id: orderId, status: 'CANCELLED' }, token: seeded.customerToken });
+      assert.equal(cancelled.errors, undefined);
+      assert.equal(cancelled.data.updateOrderStatus.status, 'CANCELLED');
+      
+      const again = await graphql(update, { variables: { id: orderId, status: 'PROCESSING' }, token: seeded.adminToken });
+      assert.equal(again.errors[0].extensions.code, 'CONFLICT');
+      
+      const rest = await request('GET', `/api/products/${productId}`);
+      assert.equal(rest.body.data.stock, 2);
+    });
+    
+    it('creates, updates and deletes a review with the rules of /api/reviews', async () => {
+      const created = await request('POST', '/api/products', {
+        token: seeded.adminToken,
+        body: { name: 'GraphQL Mug', price: 8 }
+      });
+      const productId = String(created.body.data.id);
+      const create = `mutation Create($input: CreateReviewInput!) {
+        createReview(input: $input) { id rating comment user { id } product { id } }
+      }`;
+      const input = { productId, rating: 5, comment: 'Holds coffee' };
+      
+      const { data, errors } = await graphql(create, { variables: { input }, token: seeded.customerToken });
+      assert.equal(errors, undefined);
+      assert.equal(data.createReview.user.id, String(seeded.customerId));
+      assert.equal(data.createReview.product.id, productId);
+      const reviewId = data.createReview.id;
+      
+      const duplicate = await graphql(create, { variables: { input }, token: seeded.customerToken });
+      assert.equal(duplicate.errors[0].extensions.code, 'CONFLICT');
+      
+      const { data: listed } = await graphql(`query Reviews($productId: ID) {
+        reviews(productId: $productId) { totalCount nodes { id } }
+      }`, { variables: { productId } });
+      assert.deepEqual(listed.reviews.nodes.map((node) => node.id), [reviewId]);
+      
+      const updated = await graphql(`mutation Update($id: ID!) { updateReview(id: $id, input: { rating: 3 }) { rating comment } }`, {
+        variables: { id: reviewId },
+        token: seeded.customerToken
+      });
+      assert.deepEqual(updated.data.updateReview, { rating: 3, comment: 'Holds coffee' });
+      
+      const deleted = await graphql(`mutation Delete($id: ID!) { deleteReview(id: $id) { id } }`, {
+        variables: { id: reviewId },
+        token: seeded.customerToken
+      });
+      assert.equal(deleted.errors, undefined);
+      
+      const { data: gone } = await graphql(`query Review($id: ID!) { review(id: $id) { id } }`, { variables: { id: reviewId } });
+      assert.equal(gone.review, null);
+    });
+    
+    it('logs in and answers me with the issued token', async () => {
+      const login = await graphql(`mutation Login($input: LoginInput!) {
+        login(input: $input) { accessToken user { id } }
+      }`, { variables: { input: { username: 'admin', password: SEED_PASSWORD } } });
+      assert.equal(login.errors, undefined);
+      assert.equal(login.data.login.user.id, String(seeded.adminId));
+      
+      const { data } = await graphql('{ me { id role } }', { token: login.data.login.accessToken });
+      assert.deepEqual(data.me, { id: String(seeded.adminId), role: 'ADMIN' });
+    });
+  });
+}
@@ -0,0 +1,194 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { BACKENDS, setupBackendSuite, withBackend } from '../helpers/backends.js';
+
+for (const suite of BACKENDS) {
+  describe(`Orders and reviews on ${suite.backend} (/api/orders, /api/reviews)`, { skip: suite.skip }, () => {
+    let server;
+    let seeded;
+    let request;
+    let product;
+    let order;
+    let review;
+    
+    before(async () => {
+      seeded = await setupBackendSuite(suite);
+      server = await startServer();
+      request = withBackend(server, suite.backend);
+      
+      const created = await request('POST', '/api/products', {
+        token: seeded.adminToken,
+        body: { name: 'Unified Kettle', price: 12.5, stock: 3 }
+      });
+      product = created.body.data;
+    });
+    
+    after(async () => {
+      await server.close();
+      await suite.teardown();
+    });
+    
+    it('POST /api/orders reserves stock and snapshots prices', async () => {
+      const { status, body } = await request('POST', '/api/orders', {
+        token: seeded.customerToken,
+        body: { items: [{ productId: product.id, quantity: 2 }] }
+      });
+      assert.equal(status, 201);
+      assert.equal(body.data.userId, seeded.customerId);
+      assert.equal(body.data.status, 'PENDING');
+      assert.equal(body.data.paymentStatus, 'UNPAID');
+      assert.equal(body.data.totalAmount, 25);
+      assert.equal(body.data.items[0].unitPrice, 12.5);
+      order = body.data;
+      
+      const { body: stocked } = await request('GET', `/api/products/${product.id}`);
+      assert.equal(stocked.data.stock, 1);
+    });
+    
+    it('POST /api/orders answers 409 without enough stock and 404 for unknown products', async () => {
+      const short = await request('POST', '/api/orders', {
+        token: seeded.customerToken,
+        body: { items: [{ productId: product.id, quantity: 5 }] }
+      });
+      assert.equal(short.status, 409);
+      assert.match(short.body.message, /requested 5, available 1/);
+      
+      const missing = await request('POST', '/api/orders', {
+        token: seeded.customerToken,
+        body: { items: [{ productId: suite.unknownId, quantity: 1 }] }
+      });
+      assert.equal(missing.status, 404);
+      
+      const { body } = await request('GET', `/api/products/${product.id}`);
+      assert.equal(body.data.stock, 1);
+    });
+    
+    it('GET /api/orders lists own orders, every order for admins', async () => {
+      const own = await request('GET', '/api/orders', { token: seeded.customerToken });
+      assert.equal(own.status, 200);
+      assert.ok(own.body.data.every((entry) => entry.userId === seeded.customerId));
+      
+      const all = await request('GET', '/api/orders?filter[status]=pending', { token: seeded.adminToken });
+      assert.ok(all.body.data.some((entry) => entry.id === order.id));
+    });
+    
+    it('PATCH /api/orders/:id/status only lets customers cancel', async () => {
+      const { status } = await request('PATCH', `/api/orders/${order.id}/status`, {
+        token: seeded.customerToken,
+        body: { status: 'SHIPPED' }
+      });
+      assert.equal(status, 403);
+    });
+    
+    it('PATCH /api/orders/:id/status follows the state machine and records history', async () => {
+      const skipped = await request('PATCH', `/api/orders/${order.id}/status`, {
+        token: seeded.adminToken,
+        body: { status: 'DELIVERED' }
+      });
+      assert.equal(skipped.status, 409);
+      
+      const paid = await request('PATCH', `/api/orders/${order.id}/status`, {
+        token: seeded.adminToken,
+        body: { status: 'PROCESSING', paymentStatus: 'PAID', note: 'Paid by card' }
+      });
+      assert.equal(paid.status, 200);
+      assert.equal(paid.body.data.status, 'PROCESSING');
+      assert.equal(paid.body.data.paymentStatus, 'PAID');
+      
+      const again = await request('PATCH', `/api/orders/${order.id}/status`, {
+        token: seeded.adminToken,
+        body: { status: 'PROCESSING' }
+      });
+      assert.equal(again.status, 409);
+      
+      const { body } = await request('GET', `/api/orders/${order.id}/history`, { token: seeded.customerToken });
+      assert.deepEqual(
+        body.data.map((entry) => [entry.field, entry.fromValue, entry.toValue]),
+        [['status', null, 'PENDING'], ['status', 'PENDING', 'PROCESSING'], ['paymentStatus', 'UNPAID', 'PAID']]
+      );
+      assert.equal(body.data[1].note, 'Paid by card');
+      assert.equal(body.data[1].actor.role, 'ADMIN');
+    });
+    
+    it('PATCH /api/orders/:id/status puts cancelled items back in stock', async () => {
+      const { status, body } = await request('PATCH', `/api/orders/${order.id}/status`, {
+        token: seeded.customerToken,
+        body: { status: 'CANCELLED' }
+      });
+      assert.equal(status, 200);
+      assert.equal(body.data.status, 'CANCELLED');
+      
+      const { body: stocked } = await request('GET', `/api/products/${product.id}`);
+      assert.equal(stocked.data.stock, 3);
+    });
+    
+    it('GET /api/orders/:id is only visible to the customer and admins', async () => {
+      const placed = await request('POST', '/api/orders', {
+        token: seeded.adminToken,
+        body: { items: [{ productId: product.id, quantity: 1 }] }
+      });
+      assert.equal(placed.body.data.userId, seeded.adminId);
+      
+      const { status } = await request('GET', `/api/orders/${placed.body.data.id}`, { token: seeded.customerToken });
+      assert.equal(status, 403);
+    });
+    
+    it('POST /api/orders answers 404 when an admin orders for an unknown user', async () => {
+      const { status, body } = await request('POST', '/api/orders', {
+        token: seeded.adminToken,
+        body: { userId: suite.unknownId, items: [{ productId: product.id, quantity: 1 }] }
+      });
+      assert.equal(status, 404);
+      assert.equal(body.message, 'User not found');
+    });
+    
+    it('POST /api/reviews creates one review per user and product', async () => {
+      const created = await request('POST', '/api/reviews', {
+        token: seeded.customerToken,
+        body: { productId: product.id, rating: 4, comment: 'Boils fast' }
+      });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.data.userId, seeded.customerId);
+      assert.equal(created.body.data.user.id, seeded.customerId);
+      review = created.body.data;
+      
+      const duplicate = await request('POST', '/api/reviews', {
+        token: seeded.customerToken,
+        body: { productId: product.id, rating: 5 }
+      });
+      assert.equal(duplicate.status, 409);
+      assert.equal(duplicate.body.message, 'You have already reviewed this product');
+      
+      const missing = await request('POST', '/api/reviews', {
+        token: seeded.customerToken,
+        body: { productId: suite.unknownId, rating: 5 }
+      });
+      assert.equal(missing.status, 404);
+    });
+    
+    it('GET /api/reviews?productId= lists the reviews of a product', async () => {
+      const { status, body } = await request('GET', `/api/reviews?productId=${product.id}`);
+      assert.equal(status, 200);
+      assert.deepEqual(body.data.map((entry) => entry.id), [review.id]);
+    });
+    
+    it('PUT /api/reviews/:id lets admins edit any review', async () => {
+      const updated = await request('PUT', `/api/reviews/${review.id}`, {
+        token: seeded.adminToken,
+        body: { rating: 2 }
+      });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.data.rating, 2);
+      assert.equal(updated.body.data.comment, 'Boils fast');
+    });
+    
+    it('DELETE /api/reviews/:id deletes the review', async () => {
+      const deleted = await request('DELETE', `/api/reviews/${review.id}`, { token: seeded.customerToken });
+      assert.equal(deleted.status, 200);
+      
+      const { status } = await request('GET', `/api/reviews/${review.id}`);
+      assert.equal(status, 404);
+    });
+  });
+}
@@ -0,0 +1,130 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { BACKENDS, setupBackendSuite, withBackend } from '../helpers/backends.js';
+
+for (const suite of BACKENDS) {
+  describe(`Posts on ${suite.backend} (/api/posts)`, { skip: suite.skip }, () => {
+    let server;
+    let seeded;
+    let request;
+    let post;
+    
+    before(async () => {
+      seeded = await setupBackendSuite(suite);
+      server = await startServer();
+      request = withBackend(server, suite.backend);
+    });
+    
+    after(async () => {
+      await server.close();
+      await suite.teardown();
+    });
+    
+    it('GET / lists published posts with uppercase statuses', async () => {
+      const published = seeded.fixtures.posts.filter((entry) => entry.status === 'PUBLISHED').length;
+      const { status, body, headers } = await request('GET', '/api/posts?limit=100');
+      assert.equal(status, 200);
+      assert.equal(headers.get('x-backend'), suite.backend);
+      assert.equal(body.meta.total, published);
+      assert.ok(body.data.every((entry) => entry.status === 'PUBLISHED' && entry.id && !entry._id));
+    });
+    
+    it('GET / selects fields and sorts by id', async () => {
+      const { status, body } = await request('GET', '/api/posts?limit=5&sort=id&fields=title,authorId');
+      assert.equal(status, 200);
+      assert.deepEqual(Object.keys(body.data[0]).sort(), ['authorId', 'id', 'title']);
+      const ids = body.data.map((entry) => entry.id);
+      assert.deepEqual(ids, [...ids].sort((a, b) => (a < b ? -1 : 1)));
+    });
+    
+    it('POST / creates a post for the current user', async () => {
+      const tags = await request('GET', '/api/tags?limit=1');
+      const { status, body } = await request('POST', '/api/posts', {
+        token: seeded.customerToken,
+        body: { title: 'Unified post', content: 'Hello', tagIds: [tags.body.data[0].id] }
+      });
+      assert.equal(status, 201);
+      assert.equal(body.data.slug, 'unified-post');
+      assert.equal(body.data.status, 'DRAFT');
+      assert.equal(String(body.data.authorId), String(seeded.customerId));
+      assert.deepEqual(body.data.tags.map((tag) => tag.id), [tags.body.data[0].id]);
+      post = body.data;
+    });
+    
+    it('POST / answers unknown tags with 404 and impostors with 403', async () => {
+      const missing = await request('POST', '/api/posts', {
+        token: seeded.customerToken,
+        body: { title: 'Tagged', content: 'x', tagIds: [suite.unknownId] }
+      });
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.message, `Tag not found with id: ${suite.unknownId}`);
+      
+      const impostor = await request('POST', '/api/posts', {
+        token: seeded.customerToken,
+        body: { title: 'Impostor', content: 'x', authorId: seeded.adminId }
+      });
+      assert.equal(impostor.status, 403);
+    });
+    
+    it('GET /:id hides drafts from other users', async () => {
+      const anonymous = await request('GET', `/api/posts/${post.id}`);
+      assert.equal(anonymous.status, 404);
+      
+      const author = await request('GET', `/api/posts/${post.id}`, { token: seeded.customerToken });
+      assert.equal(author.status, 200);
+      assert.equal(author.body.data.author.id, post.authorId);
+    });
+    
+    it('POST /:id/publish, /archive and /unpublish follow the workflow', async () => {
+      const published = await request('POST', `/api/posts/${post.id}/publish`, { token: seeded.customerToken });
+      assert.equal(published.status, 200);
+      assert.equal(published.body.message, 'Post published successfully');
+      assert.ok(published.body.data.publishedAt);
+      
+      const archived = await request('POST', `/api/posts/${post.id}/archive`, { token: seeded.customerToken });
+      assert.equal(archived.body.data.status, 'ARCHIVED');
+      
+      const again = await request('POST', `/api/posts/${post.id}/archive`, { token: seeded.customerToken });
+      assert.equal(again.status, 409);
+      
+      const draft = await request('POST', `/api/posts/${post.id}/unpublish`, { token: seeded.customerToken });
+      assert.equal(draft.body.data.status, 'DRAFT');
+      assert.equal(draft.body.data.publishedAt, null);
+    });
+    
+    it('PUT /:id adds and removes tags', async () => {
+      const tags = await request('GET', '/api/tags?limit=3&sort=id');
+      const [first, second] = tags.body.data;
+      const { status, body } = await request('PUT', `/api/posts/${post.id}`, {
+        token: seeded.customerToken,
+        body: { title: 'Renamed', addTagIds: [first.id, second.id] }
+      });
+      assert.equal(status, 200);
+      assert.equal(body.data.title, 'Renamed');
+      
+      const removed = await request('PUT', `/api/posts/${post.id}`, {
+        token: seeded.customerToken,
+        body: { removeTagIds: [first.id] }
+      });
+      assert.ok(!removed.body.data.tags.some((tag) => tag.id === first.id));
+      assert.ok(removed.body.data.tags.some((tag) => tag.id === second.id));
+    });
+    
+    it('DELETE /:id soft deletes and POST /:id/restore brings it back', async () => {
+      const deleted = await request('DELETE', `/api/posts/${post.id}`, { token: seeded.customerToken });
+      assert.equal(deleted.status, 200);
+      assert.ok(deleted.body.data.deletedAt);
+      
+      const gone = await request('PUT', `/api/posts/${post.id}`, { token: seeded.customerToken, body: { title: 'x' } });
+      assert.equal(gone.status, 404);
+      
+      const restored = await request('POST', `/api/posts/${post.id}/restore`, { token: seeded.customerToken });
+      assert.equal(restored.status, 200);
+      assert.equal(restored.body.data.deletedAt, null);
+      
+      const notDeleted = await request('POST', `/api/posts/${post.id}/restore`, { token: seeded.customerToken });
+      assert.equal(notDeleted.status, 409);
+    });
+  });
+}
@@ -0,0 +1,89 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { BACKENDS, setupBackendSuite, withBackend } from '../helpers/backends.js';
+
+for (const suite of BACKENDS) {
+  describe(`Users on ${suite.backend} (/api/users)`, { skip: suite.skip }, () => {
+    let server;
+    let seeded;
+    let request;
+    let user;
+    
+    before(async () => {
+      seeded = await setupBackendSuite(suite);
+      server = await startServer();
+      request = withBackend(server, suite.backend);
+    });
+    
+    after(async () => {
+      await server.close();
+      await suite.teardown();
+    });
+    
+    it('GET / lists users without passwords and filters by role', async () => {
+      const { status, body } = await request('GET', '/api/users?filter[role]=ADMIN');
+      assert.equal(status, 200);
+      assert.equal(body.meta.total, 1);
+      assert.equal(body.data[0].role, 'ADMIN');
+      assert.equal(body.data[0].password, undefined);
+    });
+    
+    it('POST / creates a user (admin only)', async () => {
+      const denied = await request('POST', '/api/users', {
+        token: seeded.customerToken,
+        body: { email: 'new@example.com', username: 'newuser', password: 'Password123!' }
+      });
+      assert.equal(denied.status, 403);
+      
+      const { status, body } = await request('POST', '/api/users', {
+        token: seeded.adminToken,
+        body: { email: 'new@example.com', username: 'newuser', password: 'Password123!' }
+      });
+      assert.equal(status, 201);
+      assert.equal(body.data.role, 'USER');
+      assert.equal(body.data.password, undefined);
+      user = body.data;
+      
+      const duplicate = await request('POST', '/api/users', {
+        token: seeded.adminToken,
+        body: { email: 'new@example.com', username: 'another', password: 'Password123!' }
+      });
+      assert.equal(duplicate.status, 409);
+    });
+    
+    it('PUT /:id only lets admins change roles', async () => {
+      const own = await request('PUT', `/api/users/${seeded.customerId}`, {
+        token: seeded.customerToken,
+        body: { role: 'ADMIN' }
+      });
+      assert.equal(own.status, 403);
+      
+      const { status, body } = await request('PUT', `/api/users/${user.id}`, {
+        token: seeded.adminToken,
+        body: { role: 'ADMIN', firstName: 'New' }
+      });
+      assert.equal(status, 200);
+      assert.equal(body.data.role, 'ADMIN');
+      assert.equal(body.data.firstName, 'New');
+    });
+    
+    it('DELETE /:id and POST /:id/restore', async () => {
+      const deleted = await request('DELETE', `/api/users/${user.id}`, { token: seeded.adminToken });
+      assert.equal(deleted.status, 200);
+      
+      const hidden = await request('GET', `/api/users/${user.id}`);
+      assert.equal(hidden.status, 404);
+      
+      const shown = await request('GET', `/api/users/${user.id}?includeDeleted=true`, { token: seeded.adminToken });
+      assert.ok(shown.body.data.deletedAt);
+      
+      const restored = await request('POST', `/api/users/${user.id}/restore`, { token: seeded.adminToken });
+      assert.equal(restored.status, 200);
+      assert.equal(restored.body.data.deletedAt, null);
+      
+      const missing = await request('POST', `/api/users/${suite.unknownId}/restore`, { token: seeded.adminToken });
+      assert.equal(missing.status, 404);
+    });
+  });
+}
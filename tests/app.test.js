@@ -0,0 +1,317 @@
+/**
+ * APP TESTS
+ * 
+ * Routes and middleware that answer without touching a database:
+ * root, health check, API docs, 404 handler, authentication / authorization,
+ * request validation, backend selection and the global error handler
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, tokenFor } from './helpers/http.js';
+
+describe('app', () => {
+  let server;
+  const userToken = tokenFor({ id: 2, role: 'USER' }, 'prisma');
+  const adminToken = tokenFor({ id: 1, role: 'ADMIN' }, 'prisma');
+  
+  before(async () => {
+    server = await startServer();
+  });
+  
+  after(() => server.close());
+  
+  describe('GET /', () => {
+    it('describes the API', async () => {
+      const { status, body } = await server.request('GET', '/');
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+      assert.equal(body.documentation.health, '/api/health');
+    });
+  });
+  
+  describe('GET /api/health', () => {
+    it('reports the server as running', async () => {
+      const { status, body } = await server.request('GET', '/api/health');
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+      assert.equal(body.environment, 'test');
+    });
+  });
+  
+  describe('API docs', () => {
+    it('GET /api/openapi.json describes every mounted route', async () => {
+      const { status, body } = await server.request('GET', '/api/openapi.json');
+      assert.equal(status, 200);
+      assert.match(body.openapi, /^3\./);
+      assert.ok(body.paths['/api/prisma/orders/{id}/history'].get);
+      assert.ok(body.paths['/api/mongoose/tags'].post);
+      assert.ok(body.paths['/api/health'].get);
+    });
+    
+    it('documents parameters, bodies and security from the route definitions', async () => {
+      const { body } = await server.request('GET', '/api/openapi.json');
+      const { patch } = body.paths['/api/prisma/orders/{id}/status'];
+      assert.deepEqual(patch.parameters, [{ name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }]);
+      assert.deepEqual(patch.requestBody.content['application/json'].schema.properties.paymentStatus.enum, ['UNPAID', 'PAID', 'FAILED', 'REFUNDED']);
+      assert.deepEqual(patch.security, [{ bearerAuth: [] }]);
+      
+      const revenue = body.paths['/api/prisma/analytics/revenue'].get;
+      assert.equal(revenue.description, 'Roles: ADMIN');
+      assert.ok(revenue.responses['403']);
+      
+      const posts = body.paths['/api/posts'].get;
+      assert.deepEqual(posts.parameters[0], { $ref: '#/components/parameters/Backend' });
+    });
+    
+    it('GET /api/docs serves the docs UI', async () => {
+      const { status, headers, body } = await server.request('GET', '/api/docs');
+      assert.equal(status, 200);
+      assert.match(headers.get('content-type'), /text\/html/);
+      assert.match(headers.get('content-security-policy'), /nonce-/);
+      assert.match(body, /openapi\.json/);
+    });
+    
+    it('lists the same routes on the root and 404 responses', async () => {
+      const { body } = await server.request('GET', '/');
+      assert.equal(body.documentation.openapi, '/api/openapi.json');
+      assert.match(body.documentation.prisma, /^\/api\/prisma\/\*/);
+    });
+  });
+  
+  describe('404 handler', () => {
+    it('answers unknown routes with the available route groups', async () => {
+      const { status, body } = await server.request('GET', '/api/nope');
+      assert.equal(status, 404);
+      assert.equal(body.success, false);
+      assert.equal(body.code, 'ROUTE_NOT_FOUND');
+      assert.equal(body.message, 'Route not found: GET /api/nope');
+      assert.equal(body.availableRoutes.prisma.users, '/api/prisma/users');
+      assert.equal(body.availableRoutes.mongoose.tags, '/api/mongoose/tags');
+      assert.equal(body.availableRoutes.api.posts, '/api/posts');
+      assert.equal(body.availableRoutes.prisma.orders, '/api/prisma/orders');
+      assert.equal(body.availableRoutes.mongoose.orders, '/api/mongoose/orders');
+      assert.equal(body.availableRoutes.prisma.tags, '/api/prisma/tags');
+      assert.equal(body.availableRoutes.docs, '/api/docs');
+      assert.equal(body.availableRoutes.graphql, '/graphql');
+    });
+    
+    it('answers unknown methods on known paths', async () => {
+      const { status } = await server.request('PATCH', '/api/prisma/users');
+      assert.equal(status, 404);
+    });
+  });
+  
+  describe('authentication', () => {
+    it('rejects protected routes without a token', async () => {
+      const { status, body } = await server.request('GET', '/api/prisma/orders');
+      assert.equal(status, 401);
+      assert.deepEqual(body, { success: false, code: 'UNAUTHORIZED', message: 'Not authorized, no token provided' });
+    });
+    
+    it('rejects an invalid token', async () => {
+      const { status, body } = await server.request('GET', '/api/mongoose/auth/me', { token: 'not-a-jwt' });
+      assert.equal(status, 401);
+      assert.equal(body.message, 'Not authorized, invalid token');
+    });
+    
+    it('rejects a token issued by the other backend', async () => {
+      const mongooseAdminToken = tokenFor({ id: '65935200b071c7724831b7ce', role: 'ADMIN' }, 'mongoose');
+      
+      const me = await server.request('GET', '/api/prisma/auth/me', { token: mongooseAdminToken });
+      assert.equal(me.status, 401);
+      assert.equal(me.body.message, 'Not authorized, token was issued by the mongoose backend');
+      
+      const revenue = await server.request('GET', '/api/prisma/analytics/revenue', { token: mongooseAdminToken });
+      assert.equal(revenue.status, 401);
+      
+      const orders = await server.request('GET', '/api/mongoose/orders', { token: userToken });
+      assert.equal(orders.body.message, 'Not authorized, token was issued by the prisma backend');
+    });
+    
+    it('forbids admin routes to users', async () => {
+      const { status, body } = await server.request('GET', '/api/prisma/analytics/revenue', { token: userToken });
+      assert.equal(status, 403);
+      assert.equal(body.message, 'You do not have permission to perform this action');
+    });
+  });
+  
+  describe('validation', () => {
+    it('reports every invalid field with its location', async () => {
+      const { status, body } = await server.request('POST', '/api/prisma/auth/register', {
+        body: { email: 'nope', username: 'a', password: 'short' }
+      });
+      assert.equal(status, 422);
+      assert.equal(body.code, 'VALIDATION_ERROR');
+      assert.equal(body.message, 'Validation failed');
+      assert.deepEqual(body.errors.map((error) => error.field).sort(), ['email', 'password', 'username']);
+      assert.ok(body.errors.every((error) => error.location === 'body'));
+    });
+    
+    it('rejects a non numeric Prisma id', async () => {
+      const { status, body } = await server.request('GET', '/api/prisma/users/abc');
+      assert.equal(status, 422);
+      assert.equal(body.errors[0].location, 'params');
+    });
+    
+    it('rejects an invalid ObjectId', async () => {
+      const { status, body } = await server.request('GET', '/api/mongoose/products/123');
+      assert.equal(status, 422);
+      assert.equal(body.errors[0].field, 'id');
+    });
+    
+    it('validates query parameters', async () => {
+      const { status, body } = await server.request('GET', '/api/mongoose/analytics/revenue?granularity=hour', {
+        token: tokenFor({ id: '65935200b071c7724831b7ce', role: 'ADMIN' }, 'mongoose')
+      });
+      assert.equal(status, 422);
+      assert.equal(body.errors[0].field, 'granularity');
+    });
+    
+    it('validates search queries', async () => {
+      const { status } = await server.request('GET', '/api/prisma/search');
+      assert.equal(status, 422);
+    });
+  });
+  
+  describe('backend selection', () => {
+    const mongooseToken = tokenFor({ id: '65935200b071c7724831b7ce', role: 'ADMIN' }, 'mongoose');
+    
+    it('rejects an unknown X-Backend', async () => {
+      const { status, body } = await server.request('GET', '/api/tags', { headers: { 'X-Backend': 'oracle' } });
+      assert.equal(status, 422);
+      assert.deepEqual(body.errors, [{
+        location: 'headers',
+        field: 'X-Backend',
+        message: '"X-Backend" must be one of [prisma, mongoose]'
+      }]);
+    });
+    
+    it('validates ids for the selected backend', async () => {
+      const prismaResponse = await server.request('GET', '/api/posts/abc', { headers: { 'X-Backend': 'prisma' } });
+      assert.equal(prismaResponse.status, 422);
+      assert.equal(prismaResponse.body.errors[0].message, '"id" must be a number');
+      assert.equal(prismaResponse.headers.get('x-backend'), 'prisma');
+      
+      const mongooseResponse = await server.request('GET', '/api/posts/12', { headers: { 'X-Backend': 'mongoose' } });
+      assert.equal(mongooseResponse.status, 422);
+      assert.equal(mongooseResponse.body.errors[0].message, '"id" must be a valid ObjectId');
+      assert.equal(mongooseResponse.headers.get('x-backend'), 'mongoose');
+    });
+    
+    it('defaults to the backend that issued the token', async () => {
+      const { status, headers } = await server.request('GET', '/api/users/12', { token: mongooseToken });
+      assert.equal(status, 422);
+      assert.equal(headers.get('x-backend'), 'mongoose');
+    });
+    
+    it('rejects a token issued by the other backend', async () => {
+      const { status, body } = await server.request('POST', '/api/tags', {
+        token: adminToken,
+        headers: { 'X-Backend': 'mongoose' },
+        body: { name: 'Node' }
+      });
+      assert.equal(status, 401);
+      assert.equal(body.message, 'Not authorized, token was issued by the prisma backend');
+    });
+    
+    it('validates the unified role and status values', async () => {
+      const { status, body } = await server.request('POST', '/api/posts', {
+        token: mongooseToken,
+        body: { title: 'Hello', content: 'World', status: 'LIVE' }
+      });
+      assert.equal(status, 422);
+      assert.equal(body.errors[0].field, 'status');
+    });
+    
+    it('requires a login for orders', async () => {
+      const { status } = await server.request('GET', '/api/orders', { headers: { 'X-Backend': 'mongoose' } });
+      assert.equal(status, 401);
+    });
+    
+    it('validates order status transitions and review ratings', async () => {
+      const order = await server.request('PATCH', '/api/orders/65935200b071c7724831b7ce/status', {
+        token: mongooseToken,
+        body: { status: 'LOST' }
+      });
+      assert.equal(order.status, 422);
+      assert.equal(order.body.errors[0].field, 'status');
+      
+      const review = await server.request('POST', '/api/reviews', {
+        token: mongooseToken,
+        body: { productId: '65935200b071c7724831b7ce', rating: 6 }
+      });
+      assert.equal(review.status, 422);
+      assert.equal(review.body.errors[0].field, 'rating');
+    });
+  });
+  
+  describe('GraphQL', () => {
+    const graphql = (query, options = {}) => server.request('POST', '/graphql', { ...options, body: { query, variables: options.variables } });
+    
+    it('answers an invalid document with a 400', async () => {
+      const { status, body } = await graphql('{ products { nodes { id } }');
+      assert.equal(status, 400);
+      assert.equal(body.data, undefined);
+      assert.match(body.errors[0].message, /Syntax Error/);
+    });
+    
+    it('requires a query', async () => {
+      const { status, body } = await server.request('POST', '/graphql', { body: { variables: {} } });
+      assert.equal(status, 422);
+      assert.equal(body.errors[0].field, 'query');
+    });
+    
+    it('validates arguments with the schema of the mirrored route', async () => {
+      const { status, body } = await graphql('{ products(first: 500) { totalCount } }');
+      assert.equal(status, 200);
+      assert.equal(body.data, null);
+      assert.equal(body.errors[0].extensions.code, 'VALIDATION_ERROR');
+      assert.equal(body.errors[0].extensions.errors[0].field, 'limit');
+    });
+    
+    it('applies the authentication and roles of the mirrored route', async () => {
+      const mutation = 'mutation { createTag(input: { name: "Node" }) { id } }';
+      
+      const anonymous = await graphql(mutation);
+      assert.equal(anonymous.body.errors[0].extensions.code, 'UNAUTHORIZED');
+      
+      const user = await graphql(mutation, { token: userToken });
+      assert.equal(user.body.errors[0].extensions.code, 'FORBIDDEN');
+      assert.deepEqual(user.body.errors[0].path, ['createTag']);
+    });
+    
+    it('applies the login and status rules of the order routes', async () => {
+      const anonymous = await graphql('{ orders { totalCount } }');
+      assert.equal(anonymous.body.errors[0].extensions.code, 'UNAUTHORIZED');
+      
+      const invalid = await graphql('mutation { updateOrderStatus(id: "1", status: "LOST") { id } }', { token: userToken });
+      assert.equal(invalid.body.errors[0].extensions.code, 'VALIDATION_ERROR');
+      assert.equal(invalid.body.errors[0].extensions.errors[0].field, 'status');
+    });
+  });
+  
+  describe('global error handler', () => {
+    it('answers malformed JSON with a 400', async () => {
+      const { status, body } = await server.request('POST', '/api/prisma/auth/login', { raw: '{"email":' });
+      assert.equal(status, 400);
+      assert.equal(body.success, false);
+      assert.equal(body.code, 'BAD_REQUEST');
+      assert.equal(body.message, 'Malformed JSON in request body');
+      assert.equal(body.error, undefined); // stack traces only in development
+    });
+    
+    it('passes AppError status codes through', async () => {
+      const { status, body } = await server.request('PUT', '/api/prisma/products/1', { token: userToken, body: { stock: 1 } });
+      assert.equal(status, 403);
+      assert.equal(body.success, false);
+      assert.equal(body.code, 'FORBIDDEN');
+    });
+    
+    it('rejects an empty update body', async () => {
+      const { status, body } = await server.request('PUT', '/api/prisma/products/1', { token: adminToken, body: {} });
+      assert.equal(status, 422);
+      assert.equal(body.errors[0].location, 'body');
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * BACKEND-AGNOSTIC TEST SUITES
+ * 
+ * The /api/* routes behave the same on both stores, so their suites run
+ * once per backend: each entry seeds its database like the per-backend
+ * suites do and sends every request with its X-Backend header
+ */
+
+import { skipPrisma, setupPrismaSuite, teardownPrismaSuite } from './prisma.js';
+import { setupMongooseSuite, teardownMongooseSuite } from './mongoose.js';
+
+export const BACKENDS = [
+  {
+    backend: 'prisma',
+    skip: skipPrisma,
+    setup: setupPrismaSuite,
+    teardown: teardownPrismaSuite,
+    unknownId: 999999
+  },
+  {
+    backend: 'mongoose',
+    skip: false,
+    setup: setupMongooseSuite,
+    teardown: teardownMongooseSuite,
+    unknownId: '64b000000000000000000000'
+  }
+];
+
+/**
+ * Seed the backend's database and return the seeded data with the ids
+ * of the admin and customer as the API returns them
+ */
+export const setupBackendSuite = async ({ setup }) => {
+  const seeded = await setup();
+  return {
+    ...seeded,
+    adminId: seeded.admin.id ?? String(seeded.admin._id),
+    customerId: seeded.customer.id ?? String(seeded.customer._id)
+  };
+};
+
+/**
+ * request() of tests/helpers/http.js bound to one backend
+ */
+export const withBackend = (server, backend) => (method, path, options = {}) => server.request(method, path, {
+  ...options,
+  headers: { 'X-Backend': backend, ...options.headers }
+});
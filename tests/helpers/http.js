@@ -0,0 +1,52 @@
+/**
+ * HTTP TEST CLIENT
+ * 
+ * Serves app.js on an ephemeral port (no server.js, no database connection
+ * or scheduler) and sends JSON requests to it with fetch
+ */
+
+import app from '../../app.js';
+import { signAccessToken } from '../../utils/tokens.js';
+
+/**
+ * Start the app
+ * @returns {Promise<{ request: Function, close: Function }>}
+ */
+export const startServer = () => new Promise((resolve) => {
+  const server = app.listen(0, () => {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    
+    /**
+     * Send a request
+     * @param {String} method
+     * @param {String} path
+     * @param {Object} [options]
+     * @param {Object} [options.body]  - Sent as JSON
+     * @param {String} [options.raw]   - Sent as is (e.g. malformed JSON)
+     * @param {String} [options.token] - Bearer access token
+     * @param {Object} [options.headers] - Extra request headers (e.g. X-Backend)
+     * @returns {Promise<{ status: Number, body: Object|String, headers: Headers }>} - Non-JSON bodies as text
+     */
+    const request = async (method, path, { body, raw, token, headers: extraHeaders } = {}) => {
+      const headers = { 'content-type': 'application/json', ...extraHeaders };
+      if (token) headers.authorization = `Bearer ${token}`;
+      
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: raw ?? (body === undefined ? undefined : JSON.stringify(body))
+      });
+      const text = await response.text();
+      const json = response.headers.get('content-type')?.includes('json');
+      
+      return { status: response.status, body: text ? (json ? JSON.parse(text) : text) : null, headers: response.headers };
+    };
+    
+    resolve({ request, close: () => new Promise((done) => server.close(done)) });
+  });
+});
+
+/**
+ * Access token for a seeded or created user
+ */
+export const tokenFor = (user, backend) => signAccessToken(user, backend);
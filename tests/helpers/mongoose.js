@@ -0,0 +1,60 @@
+/**
+ * MONGOOSE TEST DATABASE
+ * 
+ * Each suite starts an in-memory MongoDB replica set (order transactions
+ * need one), or uses MONGODB_TEST_URI, and loads the small seed preset
+ * (scripts/seed) so every suite starts from the same known data
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+import { connectMongoDB, disconnectMongoDB } from '../../config/mongoose.js';
+import User from '../../models/mongoose/User.js';
+import { hashPassword } from '../../utils/password.js';
+import { generateFixtures, SEED_PASSWORD } from '../../scripts/seed/fixtures.js';
+import { seedMongoose, resetMongoose } from '../../scripts/seed/mongoose.js';
+import { tokenFor } from './http.js';
+
+let replSet;
+
+/**
+ * Start the database, reset and seed it
+ * @returns {Promise<Object>} fixtures, the seeded admin and customer with their tokens
+ */
+export const setupMongooseSuite = async () => {
+  if (process.env.MONGODB_TEST_URI) {
+    process.env.MONGODB_URI = process.env.MONGODB_TEST_URI;
+  } else {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    process.env.MONGODB_URI = replSet.getUri('crud_practice_test');
+  }
+  await connectMongoDB();
+  
+  // Unique and text indexes must exist before the data and the search tests
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+  await resetMongoose();
+  
+  const fixtures = generateFixtures({ preset: 'small', seed: 42 });
+  await seedMongoose(fixtures, { passwordHash: await hashPassword(SEED_PASSWORD), seed: 42 });
+  
+  const [admin, customer] = await Promise.all([
+    User.findOne({ email: fixtures.users[0].email }).lean(),
+    User.findOne({ email: fixtures.users[1].email }).lean()
+  ]);
+  
+  return {
+    fixtures,
+    admin,
+    customer,
+    adminToken: tokenFor(admin, 'mongoose'),
+    customerToken: tokenFor(customer, 'mongoose')
+  };
+};
+
+export const teardownMongooseSuite = async () => {
+  await disconnectMongoDB();
+  if (replSet) await replSet.stop();
+  replSet = undefined;
+};
+
+export { SEED_PASSWORD };
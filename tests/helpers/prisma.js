@@ -0,0 +1,44 @@
+/**
+ * PRISMA TEST DATABASE
+ * 
+ * Each suite empties the test database and loads the small seed preset
+ * (scripts/seed), so every suite starts from the same known data
+ */
+
+import { prisma, connectPrisma, disconnectPrisma } from '../../config/prisma.js';
+import { hashPassword } from '../../utils/password.js';
+import { generateFixtures, SEED_PASSWORD } from '../../scripts/seed/fixtures.js';
+import { seedPrisma, resetPrisma } from '../../scripts/seed/prisma.js';
+import { tokenFor } from './http.js';
+
+// describe(..., { skip }) reason when there is no database to run against
+export const skipPrisma = process.env.TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+/**
+ * Reset and seed the database
+ * @returns {Promise<Object>} fixtures, the seeded admin and customer with their tokens
+ */
+export const setupPrismaSuite = async () => {
+  await connectPrisma();
+  await resetPrisma();
+  
+  const fixtures = generateFixtures({ preset: 'small', seed: 42 });
+  await seedPrisma(fixtures, { passwordHash: await hashPassword(SEED_PASSWORD) });
+  
+  const [admin, customer] = await Promise.all([
+    prisma.user.findUnique({ where: { email: fixtures.users[0].email } }),
+    prisma.user.findUnique({ where: { email: fixtures.users[1].email } })
+  ]);
+  
+  return {
+    fixtures,
+    admin,
+    customer,
+    adminToken: tokenFor(admin, 'prisma'),
+    customerToken: tokenFor(customer, 'prisma')
+  };
+};
+
+export const teardownPrismaSuite = () => disconnectPrisma();
+
+export { prisma, SEED_PASSWORD };
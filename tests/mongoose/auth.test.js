@@ -0,0 +1,83 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { setupMongooseSuite, teardownMongooseSuite, SEED_PASSWORD } from '../helpers/mongoose.js';
+
+describe('Mongoose auth (/api/mongoose/auth)', () => {
+  let server;
+  let seeded;
+  
+  before(async () => {
+    seeded = await setupMongooseSuite();
+    server = await startServer();
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownMongooseSuite();
+  });
+  
+  describe('POST /register', () => {
+    it('creates an account and returns tokens', async () => {
+      const { status, body } = await server.request('POST', '/api/mongoose/auth/register', {
+        body: { email: 'new@example.com', username: 'newcomer', password: 'Password123!' }
+      });
+      assert.equal(status, 201);
+      assert.equal(body.data.user.email, 'new@example.com');
+      assert.equal(body.data.user.password, undefined);
+      assert.ok(body.data.accessToken);
+      assert.ok(body.data.refreshToken);
+    });
+    
+    it('rejects a taken email', async () => {
+      const { status } = await server.request('POST', '/api/mongoose/auth/register', {
+        body: { email: seeded.customer.email, username: 'someoneelse', password: 'Password123!' }
+      });
+      assert.equal(status, 409);
+    });
+  });
+  
+  describe('POST /login, /refresh, /logout and GET /me', () => {
+    let tokens;
+    
+    it('logs in with the seeded password', async () => {
+      const { status, body } = await server.request('POST', '/api/mongoose/auth/login', {
+        body: { email: seeded.customer.email, password: SEED_PASSWORD }
+      });
+      assert.equal(status, 200);
+      tokens = body.data;
+    });
+    
+    it('rejects a wrong password', async () => {
+      const { status, body } = await server.request('POST', '/api/mongoose/auth/login', {
+        body: { email: seeded.customer.email, password: 'wrong-password' }
+      });
+      assert.equal(status, 401);
+      assert.equal(body.message, 'Invalid credentials');
+    });
+    
+    it('returns the current user', async () => {
+      const { status, body } = await server.request('GET', '/api/mongoose/auth/me', { token: tokens.accessToken });
+      assert.equal(status, 200);
+      assert.equal(body.data._id, String(seeded.customer._id));
+    });
+    
+    it('rotates the refresh token and detects reuse', async () => {
+      const first = await server.request('POST', '/api/mongoose/auth/refresh', { body: { refreshToken: tokens.refreshToken } });
+      assert.equal(first.status, 200);
+      assert.notEqual(first.body.data.refreshToken, tokens.refreshToken);
+      
+      const reused = await server.request('POST', '/api/mongoose/auth/refresh', { body: { refreshToken: tokens.refreshToken } });
+      assert.equal(reused.status, 401);
+      tokens = first.body.data;
+    });
+    
+    it('logs out', async () => {
+      const { status } = await server.request('POST', '/api/mongoose/auth/logout', { body: { refreshToken: tokens.refreshToken } });
+      assert.equal(status, 200);
+      
+      const refreshed = await server.request('POST', '/api/mongoose/auth/refresh', { body: { refreshToken: tokens.refreshToken } });
+      assert.equal(refreshed.status, 401);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { setupMongooseSuite, teardownMongooseSuite } from '../helpers/mongoose.js';
+import Category from '../../models/mongoose/Category.js';
+
+const UNKNOWN_ID = '64b000000000000000000000';
+
+describe('Mongoose categories (/api/mongoose/categories)', () => {
+  let server;
+  let seeded;
+  let root;
+  let created;
+  
+  before(async () => {
+    seeded = await setupMongooseSuite();
+    server = await startServer();
+    root = await Category.findOne({ parent: null }).sort({ _id: 1 });
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownMongooseSuite();
+  });
+  
+  it('GET / lists categories', async () => {
+    const { status, body } = await server.request('GET', '/api/mongoose/categories?limit=100');
+    assert.equal(status, 200);
+    assert.equal(body.meta.total, seeded.fixtures.categories.length);
+  });
+  
+  it('GET /tree nests children under their roots', async () => {
+    const roots = await Category.countDocuments({ parent: null });
+    const { status, body } = await server.request('GET', '/api/mongoose/categories/tree');
+    assert.equal(status, 200);
+    assert.equal(body.data.length, roots);
+    assert.ok(body.data.every((node) => Array.isArray(node.children)));
+  });
+  
+  it('GET /:slug/descendants walks the whole subtree', async () => {
+    const { status, body } = await server.request('GET', `/api/mongoose/categories/${root.slug}/descendants`);
+    assert.equal(status, 200);
+    assert.equal(body.data.category._id, String(root._id));
+    assert.ok(body.data.descendants.some((entry) => entry.depth === 2));
+    
+    const missing = await server.request('GET', '/api/mongoose/categories/no-such-category/descendants');
+    assert.equal(missing.status, 404);
+  });
+  
+  it('POST / creates a category (admin only)', async () => {
+    const input = { name: 'Test Category', parent: String(root._id) };
+    
+    const denied = await server.request('POST', '/api/mongoose/categories', { token: seeded.customerToken, body: input });
+    assert.equal(denied.status, 403);
+    
+    const { status, body } = await server.request('POST', '/api/mongoose/categories', { token: seeded.adminToken, body: input });
+    assert.equal(status, 201);
+    assert.equal(body.data.slug, 'test-category');
+    created = body.data;
+  });
+  
+  it('PUT /:id refuses to move a category under its own descendant', async () => {
+    const { status } = await server.request('PUT', `/api/mongoose/categories/${root._id}`, {
+      token: seeded.adminToken,
+      body: { parent: created._id }
+    });
+    assert.equal(status, 409);
+  });
+  
+  it('GET /:id returns a category or 404', async () => {
+    const found = await server.request('GET', `/api/mongoose/categories/${created._id}`);
+    assert.equal(found.status, 200);
+    
+    const missing = await server.request('GET', `/api/mongoose/categories/${UNKNOWN_ID}`);
+    assert.equal(missing.status, 404);
+  });
+  
+  it('DELETE /:id removes a category', async () => {
+    const { status } = await server.request('DELETE', `/api/mongoose/categories/${created._id}`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+  });
+});
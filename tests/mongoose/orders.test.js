@@ -0,0 +1,192 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { setupMongooseSuite, teardownMongooseSuite } from '../helpers/mongoose.js';
+import Order from '../../models/mongoose/Order.js';
+import Product from '../../models/mongoose/Product.js';
+import User from '../../models/mongoose/User.js';
+
+const UNKNOWN_ID = '64b000000000000000000000';
+
+describe('Mongoose orders (/api/mongoose/orders)', () => {
+  let server;
+  let seeded;
+  let product;
+  let order;
+  
+  before(async () => {
+    seeded = await setupMongooseSuite();
+    server = await startServer();
+    product = await Product.findOne({ stock: { $gte: 5 } }).sort({ _id: 1 }).lean();
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownMongooseSuite();
+  });
+  
+  it('requires authentication', async () => {
+    const { status } = await server.request('GET', '/api/mongoose/orders');
+    assert.equal(status, 401);
+  });
+  
+  it('GET / only lists the customer\'s own orders', async () => {
+    const own = await Order.countDocuments({ user: seeded.customer._id });
+    const { status, body } = await server.request('GET', '/api/mongoose/orders?limit=100', { token: seeded.customerToken });
+    assert.equal(status, 200);
+    assert.equal(body.meta.total, own);
+    
+    const all = await server.request('GET', '/api/mongoose/orders', { token: seeded.adminToken });
+    assert.equal(all.body.meta.total, seeded.fixtures.orders.length);
+  });
+  
+  it('POST / places an order and reserves stock', async () => {
+    const { status, body } = await server.request('POST', '/api/mongoose/orders', {
+      token: seeded.customerToken,
+      body: { items: [{ product: String(product._id), quantity: 2 }] }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.data.user, String(seeded.customer._id));
+    assert.equal(body.data.status, 'pending');
+    assert.equal(body.data.totalAmount, Math.round(product.price * 200) / 100);
+    
+    const updated = await Product.findById(product._id);
+    assert.equal(updated.stock, product.stock - 2);
+    order = body.data;
+  });
+  
+  it('POST / answers 404 when an admin orders for an unknown user', async () => {
+    const { status, body } = await server.request('POST', '/api/mongoose/orders', {
+      token: seeded.adminToken,
+      body: { user: UNKNOWN_ID, items: [{ product: String(product._id), quantity: 1 }] }
+    });
+    assert.equal(status, 404);
+    assert.equal(body.message, 'User not found');
+    
+    const unchanged = await Product.findById(product._id);
+    assert.equal(unchanged.stock, product.stock - 2);
+  });
+  
+  it('POST / answers 404 when an admin orders for a deleted user', async () => {
+    const deleted = await User.create({ email: 'gone@example.com', username: 'gone', password: 'password123', deletedAt: new Date() });
+    const { status, body } = await server.request('POST', '/api/mongoose/orders', {
+      token: seeded.adminToken,
+      body: { user: String(deleted._id), items: [{ product: String(product._id), quantity: 1 }] }
+    });
+    assert.equal(status, 404);
+    assert.equal(body.message, 'User not found');
+  });
+  
+  it('POST / answers 409 when stock is insufficient', async () => {
+    const { status, body } = await server.request('POST', '/api/mongoose/orders', {
+      token: seeded.customerToken,
+      body: { items: [{ product: String(product._id), quantity: 100000 }] }
+    });
+    assert.equal(status, 409);
+    assert.match(body.message, /Insufficient stock/);
+  });
+  
+  it('POST / answers 404 for an unknown product', async () => {
+    const { status } = await server.request('POST', '/api/mongoose/orders', {
+      token: seeded.customerToken,
+      body: { items: [{ product: UNKNOWN_ID, quantity: 1 }] }
+    });
+    assert.equal(status, 404);
+  });
+  
+  it('GET /:id is limited to the owner (or an admin)', async () => {
+    const other = await Order.findOne({ user: { $ne: seeded.customer._id } });
+    const denied = await server.request('GET', `/api/mongoose/orders/${other._id}`, { token: seeded.customerToken });
+    assert.equal(denied.status, 403);
+    
+    const own = await server.request('GET', `/api/mongoose/orders/${order._id}`, { token: seeded.customerToken });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.message, 'fetched data successfully');
+    assert.equal(own.body.data.items[0].product.name, product.name);
+  });
+  
+  it('PUT /:id updates order details (admin only)', async () => {
+    const denied = await server.request('PUT', `/api/mongoose/orders/${order._id}`, {
+      token: seeded.customerToken,
+      body: { paymentMethod: 'card' }
+    });
+    assert.equal(denied.status, 403);
+    
+    const { status, body } = await server.request('PUT', `/api/mongoose/orders/${order._id}`, {
+      token: seeded.adminToken,
+      body: { paymentMethod: 'card' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.paymentMethod, 'card');
+  });
+  
+  it('PUT /:id only changes the address fields it is sent', async () => {
+    const shippingAddress = { street: '1 Main St', city: 'Springfield', zipCode: '12345', country: 'US' };
+    await server.request('PUT', `/api/mongoose/orders/${order._id}`, { token: seeded.adminToken, body: { shippingAddress } });
+    
+    const { status, body } = await server.request('PUT', `/api/mongoose/orders/${order._id}`, {
+      token: seeded.adminToken,
+      body: { shippingAddress: { city: 'Shelbyville' } }
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.shippingAddress, { ...shippingAddress, city: 'Shelbyville' });
+  });
+  
+  it('PATCH /:id/status only lets customers cancel', async () => {
+    const { status, body } = await server.request('PATCH', `/api/mongoose/orders/${order._id}/status`, {
+      token: seeded.customerToken,
+      body: { status: 'shipped' }
+    });
+    assert.equal(status, 403);
+    assert.equal(body.message, 'Customers can only cancel their orders');
+  });
+  
+  it('PATCH /:id/status rejects illegal transitions', async () => {
+    const { status } = await server.request('PATCH', `/api/mongoose/orders/${order._id}/status`, {
+      token: seeded.adminToken,
+      body: { status: 'delivered' }
+    });
+    assert.equal(status, 409);
+  });
+  
+  it('PATCH /:id/status cancels and restocks', async () => {
+    const { status, body } = await server.request('PATCH', `/api/mongoose/orders/${order._id}/status`, {
+      token: seeded.customerToken,
+      body: { status: 'cancelled', note: 'Changed my mind' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'cancelled');
+    
+    const restocked = await Product.findById(product._id);
+    assert.equal(restocked.stock, product.stock);
+  });
+  
+  it('GET /:id/history records every change', async () => {
+    const { status, body } = await server.request('GET', `/api/mongoose/orders/${order._id}/history`, { token: seeded.customerToken });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map((entry) => entry.to), ['pending', 'cancelled']);
+    assert.equal(body.data[1].note, 'Changed my mind');
+  });
+  
+  it('DELETE /:id removes an order (admin only)', async () => {
+    const { status } = await server.request('DELETE', `/api/mongoose/orders/${order._id}`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    
+    const missing = await server.request('GET', `/api/mongoose/orders/${order._id}/history`, { token: seeded.adminToken });
+    assert.equal(missing.status, 404);
+  });
+  
+  it('DELETE /:id puts the items of a pending order back in stock', async () => {
+    const placed = await server.request('POST', '/api/mongoose/orders', {
+      token: seeded.customerToken,
+      body: { items: [{ product: String(product._id), quantity: 3 }] }
+    });
+    assert.equal(placed.status, 201);
+    
+    const { status } = await server.request('DELETE', `/api/mongoose/orders/${placed.body.data._id}`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    
+    const restocked = await Product.findById(product._id);
+    assert.equal(restocked.stock, product.stock);
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, tokenFor } from '../helpers/http.js';
+import { setupMongooseSuite, teardownMongooseSuite } from '../helpers/mongoose.js';
+import { publishMongooseScheduled } from '../../jobs/publishScheduled.js';
+import User from '../../models/mongoose/User.js';
+import Post from '../../models/mongoose/Post.js';
+import Category from '../../models/mongoose/Category.js';
+import Tag from '../../models/mongoose/Tag.js';
+
+const UNKNOWN_ID = '64b000000000000000000000';
+
+describe('Mongoose posts (/api/mongoose/posts)', () => {
+  let server;
+  let seeded;
+  let post;
+  let draft;
+  
+  before(async () => {
+    seeded = await setupMongooseSuite();
+    server = await startServer();
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownMongooseSuite();
+  });
+  
+  it('GET / lists and filters posts', async () => {
+    const published = seeded.fixtures.posts.filter((entry) => entry.status === 'PUBLISHED').length;
+    const { status, body } = await server.request('GET', '/api/mongoose/posts?filter[status]=published&limit=100');
+    assert.equal(status, 200);
+    assert.equal(body.meta.total, published);
+  });
+  
+  it('GET / pages with a cursor', async () => {
+    const first = await server.request('GET', '/api/mongoose/posts?limit=5&sort=_id');
+    const second = await server.request('GET', `/api/mongoose/posts?limit=5&sort=_id&cursor=${first.body.meta.nextCursor}`);
+    assert.equal(second.status, 200);
+    assert.ok(second.body.data[0]._id > first.body.data[4]._id);
+  });
+  
+  it('GET /category/:slug lists the published posts of a category', async () => {
+    const category = await Category.findOne({ _id: { $in: await Post.distinct('category', { status: 'published' }) } });
+    const expected = await Post.countDocuments({ category: category._id, status: 'published' });
+    
+    const { status, body } = await server.request('GET', `/api/mongoose/posts/category/${category.slug}`);
+    assert.equal(status, 200);
+    assert.equal(body.message, `Posts fetched for category - ${category.name}`);
+    assert.equal(body.meta.total, expected);
+    
+    const missing = await server.request('GET', '/api/mongoose/posts/category/no-such-category');
+    assert.equal(missing.status, 404);
+  });
+  
+  it('POST / creates a post for the current user', async () => {
+    const tag = await Tag.findOne();
+    const { status, body } = await server.request('POST', '/api/mongoose/posts', {
+      token: seeded.customerToken,
+      body: { title: 'My first post', content: 'Hello', status: 'published', tags: [String(tag._id)] }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.data.slug, 'my-first-post');
+    assert.ok(body.data.publishedAt);
+    post = body.data;
+  });
+  
+  it('POST / forbids posting as someone else', async () => {
+    const { status } = await server.request('POST', '/api/mongoose/posts', {
+      token: seeded.customerToken,
+      body: { title: 'Impostor', content: 'x', author: String(seeded.admin._id) }
+    });
+    assert.equal(status, 403);
+  });
+  
+  it('GET /:id returns a post or 404', async () => {
+    const found = await server.request('GET', `/api/mongoose/posts/${post._id}`);
+    assert.equal(found.status, 200);
+    assert.equal(found.body.data.author._id, String(seeded.customer._id));
+    
+    const missing = await server.request('GET', `/api/mongoose/posts/${UNKNOWN_ID}`);
+    assert.equal(missing.status, 404);
+  });
+  
+  it('PUT /:id is limited to the author (or an admin)', async () => {
+    const other = await User.findOne({ _id: { $nin: [seeded.admin._id, seeded.customer._id] } });
+    const denied = await server.request('PUT', `/api/mongoose/posts/${post._id}`, {
+      token: tokenFor(other, 'mongoose'),
+      body: { title: 'Hijacked' }
+    });
+    assert.equal(denied.status, 403);
+    
+    const { status, body } = await server.request('PUT', `/api/mongoose/posts/${post._id}`, {
+      token: seeded.customerToken,
+      body: { title: 'Edited' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.title, 'Edited');
+  });
+  
+  it('PUT /:id rejects a duplicate slug', async () => {
+    const existing = await Post.findOne({ _id: { $ne: post._id } });
+    const { status } = await server.request('PUT', `/api/mongoose/posts/${post._id}`, {
+      token: seeded.customerToken,
+      body: { slug: existing.slug }
+    });
+    assert.equal(status, 409);
+  });
+  
+  it('drafts are hidden from the public but visible to their author', async () => {
+    const created = await server.request('POST', '/api/mongoose/posts', {
+      token: seeded.customerToken,
+      body: { title: 'Work in progress', content: 'Not ready' }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.status, 'draft');
+    draft = created.body.data;
+    
+    const anonymous = await server.request('GET', `/api/mongoose/posts/${draft._id}`);
+    assert.equal(anonymous.status, 404);
+    
+    const author = await server.request('GET', `/api/mongoose/posts/${draft._id}`, { token: seeded.customerToken });
+    assert.equal(author.status, 200);
+    
+    const publicDrafts = await server.request('GET', '/api/mongoose/posts?filter[status]=draft');
+    assert.equal(publicDrafts.body.meta.total, 0);
+    
+    const ownDrafts = await server.request('GET', '/api/mongoose/posts?filter[status]=draft', { token: seeded.customerToken });
+    assert.ok(ownDrafts.body.data.some((entry) => entry._id === draft._id));
+  });
+  
+  it('POST /:id/publish with a future publishedAt schedules the post until the job runs', async () => {
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+    const { status, body } = await server.request('POST', `/api/mongoose/posts/${draft._id}/publish`, {
+      token: seeded.customerToken,
+      body: { publishedAt: publishAt.toISOString() }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'scheduled');
+    
+    assert.equal((await server.request('GET', `/api/mongoose/posts/${draft._id}`)).status, 404);
+    
+    assert.equal(await publishMongooseScheduled(new Date(publishAt.getTime() + 1000)), 1);
+    
+    const published = await server.request('GET', `/api/mongoose/posts/${draft._id}`);
+    assert.equal(published.status, 200);
+    assert.equal(published.body.data.status, 'published');
+  });
+  
+  it('POST /:id/archive and /:id/unpublish follow the workflow', async () => {
+    const archived = await server.request('POST', `/api/mongoose/posts/${draft._id}/archive`, { token: seeded.customerToken });
+    assert.equal(archived.status, 200);
+    assert.equal(archived.body.data.status, 'archived');
+    assert.ok(archived.body.data.publishedAt);
+    
+    const unpublished = await server.request('POST', `/api/mongoose/posts/${draft._id}/unpublish`, { token: seeded.customerToken });
+    assert.equal(unpublished.status, 200);
+    assert.equal(unpublished.body.data.status, 'draft');
+    assert.equal(unpublished.body.data.publishedAt, null);
+    
+    const again = await server.request('POST', `/api/mongoose/posts/${draft._id}/unpublish`, { token: seeded.customerToken });
+    assert.equal(again.status, 409);
+    
+    const other = await server.request('POST', `/api/mongoose/posts/${draft._id}/publish`, { token: seeded.adminToken });
+    assert.equal(other.status, 200);
+  });
+  
+  it('DELETE /:id soft deletes the post, then 404s', async () => {
+    const { status } = await server.request('DELETE', `/api/mongoose/posts/${post._id}`, { token: seeded.customerToken });
+    assert.equal(status, 200);
+    
+    const missing = await server.request('GET', `/api/mongoose/posts/${post._id}`);
+    assert.equal(missing.status, 404);
+  });
+  
+  it('POST /:id/restore lets the author bring the post back', async () => {
+    const { status, body } = await server.request('POST', `/api/mongoose/posts/${post._id}/restore`, { token: seeded.customerToken });
+    assert.equal(status, 200);
+    assert.equal(body.data.deletedAt, null);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { setupMongooseSuite, teardownMongooseSuite } from '../helpers/mongoose.js';
+import Category from '../../models/mongoose/Category.js';
+import Order from '../../models/mongoose/Order.js';
+import Review from '../../models/mongoose/Review.js';
+
+const UNKNOWN_ID = '64b000000000000000000000';
+
+describe('Mongoose products (/api/mongoose/products)', () => {
+  let server;
+  let seeded;
+  let product;
+  
+  before(async () => {
+    seeded = await setupMongooseSuite();
+    server = await startServer();
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownMongooseSuite();
+  });
+  
+  it('GET / filters by price and sorts', async () => {
+    const { status, body } = await server.request('GET', '/api/mongoose/products?filter[price][gte]=100&sort=-price&limit=100');
+    assert.equal(status, 200);
+    assert.equal(body.meta.total, seeded.fixtures.products.filter((entry) => entry.price >= 100).length);
+    const prices = body.data.map((entry) => entry.price);
+    assert.deepEqual(prices, [...prices].sort((a, b) => b - a));
+  });
+  
+  it('GET /get-products-filtered keeps the legacy price range', async () => {
+    const { status, body } = await server.request('GET', '/api/mongoose/products/get-products-filtered?minPrice=10&maxPrice=50');
+    assert.equal(status, 200);
+    assert.equal(body.message, 'Fetched filtered products successfully');
+    assert.ok(body.data.every((entry) => entry.price >= 10 && entry.price <= 50));
+  });
+  
+  it('POST / creates a product (admin only)', async () => {
+    const category = await Category.findOne();
+    const input = { name: 'Test Widget', price: 9.99, stock: 3, categorySlug: category.slug };
+    
+    const denied = await server.request('POST', '/api/mongoose/products', { token: seeded.customerToken, body: input });
+    assert.equal(denied.status, 403);
+    
+    const { status, body } = await server.request('POST', '/api/mongoose/products', { token: seeded.adminToken, body: input });
+    assert.equal(status, 201);
+    assert.equal(body.data.slug, 'test-widget');
+    assert.equal(body.data.category, String(category._id));
+    product = body.data;
+  });
+  
+  it('POST / rejects an unknown category slug', async () => {
+    const { status } = await server.request('POST', '/api/mongoose/products', {
+      token: seeded.adminToken,
+      body: { name: 'Orphan', price: 1, categorySlug: 'no-such-category' }
+    });
+    assert.equal(status, 404);
+  });
+  
+  it('GET /:id includes rating stats', async () => {
+    const { status, body } = await server.request('GET', `/api/mongoose/products/${product._id}`);
+    assert.equal(status, 200);
+    assert.equal(body.data.rating.reviewCount, 0);
+    
+    const missing = await server.request('GET', `/api/mongoose/products/${UNKNOWN_ID}`);
+    assert.equal(missing.status, 404);
+  });
+  
+  it('GET /:id/breadcrumbs ends with the product category', async () => {
+    const { status, body } = await server.request('GET', `/api/mongoose/products/${product._id}/breadcrumbs`);
+    assert.equal(status, 200);
+    assert.equal(String(body.data.at(-1)._id), product.category);
+  });
+  
+  it('GET /:id/reviews returns reviews with stats', async () => {
+    const reviewed = await Review.findOne();
+    const { status, body } = await server.request('GET', `/api/mongoose/products/${reviewed.product}/reviews`);
+    assert.equal(status, 200);
+    assert.ok(body.count > 0);
+    assert.ok(body.stats.averageRating >= 1);
+  });
+  
+  it('PUT /:id updates a product', async () => {
+    const { status, body } = await server.request('PUT', `/api/mongoose/products/${product._id}`, {
+      token: seeded.adminToken,
+      body: { stock: 10 }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.stock, 10);
+  });
+  
+  it('DELETE /:id soft deletes products that were ordered, orders keep them', async () => {
+    const ordered = await Order.findOne();
+    const productId = ordered.items[0].product;
+    const { status } = await server.request('DELETE', `/api/mongoose/products/${productId}`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    
+    const missing = await server.request('GET', `/api/mongoose/products/${productId}`);
+    assert.equal(missing.status, 404);
+    
+    const order = await server.request('POST', '/api/mongoose/orders', {
+      token: seeded.customerToken,
+      body: { items: [{ product: String(productId), quantity: 1 }] }
+    });
+    assert.equal(order.status, 404);
+  });
+  
+  it('DELETE /:id then POST /:id/restore brings the product back (admin)', async () => {
+    const { status } = await server.request('DELETE', `/api/mongoose/products/${product._id}`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    
+    const restored = await server.request('POST', `/api/mongoose/products/${product._id}/restore`, { token: seeded.adminToken });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.data.deletedAt, null);
+  });
+});
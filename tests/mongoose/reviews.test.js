@@ -0,0 +1,93 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { setupMongooseSuite, teardownMongooseSuite } from '../helpers/mongoose.js';
+import Product from '../../models/mongoose/Product.js';
+import Review from '../../models/mongoose/Review.js';
+
+const UNKNOWN_ID = '64b000000000000000000000';
+
+describe('Mongoose reviews (/api/mongoose/reviews)', () => {
+  let server;
+  let seeded;
+  let product;
+  let review;
+  
+  before(async () => {
+    seeded = await setupMongooseSuite();
+    server = await startServer();
+    const reviewed = await Review.distinct('product', { user: seeded.customer._id });
+    product = await Product.findOne({ _id: { $nin: reviewed } }).sort({ _id: 1 });
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownMongooseSuite();
+  });
+  
+  it('GET / lists reviews, optionally of one product', async () => {
+    const { status, body } = await server.request('GET', '/api/mongoose/reviews?limit=100');
+    assert.equal(status, 200);
+    assert.equal(body.meta.total, seeded.fixtures.reviews.length);
+    
+    const sample = await Review.findOne();
+    const filtered = await server.request('GET', `/api/mongoose/reviews?product=${sample.product}`);
+    assert.equal(filtered.body.meta.total, await Review.countDocuments({ product: sample.product }));
+  });
+  
+  it('POST / creates a review for the current user', async () => {
+    const { status, body } = await server.request('POST', '/api/mongoose/reviews', {
+      token: seeded.customerToken,
+      body: { product: String(product._id), rating: 4, comment: 'Solid' }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.data.user, String(seeded.customer._id));
+    review = body.data;
+  });
+  
+  it('POST / allows one review per product', async () => {
+    const { status, body } = await server.request('POST', '/api/mongoose/reviews', {
+      token: seeded.customerToken,
+      body: { product: String(product._id), rating: 5 }
+    });
+    assert.equal(status, 409);
+    assert.equal(body.message, 'You have already reviewed this product');
+  });
+  
+  it('POST / answers 404 for an unknown product', async () => {
+    const { status } = await server.request('POST', '/api/mongoose/reviews', {
+      token: seeded.customerToken,
+      body: { product: UNKNOWN_ID, rating: 5 }
+    });
+    assert.equal(status, 404);
+  });
+  
+  it('GET /:id returns a review or 404', async () => {
+    const found = await server.request('GET', `/api/mongoose/reviews/${review._id}`);
+    assert.equal(found.status, 200);
+    
+    const missing = await server.request('GET', `/api/mongoose/reviews/${UNKNOWN_ID}`);
+    assert.equal(missing.status, 404);
+  });
+  
+  it('PUT /:id is limited to the reviewer (or an admin)', async () => {
+    const other = await Review.findOne({ user: { $ne: seeded.customer._id } });
+    const denied = await server.request('PUT', `/api/mongoose/reviews/${other._id}`, {
+      token: seeded.customerToken,
+      body: { rating: 1 }
+    });
+    assert.equal(denied.status, 403);
+    
+    const { status, body } = await server.request('PUT', `/api/mongoose/reviews/${review._id}`, {
+      token: seeded.customerToken,
+      body: { rating: 2 }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.rating, 2);
+  });
+  
+  it('DELETE /:id removes a review', async () => {
+    const { status } = await server.request('DELETE', `/api/mongoose/reviews/${review._id}`, { token: seeded.customerToken });
+    assert.equal(status, 200);
+  });
+});
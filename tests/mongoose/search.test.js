@@ -0,0 +1,61 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { setupMongooseSuite, teardownMongooseSuite } from '../helpers/mongoose.js';
+import Product from '../../models/mongoose/Product.js';
+import Post from '../../models/mongoose/Post.js';
+
+describe('Mongoose search (/api/mongoose/search)', () => {
+  let server;
+  let product;
+  
+  before(async () => {
+    await setupMongooseSuite();
+    server = await startServer();
+    product = await Product.findOne({ category: { $ne: null } }).populate('category').lean();
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownMongooseSuite();
+  });
+  
+  it('finds a product by name with highlights and facets', async () => {
+    const { status, body } = await server.request('GET', `/api/mongoose/search?q=${encodeURIComponent(product.name)}&type=product`);
+    assert.equal(status, 200);
+    const hit = body.data.find((entry) => entry.id === String(product._id));
+    assert.ok(hit);
+    assert.match(hit.titleHighlight, /<mark>/);
+    assert.ok(body.facets.categories.some((facet) => facet.slug === product.category.slug));
+  });
+  
+  it('narrows results to a category', async () => {
+    const { body } = await server.request('GET', `/api/mongoose/search?q=${encodeURIComponent(product.name)}&category=${product.category.slug}`);
+    assert.ok(body.data.some((entry) => entry.id === String(product._id)));
+    
+    const unknown = await server.request('GET', `/api/mongoose/search?q=${encodeURIComponent(product.name)}&category=no-such-category`);
+    assert.equal(unknown.body.count, 0);
+  });
+  
+  it('never returns unpublished posts', async () => {
+    const draft = await Post.findOne({ status: { $ne: 'published' } });
+    const { body } = await server.request('GET', `/api/mongoose/search?q=${encodeURIComponent(draft.title)}&type=post`);
+    assert.ok(body.data.every((entry) => entry.id !== String(draft._id)));
+  });
+  
+  it('escapes stored markup in the highlights', async () => {
+    const created = await Product.create({
+      name: 'Zebra <img src=x onerror=alert(1)>', slug: 'zebra-markup', description: 'A zebra <script>x</script> rug', price: 10
+    });
+    const { body } = await server.request('GET', '/api/mongoose/search?q=zebra&type=product');
+    const hit = body.data.find((entry) => entry.id === String(created._id));
+    assert.equal(hit.titleHighlight, '<mark>Zebra</mark> &lt;img src=x onerror=alert(1)&gt;');
+    assert.doesNotMatch(hit.snippet, /<script>/);
+    assert.match(hit.snippet, /&lt;script&gt;/);
+  });
+  
+  it('requires a query', async () => {
+    const { status } = await server.request('GET', '/api/mongoose/search');
+    assert.equal(status, 422);
+  });
+});
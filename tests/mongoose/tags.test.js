@@ -0,0 +1,164 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { setupMongooseSuite, teardownMongooseSuite } from '../helpers/mongoose.js';
+import Tag from '../../models/mongoose/Tag.js';
+import Product from '../../models/mongoose/Product.js';
+import Post from '../../models/mongoose/Post.js';
+
+const UNKNOWN_ID = '64b000000000000000000000';
+
+describe('Mongoose tags (/api/mongoose/tags)', () => {
+  let server;
+  let seeded;
+  let tag;
+  
+  before(async () => {
+    seeded = await setupMongooseSuite();
+    server = await startServer();
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownMongooseSuite();
+  });
+  
+  it('GET / lists tags by name', async () => {
+    const { status, body } = await server.request('GET', '/api/mongoose/tags?limit=100');
+    assert.equal(status, 200);
+    assert.equal(body.meta.total, seeded.fixtures.tags.length);
+    const names = body.data.map((entry) => entry.name);
+    assert.deepEqual(names, [...names].sort());
+  });
+  
+  it('keeps the legacy /get-all-tags and /get-tags routes', async () => {
+    const all = await server.request('GET', '/api/mongoose/tags/get-all-tags');
+    assert.equal(all.status, 200);
+    assert.equal(all.body.message, 'Tags fetched succesfully');
+    
+    const some = await server.request('GET', '/api/mongoose/tags/get-tags');
+    assert.equal(some.status, 200);
+  });
+  
+  it('POST / creates a tag (admin only)', async () => {
+    const denied = await server.request('POST', '/api/mongoose/tags', { token: seeded.customerToken, body: { name: 'Fresh Tag' } });
+    assert.equal(denied.status, 403);
+    
+    const { status, body } = await server.request('POST', '/api/mongoose/tags', { token: seeded.adminToken, body: { name: 'Fresh Tag' } });
+    assert.equal(status, 201);
+    assert.equal(body.data.slug, 'fresh-tag');
+    tag = body.data;
+    
+    const duplicate = await server.request('POST', '/api/mongoose/tags', {
+      token: seeded.adminToken,
+      body: { name: 'Other', slug: 'fresh-tag' }
+    });
+    assert.equal(duplicate.status, 409);
+  });
+  
+  it('GET /:id and /get-single-tag/:id return the tag', async () => {
+    const found = await server.request('GET', `/api/mongoose/tags/${tag._id}`);
+    assert.equal(found.status, 200);
+    assert.equal(found.body.data.name, 'Fresh Tag');
+    
+    const legacy = await server.request('GET', `/api/mongoose/tags/get-single-tag/${tag._id}`);
+    assert.equal(legacy.body.message, 'Tag fetched successfully');
+    
+    const missing = await server.request('GET', `/api/mongoose/tags/${UNKNOWN_ID}`);
+    assert.equal(missing.status, 404);
+  });
+  
+  it('PUT /:id renames a tag', async () => {
+    const { status, body } = await server.request('PUT', `/api/mongoose/tags/${tag._id}`, {
+      token: seeded.adminToken,
+      body: { name: 'Renamed Tag' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.name, 'Renamed Tag');
+  });
+  
+  describe('usage, related tags and merging', () => {
+    let alpha;
+    let beta;
+    let post;
+    
+    before(async () => {
+      [alpha, beta] = await Tag.create([
+        { name: 'Alpha Usage', slug: 'alpha-usage' },
+        { name: 'Beta Usage', slug: 'beta-usage' }
+      ]);
+      [, post] = await Promise.all([
+        Product.findOneAndUpdate({ deletedAt: null }, { tags: [tag._id, alpha._id] }, { new: true }),
+        Post.findOneAndUpdate({ deletedAt: null }, { tags: [tag._id, alpha._id, beta._id] }, { new: true })
+      ]);
+    });
+    
+    it('GET /:id counts the products and posts using the tag', async () => {
+      const { status, body } = await server.request('GET', `/api/mongoose/tags/${tag._id}`);
+      assert.equal(status, 200);
+      assert.deepEqual(body.data.usage, { products: 1, posts: 1, total: 2 });
+    });
+    
+    it('GET /?type= and /get-tags?type= keep tags used by that kind of content', async () => {
+      const posts = await server.request('GET', '/api/mongoose/tags?type=post&limit=100');
+      assert.ok(posts.body.data.some((entry) => entry._id === String(beta._id)));
+      assert.ok(posts.body.data.every((entry) => entry.usage.posts > 0));
+      
+      const products = await server.request('GET', '/api/mongoose/tags/get-tags?type=product&limit=100');
+      assert.equal(products.status, 200);
+      assert.ok(products.body.data.some((entry) => entry._id === String(alpha._id)));
+      assert.ok(!products.body.data.some((entry) => entry._id === String(beta._id)));
+    });
+    
+    it('GET /:id/related ranks tags by how often they are used together', async () => {
+      const { status, body } = await server.request('GET', `/api/mongoose/tags/${tag._id}/related`);
+      assert.equal(status, 200);
+      assert.deepEqual(
+        body.data.filter((entry) => [alpha.slug, beta.slug].includes(entry.slug)).map(({ slug, count }) => [slug, count]),
+        [[alpha.slug, 2], [beta.slug, 1]]
+      );
+      
+      const limited = await server.request('GET', `/api/mongoose/tags/${tag._id}/related?limit=1`);
+      assert.equal(limited.body.count, 1);
+    });
+    
+    it('POST /:id/merge rejects merging a tag into itself or a missing tag', async () => {
+      const itself = await server.request('POST', `/api/mongoose/tags/${beta._id}/merge`, {
+        token: seeded.adminToken,
+        body: { target: String(beta._id) }
+      });
+      assert.equal(itself.status, 422);
+      
+      const missing = await server.request('POST', `/api/mongoose/tags/${beta._id}/merge`, {
+        token: seeded.adminToken,
+        body: { target: UNKNOWN_ID }
+      });
+      assert.equal(missing.status, 404);
+    });
+    
+    it('POST /:id/merge moves content to the target and deletes the tag', async () => {
+      const denied = await server.request('POST', `/api/mongoose/tags/${beta._id}/merge`, {
+        token: seeded.customerToken,
+        body: { target: String(alpha._id) }
+      });
+      assert.equal(denied.status, 403);
+      
+      const { status, body } = await server.request('POST', `/api/mongoose/tags/${beta._id}/merge`, {
+        token: seeded.adminToken,
+        body: { target: String(alpha._id) }
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(body.merged, { products: 0, posts: 1 });
+      assert.deepEqual(body.data.usage, { products: 1, posts: 1, total: 2 });
+      
+      const merged = await Post.findById(post._id).lean();
+      assert.deepEqual(merged.tags.map(String).sort(), [String(tag._id), String(alpha._id)].sort());
+      assert.equal(await Tag.exists({ _id: beta._id }), null);
+    });
+  });
+  
+  it('DELETE /:id removes a tag', async () => {
+    const { status } = await server.request('DELETE', `/api/mongoose/tags/${tag._id}`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+  });
+});
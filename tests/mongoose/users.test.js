@@ -0,0 +1,132 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { setupMongooseSuite, teardownMongooseSuite } from '../helpers/mongoose.js';
+import { purgeMongooseDeleted } from '../../jobs/purgeDeleted.js';
+import User from '../../models/mongoose/User.js';
+
+const UNKNOWN_ID = '64b000000000000000000000';
+
+// Past the default 30 day retention window
+const AFTER_RETENTION = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+
+describe('Mongoose users (/api/mongoose/users)', () => {
+  let server;
+  let seeded;
+  let createdId;
+  
+  before(async () => {
+    seeded = await setupMongooseSuite();
+    server = await startServer();
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownMongooseSuite();
+  });
+  
+  it('GET / lists users without password hashes', async () => {
+    const { status, body } = await server.request('GET', '/api/mongoose/users?limit=5');
+    assert.equal(status, 200);
+    assert.equal(body.count, 5);
+    assert.equal(body.meta.total, seeded.fixtures.users.length);
+    assert.ok(body.data.every((user) => user.password === undefined));
+  });
+  
+  it('GET / supports sparse fieldsets and filters', async () => {
+    const { body } = await server.request('GET', '/api/mongoose/users?fields=email&filter[role]=admin');
+    assert.deepEqual(body.data, [{ _id: String(seeded.admin._id), email: seeded.admin.email }]);
+  });
+  
+  it('GET /get-users keeps the legacy response shape', async () => {
+    const { status, body } = await server.request('GET', '/api/mongoose/users/get-users?page=2&limit=3');
+    assert.equal(status, 200);
+    assert.equal(body.message, 'Fetched users for page - 2');
+    assert.equal(body.limit, 3);
+    assert.equal(body.total, body.meta.total);
+  });
+  
+  it('GET /:id returns a user or 404', async () => {
+    const found = await server.request('GET', `/api/mongoose/users/${seeded.customer._id}`);
+    assert.equal(found.status, 200);
+    assert.equal(found.body.data.email, seeded.customer.email);
+    
+    const missing = await server.request('GET', `/api/mongoose/users/${UNKNOWN_ID}`);
+    assert.equal(missing.status, 404);
+  });
+  
+  it('POST / is admin only', async () => {
+    const user = { email: 'made@example.com', username: 'made', password: 'Password123!' };
+    const denied = await server.request('POST', '/api/mongoose/users', { token: seeded.customerToken, body: user });
+    assert.equal(denied.status, 403);
+    
+    const { status, body } = await server.request('POST', '/api/mongoose/users', { token: seeded.adminToken, body: user });
+    assert.equal(status, 201);
+    assert.equal(body.data.password, undefined);
+    createdId = body.data._id;
+    
+    const duplicate = await server.request('POST', '/api/mongoose/users', { token: seeded.adminToken, body: user });
+    assert.equal(duplicate.status, 409);
+  });
+  
+  it('PUT /:id lets users update themselves but not their role', async () => {
+    const own = await server.request('PUT', `/api/mongoose/users/${seeded.customer._id}`, {
+      token: seeded.customerToken,
+      body: { firstName: 'Changed' }
+    });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.data.firstName, 'Changed');
+    
+    const role = await server.request('PUT', `/api/mongoose/users/${seeded.customer._id}`, {
+      token: seeded.customerToken,
+      body: { role: 'admin' }
+    });
+    assert.equal(role.status, 403);
+    
+    const other = await server.request('PUT', `/api/mongoose/users/${createdId}`, {
+      token: seeded.customerToken,
+      body: { firstName: 'Nope' }
+    });
+    assert.equal(other.status, 403);
+  });
+  
+  it('DELETE /:id soft deletes a user (admin), then 404s', async () => {
+    const { status, body } = await server.request('DELETE', `/api/mongoose/users/${createdId}`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    assert.ok(body.data.deletedAt);
+    
+    const gone = await server.request('GET', `/api/mongoose/users/${createdId}`);
+    assert.equal(gone.status, 404);
+    
+    const list = await server.request('GET', '/api/mongoose/users?limit=100');
+    assert.ok(list.body.data.every((user) => user._id !== createdId));
+  });
+  
+  it('GET ?includeDeleted=true returns deleted users to admins only', async () => {
+    const admin = await server.request('GET', `/api/mongoose/users/${createdId}?includeDeleted=true`, { token: seeded.adminToken });
+    assert.equal(admin.status, 200);
+    assert.ok(admin.body.data.deletedAt);
+    
+    const customer = await server.request('GET', '/api/mongoose/users?includeDeleted=true', { token: seeded.customerToken });
+    assert.equal(customer.status, 403);
+  });
+  
+  it('POST /:id/restore brings a deleted user back (admin)', async () => {
+    const { status, body } = await server.request('POST', `/api/mongoose/users/${createdId}/restore`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.data.deletedAt, null);
+    
+    const again = await server.request('POST', `/api/mongoose/users/${createdId}/restore`, { token: seeded.adminToken });
+    assert.equal(again.status, 409);
+  });
+  
+  it('purge removes deleted users past the retention window, but keeps customers', async () => {
+    await server.request('DELETE', `/api/mongoose/users/${createdId}`, { token: seeded.adminToken });
+    await server.request('DELETE', `/api/mongoose/users/${seeded.customer._id}`, { token: seeded.adminToken });
+    
+    const result = await purgeMongooseDeleted(AFTER_RETENTION);
+    assert.equal(result.users, 1);
+    assert.equal(await User.exists({ _id: createdId }), null);
+    assert.ok(await User.exists({ _id: seeded.customer._id }));
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { skipPrisma, setupPrismaSuite, teardownPrismaSuite, prisma } from '../helpers/prisma.js';
+
+// The seed data covers the year before the default seed anchor
+const RANGE = 'from=2024-01-01&to=2025-01-01';
+
+describe('Prisma analytics (/api/prisma/analytics)', { skip: skipPrisma }, () => {
+  let server;
+  let seeded;
+  let revenueOrders;
+  
+  before(async () => {
+    seeded = await setupPrismaSuite();
+    server = await startServer();
+    revenueOrders = await prisma.order.findMany({
+      where: {
+        status: { not: 'CANCELLED' },
+        paymentStatus: { not: 'REFUNDED' },
+        createdAt: { gte: new Date('2024-01-01'), lte: new Date('2025-01-01') }
+      }
+    });
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownPrismaSuite();
+  });
+  
+  it('is restricted to admins', async () => {
+    const { status } = await server.request('GET', `/api/prisma/analytics/revenue?${RANGE}`, { token: seeded.customerToken });
+    assert.equal(status, 403);
+  });
+  
+  it('GET /revenue totals non-cancelled, non-refunded orders', async () => {
+    const { status, body } = await server.request('GET', `/api/prisma/analytics/revenue?${RANGE}&granularity=month`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    
+    const expected = revenueOrders.reduce((sum, order) => sum + Number(order.totalAmount), 0);
+    assert.equal(body.data.totals.orders, revenueOrders.length);
+    assert.ok(Math.abs(body.data.totals.revenue - expected) < 0.01);
+    assert.equal(body.data.series.reduce((sum, row) => sum + row.orders, 0), revenueOrders.length);
+  });
+  
+  it('GET /revenue rejects an inverted range', async () => {
+    const { status } = await server.request('GET', '/api/prisma/analytics/revenue?from=2025-01-01&to=2024-01-01', { token: seeded.adminToken });
+    assert.equal(status, 422);
+  });
+  
+  it('GET /top-products ranks by revenue', async () => {
+    const { status, body } = await server.request('GET', `/api/prisma/analytics/top-products?${RANGE}&limit=5`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    assert.ok(body.count <= 5);
+    const revenue = body.data.map((row) => row.revenue);
+    assert.deepEqual(revenue, [...revenue].sort((a, b) => b - a));
+  });
+  
+  it('GET /ratings-by-category counts every review in range', async () => {
+    const reviews = await prisma.review.count({
+      where: { createdAt: { gte: new Date('2024-01-01'), lte: new Date('2025-01-01') } }
+    });
+    const { body } = await server.request('GET', `/api/prisma/analytics/ratings-by-category?${RANGE}`, { token: seeded.adminToken });
+    assert.equal(body.data.reduce((sum, row) => sum + row.reviews, 0), reviews);
+  });
+  
+  it('GET /low-stock buckets every product', async () => {
+    const { status, body } = await server.request('GET', '/api/prisma/analytics/low-stock?threshold=5', { token: seeded.adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.data.summary.totalProducts, seeded.fixtures.products.length);
+    assert.equal(body.data.distribution.reduce((sum, bucket) => sum + bucket.count, 0), seeded.fixtures.products.length);
+    assert.ok(body.data.products.every((product) => product.stock <= 5));
+  });
+  
+  it('GET /customer-lifetime-value counts every paying customer', async () => {
+    const customers = new Set(revenueOrders.map((order) => order.userId)).size;
+    const { status, body } = await server.request('GET', `/api/prisma/analytics/customer-lifetime-value?${RANGE}`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.data.summary.customers, customers);
+  });
+  
+  it('GET /cohorts groups users by signup period', async () => {
+    const signups = await prisma.user.count({
+      where: { createdAt: { gte: new Date('2024-01-01'), lte: new Date('2025-01-01') } }
+    });
+    const { status, body } = await server.request('GET', `/api/prisma/analytics/cohorts?${RANGE}`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.data.reduce((sum, cohort) => sum + cohort.users, 0), signups);
+  });
+  
+  it('rollups refresh on demand and match the live report', async () => {
+    const refresh = await server.request('POST', '/api/prisma/analytics/rollups/refresh', { token: seeded.adminToken });
+    assert.equal(refresh.status, 200);
+    assert.ok(refresh.body.lastRefreshedAt);
+    
+    const { status, body } = await server.request('GET', `/api/prisma/analytics/rollups/sales?${RANGE}&granularity=day`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.data.reduce((sum, row) => sum + row.orders, 0), revenueOrders.length);
+    
+    const products = await server.request('GET', `/api/prisma/analytics/rollups/products?${RANGE}`, { token: seeded.adminToken });
+    assert.equal(products.status, 200);
+  });
+  
+  it('rollups recreate a view left over from an older definition', async () => {
+    await prisma.$executeRawUnsafe('DROP MATERIALIZED VIEW IF EXISTS sales_rollup');
+    await prisma.$executeRawUnsafe('CREATE MATERIALIZED VIEW sales_rollup AS SELECT 1 AS outdated');
+    
+    const refresh = await server.request('POST', '/api/prisma/analytics/rollups/refresh', { token: seeded.adminToken });
+    assert.equal(refresh.status, 200);
+    
+    const { status, body } = await server.request('GET', `/api/prisma/analytics/rollups/sales?${RANGE}&granularity=day`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.data.reduce((sum, row) => sum + row.orders, 0), revenueOrders.length);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { skipPrisma, setupPrismaSuite, teardownPrismaSuite, prisma } from '../helpers/prisma.js';
+
+describe('Prisma categories (/api/prisma/categories)', { skip: skipPrisma }, () => {
+  let server;
+  let seeded;
+  let root;
+  let created;
+  
+  before(async () => {
+    seeded = await setupPrismaSuite();
+    server = await startServer();
+    root = await prisma.category.findFirst({ where: { parentId: null }, orderBy: { id: 'asc' } });
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownPrismaSuite();
+  });
+  
+  it('GET / lists categories', async () => {
+    const { status, body } = await server.request('GET', '/api/prisma/categories?limit=100');
+    assert.equal(status, 200);
+    assert.equal(body.meta.total, seeded.fixtures.categories.length);
+  });
+  
+  it('GET /tree nests children under their roots', async () => {
+    const roots = await prisma.category.count({ where: { parentId: null } });
+    const { status, body } = await server.request('GET', '/api/prisma/categories/tree');
+    assert.equal(status, 200);
+    assert.equal(body.data.length, roots);
+    assert.ok(body.data.every((node) => Array.isArray(node.children)));
+  });
+  
+  it('GET /:slug/descendants walks the whole subtree', async () => {
+    const { status, body } = await server.request('GET', `/api/prisma/categories/${root.slug}/descendants`);
+    assert.equal(status, 200);
+    assert.equal(body.data.category.id, root.id);
+    assert.ok(body.data.descendants.some((entry) => entry.depth === 2));
+    
+    const missing = await server.request('GET', '/api/prisma/categories/no-such-category/descendants');
+    assert.equal(missing.status, 404);
+  });
+  
+  it('POST / creates a category (admin only)', async () => {
+    const input = { name: 'Test Category', parentId: root.id };
+    
+    const denied = await server.request('POST', '/api/prisma/categories', { token: seeded.customerToken, body: input });
+    assert.equal(denied.status, 403);
+    
+    const { status, body } = await server.request('POST', '/api/prisma/categories', { token: seeded.adminToken, body: input });
+    assert.equal(status, 201);
+    assert.equal(body.data.slug, 'test-category');
+    created = body.data;
+  });
+  
+  it('PUT /:id refuses to move a category under its own descendant', async () => {
+    const { status } = await server.request('PUT', `/api/prisma/categories/${root.id}`, {
+      token: seeded.adminToken,
+      body: { parentId: created.id }
+    });
+    assert.equal(status, 409);
+  });
+  
+  it('GET /:id returns a category or 404', async () => {
+    const found = await server.request('GET', `/api/prisma/categories/${created.id}`);
+    assert.equal(found.status, 200);
+    
+    const missing = await server.request('GET', '/api/prisma/categories/999999');
+    assert.equal(missing.status, 404);
+  });
+  
+  it('DELETE /:id removes a category', async () => {
+    const { status } = await server.request('DELETE', `/api/prisma/categories/${created.id}`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+  });
+});
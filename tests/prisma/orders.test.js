@@ -0,0 +1,130 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { skipPrisma, setupPrismaSuite, teardownPrismaSuite, prisma } from '../helpers/prisma.js';
+
+describe('Prisma orders (/api/prisma/orders)', { skip: skipPrisma }, () => {
+  let server;
+  let seeded;
+  let product;
+  let order;
+  
+  before(async () => {
+    seeded = await setupPrismaSuite();
+    server = await startServer();
+    product = await prisma.product.findFirst({ where: { stock: { gte: 5 } }, orderBy: { id: 'asc' } });
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownPrismaSuite();
+  });
+  
+  it('requires authentication', async () => {
+    const { status } = await server.request('GET', '/api/prisma/orders');
+    assert.equal(status, 401);
+  });
+  
+  it('GET / only lists the customer\'s own orders', async () => {
+    const own = await prisma.order.count({ where: { userId: seeded.customer.id } });
+    const { status, body } = await server.request('GET', '/api/prisma/orders?limit=100', { token: seeded.customerToken });
+    assert.equal(status, 200);
+    assert.equal(body.meta.total, own);
+    assert.ok(body.data.every((entry) => entry.userId === seeded.customer.id));
+    
+    const all = await server.request('GET', '/api/prisma/orders', { token: seeded.adminToken });
+    assert.equal(all.body.meta.total, seeded.fixtures.orders.length);
+  });
+  
+  it('POST / places an order and reserves stock', async () => {
+    const { status, body } = await server.request('POST', '/api/prisma/orders', {
+      token: seeded.customerToken,
+      body: { items: [{ productId: product.id, quantity: 2 }] }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.data.userId, seeded.customer.id);
+    assert.equal(body.data.status, 'PENDING');
+    assert.equal(Number(body.data.totalAmount), Number(product.price) * 2);
+    
+    const updated = await prisma.product.findUnique({ where: { id: product.id } });
+    assert.equal(updated.stock, product.stock - 2);
+    order = body.data;
+  });
+  
+  it('POST / answers 404 when an admin orders for a deleted user', async () => {
+    const deleted = await prisma.user.create({
+      data: { email: 'gone@example.com', username: 'gone', password: 'hash', deletedAt: new Date() }
+    });
+    const { status, body } = await server.request('POST', '/api/prisma/orders', {
+      token: seeded.adminToken,
+      body: { userId: deleted.id, items: [{ productId: product.id, quantity: 1 }] }
+    });
+    assert.equal(status, 404);
+    assert.equal(body.message, 'User not found');
+  });
+  
+  it('POST / answers 409 when stock is insufficient', async () => {
+    const { status, body } = await server.request('POST', '/api/prisma/orders', {
+      token: seeded.customerToken,
+      body: { items: [{ productId: product.id, quantity: 100000 }] }
+    });
+    assert.equal(status, 409);
+    assert.match(body.message, /Insufficient stock/);
+  });
+  
+  it('POST / answers 404 for an unknown product', async () => {
+    const { status } = await server.request('POST', '/api/prisma/orders', {
+      token: seeded.customerToken,
+      body: { items: [{ productId: 999999, quantity: 1 }] }
+    });
+    assert.equal(status, 404);
+  });
+  
+  it('GET /:id is limited to the owner (or an admin)', async () => {
+    const other = await prisma.order.findFirst({ where: { userId: { not: seeded.customer.id } } });
+    const denied = await server.request('GET', `/api/prisma/orders/${other.id}`, { token: seeded.customerToken });
+    assert.equal(denied.status, 403);
+    
+    const own = await server.request('GET', `/api/prisma/orders/${order.id}`, { token: seeded.customerToken });
+    assert.equal(own.status, 200);
+    
+    const missing = await server.request('GET', '/api/prisma/orders/999999', { token: seeded.adminToken });
+    assert.equal(missing.status, 404);
+  });
+  
+  it('PATCH /:id/status only lets customers cancel', async () => {
+    const { status, body } = await server.request('PATCH', `/api/prisma/orders/${order.id}/status`, {
+      token: seeded.customerToken,
+      body: { status: 'SHIPPED' }
+    });
+    assert.equal(status, 403);
+    assert.equal(body.message, 'Customers can only cancel their orders');
+  });
+  
+  it('PATCH /:id/status rejects illegal transitions', async () => {
+    const { status } = await server.request('PATCH', `/api/prisma/orders/${order.id}/status`, {
+      token: seeded.adminToken,
+      body: { status: 'DELIVERED' }
+    });
+    assert.equal(status, 409);
+  });
+  
+  it('PATCH /:id/status cancels and restocks', async () => {
+    const { status, body } = await server.request('PATCH', `/api/prisma/orders/${order.id}/status`, {
+      token: seeded.customerToken,
+      body: { status: 'CANCELLED', note: 'Changed my mind' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'CANCELLED');
+    
+    const restocked = await prisma.product.findUnique({ where: { id: product.id } });
+    assert.equal(restocked.stock, product.stock);
+  });
+  
+  it('GET /:id/history records every change', async () => {
+    const { status, body } = await server.request('GET', `/api/prisma/orders/${order.id}/history`, { token: seeded.customerToken });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map((entry) => entry.toValue), ['PENDING', 'CANCELLED']);
+    assert.equal(body.data[1].note, 'Changed my mind');
+  });
+});
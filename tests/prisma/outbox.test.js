@@ -0,0 +1,108 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { skipPrisma, setupPrismaSuite, teardownPrismaSuite, prisma } from '../helpers/prisma.js';
+import { setupMongooseSuite, teardownMongooseSuite } from '../helpers/mongoose.js';
+import OrderView from '../../models/mongoose/OrderView.js';
+import { relayOutbox } from '../../jobs/relayOutbox.js';
+
+describe('Prisma outbox relay (/api/prisma/outbox)', { skip: skipPrisma }, () => {
+  let server;
+  let seeded;
+  let product;
+  let order;
+  
+  before(async () => {
+    seeded = await setupPrismaSuite();
+    await setupMongooseSuite();
+    server = await startServer();
+    product = await prisma.product.findFirst({ where: { stock: { gte: 5 }, deletedAt: null }, orderBy: { id: 'asc' } });
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownMongooseSuite();
+    await teardownPrismaSuite();
+  });
+  
+  it('writes an outbox event with every order placed', async () => {
+    const { status, body } = await server.request('POST', '/api/prisma/orders', {
+      token: seeded.customerToken,
+      body: { items: [{ productId: product.id, quantity: 1 }] }
+    });
+    assert.equal(status, 201);
+    order = body.data;
+    
+    const events = await prisma.outboxEvent.findMany({ where: { aggregate: 'order', aggregateId: order.id } });
+    assert.deepEqual(events.map((event) => event.type), ['order.placed']);
+  });
+  
+  it('reports the lag until the relay runs', async () => {
+    const { status, body } = await server.request('GET', '/api/prisma/outbox/lag', { token: seeded.adminToken });
+    assert.equal(status, 200);
+    assert.ok(body.data.pendingEvents >= 1);
+    assert.equal(body.data.offset, 0);
+    
+    const forbidden = await server.request('GET', '/api/prisma/outbox/lag', { token: seeded.customerToken });
+    assert.equal(forbidden.status, 403);
+  });
+  
+  it('projects the order with its user and product snapshots', async () => {
+    const { relayed } = await relayOutbox({ gapGraceSeconds: 0 });
+    assert.ok(relayed >= 1);
+    
+    const { status, body } = await server.request('GET', `/api/prisma/orders/${order.id}/view`, { token: seeded.customerToken });
+    assert.equal(status, 200);
+    assert.equal(body.data.orderNumber, order.orderNumber);
+    assert.equal(body.data.user.email, seeded.customer.email);
+    assert.deepEqual(body.data.items.map((item) => item.product.slug), [product.slug]);
+    
+    const lag = await server.request('GET', '/api/prisma/outbox/lag', { token: seeded.adminToken });
+    assert.equal(lag.body.data.pendingEvents, 0);
+    assert.equal(lag.body.data.lagSeconds, 0);
+  });
+  
+  it('refreshes snapshots when the user or product changes', async () => {
+    await server.request('PUT', `/api/prisma/users/${seeded.customer.id}`, {
+      token: seeded.customerToken,
+      body: { firstName: 'Renamed' }
+    });
+    await server.request('PUT', `/api/prisma/products/${product.id}`, {
+      token: seeded.adminToken,
+      body: { name: 'Renamed product' }
+    });
+    await server.request('PATCH', `/api/prisma/orders/${order.id}/status`, {
+      token: seeded.adminToken,
+      body: { status: 'PROCESSING' }
+    });
+    
+    await relayOutbox({ gapGraceSeconds: 0 });
+    
+    const view = await OrderView.findOne({ orderId: order.id }).lean();
+    assert.equal(view.user.firstName, 'Renamed');
+    assert.equal(view.items[0].product.name, 'Renamed product');
+    assert.equal(view.status, 'PROCESSING');
+  });
+  
+  it('POST /replay projects the events again without duplicating documents', async () => {
+    const before = await OrderView.find({}, { _id: 0 }).sort({ orderId: 1 }).lean();
+    
+    const { status, body } = await server.request('POST', '/api/prisma/outbox/replay', {
+      token: seeded.adminToken,
+      body: { fromOffset: 0 }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.offset, 0);
+    
+    await relayOutbox({ gapGraceSeconds: 0 });
+    assert.deepEqual(await OrderView.find({}, { _id: 0 }).sort({ orderId: 1 }).lean(), before);
+  });
+  
+  it('POST /replay validates the offset', async () => {
+    const { status } = await server.request('POST', '/api/prisma/outbox/replay', {
+      token: seeded.adminToken,
+      body: { fromOffset: -1 }
+    });
+    assert.equal(status, 400);
+  });
+});
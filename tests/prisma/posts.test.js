@@ -0,0 +1,164 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, tokenFor } from '../helpers/http.js';
+import { skipPrisma, setupPrismaSuite, teardownPrismaSuite, prisma } from '../helpers/prisma.js';
+import { publishPrismaScheduled } from '../../jobs/publishScheduled.js';
+
+describe('Prisma posts (/api/prisma/posts)', { skip: skipPrisma }, () => {
+  let server;
+  let seeded;
+  let post;
+  let draft;
+  
+  before(async () => {
+    seeded = await setupPrismaSuite();
+    server = await startServer();
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownPrismaSuite();
+  });
+  
+  it('GET / lists and filters posts', async () => {
+    const published = seeded.fixtures.posts.filter((entry) => entry.status === 'PUBLISHED').length;
+    const { status, body } = await server.request('GET', '/api/prisma/posts?filter[status]=PUBLISHED&limit=100');
+    assert.equal(status, 200);
+    assert.equal(body.meta.total, published);
+    assert.ok(body.data.every((entry) => entry.author && Array.isArray(entry.tags)));
+  });
+  
+  it('GET / pages with a cursor', async () => {
+    const first = await server.request('GET', '/api/prisma/posts?limit=5&sort=id');
+    const second = await server.request('GET', `/api/prisma/posts?limit=5&sort=id&cursor=${first.body.meta.nextCursor}`);
+    assert.equal(second.status, 200);
+    assert.ok(second.body.data[0].id > first.body.data[4].id);
+  });
+  
+  it('POST / creates a post for the current user', async () => {
+    const tag = await prisma.tag.findFirst();
+    const { status, body } = await server.request('POST', '/api/prisma/posts', {
+      token: seeded.customerToken,
+      body: { title: 'My first post', content: 'Hello', status: 'PUBLISHED', tagIds: [tag.id] }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.data.slug, 'my-first-post');
+    assert.equal(body.data.author.id, seeded.customer.id);
+    assert.ok(body.data.publishedAt);
+    post = body.data;
+  });
+  
+  it('POST / forbids posting as someone else', async () => {
+    const { status } = await server.request('POST', '/api/prisma/posts', {
+      token: seeded.customerToken,
+      body: { title: 'Impostor', content: 'x', authorId: seeded.admin.id }
+    });
+    assert.equal(status, 403);
+  });
+  
+  it('GET /:id returns a post or 404', async () => {
+    const found = await server.request('GET', `/api/prisma/posts/${post.id}`);
+    assert.equal(found.status, 200);
+    
+    const missing = await server.request('GET', '/api/prisma/posts/999999');
+    assert.equal(missing.status, 404);
+  });
+  
+  it('PUT /:id is limited to the author (or an admin)', async () => {
+    const other = await prisma.user.findFirst({ where: { id: { notIn: [seeded.admin.id, seeded.customer.id] } } });
+    const denied = await server.request('PUT', `/api/prisma/posts/${post.id}`, {
+      token: tokenFor(other, 'prisma'),
+      body: { title: 'Hijacked' }
+    });
+    assert.equal(denied.status, 403);
+    
+    const { status, body } = await server.request('PUT', `/api/prisma/posts/${post.id}`, {
+      token: seeded.customerToken,
+      body: { title: 'Edited', tagIds: [] }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.title, 'Edited');
+    assert.deepEqual(body.data.tags, []);
+  });
+  
+  it('PUT /:id rejects a duplicate slug', async () => {
+    const existing = await prisma.post.findFirst({ where: { id: { not: post.id } } });
+    const { status } = await server.request('PUT', `/api/prisma/posts/${post.id}`, {
+      token: seeded.customerToken,
+      body: { slug: existing.slug }
+    });
+    assert.equal(status, 409);
+  });
+  
+  it('drafts are hidden from the public but visible to their author', async () => {
+    const created = await server.request('POST', '/api/prisma/posts', {
+      token: seeded.customerToken,
+      body: { title: 'Work in progress', content: 'Not ready' }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.status, 'DRAFT');
+    draft = created.body.data;
+    
+    const anonymous = await server.request('GET', `/api/prisma/posts/${draft.id}`);
+    assert.equal(anonymous.status, 404);
+    
+    const author = await server.request('GET', `/api/prisma/posts/${draft.id}`, { token: seeded.customerToken });
+    assert.equal(author.status, 200);
+    
+    const publicDrafts = await server.request('GET', '/api/prisma/posts?filter[status]=DRAFT');
+    assert.equal(publicDrafts.body.meta.total, 0);
+    
+    const ownDrafts = await server.request('GET', '/api/prisma/posts?filter[status]=DRAFT', { token: seeded.customerToken });
+    assert.ok(ownDrafts.body.data.some((entry) => entry.id === draft.id));
+  });
+  
+  it('POST /:id/publish with a future publishedAt schedules the post until the job runs', async () => {
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+    const { status, body } = await server.request('POST', `/api/prisma/posts/${draft.id}/publish`, {
+      token: seeded.customerToken,
+      body: { publishedAt: publishAt.toISOString() }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'SCHEDULED');
+    
+    assert.equal((await server.request('GET', `/api/prisma/posts/${draft.id}`)).status, 404);
+    
+    assert.equal(await publishPrismaScheduled(new Date(publishAt.getTime() + 1000)), 1);
+    
+    const published = await server.request('GET', `/api/prisma/posts/${draft.id}`);
+    assert.equal(published.status, 200);
+    assert.equal(published.body.data.status, 'PUBLISHED');
+  });
+  
+  it('POST /:id/archive and /:id/unpublish follow the workflow', async () => {
+    const archived = await server.request('POST', `/api/prisma/posts/${draft.id}/archive`, { token: seeded.customerToken });
+    assert.equal(archived.status, 200);
+    assert.equal(archived.body.data.status, 'ARCHIVED');
+    assert.ok(archived.body.data.publishedAt);
+    
+    const unpublished = await server.request('POST', `/api/prisma/posts/${draft.id}/unpublish`, { token: seeded.customerToken });
+    assert.equal(unpublished.status, 200);
+    assert.equal(unpublished.body.data.status, 'DRAFT');
+    assert.equal(unpublished.body.data.publishedAt, null);
+    
+    const again = await server.request('POST', `/api/prisma/posts/${draft.id}/unpublish`, { token: seeded.customerToken });
+    assert.equal(again.status, 409);
+    
+    const other = await server.request('POST', `/api/prisma/posts/${draft.id}/publish`, { token: seeded.adminToken });
+    assert.equal(other.status, 200);
+  });
+  
+  it('DELETE /:id soft deletes the post, then 404s', async () => {
+    const { status } = await server.request('DELETE', `/api/prisma/posts/${post.id}`, { token: seeded.customerToken });
+    assert.equal(status, 200);
+    
+    const missing = await server.request('GET', `/api/prisma/posts/${post.id}`);
+    assert.equal(missing.status, 404);
+  });
+  
+  it('POST /:id/restore lets the author bring the post back', async () => {
+    const { status, body } = await server.request('POST', `/api/prisma/posts/${post.id}/restore`, { token: seeded.customerToken });
+    assert.equal(status, 200);
+    assert.equal(body.data.deletedAt, null);
+  });
+});
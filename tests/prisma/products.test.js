@@ -0,0 +1,116 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { skipPrisma, setupPrismaSuite, teardownPrismaSuite, prisma } from '../helpers/prisma.js';
+
+describe('Prisma products (/api/prisma/products)', { skip: skipPrisma }, () => {
+  let server;
+  let seeded;
+  let product;
+  
+  before(async () => {
+    seeded = await setupPrismaSuite();
+    server = await startServer();
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownPrismaSuite();
+  });
+  
+  it('GET / filters by price and sorts', async () => {
+    const { status, body } = await server.request('GET', '/api/prisma/products?filter[price][gte]=100&sort=-price&limit=100');
+    assert.equal(status, 200);
+    assert.equal(body.meta.total, seeded.fixtures.products.filter((entry) => entry.price >= 100).length);
+    const prices = body.data.map((entry) => Number(entry.price));
+    assert.deepEqual(prices, [...prices].sort((a, b) => b - a));
+  });
+  
+  it('GET / filters by category slug', async () => {
+    const category = await prisma.category.findFirst({ where: { products: { some: {} } } });
+    const { body } = await server.request('GET', `/api/prisma/products?filter[category]=${category.slug}`);
+    assert.ok(body.data.length > 0);
+    assert.ok(body.data.every((entry) => entry.categoryId === category.id));
+  });
+  
+  it('POST / creates a product (admin only)', async () => {
+    const category = await prisma.category.findFirst();
+    const input = { name: 'Test Widget', price: 9.99, stock: 3, categorySlug: category.slug };
+    
+    const denied = await server.request('POST', '/api/prisma/products', { token: seeded.customerToken, body: input });
+    assert.equal(denied.status, 403);
+    
+    const { status, body } = await server.request('POST', '/api/prisma/products', { token: seeded.adminToken, body: input });
+    assert.equal(status, 201);
+    assert.equal(body.data.slug, 'test-widget');
+    assert.equal(body.data.categoryId, category.id);
+    product = body.data;
+  });
+  
+  it('POST / rejects an unknown category slug', async () => {
+    const { status } = await server.request('POST', '/api/prisma/products', {
+      token: seeded.adminToken,
+      body: { name: 'Orphan', price: 1, categorySlug: 'no-such-category' }
+    });
+    assert.equal(status, 404);
+  });
+  
+  it('GET /:id includes rating stats', async () => {
+    const { status, body } = await server.request('GET', `/api/prisma/products/${product.id}`);
+    assert.equal(status, 200);
+    assert.equal(body.data.rating.reviewCount, 0);
+  });
+  
+  it('GET /:id/breadcrumbs ends with the product category', async () => {
+    const { status, body } = await server.request('GET', `/api/prisma/products/${product.id}/breadcrumbs`);
+    assert.equal(status, 200);
+    assert.equal(body.data.at(-1).id, product.categoryId);
+  });
+  
+  it('GET /:id/reviews returns reviews with stats', async () => {
+    const reviewed = await prisma.product.findFirst({ where: { reviews: { some: {} } } });
+    const { status, body } = await server.request('GET', `/api/prisma/products/${reviewed.id}/reviews`);
+    assert.equal(status, 200);
+    assert.ok(body.count > 0);
+    assert.ok(body.stats.averageRating >= 1);
+  });
+  
+  it('PUT /:id updates a product', async () => {
+    const { status, body } = await server.request('PUT', `/api/prisma/products/${product.id}`, {
+      token: seeded.adminToken,
+      body: { stock: 10 }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.stock, 10);
+  });
+  
+  it('DELETE /:id soft deletes a product, then 404s', async () => {
+    const { status } = await server.request('DELETE', `/api/prisma/products/${product.id}`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    
+    const missing = await server.request('GET', `/api/prisma/products/${product.id}`);
+    assert.equal(missing.status, 404);
+    
+    const included = await server.request('GET', `/api/prisma/products/${product.id}?includeDeleted=true`, { token: seeded.adminToken });
+    assert.equal(included.status, 200);
+  });
+  
+  it('deleted products cannot be ordered', async () => {
+    const { status } = await server.request('POST', '/api/prisma/orders', {
+      token: seeded.customerToken,
+      body: { items: [{ productId: product.id, quantity: 1 }] }
+    });
+    assert.equal(status, 404);
+  });
+  
+  it('POST /:id/restore brings a deleted product back (admin)', async () => {
+    const customer = await server.request('POST', `/api/prisma/products/${product.id}/restore`, { token: seeded.customerToken });
+    assert.equal(customer.status, 403);
+    
+    const { status } = await server.request('POST', `/api/prisma/products/${product.id}/restore`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    
+    const restored = await server.request('GET', `/api/prisma/products/${product.id}`);
+    assert.equal(restored.status, 200);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { skipPrisma, setupPrismaSuite, teardownPrismaSuite, prisma } from '../helpers/prisma.js';
+
+describe('Prisma reviews (/api/prisma/reviews)', { skip: skipPrisma }, () => {
+  let server;
+  let seeded;
+  let product;
+  let review;
+  
+  before(async () => {
+    seeded = await setupPrismaSuite();
+    server = await startServer();
+    product = await prisma.product.findFirst({
+      where: { reviews: { none: { userId: seeded.customer.id } } },
+      orderBy: { id: 'asc' }
+    });
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownPrismaSuite();
+  });
+  
+  it('GET / lists reviews', async () => {
+    const { status, body } = await server.request('GET', '/api/prisma/reviews?limit=100');
+    assert.equal(status, 200);
+    assert.equal(body.meta.total, seeded.fixtures.reviews.length);
+  });
+  
+  it('POST / creates a review for the current user', async () => {
+    const { status, body } = await server.request('POST', '/api/prisma/reviews', {
+      token: seeded.customerToken,
+      body: { productId: product.id, rating: 4, comment: 'Solid' }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.data.userId, seeded.customer.id);
+    review = body.data;
+  });
+  
+  it('POST / allows one review per product', async () => {
+    const { status, body } = await server.request('POST', '/api/prisma/reviews', {
+      token: seeded.customerToken,
+      body: { productId: product.id, rating: 5 }
+    });
+    assert.equal(status, 409);
+    assert.equal(body.message, 'You have already reviewed this product');
+  });
+  
+  it('POST / validates the rating', async () => {
+    const { status } = await server.request('POST', '/api/prisma/reviews', {
+      token: seeded.customerToken,
+      body: { productId: product.id, rating: 6 }
+    });
+    assert.equal(status, 422);
+  });
+  
+  it('GET /:id returns a review or 404', async () => {
+    const found = await server.request('GET', `/api/prisma/reviews/${review.id}`);
+    assert.equal(found.status, 200);
+    
+    const missing = await server.request('GET', '/api/prisma/reviews/999999');
+    assert.equal(missing.status, 404);
+  });
+  
+  it('PUT /:id is limited to the reviewer (or an admin)', async () => {
+    const other = await prisma.review.findFirst({ where: { userId: { not: seeded.customer.id } } });
+    const denied = await server.request('PUT', `/api/prisma/reviews/${other.id}`, {
+      token: seeded.customerToken,
+      body: { rating: 1 }
+    });
+    assert.equal(denied.status, 403);
+    
+    const { status, body } = await server.request('PUT', `/api/prisma/reviews/${review.id}`, {
+      token: seeded.customerToken,
+      body: { rating: 2 }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.rating, 2);
+  });
+  
+  it('DELETE /:id removes a review', async () => {
+    const { status } = await server.request('DELETE', `/api/prisma/reviews/${review.id}`, { token: seeded.customerToken });
+    assert.equal(status, 200);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { skipPrisma, setupPrismaSuite, teardownPrismaSuite, prisma } from '../helpers/prisma.js';
+
+describe('Prisma search (/api/prisma/search)', { skip: skipPrisma }, () => {
+  let server;
+  let product;
+  
+  before(async () => {
+    await setupPrismaSuite();
+    server = await startServer();
+    product = await prisma.product.findFirst({ where: { categoryId: { not: null } }, include: { category: true } });
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownPrismaSuite();
+  });
+  
+  it('finds a product by name with highlights and facets', async () => {
+    const { status, body } = await server.request('GET', `/api/prisma/search?q=${encodeURIComponent(product.name)}&type=product`);
+    assert.equal(status, 200);
+    const hit = body.data.find((entry) => entry.id === product.id);
+    assert.ok(hit);
+    assert.match(hit.titleHighlight, /<mark>/);
+    assert.ok(body.facets.categories.some((facet) => facet.slug === product.category.slug));
+  });
+  
+  it('narrows results to a category', async () => {
+    const { body } = await server.request('GET', `/api/prisma/search?q=${encodeURIComponent(product.name)}&category=${product.category.slug}`);
+    assert.ok(body.data.every((entry) => entry.type === 'product'));
+    assert.ok(body.data.some((entry) => entry.id === product.id));
+  });
+  
+  it('never returns unpublished posts', async () => {
+    const draft = await prisma.post.findFirst({ where: { status: { not: 'PUBLISHED' } } });
+    const { body } = await server.request('GET', `/api/prisma/search?q=${encodeURIComponent(draft.title)}&type=post`);
+    assert.ok(body.data.every((entry) => entry.id !== draft.id));
+  });
+  
+  it('escapes stored markup in the highlights', async () => {
+    const created = await prisma.product.create({
+      data: { name: 'Zebra <img src=x onerror=alert(1)>', slug: 'zebra-markup', description: 'A zebra <script>x</script> rug', price: 10 }
+    });
+    const { body } = await server.request('GET', '/api/prisma/search?q=zebra&type=product');
+    const hit = body.data.find((entry) => entry.id === created.id);
+    assert.match(hit.titleHighlight, /^<mark>Zebra<\/mark> &lt;img/);
+    assert.doesNotMatch(hit.titleHighlight, /<img/);
+    assert.doesNotMatch(hit.snippet, /<script>/);
+    assert.match(hit.snippet, /&lt;script&gt;/);
+  });
+  
+  it('requires a query', async () => {
+    const { status } = await server.request('GET', '/api/prisma/search');
+    assert.equal(status, 422);
+  });
+});
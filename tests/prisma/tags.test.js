@@ -0,0 +1,164 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { skipPrisma, setupPrismaSuite, teardownPrismaSuite, prisma } from '../helpers/prisma.js';
+
+describe('Prisma tags (/api/prisma/tags)', { skip: skipPrisma }, () => {
+  let server;
+  let seeded;
+  let tag;
+  let alpha;
+  let beta;
+  let post;
+  
+  before(async () => {
+    seeded = await setupPrismaSuite();
+    server = await startServer();
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownPrismaSuite();
+  });
+  
+  it('GET / lists tags by name with their usage', async () => {
+    const { status, body } = await server.request('GET', '/api/prisma/tags?limit=100');
+    assert.equal(status, 200);
+    assert.equal(body.meta.total, seeded.fixtures.tags.length);
+    const names = body.data.map((entry) => entry.name);
+    assert.deepEqual(names, [...names].sort());
+    assert.ok(body.data.every((entry) => entry.usage.total === entry.usage.products + entry.usage.posts));
+  });
+  
+  it('POST / creates a tag with a generated slug (admin only)', async () => {
+    const denied = await server.request('POST', '/api/prisma/tags', { token: seeded.customerToken, body: { name: 'Fresh Tag' } });
+    assert.equal(denied.status, 403);
+    
+    const { status, body } = await server.request('POST', '/api/prisma/tags', { token: seeded.adminToken, body: { name: 'Fresh Tag' } });
+    assert.equal(status, 201);
+    assert.equal(body.data.slug, 'fresh-tag');
+    assert.deepEqual(body.data.usage, { products: 0, posts: 0, total: 0 });
+    tag = body.data;
+    
+    const again = await server.request('POST', '/api/prisma/tags', { token: seeded.adminToken, body: { name: 'Fresh Tag' } });
+    assert.equal(again.body.data.slug, 'fresh-tag-2');
+    await prisma.tag.delete({ where: { id: again.body.data.id } });
+    
+    const duplicate = await server.request('POST', '/api/prisma/tags', {
+      token: seeded.adminToken,
+      body: { name: 'Other', slug: 'fresh-tag' }
+    });
+    assert.equal(duplicate.status, 409);
+  });
+  
+  it('GET /:id returns the tag', async () => {
+    const found = await server.request('GET', `/api/prisma/tags/${tag.id}`);
+    assert.equal(found.status, 200);
+    assert.equal(found.body.data.name, 'Fresh Tag');
+    
+    const missing = await server.request('GET', '/api/prisma/tags/999999');
+    assert.equal(missing.status, 404);
+  });
+  
+  it('PUT /:id renames a tag', async () => {
+    const { status, body } = await server.request('PUT', `/api/prisma/tags/${tag.id}`, {
+      token: seeded.adminToken,
+      body: { name: 'Renamed Tag' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.name, 'Renamed Tag');
+    assert.equal(body.data.slug, 'fresh-tag');
+  });
+  
+  describe('usage, related tags and merging', () => {
+    before(async () => {
+      [alpha, beta] = await Promise.all([
+        prisma.tag.create({ data: { name: 'Alpha Usage', slug: 'alpha-usage' } }),
+        prisma.tag.create({ data: { name: 'Beta Usage', slug: 'beta-usage' } })
+      ]);
+      const product = await prisma.product.findFirst({ where: { deletedAt: null }, orderBy: { id: 'asc' } });
+      post = await prisma.post.findFirst({ where: { deletedAt: null }, orderBy: { id: 'asc' } });
+      
+      await prisma.product.update({
+        where: { id: product.id },
+        data: { tags: { set: [{ id: tag.id }, { id: alpha.id }] } }
+      });
+      await prisma.post.update({
+        where: { id: post.id },
+        data: { tags: { set: [{ id: tag.id }, { id: alpha.id }, { id: beta.id }] } }
+      });
+    });
+    
+    it('GET /:id counts the products and posts using the tag', async () => {
+      const { body } = await server.request('GET', `/api/prisma/tags/${tag.id}`);
+      assert.deepEqual(body.data.usage, { products: 1, posts: 1, total: 2 });
+    });
+    
+    it('GET /?type= keeps tags used by that kind of content', async () => {
+      const posts = await server.request('GET', '/api/prisma/tags?type=post&limit=100');
+      assert.ok(posts.body.data.some((entry) => entry.id === beta.id));
+      assert.ok(posts.body.data.every((entry) => entry.usage.posts > 0));
+      
+      const products = await server.request('GET', '/api/prisma/tags?type=product&limit=100');
+      assert.ok(products.body.data.some((entry) => entry.id === alpha.id));
+      assert.ok(!products.body.data.some((entry) => entry.id === beta.id));
+      
+      const invalid = await server.request('GET', '/api/prisma/tags?type=order');
+      assert.equal(invalid.status, 422);
+    });
+    
+    it('GET /:id/related ranks tags by how often they are used together', async () => {
+      const { status, body } = await server.request('GET', `/api/prisma/tags/${tag.id}/related`);
+      assert.equal(status, 200);
+      assert.deepEqual(
+        body.data.map(({ slug, count }) => [slug, count]),
+        [[alpha.slug, 2], [beta.slug, 1]]
+      );
+      
+      const limited = await server.request('GET', `/api/prisma/tags/${tag.id}/related?limit=1`);
+      assert.equal(limited.body.count, 1);
+    });
+    
+    it('POST /:id/merge rejects merging a tag into itself or a missing tag', async () => {
+      const itself = await server.request('POST', `/api/prisma/tags/${beta.id}/merge`, {
+        token: seeded.adminToken,
+        body: { targetId: beta.id }
+      });
+      assert.equal(itself.status, 422);
+      
+      const missing = await server.request('POST', `/api/prisma/tags/${beta.id}/merge`, {
+        token: seeded.adminToken,
+        body: { targetId: 999999 }
+      });
+      assert.equal(missing.status, 404);
+    });
+    
+    it('POST /:id/merge moves content to the target and deletes the tag', async () => {
+      const denied = await server.request('POST', `/api/prisma/tags/${beta.id}/merge`, {
+        token: seeded.customerToken,
+        body: { targetId: alpha.id }
+      });
+      assert.equal(denied.status, 403);
+      
+      const { status, body } = await server.request('POST', `/api/prisma/tags/${beta.id}/merge`, {
+        token: seeded.adminToken,
+        body: { targetId: alpha.id }
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(body.merged, { products: 0, posts: 1 });
+      assert.deepEqual(body.data.usage, { products: 1, posts: 1, total: 2 });
+      
+      const merged = await prisma.post.findUnique({ where: { id: post.id }, include: { tags: true } });
+      assert.deepEqual(merged.tags.map((entry) => entry.id).sort(), [tag.id, alpha.id].sort());
+      assert.equal(await prisma.tag.findUnique({ where: { id: beta.id } }), null);
+    });
+  });
+  
+  it('DELETE /:id removes a tag', async () => {
+    const { status } = await server.request('DELETE', `/api/prisma/tags/${tag.id}`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    
+    const missing = await server.request('GET', `/api/prisma/tags/${tag.id}`);
+    assert.equal(missing.status, 404);
+  });
+});
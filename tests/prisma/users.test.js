@@ -0,0 +1,122 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/http.js';
+import { skipPrisma, prisma, setupPrismaSuite, teardownPrismaSuite } from '../helpers/prisma.js';
+import { purgePrismaDeleted } from '../../jobs/purgeDeleted.js';
+
+// Past the default 30 day retention window
+const AFTER_RETENTION = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+
+describe('Prisma users (/api/prisma/users)', { skip: skipPrisma }, () => {
+  let server;
+  let seeded;
+  let createdId;
+  
+  before(async () => {
+    seeded = await setupPrismaSuite();
+    server = await startServer();
+  });
+  
+  after(async () => {
+    await server.close();
+    await teardownPrismaSuite();
+  });
+  
+  it('GET / lists users without password hashes', async () => {
+    const { status, body } = await server.request('GET', '/api/prisma/users?limit=5&sort=id');
+    assert.equal(status, 200);
+    assert.equal(body.count, 5);
+    assert.equal(body.meta.total, seeded.fixtures.users.length);
+    assert.ok(body.data.every((user) => user.password === undefined));
+  });
+  
+  it('GET / supports sparse fieldsets and filters', async () => {
+    const { body } = await server.request('GET', '/api/prisma/users?fields=email&filter[role]=ADMIN');
+    assert.deepEqual(body.data, [{ id: seeded.admin.id, email: seeded.admin.email }]);
+  });
+  
+  it('GET /:id returns a user', async () => {
+    const { status, body } = await server.request('GET', `/api/prisma/users/${seeded.customer.id}`);
+    assert.equal(status, 200);
+    assert.equal(body.data.email, seeded.customer.email);
+  });
+  
+  it('GET /:id answers 404 for an unknown user', async () => {
+    const { status, body } = await server.request('GET', '/api/prisma/users/999999');
+    assert.equal(status, 404);
+    assert.equal(body.message, 'User not found with id: 999999');
+  });
+  
+  it('POST / is admin only', async () => {
+    const user = { email: 'made@example.com', username: 'made', password: 'Password123!', profile: { bio: 'Hi' } };
+    const denied = await server.request('POST', '/api/prisma/users', { token: seeded.customerToken, body: user });
+    assert.equal(denied.status, 403);
+    
+    const { status, body } = await server.request('POST', '/api/prisma/users', { token: seeded.adminToken, body: user });
+    assert.equal(status, 201);
+    assert.equal(body.data.profile.bio, 'Hi');
+    createdId = body.data.id;
+  });
+  
+  it('PUT /:id lets users update themselves but not their role', async () => {
+    const own = await server.request('PUT', `/api/prisma/users/${seeded.customer.id}`, {
+      token: seeded.customerToken,
+      body: { firstName: 'Changed' }
+    });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.data.firstName, 'Changed');
+    
+    const role = await server.request('PUT', `/api/prisma/users/${seeded.customer.id}`, {
+      token: seeded.customerToken,
+      body: { role: 'ADMIN' }
+    });
+    assert.equal(role.status, 403);
+    
+    const other = await server.request('PUT', `/api/prisma/users/${createdId}`, {
+      token: seeded.customerToken,
+      body: { firstName: 'Nope' }
+    });
+    assert.equal(other.status, 403);
+  });
+  
+  it('DELETE /:id soft deletes a user (admin), then 404s', async () => {
+    const { status, body } = await server.request('DELETE', `/api/prisma/users/${createdId}`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    assert.ok(body.data.deletedAt);
+    
+    const gone = await server.request('GET', `/api/prisma/users/${createdId}`);
+    assert.equal(gone.status, 404);
+    
+    const list = await server.request('GET', '/api/prisma/users?limit=100');
+    assert.ok(list.body.data.every((user) => user.id !== createdId));
+  });
+  
+  it('GET ?includeDeleted=true returns deleted users to admins only', async () => {
+    const admin = await server.request('GET', `/api/prisma/users/${createdId}?includeDeleted=true`, { token: seeded.adminToken });
+    assert.equal(admin.status, 200);
+    assert.ok(admin.body.data.deletedAt);
+    
+    const customer = await server.request('GET', '/api/prisma/users?includeDeleted=true', { token: seeded.customerToken });
+    assert.equal(customer.status, 403);
+    
+    const anonymous = await server.request('GET', '/api/prisma/users?includeDeleted=true');
+    assert.equal(anonymous.status, 401);
+  });
+  
+  it('POST /:id/restore brings a deleted user back (admin)', async () => {
+    const { status, body } = await server.request('POST', `/api/prisma/users/${createdId}/restore`, { token: seeded.adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.data.deletedAt, null);
+    
+    const again = await server.request('POST', `/api/prisma/users/${createdId}/restore`, { token: seeded.adminToken });
+    assert.equal(again.status, 409);
+  });
+  
+  it('purge removes users deleted before the retention window', async () => {
+    await server.request('DELETE', `/api/prisma/users/${createdId}`, { token: seeded.adminToken });
+    
+    const result = await purgePrismaDeleted(AFTER_RETENTION);
+    assert.equal(result.users, 1);
+    assert.equal(await prisma.user.findUnique({ where: { id: createdId } }), null);
+  });
+});
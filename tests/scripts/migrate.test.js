@@ -0,0 +1,208 @@
+/**
+ * MIGRATION TESTS
+ * 
+ * The migrator against two in-memory stores with different id spaces:
+ * relation remapping, resuming, natural key matching, dry runs and verification
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ENTITIES, createChecksum } from '../../scripts/migrate/entities.js';
+import { migrateEntity, verify } from '../../scripts/migrate/migrator.js';
+
+const at = new Date('2025-01-01T00:00:00Z');
+
+/**
+ * Store with the interface of scripts/migrate/{prisma,mongoose}.js, keeping
+ * portable records in memory and numbering new ids with `prefix`
+ */
+const createStore = (name, prefix, data = {}) => {
+  let next = 0;
+  const tables = Object.fromEntries(Object.keys(ENTITIES).map((entity) => [entity, [...(data[entity] ?? [])]]));
+  const idMaps = new Map();
+  const writes = [];
+  
+  return {
+    name,
+    tables,
+    writes,
+    async *readBatches(entity, size) {
+      for (let index = 0; index < tables[entity].length; index += size) {
+        yield tables[entity].slice(index, index + size).map((record) => structuredClone(record));
+      }
+    },
+    async findExisting(entity, records) {
+      const keys = new Set(records.map(ENTITIES[entity].key));
+      return new Map(tables[entity]
+        .filter((record) => keys.has(ENTITIES[entity].key(record)))
+        .map((record) => [ENTITIES[entity].key(record), record.id]));
+    },
+    async insert(entity, records) {
+      writes.push(entity);
+      return records.map((record) => {
+        const id = `${prefix}${(next += 1)}`;
+        tables[entity].push({ ...record, id });
+        return id;
+      });
+    },
+    async linkParents(links) {
+      links.forEach(({ id, parentId }) => {
+        tables.categories.find((category) => category.id === id).parentId = parentId;
+      });
+    },
+    async loadIdMap(source, entity) {
+      return new Map(idMaps.get(`${source}:${entity}`));
+    },
+    async saveIdMap(source, entity, pairs) {
+      const map = idMaps.get(`${source}:${entity}`) ?? new Map();
+      pairs.forEach(([sourceId, targetId]) => map.has(sourceId) || map.set(sourceId, targetId));
+      idMaps.set(`${source}:${entity}`, map);
+    }
+  };
+};
+
+const user = (id, email) => ({
+  id, email, username: email.split('@')[0], password: 'hash', firstName: null, lastName: null,
+  role: 'USER', createdAt: at, updatedAt: at, deletedAt: null
+});
+const category = (id, slug, parentId = null) => ({ id, name: slug, slug, description: null, parentId, createdAt: at, updatedAt: at });
+const post = (id, slug, authorId) => ({
+  id, title: slug, slug, content: 'content', status: 'DRAFT', publishedAt: null, authorId, tagIds: [],
+  createdAt: at, updatedAt: at, deletedAt: null
+});
+const product = (id, slug, categoryId, tagIds = []) => ({
+  id, name: slug, slug, description: null, price: '10.00', stock: 1, categoryId, tagIds,
+  createdAt: at, updatedAt: at, deletedAt: null
+});
+
+const migrateAll = async (from, to, entities, options = {}) => {
+  const idMaps = {};
+  const stats = {};
+  for (const entity of entities) {
+    stats[entity] = await migrateEntity({ from, to, entity, idMaps, batchSize: 2, ...options });
+  }
+  return stats;
+};
+
+describe('migrateEntity', () => {
+  it('copies records and points their relations at the new ids', async () => {
+    const from = createStore('prisma', '', {
+      users: [user('1', 'a@example.com'), user('2', 'b@example.com')],
+      posts: [post('1', 'first', '2'), post('2', 'second', '1'), post('3', 'orphan', '99')]
+    });
+    const to = createStore('mongoose', 'oid');
+    
+    const stats = await migrateAll(from, to, ['users', 'posts']);
+    
+    assert.deepEqual(stats.users, { read: 2, alreadyMigrated: 0, matched: 0, inserted: 2, skipped: 0 });
+    assert.deepEqual(stats.posts, { read: 3, alreadyMigrated: 0, matched: 0, inserted: 2, skipped: 1 });
+    const authorOf = (slug) => {
+      const { authorId } = to.tables.posts.find((record) => record.slug === slug);
+      return to.tables.users.find((record) => record.id === authorId).email;
+    };
+    assert.equal(authorOf('first'), 'b@example.com');
+    assert.equal(authorOf('second'), 'a@example.com');
+  });
+  
+  it('links categories to their parents once every category exists', async () => {
+    const from = createStore('prisma', '', {
+      categories: [category('1', 'child', '2'), category('2', 'parent')]
+    });
+    const to = createStore('mongoose', 'oid');
+    
+    await migrateAll(from, to, ['categories']);
+    
+    const [child, parent] = ['child', 'parent'].map((slug) => to.tables.categories.find((record) => record.slug === slug));
+    assert.equal(child.parentId, parent.id);
+    assert.equal(parent.parentId, null);
+  });
+  
+  it('skips what a previous run copied and maps records already in the target', async () => {
+    const from = createStore('prisma', '', { users: [user('1', 'a@example.com'), user('2', 'b@example.com')] });
+    const to = createStore('mongoose', 'oid', { users: [user('existing', 'b@example.com')] });
+    
+    const first = await migrateAll(from, to, ['users']);
+    const second = await migrateAll(from, to, ['users']);
+    
+    assert.deepEqual(first.users, { read: 2, alreadyMigrated: 0, matched: 1, inserted: 1, skipped: 0 });
+    assert.deepEqual(second.users, { read: 2, alreadyMigrated: 2, matched: 0, inserted: 0, skipped: 0 });
+    assert.equal(to.tables.users.length, 2);
+  });
+  
+  it('resolves relations copied by an earlier run', async () => {
+    const from = createStore('prisma', '', {
+      users: [user('1', 'a@example.com'), user('2', 'b@example.com')],
+      posts: [post('1', 'first', '2'), post('2', 'second', '1')]
+    });
+    const to = createStore('mongoose', 'oid');
+    
+    await migrateAll(from, to, ['users']);
+    const { posts } = await migrateAll(from, to, ['posts']);
+    
+    assert.deepEqual(posts, { read: 2, alreadyMigrated: 0, matched: 0, inserted: 2, skipped: 0 });
+    const { authorId } = to.tables.posts.find((record) => record.slug === 'first');
+    assert.equal(to.tables.users.find((record) => record.id === authorId).email, 'b@example.com');
+  });
+  
+  it('stops instead of copying records whose relations were not migrated', async () => {
+    const from = createStore('prisma', '', {
+      users: [user('1', 'a@example.com')],
+      categories: [category('1', 'lamps'), category('2', 'chairs')],
+      products: [product('1', 'lamp', '1'), product('2', 'chair', '2')],
+      posts: [post('1', 'first', '1')]
+    });
+    const to = createStore('mongoose', 'oid');
+    
+    await assert.rejects(migrateAll(from, to, ['posts']), /posts point to users, which were not migrated to mongoose/);
+    
+    await migrateAll(from, to, ['categories']);
+    from.tables.categories.push(category('3', 'desks'));
+    from.tables.products.push(product('3', 'desk', '3'));
+    await assert.rejects(migrateAll(from, to, ['products']), /products: categories 3 was not migrated to mongoose/);
+    assert.equal(to.tables.products.every((record) => record.categoryId !== null), true);
+  });
+  
+  it('writes nothing in a dry run but still plans the relations', async () => {
+    const from = createStore('prisma', '', {
+      users: [user('1', 'a@example.com')],
+      posts: [post('1', 'first', '1')]
+    });
+    const to = createStore('mongoose', 'oid');
+    
+    const stats = await migrateAll(from, to, ['users', 'posts'], { dryRun: true });
+    
+    assert.equal(stats.posts.inserted, 1);
+    assert.deepEqual(to.writes, []);
+    assert.equal(to.tables.users.length, 0);
+  });
+});
+
+describe('verify', () => {
+  it('matches copies whose ids differ and reports changed records', async () => {
+    const from = createStore('prisma', '', {
+      users: [user('1', 'a@example.com')],
+      posts: [post('1', 'first', '1')]
+    });
+    const to = createStore('mongoose', 'oid');
+    await migrateAll(from, to, ['users', 'posts']);
+    
+    assert.equal((await verify({ from, to, entities: ['users', 'posts'], batchSize: 2 })).ok, true);
+    
+    to.tables.posts[0].title = 'changed';
+    const { rows, ok } = await verify({ from, to, entities: ['users', 'posts'], batchSize: 2 });
+    assert.equal(ok, false);
+    assert.deepEqual(rows.map((row) => [row.entity, row.match]), [['users', true], ['posts', false]]);
+  });
+});
+
+describe('createChecksum', () => {
+  it('does not depend on the order rows are added in', () => {
+    const [forward, backward] = [createChecksum(), createChecksum()];
+    const rows = [['a', 1, at], ['b', 2, null], ['c', 3, undefined]];
+    rows.forEach((row) => forward.add(row));
+    [...rows].reverse().forEach((row) => backward.add(row));
+    
+    assert.deepEqual(forward.result(), backward.result());
+    assert.equal(forward.result().count, 3);
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * TEST SETUP
+ * 
+ * Preloaded before every test file (node --import ./tests/setup.js, see
+ * package.json) so the environment is in place before any config module reads it.
+ * 
+ * - MongoDB: an in-memory replica set per suite (mongodb-memory-server),
+ *   or MONGODB_TEST_URI when set
+ * - PostgreSQL: TEST_DATABASE_URL, a database with the Prisma schema pushed
+ *   (npm run test:db:push); the Prisma suites are skipped when it is not set
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.REPORTS_SCHEDULER = 'false';
+process.env.PURGE_SCHEDULER = 'false';
+process.env.PUBLISH_SCHEDULER = 'false';
+process.env.OUTBOX_RELAY = 'false';
+process.env.BCRYPT_SALT_ROUNDS = process.env.BCRYPT_SALT_ROUNDS || '4';
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+if (process.env.TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+}
@@ -0,0 +1,34 @@
+/**
+ * SEARCH HIGHLIGHTING TESTS
+ * 
+ * Mongoose search highlights: matches in <mark>, everything else escaped
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { searchTerms, highlight, snippet } from '../../utils/highlight.js';
+
+describe('highlight', () => {
+  it('marks every word starting with a term', () => {
+    assert.equal(highlight('Desk lamp and lamps', searchTerms('LAMP -desk')), 'Desk <mark>lamp</mark> and <mark>lamps</mark>');
+  });
+  
+  it('escapes the stored text around and inside the matches', () => {
+    assert.equal(
+      highlight('Lamp <img src=x onerror="alert(1)"> & co', ['lamp', 'img']),
+      '<mark>Lamp</mark> &lt;<mark>img</mark> src=x onerror=&quot;alert(1)&quot;&gt; &amp; co'
+    );
+    assert.equal(highlight('<b>bold</b>', []), '&lt;b&gt;bold&lt;/b&gt;');
+  });
+});
+
+describe('snippet', () => {
+  it('cuts an escaped excerpt around the first match', () => {
+    const text = `${'filler '.repeat(40)}<script>lamp</script>`;
+    const excerpt = snippet(text, ['lamp'], 60);
+    
+    assert.ok(excerpt.startsWith('… '));
+    assert.match(excerpt, /&lt;script&gt;<mark>lamp<\/mark>&lt;\/script&gt;$/);
+    assert.doesNotMatch(excerpt, /<script>/);
+  });
+});
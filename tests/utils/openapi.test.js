@@ -0,0 +1,92 @@
+/**
+ * OPENAPI TESTS
+ * 
+ * Joi schemas and Express routers as they appear in the generated document
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import Joi from 'joi';
+import { joiToSchema, listRouterRoutes, buildOpenApiDocument } from '../../utils/openapi.js';
+import { validate } from '../../middleware/validate.js';
+import { requireAuth } from '../../middleware/auth.js';
+import { authorize } from '../../middleware/authorize.js';
+
+const schemaOf = (joi) => joiToSchema(joi.describe());
+
+describe('joiToSchema', () => {
+  it('maps types and their limits', () => {
+    assert.deepEqual(schemaOf(Joi.string().email().max(255)), { type: 'string', format: 'email', maxLength: 255 });
+    assert.deepEqual(schemaOf(Joi.number().integer().positive()), { type: 'integer', minimum: 1 });
+    assert.deepEqual(schemaOf(Joi.array().items(Joi.string()).min(1).unique()), {
+      type: 'array', items: { type: 'string' }, minItems: 1, uniqueItems: true
+    });
+  });
+  
+  it('maps enums, nullable values and defaults', () => {
+    assert.deepEqual(schemaOf(Joi.string().valid('A', 'B').default('A')), { type: 'string', enum: ['A', 'B'], default: 'A' });
+    assert.deepEqual(schemaOf(Joi.string().allow(null)), { type: 'string', nullable: true });
+  });
+  
+  it('maps object keys, required keys and or() rules', () => {
+    const schema = schemaOf(Joi.object({ name: Joi.string().required(), price: Joi.number() }).or('name', 'price'));
+    assert.deepEqual(schema, {
+      type: 'object',
+      properties: { name: { type: 'string' }, price: { type: 'number' } },
+      required: ['name'],
+      description: 'At least one of: name, price.'
+    });
+  });
+  
+  it('offers every branch of a when() on an untyped schema', () => {
+    const id = Joi.any().when('$backend', { is: 'prisma', then: Joi.number().integer(), otherwise: Joi.string().hex() });
+    assert.deepEqual(schemaOf(id), {
+      oneOf: [{ type: 'integer' }, { type: 'string', pattern: '^[0-9a-fA-F]*$' }]
+    });
+  });
+});
+
+describe('listRouterRoutes', () => {
+  it('lists each method with the middleware that runs before its controller', () => {
+    const router = express.Router();
+    const listItems = (req, res) => res.end();
+    const createItem = (req, res) => res.end();
+    router.get('/public', listItems);
+    router.use(requireAuth);
+    router.route('/').get(listItems).post(createItem);
+    
+    const routes = listRouterRoutes(router).map(({ path, method, handlers }) => [method, path, handlers]);
+    assert.deepEqual(routes, [
+      ['get', '/public', [listItems]],
+      ['get', '/', [requireAuth, listItems]],
+      ['post', '/', [requireAuth, createItem]]
+    ]);
+  });
+});
+
+describe('buildOpenApiDocument', () => {
+  it('describes parameters, bodies, security and responses of each route', () => {
+    const router = express.Router();
+    const createItem = (req, res) => res.end();
+    router.post(
+      '/:id/items',
+      requireAuth,
+      authorize('ADMIN'),
+      validate({ params: Joi.object({ id: Joi.number().integer() }), body: Joi.object({ name: Joi.string().required() }) }),
+      createItem
+    );
+    
+    const document = buildOpenApiDocument([{ name: 'shop', prefix: '/api/shop', routers: { lists: router } }], { title: 'Test' });
+    const operation = document.paths['/api/shop/lists/{id}/items'].post;
+    
+    assert.equal(operation.operationId, 'shop.lists.createItem');
+    assert.equal(operation.summary, 'Create item');
+    assert.equal(operation.description, 'Roles: ADMIN');
+    assert.deepEqual(operation.tags, ['shop/lists']);
+    assert.deepEqual(operation.parameters, [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }]);
+    assert.deepEqual(operation.requestBody.content['application/json'].schema.required, ['name']);
+    assert.deepEqual(operation.security, [{ bearerAuth: [] }]);
+    assert.deepEqual(Object.keys(operation.responses).sort(), ['201', '401', '403', '404', '422']);
+  });
+});
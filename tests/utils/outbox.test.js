@@ -0,0 +1,46 @@
+/**
+ * OUTBOX TESTS
+ * 
+ * Which events the relay may project without skipping one that is still
+ * being committed
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { takeContiguous, outboxEvent, OUTBOX_EVENTS } from '../../utils/outbox.js';
+
+const cutoff = new Date('2025-01-01T12:00:00Z');
+const old = new Date('2025-01-01T11:00:00Z');
+const recent = new Date('2025-01-01T12:00:30Z');
+
+const ids = (events) => events.map((event) => event.id);
+
+describe('takeContiguous', () => {
+  it('takes every event when there is no gap', () => {
+    const events = [{ id: 4, createdAt: recent }, { id: 5, createdAt: recent }];
+    assert.deepEqual(ids(takeContiguous(events, 3, cutoff)), [4, 5]);
+  });
+  
+  it('stops before a recent gap (a transaction may still commit it)', () => {
+    const events = [{ id: 4, createdAt: recent }, { id: 6, createdAt: recent }];
+    assert.deepEqual(ids(takeContiguous(events, 3, cutoff)), [4]);
+    assert.deepEqual(ids(takeContiguous([{ id: 5, createdAt: recent }], 3, cutoff)), []);
+  });
+  
+  it('skips a gap older than the cutoff (rolled back transaction)', () => {
+    const events = [{ id: 4, createdAt: old }, { id: 6, createdAt: old }, { id: 8, createdAt: recent }];
+    assert.deepEqual(ids(takeContiguous(events, 3, cutoff)), [4, 6]);
+  });
+});
+
+describe('outboxEvent', () => {
+  it('derives the aggregate from the event type', () => {
+    const client = { outboxEvent: { create: ({ data }) => data } };
+    assert.deepEqual(outboxEvent(client, OUTBOX_EVENTS.ORDER_STATUS_CHANGED, 7, { changes: [] }), {
+      type: 'order.statusChanged',
+      aggregate: 'order',
+      aggregateId: 7,
+      payload: { changes: [] }
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * POST WORKFLOW TESTS
+ * 
+ * Status changes and the publication date that goes with them
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConflictError } from '../../utils/AppError.js';
+import { transitionPost, initialPublication } from '../../utils/postWorkflow.js';
+
+const now = new Date('2025-01-01T12:00:00Z');
+const later = new Date('2025-01-02T12:00:00Z');
+const earlier = new Date('2024-12-01T12:00:00Z');
+
+describe('transitionPost', () => {
+  it('publishes a draft now', () => {
+    assert.deepEqual(
+      transitionPost({ status: 'DRAFT', publishedAt: null }, 'PUBLISHED', { now }),
+      { status: 'PUBLISHED', publishedAt: now }
+    );
+  });
+  
+  it('schedules a post published with a future date', () => {
+    assert.deepEqual(
+      transitionPost({ status: 'DRAFT', publishedAt: null }, 'PUBLISHED', { publishAt: later, now }),
+      { status: 'SCHEDULED', publishedAt: later }
+    );
+  });
+  
+  it('reschedules and publishes a scheduled post early', () => {
+    const scheduled = { status: 'SCHEDULED', publishedAt: later };
+    assert.equal(transitionPost(scheduled, 'PUBLISHED', { publishAt: later, now }).status, 'SCHEDULED');
+    assert.deepEqual(transitionPost(scheduled, 'PUBLISHED', { now }), { status: 'PUBLISHED', publishedAt: now });
+  });
+  
+  it('keeps the first publication date when an archived post is republished', () => {
+    assert.deepEqual(
+      transitionPost({ status: 'ARCHIVED', publishedAt: earlier }, 'PUBLISHED', { now }),
+      { status: 'PUBLISHED', publishedAt: earlier }
+    );
+  });
+  
+  it('clears the publication date when unpublishing, keeps it when archiving', () => {
+    const published = { status: 'PUBLISHED', publishedAt: earlier };
+    assert.deepEqual(transitionPost(published, 'DRAFT'), { status: 'DRAFT', publishedAt: null });
+    assert.deepEqual(transitionPost(published, 'ARCHIVED'), { status: 'ARCHIVED' });
+  });
+  
+  it('rejects changes the workflow does not allow', () => {
+    assert.throws(
+      () => transitionPost({ status: 'PUBLISHED', publishedAt: earlier }, 'PUBLISHED'),
+      (error) => error instanceof ConflictError && /Cannot change post status from PUBLISHED to PUBLISHED/.test(error.message)
+    );
+    assert.throws(() => transitionPost({ status: 'DRAFT', publishedAt: null }, 'DRAFT'), ConflictError);
+  });
+});
+
+describe('initialPublication', () => {
+  it('starts new posts as drafts unless another status is given', () => {
+    assert.deepEqual(initialPublication(), { status: 'DRAFT', publishedAt: null });
+    assert.deepEqual(initialPublication('PUBLISHED', { now }), { status: 'PUBLISHED', publishedAt: now });
+    assert.equal(initialPublication('PUBLISHED', { publishAt: later, now }).status, 'SCHEDULED');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * ERROR TRANSLATION TESTS
+ * 
+ * Database and parser errors are mapped to typed AppErrors
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AppError, { NotFoundError, ValidationError, ConflictError } from '../../utils/AppError.js';
+import { translateError } from '../../utils/translateError.js';
+
+// Shape of @prisma/client's PrismaClientKnownRequestError
+const prismaError = (code, meta) => Object.assign(new Error(`Prisma ${code}`), {
+  name: 'PrismaClientKnownRequestError',
+  code,
+  meta
+});
+
+describe('translateError', () => {
+  it('returns AppErrors unchanged', () => {
+    const error = new NotFoundError('Post not found with id: 1');
+    assert.equal(translateError(error), error);
+  });
+  
+  it('derives the code from the status of a plain AppError', () => {
+    assert.equal(new AppError('Invalid cursor', 400).code, 'BAD_REQUEST');
+    assert.equal(new AppError('Boom').code, 'INTERNAL_ERROR');
+  });
+  
+  describe('Prisma', () => {
+    it('maps P2002 to a conflict naming the fields', () => {
+      const error = translateError(prismaError('P2002', { target: ['slug'] }));
+      assert.ok(error instanceof ConflictError);
+      assert.equal(error.statusCode, 409);
+      assert.equal(error.message, 'Slug already exists');
+    });
+    
+    it('maps P2025 to not found', () => {
+      const error = translateError(prismaError('P2025', { cause: 'Record to update not found.' }));
+      assert.ok(error instanceof NotFoundError);
+      assert.equal(error.message, 'Record to update not found.');
+    });
+    
+    it('maps P2003 to a conflict', () => {
+      const error = translateError(prismaError('P2003', { field_name: 'OrderItem_productId_fkey (index)' }));
+      assert.equal(error.code, 'CONFLICT');
+    });
+    
+    it('treats other Prisma codes as internal errors', () => {
+      assert.equal(translateError(prismaError('P1001')).statusCode, 500);
+    });
+  });
+  
+  describe('Mongoose', () => {
+    it('maps a CastError to a validation error on the path', () => {
+      const error = translateError(new mongoose.Error.CastError('ObjectId', 'nope', '_id'));
+      assert.ok(error instanceof ValidationError);
+      assert.equal(error.errors[0].field, '_id');
+    });
+    
+    it('maps a ValidationError with every failing field', () => {
+      const Model = mongoose.model('TranslateErrorTest', new mongoose.Schema({
+        name: { type: String, required: true },
+        price: { type: Number, min: 0 }
+      }));
+      const validation = new Model({ price: -1 }).validateSync();
+      
+      const error = translateError(validation);
+      assert.equal(error.code, 'VALIDATION_ERROR');
+      assert.deepEqual(error.errors.map((detail) => detail.field).sort(), ['name', 'price']);
+    });
+    
+    it('maps duplicate keys (11000) to a conflict', () => {
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyValue: { email: 'a@b.c' } });
+      const error = translateError(duplicate);
+      assert.ok(error instanceof ConflictError);
+      assert.equal(error.message, 'Email already exists');
+    });
+  });
+  
+  it('maps body parser errors to their client status', () => {
+    const tooLarge = Object.assign(new Error('request entity too large'), { status: 413, expose: true, type: 'entity.too.large' });
+    assert.equal(translateError(tooLarge).statusCode, 413);
+  });
+  
+  it('wraps unknown errors as internal errors', () => {
+    const error = translateError(new TypeError('x is not a function'));
+    assert.equal(error.statusCode, 500);
+    assert.equal(error.code, 'INTERNAL_ERROR');
+  });
+});
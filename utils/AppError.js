@@ -0,0 +1,74 @@
+/**
+ * APP ERROR
+ * 
+ * Error carrying an HTTP status code and a machine-readable code.
+ * Pass it to next() and the global error handler in app.js responds with:
+ * 
+ * { success: false, code: 'NOT_FOUND', message: 'Post not found with id: 7' }
+ * 
+ * Subclasses cover the common cases:
+ *   NotFoundError     404 NOT_FOUND
+ *   ValidationError   422 VALIDATION_ERROR (field level details in errors)
+ *   ConflictError     409 CONFLICT
+ *   UnauthorizedError 401 UNAUTHORIZED
+ *   ForbiddenError    403 FORBIDDEN
+ * 
+ * Database errors are converted by utils/translateError.js.
+ */
+
+// Code used when an AppError is created with a bare status code
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  422: 'VALIDATION_ERROR',
+  500: 'INTERNAL_ERROR'
+};
+
+class AppError extends Error {
+  constructor(message, statusCode = 500, code = DEFAULT_CODES[statusCode] || 'ERROR') {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Resource not found') {
+    super(message, 404, 'NOT_FOUND');
+  }
+}
+
+/**
+ * @param {Array} [errors] - [{ location, field, message }] for each failing field
+ */
+export class ValidationError extends AppError {
+  constructor(message = 'Validation failed', errors = []) {
+    super(message, 422, 'VALIDATION_ERROR');
+    this.errors = errors;
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Resource already exists') {
+    super(message, 409, 'CONFLICT');
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Not authorized') {
+    super(message, 401, 'UNAUTHORIZED');
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action') {
+    super(message, 403, 'FORBIDDEN');
+  }
+}
+
+export default AppError;
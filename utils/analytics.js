@@ -0,0 +1,56 @@
+/**
+ * ANALYTICS HELPERS
+ * 
+ * Shared by the Mongoose (aggregation pipeline) and Prisma (SQL) analytics
+ * controllers so that both backends answer with the same shapes
+ */
+
+// Orders that count as revenue
+export const REVENUE_EXCLUDED = {
+  mongoose: { status: 'cancelled', paymentStatus: 'refunded' },
+  prisma: { status: 'CANCELLED', paymentStatus: 'REFUNDED' }
+};
+
+// Bucket boundaries (lower bound inclusive, upper bound exclusive, last bucket open)
+export const STOCK_BUCKETS = [0, 1, 6, 11, 26, 51, 101];
+export const LIFETIME_VALUE_BUCKETS = [0, 50, 100, 250, 500, 1000, 5000];
+
+/**
+ * ?from / ?to, defaulting to the twelve months up to now
+ */
+export const resolveDateRange = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end);
+  if (!from) start.setFullYear(start.getFullYear() - 1);
+  return { from: start, to: end };
+};
+
+/**
+ * Every bucket of the boundaries with its count (0 for empty buckets)
+ * countAt(index) returns the count of bucket index (0 = first boundary)
+ */
+export const fillBuckets = (boundaries, countAt) => boundaries.map((min, index) => ({
+  min,
+  max: boundaries[index + 1] ?? null,
+  count: countAt(index) || 0
+}));
+
+/**
+ * Nest per-period activity under each signup cohort
+ * 
+ * @param {Array<{ cohort: Date, users: Number }>} sizes
+ * @param {Array<{ cohort: Date, offset: Number, customers: Number, revenue: Number }>} activity
+ */
+export const buildCohorts = (sizes, activity) => sizes.map(({ cohort, users }) => ({
+  cohort,
+  users,
+  periods: activity
+    .filter((row) => new Date(row.cohort).getTime() === new Date(cohort).getTime())
+    .sort((a, b) => a.offset - b.offset)
+    .map(({ offset, customers, revenue }) => ({
+      offset,
+      customers,
+      retention: users ? Math.round((customers / users) * 10000) / 100 : 0,
+      revenue
+    }))
+}));
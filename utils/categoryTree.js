@@ -0,0 +1,53 @@
+/**
+ * CATEGORY TREE
+ * 
+ * Nests a flat list of categories into a tree:
+ * [{ ...category, productCount, totalProductCount, children: [...] }]
+ * 
+ * productCount counts the products directly in a category,
+ * totalProductCount also includes every descendant category
+ */
+
+/**
+ * @param {Array<Object>} categories - Plain category objects
+ * @param {Map<String, Number>} productCounts - Direct product count per category key
+ * @param {Object} keys - How to read a category's key and its parent's key
+ */
+export const buildCategoryTree = (categories, productCounts, {
+  keyOf = (category) => category.id,
+  parentKeyOf = (category) => category.parentId
+} = {}) => {
+  const nodes = new Map();
+
+  for (const category of categories) {
+    const key = String(keyOf(category));
+    nodes.set(key, {
+      ...category,
+      productCount: productCounts.get(key) || 0,
+      totalProductCount: 0,
+      children: []
+    });
+  }
+
+  // Categories whose parent is missing are treated as top level
+  const roots = [];
+  for (const category of categories) {
+    const node = nodes.get(String(keyOf(category)));
+    const parentKey = parentKeyOf(category);
+    const parent = parentKey != null ? nodes.get(String(parentKey)) : null;
+
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  const sumProducts = (node) => {
+    node.totalProductCount = node.children.reduce(
+      (total, child) => total + sumProducts(child),
+      node.productCount
+    );
+    return node.totalProductCount;
+  };
+  roots.forEach(sumProducts);
+
+  return roots;
+};
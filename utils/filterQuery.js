@@ -0,0 +1,121 @@
+/**
+ * FILTER QUERY LANGUAGE
+ * 
+ * Translates ?filter[...] query parameters into a Prisma where clause or a
+ * MongoDB query document, so the same URL works against both backends:
+ * 
+ *   ?filter[price][gte]=10
+ *   ?filter[tags][in]=javascript,node
+ *   ?filter[createdAt][between]=2024-01-01,2024-12-31
+ *   ?filter[name]=Laptop                    (shorthand for [eq])
+ * 
+ * Fields, operators and values are whitelisted and type checked by
+ * filterQuery() in validators/common.js, so filters arrive here as
+ * [{ field, operator, value }] with values already converted.
+ * 
+ * Relations (category, tags) are filtered by slug on both backends.
+ */
+
+// Operators each kind of field supports
+export const COMPARISON_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'between', 'exists'];
+export const TEXT_OPERATORS = ['eq', 'ne', 'in', 'nin', 'contains', 'startsWith', 'exists'];
+export const SET_OPERATORS = ['eq', 'ne', 'in', 'nin', 'exists'];
+
+// Operators taking a comma separated list of values
+export const LIST_OPERATORS = ['in', 'nin', 'between'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Prisma condition on a scalar field
+ */
+const prismaCondition = (operator, value) => {
+  switch (operator) {
+    case 'eq': return { equals: value };
+    case 'ne': return { not: value };
+    case 'nin': return { notIn: value };
+    case 'between': return { gte: value[0], lte: value[1] };
+    case 'contains': return { contains: value, mode: 'insensitive' };
+    case 'startsWith': return { startsWith: value, mode: 'insensitive' };
+    case 'exists': return value ? { not: null } : { equals: null };
+    default: return { [operator]: value }; // gt, gte, lt, lte, in
+  }
+};
+
+/**
+ * Prisma condition on a relation, matched by one of the related record's fields
+ * (to-many relations match when some / none of the related records match)
+ */
+const prismaRelationCondition = ({ key, many }, operator, value) => {
+  if (operator === 'exists') {
+    if (many) return value ? { some: {} } : { none: {} };
+    return value ? { isNot: null } : { is: null };
+  }
+  
+  const match = { [key]: ['in', 'nin'].includes(operator) ? { in: value } : value };
+  const negate = ['ne', 'nin'].includes(operator);
+  
+  if (many) return negate ? { none: match } : { some: match };
+  return negate ? { isNot: match } : { is: match };
+};
+
+/**
+ * Build a Prisma where clause
+ * 
+ * @param {Array<{ field, operator, value }>} filters - Validated req.query.filter
+ * @param {Object} [options.relations] - e.g. { tags: { key: 'slug', many: true } }
+ */
+export const toPrismaWhere = (filters = [], { relations = {} } = {}) => {
+  const conditions = filters.map(({ field, operator, value }) => ({
+    [field]: relations[field]
+      ? prismaRelationCondition(relations[field], operator, value)
+      : prismaCondition(operator, value)
+  }));
+  
+  return conditions.length ? { AND: conditions } : {};
+};
+
+/**
+ * MongoDB condition on a field
+ */
+const mongoCondition = (operator, value) => {
+  switch (operator) {
+    case 'between': return { $gte: value[0], $lte: value[1] };
+    case 'contains': return { $regex: escapeRegex(value), $options: 'i' };
+    case 'startsWith': return { $regex: `^${escapeRegex(value)}`, $options: 'i' };
+    // null also matches documents where the field is missing
+    case 'exists': return value ? { $ne: null } : { $eq: null };
+    default: return { [`$${operator}`]: value }; // eq, ne, gt, gte, lt, lte, in, nin
+  }
+};
+
+/**
+ * Build a MongoDB query document
+ * Relation values are looked up by key (e.g. slug) and replaced by the matching ids,
+ * an unknown slug matches nothing
+ * 
+ * @param {Array<{ field, operator, value }>} filters - Validated req.query.filter
+ * @param {Object} [options.relations] - e.g. { tags: { model: Tag, key: 'slug', many: true } }
+ */
+export const toMongoFilter = async (filters = [], { relations = {} } = {}) => {
+  const conditions = [];
+  
+  for (const { field, operator, value } of filters) {
+    const relation = relations[field];
+    
+    if (!relation) {
+      conditions.push({ [field]: mongoCondition(operator, value) });
+    } else if (operator === 'exists') {
+      conditions.push(relation.many
+        ? { [`${field}.0`]: { $exists: value } }
+        : { [field]: mongoCondition(operator, value) });
+    } else {
+      const keys = Array.isArray(value) ? value : [value];
+      const ids = await relation.model.find({ [relation.key]: { $in: keys } }).distinct('_id');
+      const negate = ['ne', 'nin'].includes(operator);
+      conditions.push({ [field]: negate ? { $nin: ids } : { $in: ids } });
+    }
+  }
+  
+  return conditions.length ? { $and: conditions } : {};
+};
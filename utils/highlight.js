@@ -0,0 +1,66 @@
+/**
+ * SEARCH HIGHLIGHTING
+ * 
+ * MongoDB text search ranks results but does not highlight them, so the
+ * Mongoose search builds its snippets here. Matches are wrapped in <mark>
+ * like the Postgres ts_headline() output of the Prisma search.
+ * 
+ * The results are HTML: the stored text is escaped and <mark> is the only markup.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+/**
+ * Text as HTML text content (a product name like "<img onerror=...>" stays text)
+ */
+export const escapeHtml = (text) => text.replace(/[&<>"]/g, (char) => HTML_ESCAPES[char]);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words of a search string, without negated words ("-word") and quotes
+ */
+export const searchTerms = (q) => q
+  .toLowerCase()
+  .split(/\s+/)
+  .filter((word) => word && !word.startsWith('-'))
+  .map((word) => word.replace(/["']/g, ''))
+  .filter(Boolean);
+
+/**
+ * Regex matching any of the terms at the start of a word
+ * (prefix matching roughly follows the stemming done by the text index)
+ */
+const termsPattern = (terms) => (terms.length
+  ? new RegExp(`\\b((?:${terms.map(escapeRegex).join('|')})\\w*)`, 'gi')
+  : null);
+
+/**
+ * Text as HTML with every match of the terms wrapped in <mark></mark>
+ */
+export const highlight = (text, terms) => {
+  if (!text) return '';
+  const pattern = termsPattern(terms);
+  if (!pattern) return escapeHtml(text);
+  
+  // Split on the (captured) matches: text and matches alternate
+  return text
+    .split(pattern)
+    .map((part, index) => (index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+/**
+ * Excerpt of about maxLength characters around the first match, as highlighted HTML
+ */
+export const snippet = (text, terms, maxLength = 160) => {
+  if (!text) return '';
+  
+  const pattern = termsPattern(terms);
+  const match = pattern ? pattern.exec(text) : null;
+  const start = match ? Math.max(0, match.index - Math.floor(maxLength / 3)) : 0;
+  const end = Math.min(text.length, start + maxLength);
+  
+  const excerpt = `${start > 0 ? '… ' : ''}${text.slice(start, end).trim()}${end < text.length ? ' …' : ''}`;
+  return highlight(excerpt, terms);
+};
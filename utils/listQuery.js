@@ -0,0 +1,209 @@
+/**
+ * LIST QUERY BUILDER
+ * 
+ * Shared pagination, sorting and field selection for every list endpoint:
+ * 
+ *   ?page=2&limit=20         offset pagination
+ *   ?cursor=<nextCursor>     cursor pagination (continues after the last row of a page)
+ *   ?sort=-price,name        sort fields, "-" for descending
+ *   ?fields=name,price       only return these fields
+ *   ?filter[price][gte]=10   filters (see utils/filterQuery.js)
+ * 
+ * Query values are parsed and whitelisted by listQuery() / filterQuery() in
+ * validators/common.js, so sort arrives here as [{ field, direction }],
+ * fields as an array of names and filter as [{ field, operator, value }].
+ * 
+ * Both builders return { data, meta } where
+ * meta = { total, page, limit, pages, nextCursor } (page is null when paging by cursor)
+ */
+
+import AppError from './AppError.js';
+import { getPagination, buildPageMeta } from './pagination.js';
+import { toPrismaWhere, toMongoFilter } from './filterQuery.js';
+
+/**
+ * Parse "-price,name" into [{ field: 'price', direction: 'desc' }, { field: 'name', direction: 'asc' }]
+ */
+export const parseSort = (value) => value
+  .split(',')
+  .map((part) => part.trim())
+  .filter(Boolean)
+  .map((part) => (part.startsWith('-')
+    ? { field: part.slice(1), direction: 'desc' }
+    : { field: part, direction: 'asc' }));
+
+/**
+ * Cursors are opaque to clients: base64url encoded JSON
+ */
+export const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new AppError('Invalid cursor', 400);
+  }
+};
+
+const buildMeta = ({ total, page, limit, cursor, nextCursor }) => ({
+  ...buildPageMeta(total, page, limit),
+  page: cursor ? null : page,
+  nextCursor
+});
+
+/**
+ * Run a paginated findMany on a Prisma model delegate (e.g. prisma.post)
+ * 
+ * @param {Object} delegate - Prisma model delegate
+ * @param {Object} options
+ * @param {Object} options.query - Validated req.query
+ * @param {Object} [options.where] - Prisma where clause, combined with ?filter
+ * @param {Object} [options.include] - Relations returned by default
+ * @param {Object} [options.select] - Fields returned by default (instead of include)
+ * @param {Object} [options.relations] - Filterable relations, see toPrismaWhere()
+ * @param {String} [options.defaultSort] - e.g. '-createdAt'
+ */
+export const findPrismaPage = async (delegate, {
+  query,
+  where: baseWhere = {},
+  include,
+  select,
+  relations,
+  defaultSort = '-createdAt'
+}) => {
+  const { page, limit, skip } = getPagination(query);
+  const where = { ...baseWhere, ...toPrismaWhere(query.filter, { relations }) };
+  const sort = query.sort || parseSort(defaultSort);
+  
+  // id breaks ties so that every row has a stable position
+  const orderBy = [
+    ...sort.map(({ field, direction }) => ({ [field]: direction })),
+    ...(sort.some(({ field }) => field === 'id') ? [] : [{ id: 'asc' }])
+  ];
+  
+  // ?fields= picks from the default select / include, relations keep their nested select
+  const shape = {};
+  if (query.fields) {
+    const available = select || include || {};
+    shape.select = { id: true };
+    for (const field of query.fields) {
+      shape.select[field] = available[field] ?? true;
+    }
+  } else if (select) {
+    shape.select = select;
+  } else if (include) {
+    shape.include = include;
+  }
+  
+  const position = query.cursor
+    ? { cursor: { id: decodeCursor(query.cursor).id }, skip: 1 }
+    : { skip };
+  
+  // One extra row tells whether there is a next page
+  const [rows, total] = await Promise.all([
+    delegate.findMany({ where, orderBy, ...shape, ...position, take: limit + 1 }),
+    delegate.count({ where })
+  ]);
+  
+  const data = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor({ id: data[data.length - 1].id }) : null;
+  
+  return {
+    data,
+    meta: buildMeta({ total, page, limit, cursor: query.cursor, nextCursor })
+  };
+};
+
+/**
+ * Keyset condition matching the documents that sort after the cursor:
+ * (a > va) OR (a = va AND b > vb) OR ... for each sort key in turn
+ */
+const afterCursor = (sortKeys, values) => ({
+  $or: sortKeys.map(({ field, direction }, index) => {
+    const condition = {};
+    for (let i = 0; i < index; i++) {
+      condition[sortKeys[i].field] = values[i];
+    }
+    condition[field] = { [direction === 'desc' ? '$lt' : '$gt']: values[index] };
+    return condition;
+  })
+});
+
+/**
+ * Run a paginated find on a Mongoose model
+ * 
+ * @param {mongoose.Model} Model
+ * @param {Object} options
+ * @param {Object} options.query - Validated req.query
+ * @param {Object} [options.filter] - Mongo query, combined with ?filter
+ * @param {Array<Array>} [options.populate] - populate() arguments, e.g. [['author', 'username']]
+ * @param {String} [options.select] - Default projection
+ * @param {Boolean} [options.lean] - Return plain objects
+ * @param {Object} [options.relations] - Filterable relations, see toMongoFilter()
+ * @param {String} [options.defaultSort] - e.g. '-createdAt'
+ */
+export const findMongoosePage = async (Model, {
+  query,
+  filter: baseFilter = {},
+  populate = [],
+  select,
+  lean = false,
+  relations,
+  defaultSort = '-createdAt'
+}) => {
+  const { page, limit, skip } = getPagination(query);
+  const filter = { ...baseFilter, ...(await toMongoFilter(query.filter, { relations })) };
+  const sort = query.sort || parseSort(defaultSort);
+  
+  // _id breaks ties so that every document has a stable position
+  const sortKeys = sort.some(({ field }) => field === '_id')
+    ? sort
+    : [...sort, { field: '_id', direction: 'asc' }];
+  
+  let find = filter;
+  if (query.cursor) {
+    const { values } = decodeCursor(query.cursor);
+    if (!Array.isArray(values) || values.length !== sortKeys.length) {
+      throw new AppError('Invalid cursor', 400);
+    }
+    find = { $and: [filter, afterCursor(sortKeys, values)] };
+  }
+  
+  let request = Model.find(find)
+    .sort(Object.fromEntries(sortKeys.map(({ field, direction }) => [field, direction === 'desc' ? -1 : 1])))
+    .skip(query.cursor ? 0 : skip)
+    .limit(limit + 1);
+  
+  // ?fields= also keeps the sort fields, which the next cursor is built from
+  if (query.fields) {
+    request = request.select([...new Set([...query.fields, ...sortKeys.map(({ field }) => field)])].join(' '));
+  } else if (select) {
+    request = request.select(select);
+  }
+  
+  for (const args of populate) {
+    if (!query.fields || query.fields.includes(args[0])) {
+      request = request.populate(...args);
+    }
+  }
+  
+  if (lean) request = request.lean();
+  
+  const [rows, total] = await Promise.all([
+    request,
+    Model.countDocuments(filter)
+  ]);
+  
+  const data = rows.slice(0, limit);
+  let nextCursor = null;
+  if (rows.length > limit) {
+    const last = data[data.length - 1];
+    const read = (field) => (lean ? last[field] : last.get(field, null, { getters: false }));
+    nextCursor = encodeCursor({ values: sortKeys.map(({ field }) => read(field)) });
+  }
+  
+  return {
+    data,
+    meta: buildMeta({ total, page, limit, cursor: query.cursor, nextCursor })
+  };
+};
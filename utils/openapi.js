@@ -0,0 +1,349 @@
+/**
+ * OPENAPI DOCUMENT
+ * 
+ * Builds the OpenAPI 3 description of the API from what the app runs,
+ * so it cannot drift from the code:
+ * - paths and methods from the Express routers of routes/index.js
+ * - path / query parameters and request bodies from the Joi schemas given to
+ *   validate() (see middleware/validate.js)
+ * - security and error responses from the auth middleware on each route
+ * - summaries from the controller names (getAllPosts -> "Get all posts")
+ */
+
+import { requireAuth, optionalAuth } from '../middleware/auth.js';
+import { selectBackend } from '../middleware/backend.js';
+import { backendConfig } from '../config/backend.js';
+
+const ERROR_RESPONSE = { $ref: '#/components/responses/Error' };
+
+// ═══════════════════════════════════════════════════════════════
+// JOI -> JSON SCHEMA
+// ═══════════════════════════════════════════════════════════════
+
+const ruleArg = (description, name) => description.rules?.find((rule) => rule.name === name)?.args;
+const hasRule = (description, name) => Boolean(description.rules?.some((rule) => rule.name === name));
+
+// Limits given as a Joi.ref() depend on another field and cannot be expressed
+const limitOf = (description, name) => {
+  const limit = ruleArg(description, name)?.limit;
+  return typeof limit === 'number' ? limit : undefined;
+};
+
+const withoutUndefined = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined)
+);
+
+/**
+ * Same schema written twice (the two branches of a when() often are)
+ */
+const uniqueSchemas = (schemas) => {
+  const seen = new Set();
+  return schemas.filter((schema) => {
+    const key = JSON.stringify(schema);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const TYPES = {
+  string: (description) => {
+    const pattern = ruleArg(description, 'pattern')?.regex;
+    let format;
+    if (hasRule(description, 'email')) format = 'email';
+    else if (hasRule(description, 'uri')) format = 'uri';
+
+    return withoutUndefined({
+      type: 'string',
+      format,
+      pattern: pattern ? pattern.slice(1, pattern.lastIndexOf('/')) : (hasRule(description, 'hex') ? '^[0-9a-fA-F]*$' : undefined),
+      minLength: limitOf(description, 'min') ?? limitOf(description, 'length'),
+      maxLength: limitOf(description, 'max') ?? limitOf(description, 'length')
+    });
+  },
+
+  number: (description) => {
+    const positive = ruleArg(description, 'sign')?.sign === 'positive';
+    return withoutUndefined({
+      type: hasRule(description, 'integer') ? 'integer' : 'number',
+      minimum: limitOf(description, 'min') ?? (positive ? 1 : undefined),
+      maximum: limitOf(description, 'max')
+    });
+  },
+
+  boolean: () => ({ type: 'boolean' }),
+
+  date: () => ({ type: 'string', format: 'date-time' }),
+
+  array: (description) => withoutUndefined({
+    type: 'array',
+    items: description.items?.length ? joiToSchema(description.items[0]) : {},
+    minItems: limitOf(description, 'min') ?? limitOf(description, 'length'),
+    maxItems: limitOf(description, 'max') ?? limitOf(description, 'length'),
+    uniqueItems: hasRule(description, 'unique') || undefined
+  }),
+
+  object: (description) => {
+    const keys = Object.entries(description.keys ?? {});
+    const required = keys.filter(([, key]) => key.flags?.presence === 'required').map(([name]) => name);
+
+    // or() / xor() cannot be written as "required", they are spelled out instead
+    const rules = (description.dependencies ?? [])
+      .filter(({ rel }) => rel === 'or' || rel === 'xor')
+      .map(({ rel, peers }) => `${rel === 'or' ? 'At least' : 'Exactly'} one of: ${peers.join(', ')}`);
+
+    return withoutUndefined({
+      type: 'object',
+      properties: keys.length ? Object.fromEntries(keys.map(([name, key]) => [name, joiToSchema(key)])) : undefined,
+      required: required.length ? required : undefined,
+      additionalProperties: description.flags?.unknown ? true : undefined,
+      description: rules.length ? `${rules.join('. ')}.` : undefined
+    });
+  }
+};
+
+/**
+ * OpenAPI schema of a Joi schema, from its describe() output
+ */
+export const joiToSchema = (description) => {
+  const { type, flags = {} } = description;
+
+  // when() on an untyped schema, e.g. an id whose type depends on the backend:
+  // any of the branches
+  if (type === 'any' && description.whens?.length) {
+    const branches = uniqueSchemas(description.whens
+      .flatMap(({ then, otherwise }) => [then, otherwise])
+      .filter(Boolean)
+      .map(joiToSchema));
+    return branches.length === 1 ? branches[0] : { oneOf: branches };
+  }
+
+  const schema = TYPES[type]?.(description) ?? {};
+
+  const allowed = (description.allow ?? []).filter((value) => typeof value !== 'object' || value === null);
+  if (allowed.includes(null)) schema.nullable = true;
+  if (flags.only) schema.enum = allowed.filter((value) => value !== null);
+
+  if (flags.default !== undefined && typeof flags.default !== 'object') schema.default = flags.default;
+  if (flags.description) schema.description = flags.description;
+
+  return schema;
+};
+
+// ═══════════════════════════════════════════════════════════════
+// ROUTES -> OPERATIONS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * getAllPosts -> "Get all posts"
+ */
+const humanize = (name) => {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Name of a route's controller, or the last segment of its path for
+ * controllers built by a factory (changePostStatus('ARCHIVED') on /:id/archive)
+ */
+const operationName = ({ path, handlers }) => handlers.at(-1).name
+  || path.split('/').filter((segment) => segment && !segment.startsWith(':')).at(-1)
+  || '';
+
+/**
+ * Express path (/:id/history) to an OpenAPI path (/{id}/history)
+ */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Parameters of one request part (params / query) from its Joi object schema
+ */
+const toParameters = (location, schema) => {
+  const { keys = {} } = schema.describe();
+
+  return Object.entries(keys).map(([name, key]) => {
+    const parameter = {
+      name,
+      in: location === 'params' ? 'path' : 'query',
+      required: location === 'params' || key.flags?.presence === 'required',
+      schema: joiToSchema(key)
+    };
+    // ?filter[price][gte]=10
+    if (key.type === 'object') {
+      parameter.style = 'deepObject';
+      parameter.explode = true;
+    }
+    return parameter;
+  });
+};
+
+/**
+ * Every route of a router, each with the middleware that runs before its
+ * controller (router.use() middleware applies to the routes after it)
+ * @returns {Array<{ path, method, handlers }>}
+ */
+export const listRouterRoutes = (router) => {
+  const routes = [];
+  const shared = [];
+
+  for (const layer of router.stack) {
+    if (!layer.route) {
+      shared.push(layer.handle);
+      continue;
+    }
+
+    const { path, methods, stack } = layer.route;
+    for (const method of Object.keys(methods).filter((name) => name !== '_all')) {
+      routes.push({
+        path,
+        method,
+        handlers: [...shared, ...stack.filter((entry) => entry.method === method).map((entry) => entry.handle)]
+      });
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * OpenAPI operation of one route
+ */
+const toOperation = ({ method, handlers, name, tag, operationId }) => {
+  const validation = handlers.find((handler) => handler.schemas)?.schemas ?? {};
+  const roles = handlers.find((handler) => handler.roles)?.roles;
+  const authenticated = handlers.includes(requireAuth);
+
+  const parameters = [
+    ...(handlers.includes(selectBackend) ? [{ $ref: '#/components/parameters/Backend' }] : []),
+    ...(validation.params ? toParameters('params', validation.params) : []),
+    ...(validation.query ? toParameters('query', validation.query) : [])
+  ];
+
+  const responses = {
+    [method === 'post' && /^(create|register)/.test(name) ? '201' : '200']: {
+      $ref: '#/components/responses/Success'
+    }
+  };
+  if (validation.params || validation.query || validation.body) responses['422'] = ERROR_RESPONSE;
+  if (authenticated || handlers.includes(optionalAuth)) responses['401'] = ERROR_RESPONSE;
+  if (roles || handlers.some((handler) => handler.owner)) responses['403'] = ERROR_RESPONSE;
+  if (validation.params) responses['404'] = ERROR_RESPONSE;
+
+  let security;
+  if (authenticated) security = [{ bearerAuth: [] }];
+  else if (handlers.includes(optionalAuth)) security = [{}, { bearerAuth: [] }];
+
+  return withoutUndefined({
+    tags: [tag],
+    summary: name ? humanize(name) : undefined,
+    description: roles ? `Roles: ${roles.join(', ')}` : undefined,
+    operationId,
+    parameters: parameters.length ? parameters : undefined,
+    requestBody: validation.body ? {
+      required: true,
+      content: { 'application/json': { schema: joiToSchema(validation.body.describe()) } }
+    } : undefined,
+    security,
+    responses
+  });
+};
+
+/**
+ * The OpenAPI 3 document of the route groups (see routes/index.js)
+ */
+export const buildOpenApiDocument = (groups, { title, version, description } = {}) => {
+  const paths = {};
+  const tags = [];
+  const operationIds = new Set();
+
+  for (const group of groups) {
+    for (const [name, router] of Object.entries(group.routers)) {
+      const mountPath = name ? `${group.prefix}/${name}` : group.prefix;
+      const tag = name ? `${group.name}/${name}` : group.name;
+      tags.push({ name: tag, description: group.title });
+
+      for (const route of listRouterRoutes(router)) {
+        const path = toOpenApiPath(route.path === '/' ? mountPath : `${mountPath}${route.path}`);
+
+        // Controllers shared by several routes get the method and path in their id
+        const operation = operationName(route);
+        let operationId = [group.name, name, operation].filter(Boolean).join('.');
+        if (operationIds.has(operationId)) operationId = `${operationId}.${route.method}${path.replace(/\W+/g, '_')}`;
+        operationIds.add(operationId);
+
+        paths[path] ??= {};
+        paths[path][route.method] = toOperation({
+          ...route,
+          handlers: [...(group.middleware ?? []), ...route.handlers],
+          name: operation,
+          tag,
+          operationId
+        });
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: withoutUndefined({ title, version, description }),
+    tags,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      parameters: {
+        Backend: {
+          name: backendConfig.header,
+          in: 'header',
+          required: false,
+          description: 'Store serving the request (default: the backend that issued the token, then DEFAULT_BACKEND)',
+          schema: { type: 'string', enum: backendConfig.backends }
+        }
+      },
+      responses: {
+        Success: {
+          description: 'Success',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean', enum: [true] },
+                  message: { type: 'string' },
+                  data: {}
+                }
+              }
+            }
+          }
+        },
+        Error: {
+          description: 'Error (see the code)',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean', enum: [false] },
+                  code: { type: 'string' },
+                  message: { type: 'string' },
+                  errors: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        location: { type: 'string' },
+                        field: { type: 'string' },
+                        message: { type: 'string' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+};
@@ -0,0 +1,14 @@
+/**
+ * ORDER NUMBER
+ * 
+ * Human readable, unique order reference shared by both backends:
+ * ORD-20240131-9F3A1C7B (date + 8 random hex characters)
+ */
+
+import crypto from 'crypto';
+
+export const generateOrderNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const random = crypto.randomBytes(4).toString('hex').toUpperCase();
+  return `ORD-${date}-${random}`;
+};
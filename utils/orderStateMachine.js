@@ -0,0 +1,49 @@
+/**
+ * ORDER STATE MACHINE
+ * 
+ * Legal transitions for an order's status and payment status.
+ * Values use the Prisma enum spelling (uppercase); the Mongoose controller
+ * normalizes its lowercase values before checking.
+ * 
+ *   PENDING ──> PROCESSING ──> SHIPPED ──> DELIVERED
+ *      │             │
+ *      └─────────────┴──> CANCELLED
+ * 
+ *   UNPAID ──> PAID ──> REFUNDED
+ *      │        ^
+ *      └─> FAILED
+ */
+
+import { ConflictError } from './AppError.js';
+
+export const ORDER_STATUS_TRANSITIONS = {
+  PENDING: ['PROCESSING', 'CANCELLED'],
+  PROCESSING: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['DELIVERED'],
+  DELIVERED: [],
+  CANCELLED: []
+};
+
+export const PAYMENT_STATUS_TRANSITIONS = {
+  UNPAID: ['PAID', 'FAILED'],
+  FAILED: ['PAID'],
+  PAID: ['REFUNDED'],
+  REFUNDED: []
+};
+
+/**
+ * Throw a ConflictError (409) unless `from -> to` is a legal transition
+ * @param {Object} transitions - ORDER_STATUS_TRANSITIONS or PAYMENT_STATUS_TRANSITIONS
+ * @param {String} field       - Name used in the error message ('status', 'paymentStatus')
+ * @param {String} [entity]    - Also used in the message (utils/postWorkflow.js passes 'post')
+ */
+export const assertTransition = (transitions, field, from, to, entity = 'order') => {
+  const allowed = transitions[from] || [];
+
+  if (!allowed.includes(to)) {
+    throw new ConflictError(
+      `Cannot change ${entity} ${field} from ${from} to ${to}` +
+        (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ` (${from} is final)`)
+    );
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * TRANSACTIONAL OUTBOX
+ * 
+ * PostgreSQL is the write store, MongoDB keeps denormalized read models of it
+ * (see jobs/relayOutbox.js). Every Prisma write those read models depend on
+ * also inserts an OutboxEvent in the same transaction, so an event exists
+ * exactly when its change was committed.
+ * 
+ * Events only say what changed: the relay projects the current state of the
+ * aggregate, which makes replaying an event harmless.
+ */
+
+export const OUTBOX_EVENTS = {
+  ORDER_PLACED: 'order.placed',
+  ORDER_STATUS_CHANGED: 'order.statusChanged',
+  USER_UPDATED: 'user.updated',
+  PRODUCT_UPDATED: 'product.updated'
+};
+
+/**
+ * Query inserting an event (type is one of OUTBOX_EVENTS, its prefix is the aggregate)
+ * Pass the interactive transaction client, or prisma inside prisma.$transaction([...])
+ */
+export const outboxEvent = (client, type, aggregateId, payload = {}) => client.outboxEvent.create({
+  data: {
+    type,
+    aggregate: type.split('.')[0],
+    aggregateId,
+    payload
+  }
+});
+
+/**
+ * The events that can be relayed after `offset`, in id order
+ * 
+ * Ids are handed out when a transaction inserts its event but become visible
+ * when it commits, so a missing id may still show up: stop before it, unless
+ * the event after it was written before `cutoff`, in which case the missing
+ * id belonged to a transaction that rolled back.
+ */
+export const takeContiguous = (events, offset, cutoff) => {
+  const ready = [];
+  let expected = offset + 1;
+  
+  for (const event of events) {
+    if (event.id !== expected && event.createdAt > cutoff) break;
+    ready.push(event);
+    expected = event.id + 1;
+  }
+  
+  return ready;
+};
@@ -0,0 +1,21 @@
+/**
+ * PAGINATION HELPERS
+ * 
+ * getPagination({ page, limit }) -> { page, limit, skip }
+ * buildPageMeta(total, page, limit) -> { total, page, limit, pages }
+ * 
+ * page and limit are expected to be validated integers (see validators/common.js)
+ */
+
+export const getPagination = ({ page = 1, limit = 10 } = {}) => ({
+  page,
+  limit,
+  skip: (page - 1) * limit
+});
+
+export const buildPageMeta = (total, page, limit) => ({
+  total,
+  page,
+  limit,
+  pages: Math.ceil(total / limit)
+});
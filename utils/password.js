@@ -0,0 +1,22 @@
+/**
+ * PASSWORD HELPERS
+ * 
+ * Thin wrappers around bcrypt so both backends hash passwords the same way
+ */
+
+import bcrypt from 'bcryptjs';
+import { authConfig } from '../config/auth.js';
+
+/**
+ * Hash a plain text password
+ */
+export const hashPassword = (plainPassword) => {
+  return bcrypt.hash(plainPassword, authConfig.saltRounds);
+};
+
+/**
+ * Compare a plain text password with a stored hash
+ */
+export const comparePassword = (plainPassword, passwordHash) => {
+  return bcrypt.compare(plainPassword, passwordHash);
+};
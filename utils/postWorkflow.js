@@ -0,0 +1,64 @@
+/**
+ * POST PUBLISHING WORKFLOW
+ * 
+ * Legal status changes for a post and the publishedAt that goes with them.
+ * Values use the Prisma enum spelling (uppercase); the Mongoose controller
+ * normalizes its lowercase values before and after.
+ * 
+ *   DRAFT     -> SCHEDULED, PUBLISHED, ARCHIVED
+ *   SCHEDULED -> SCHEDULED (reschedule), PUBLISHED, DRAFT, ARCHIVED
+ *   PUBLISHED -> DRAFT, ARCHIVED
+ *   ARCHIVED  -> PUBLISHED, DRAFT
+ * 
+ * Publishing with a future publishedAt schedules the post instead;
+ * jobs/publishScheduled.js publishes it once that date has passed.
+ * Only PUBLISHED posts are listed publicly, authors also see their own.
+ */
+
+import { assertTransition } from './orderStateMachine.js';
+
+export const POST_STATUS_TRANSITIONS = {
+  DRAFT: ['SCHEDULED', 'PUBLISHED', 'ARCHIVED'],
+  SCHEDULED: ['SCHEDULED', 'PUBLISHED', 'DRAFT', 'ARCHIVED'],
+  PUBLISHED: ['DRAFT', 'ARCHIVED'],
+  ARCHIVED: ['PUBLISHED', 'DRAFT']
+};
+
+/**
+ * Status and publishedAt after moving a post to `to`
+ * Throws a ConflictError (409) when the change is not allowed
+ * 
+ * @param {Object} post - Current { status, publishedAt }
+ * @param {String} to   - DRAFT, PUBLISHED or ARCHIVED
+ * @param {Date} [options.publishAt] - Publication date, a future date schedules the post
+ * @returns {{ status: String, publishedAt?: Date|null }}
+ */
+export const transitionPost = (post, to, { publishAt, now = new Date() } = {}) => {
+  const status = to === 'PUBLISHED' && publishAt > now ? 'SCHEDULED' : to;
+
+  assertTransition(POST_STATUS_TRANSITIONS, 'status', post.status, status, 'post');
+
+  switch (status) {
+    case 'SCHEDULED':
+      return { status, publishedAt: publishAt };
+    case 'PUBLISHED':
+      // Republishing keeps the first publication date unless a date is given
+      return {
+        status,
+        publishedAt: publishAt || (post.status !== 'SCHEDULED' && post.publishedAt) || now
+      };
+    case 'DRAFT':
+      return { status, publishedAt: null };
+    default:
+      return { status }; // ARCHIVED keeps its publication date
+  }
+};
+
+/**
+ * Status and publishedAt of a new post created with `status`
+ * (a post starts as a DRAFT and moves to `status` from there)
+ */
+export const initialPublication = (status = 'DRAFT', options) => {
+  const draft = { status: 'DRAFT', publishedAt: null };
+  return status === 'DRAFT' ? draft : transitionPost(draft, status, options);
+};
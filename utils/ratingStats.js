@@ -0,0 +1,28 @@
+/**
+ * RATING STATS
+ * 
+ * Turns per-rating counts from an aggregation into the stats returned with a product:
+ * { averageRating: 4.25, reviewCount: 8, histogram: { 1: 0, 2: 1, 3: 0, 4: 3, 5: 4 } }
+ */
+
+/**
+ * @param {Array<{ rating: Number, count: Number }>} groups - One entry per rating value
+ */
+export const buildRatingStats = (groups) => {
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let reviewCount = 0;
+  let ratingSum = 0;
+
+  for (const { rating, count } of groups) {
+    histogram[rating] = count;
+    reviewCount += count;
+    ratingSum += rating * count;
+  }
+
+  return {
+    // Rounded to two decimals, null when there are no reviews yet
+    averageRating: reviewCount ? Math.round((ratingSum / reviewCount) * 100) / 100 : null,
+    reviewCount,
+    histogram
+  };
+};
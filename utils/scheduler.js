@@ -0,0 +1,65 @@
+/**
+ * IN-PROCESS SCHEDULER
+ * 
+ * Runs recurring jobs on an interval inside the API process (started from server.js)
+ * A run is skipped while the previous one is still going, failures are logged
+ * and the next run tries again. Timers are unref'd so they never keep the
+ * process alive on their own.
+ */
+
+const jobs = new Map();
+
+/**
+ * Run task every intervalMs (and right away with runOnStart)
+ */
+export const scheduleJob = (name, intervalMs, task, { runOnStart = false } = {}) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already scheduled: ${name}`);
+  }
+  
+  const job = { name, intervalMs, running: false, lastRunAt: null, lastError: null, timer: null };
+  
+  const run = async () => {
+    if (job.running) return;
+    job.running = true;
+    try {
+      await task();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`❌ Job ${name} failed:`, error.message);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  };
+  
+  job.timer = setInterval(run, intervalMs);
+  job.timer.unref();
+  jobs.set(name, job);
+  
+  if (runOnStart) run();
+  
+  return job;
+};
+
+/**
+ * Stop every scheduled job (runs already in progress finish on their own)
+ */
+export const stopJobs = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+  }
+  jobs.clear();
+};
+
+/**
+ * Status of the scheduled jobs
+ */
+export const listJobs = () => [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt,
+  lastError
+}));
@@ -0,0 +1,37 @@
+/**
+ * SLUG HELPERS
+ * 
+ * slugify('Hello World!')          -> 'hello-world'
+ * generateUniqueSlug(text, exists) -> 'hello-world', 'hello-world-2', ...
+ */
+
+/**
+ * Turn any text into a URL friendly slug
+ */
+export const slugify = (text) => {
+  return String(text)
+    .normalize('NFKD')                 // Split accented characters
+    .replace(/[\u0300-\u036f]/g, '')   // Drop the accents
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')       // Everything else becomes a dash
+    .replace(/^-+|-+$/g, '');          // No leading / trailing dashes
+};
+
+/**
+ * Build a slug that is not taken yet
+ * @param {String}   text   - Source text (title, name, ...)
+ * @param {Function} exists - async (slug) => Boolean, true when the slug is already used
+ */
+export const generateUniqueSlug = async (text, exists) => {
+  const base = slugify(text) || 'item';
+  let slug = base;
+  let suffix = 2;
+
+  while (await exists(slug)) {
+    slug = `${base}-${suffix}`;
+    suffix += 1;
+  }
+
+  return slug;
+};
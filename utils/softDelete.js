@@ -0,0 +1,28 @@
+/**
+ * SOFT DELETE HELPERS
+ * 
+ * Users, posts and products are soft deleted on both backends: deleting sets
+ * deletedAt instead of removing the record, and every default query leaves
+ * those records out. Admins can still see them with ?includeDeleted=true
+ * (see middleware/authorize.js) and bring them back with POST /:id/restore
+ * until jobs/purgeDeleted.js removes them after the retention window.
+ */
+
+import { softDeleteConfig } from '../config/softDelete.js';
+
+// Where clause / filter matching records that are not deleted (Prisma and Mongoose)
+export const NOT_DELETED = { deletedAt: null };
+
+/**
+ * Where clause / filter for a request: deleted records are only
+ * included when the (already authorized) query asks for them
+ * @param {Object} [query] - Validated req.query
+ */
+export const deletedFilter = (query = {}) => (query.includeDeleted ? {} : NOT_DELETED);
+
+/**
+ * Records deleted before this date are past the retention window
+ */
+export const purgeCutoff = (now = new Date()) => {
+  return new Date(now.getTime() - softDeleteConfig.retentionDays * 24 * 60 * 60 * 1000);
+};
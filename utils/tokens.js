@@ -0,0 +1,73 @@
+/**
+ * TOKEN HELPERS
+ * 
+ * Access tokens:  signed JWTs, short-lived, sent as "Authorization: Bearer <token>"
+ * Refresh tokens: opaque random strings, long-lived, only their SHA-256 hash is stored
+ * 
+ * Every refresh token belongs to a "family" (one per login). Refreshing revokes
+ * the presented token and issues a new one in the same family. If a revoked token
+ * is presented again the whole family is revoked (token reuse detection).
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { authConfig } from '../config/auth.js';
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user    - User record (Prisma row or Mongoose document)
+ * @param {String} backend - 'prisma' or 'mongoose', tells which store issued the token
+ */
+export const signAccessToken = (user, backend) => {
+  const payload = {
+    sub: String(user.id ?? user._id),
+    // Normalize role so both backends expose 'USER' / 'ADMIN'
+    role: String(user.role).toUpperCase(),
+    backend
+  };
+
+  return jwt.sign(payload, authConfig.accessTokenSecret, {
+    expiresIn: authConfig.accessTokenExpiresIn
+  });
+};
+
+/**
+ * Verify an access token and return its payload
+ * Throws jsonwebtoken errors (TokenExpiredError, JsonWebTokenError) when invalid
+ */
+export const verifyAccessToken = (token) => {
+  return jwt.verify(token, authConfig.accessTokenSecret);
+};
+
+/**
+ * Generate a new refresh token
+ * @param {String} [family] - Existing family when rotating, a new one is created otherwise
+ * @returns {{ token: String, tokenHash: String, family: String, expiresAt: Date }}
+ */
+export const generateRefreshToken = (family) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * Hash a refresh token for storage / lookup
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Build the token part of an auth response
+ */
+export const buildAuthTokens = (accessToken, refreshToken) => ({
+  accessToken,
+  refreshToken: refreshToken.token,
+  tokenType: 'Bearer',
+  expiresIn: authConfig.accessTokenExpiresIn
+});
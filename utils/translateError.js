@@ -0,0 +1,99 @@
+/**
+ * ERROR TRANSLATION
+ * 
+ * translateError(error) - Convert any error thrown in a request into an AppError
+ * 
+ *   Prisma P2002 (unique constraint)        -> ConflictError      409
+ *   Prisma P2025 (record not found)         -> NotFoundError      404
+ *   Prisma P2003 (foreign key constraint)   -> ConflictError      409
+ *   Mongoose CastError (e.g. bad ObjectId)  -> ValidationError    422
+ *   Mongoose ValidationError                -> ValidationError    422
+ *   MongoDB duplicate key (11000)           -> ConflictError      409
+ *   Body parser errors (malformed JSON)     -> AppError           400 / 413 ...
+ *   Anything else                           -> AppError           500 INTERNAL_ERROR
+ * 
+ * AppErrors are returned unchanged, so controllers can still throw their own.
+ */
+
+import mongoose from 'mongoose';
+import AppError, { NotFoundError, ValidationError, ConflictError } from './AppError.js';
+
+/**
+ * "email, username" -> "Email, username already exists"
+ */
+const duplicateMessage = (fields) => {
+  if (fields.length === 0) return 'Resource already exists';
+  const list = fields.join(', ');
+  return `${list.charAt(0).toUpperCase()}${list.slice(1)} already exists`;
+};
+
+/**
+ * Prisma known request errors (name check avoids loading the generated client)
+ */
+const translatePrismaError = (error) => {
+  switch (error.code) {
+    case 'P2002': {
+      const target = error.meta?.target;
+      return new ConflictError(duplicateMessage(Array.isArray(target) ? target : []));
+    }
+    case 'P2025':
+      return new NotFoundError(error.meta?.cause || 'Record not found');
+    case 'P2003':
+      return new ConflictError(
+        `Operation violates a relation constraint${error.meta?.field_name ? ` (${error.meta.field_name})` : ''}`
+      );
+    default:
+      return null;
+  }
+};
+
+const translateMongooseError = (error) => {
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError('Validation failed', [{
+      field: error.path,
+      message: `"${error.path}" must be a valid ${error.kind}`
+    }]);
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError('Validation failed', Object.values(error.errors).map((detail) => ({
+      field: detail.path,
+      message: detail.message
+    })));
+  }
+
+  if (error.code === 11000) {
+    return new ConflictError(duplicateMessage(Object.keys(error.keyValue || error.keyPattern || {})));
+  }
+
+  return null;
+};
+
+/**
+ * @param {Error} error
+ * @returns {AppError}
+ */
+export const translateError = (error) => {
+  if (error instanceof AppError) return error;
+
+  const translated = error.name === 'PrismaClientKnownRequestError'
+    ? translatePrismaError(error)
+    : translateMongooseError(error);
+
+  if (translated) {
+    translated.cause = error;
+    return translated;
+  }
+
+  // express.json() and other http-errors carry their own client status
+  if (error.type === 'entity.parse.failed') {
+    return new AppError('Malformed JSON in request body', 400);
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new AppError(error.message, error.status);
+  }
+
+  const unexpected = new AppError(error.message || 'Internal Server Error', 500);
+  unexpected.cause = error;
+  return unexpected;
+};
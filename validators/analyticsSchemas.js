@@ -0,0 +1,57 @@
+/**
+ * ANALYTICS VALIDATION SCHEMAS
+ * 
+ * Shared by the Prisma and Mongoose analytics routes (same request contract)
+ */
+
+import Joi from 'joi';
+
+// ?from / ?to (ISO dates, default to the last twelve months)
+const dateRange = {
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', {
+    is: Joi.exist(),
+    then: Joi.date().iso().min(Joi.ref('from'))
+  })
+};
+
+const granularity = Joi.string().trim().lowercase().valid('day', 'week', 'month', 'year').default('month');
+const limit = Joi.number().integer().min(1).max(100).default(10);
+
+export const revenueSchema = {
+  query: Joi.object({ ...dateRange, granularity })
+};
+
+export const topProductsSchema = {
+  query: Joi.object({ ...dateRange, limit })
+};
+
+export const ratingsByCategorySchema = {
+  query: Joi.object(dateRange)
+};
+
+export const lowStockSchema = {
+  query: Joi.object({
+    threshold: Joi.number().integer().min(0).default(10),
+    limit: limit.default(50)
+  })
+};
+
+export const customerLifetimeValueSchema = {
+  query: Joi.object({ ...dateRange, limit })
+};
+
+export const cohortsSchema = {
+  query: Joi.object({ ...dateRange, granularity })
+};
+
+export const salesRollupSchema = {
+  query: Joi.object({
+    ...dateRange,
+    granularity: Joi.string().trim().lowercase().valid('hour', 'day').default('day')
+  })
+};
+
+export const productPerformanceRollupSchema = {
+  query: Joi.object({ ...dateRange, limit })
+};
@@ -0,0 +1,49 @@
+/**
+ * CATEGORY VALIDATION SCHEMAS (backend-agnostic routes)
+ */
+
+import Joi from 'joi';
+import { entityId, entityIdParams, slug, listQuery, filterQuery, filterable } from '../common.js';
+
+export const listCategoriesSchema = {
+  query: Joi.object({
+    ...listQuery({
+      sortable: ['id', 'name', 'slug', 'createdAt', 'updatedAt'],
+      selectable: ['name', 'slug', 'description', 'parentId', 'parent', 'createdAt', 'updatedAt']
+    }),
+    filter: filterQuery({
+      name: filterable.string,
+      slug: filterable.string,
+      createdAt: filterable.date,
+      updatedAt: filterable.date,
+      parent: filterable.relation
+    })
+  })
+};
+
+export const getCategorySchema = {
+  params: entityIdParams
+};
+
+export const createCategorySchema = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    slug,
+    description: Joi.string().allow('', null),
+    parentId: entityId.allow(null)
+  })
+};
+
+export const updateCategorySchema = {
+  params: entityIdParams,
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    slug,
+    description: Joi.string().allow('', null),
+    parentId: entityId.allow(null)
+  }).min(1)
+};
+
+export const deleteCategorySchema = {
+  params: entityIdParams
+};
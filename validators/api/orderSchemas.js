@@ -0,0 +1,49 @@
+/**
+ * ORDER VALIDATION SCHEMAS (backend-agnostic routes)
+ */
+
+import Joi from 'joi';
+import { entityId, entityIdParams, listQuery, filterQuery, filterable } from '../common.js';
+
+const status = Joi.string().uppercase().valid('PENDING', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED');
+const paymentStatus = Joi.string().uppercase().valid('UNPAID', 'PAID', 'FAILED', 'REFUNDED');
+
+export const listOrdersSchema = {
+  query: Joi.object({
+    ...listQuery({
+      sortable: ['id', 'orderNumber', 'status', 'paymentStatus', 'totalAmount', 'createdAt', 'updatedAt'],
+      selectable: ['orderNumber', 'userId', 'status', 'paymentStatus', 'totalAmount', 'items', 'createdAt', 'updatedAt']
+    }),
+    filter: filterQuery({
+      orderNumber: filterable.string,
+      status: filterable.enum(status),
+      paymentStatus: filterable.enum(paymentStatus),
+      totalAmount: filterable.number,
+      createdAt: filterable.date,
+      updatedAt: filterable.date
+    })
+  })
+};
+
+export const getOrderSchema = {
+  params: entityIdParams
+};
+
+export const createOrderSchema = {
+  body: Joi.object({
+    userId: entityId,
+    items: Joi.array().items(Joi.object({
+      productId: entityId.required(),
+      quantity: Joi.number().integer().min(1).required()
+    })).min(1).unique('productId').required()
+  })
+};
+
+export const updateOrderStatusSchema = {
+  params: entityIdParams,
+  body: Joi.object({
+    status,
+    paymentStatus,
+    note: Joi.string().trim().max(500)
+  }).or('status', 'paymentStatus')
+};
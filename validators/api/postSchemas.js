@@ -0,0 +1,84 @@
+/**
+ * POST VALIDATION SCHEMAS (backend-agnostic routes)
+ */
+
+import Joi from 'joi';
+import { entityId, entityIdParams, slug, listQuery, filterQuery, filterable, includeDeletedQuery } from '../common.js';
+
+// Statuses a post can be given (scheduled comes from publishing with a future date)
+const status = Joi.string().uppercase().valid('DRAFT', 'PUBLISHED', 'ARCHIVED');
+const listedStatus = Joi.string().uppercase().valid('DRAFT', 'SCHEDULED', 'PUBLISHED', 'ARCHIVED');
+const publishedAt = Joi.date().iso();
+const tagIds = Joi.array().items(entityId).unique();
+
+export const listPostsSchema = {
+  query: Joi.object({
+    ...listQuery({
+      sortable: ['id', 'title', 'status', 'publishedAt', 'createdAt', 'updatedAt'],
+      selectable: ['title', 'slug', 'content', 'status', 'publishedAt', 'authorId', 'author', 'tags', 'createdAt', 'updatedAt', 'deletedAt']
+    }),
+    filter: filterQuery({
+      title: filterable.string,
+      slug: filterable.string,
+      status: filterable.enum(listedStatus),
+      publishedAt: filterable.date,
+      createdAt: filterable.date,
+      updatedAt: filterable.date,
+      tags: filterable.relation
+    }),
+    ...includeDeletedQuery
+  })
+};
+
+export const getPostSchema = {
+  params: entityIdParams,
+  query: Joi.object(includeDeletedQuery)
+};
+
+export const createPostSchema = {
+  body: Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    slug,
+    content: Joi.string().required(),
+    status,
+    publishedAt, // With status PUBLISHED, a future date schedules the post
+    authorId: entityId,
+    tagIds
+  }).with('publishedAt', 'status')
+};
+
+export const updatePostSchema = {
+  params: entityIdParams,
+  body: Joi.object({
+    title: Joi.string().trim().min(1).max(200),
+    slug,
+    content: Joi.string(),
+    status,
+    tagIds,
+    addTagIds: tagIds,
+    removeTagIds: tagIds
+  }).min(1).oxor('tagIds', 'addTagIds').oxor('tagIds', 'removeTagIds')
+};
+
+export const publishPostSchema = {
+  params: entityIdParams,
+  body: Joi.object({
+    publishedAt // In the future: scheduled instead of published now
+  })
+};
+
+export const unpublishPostSchema = {
+  params: entityIdParams
+};
+
+export const archivePostSchema = {
+  params: entityIdParams
+};
+
+export const deletePostSchema = {
+  params: entityIdParams
+};
+
+export const restorePostSchema = {
+  params: entityIdParams
+};
@@ -0,0 +1,70 @@
+/**
+ * PRODUCT VALIDATION SCHEMAS (backend-agnostic routes)
+ */
+
+import Joi from 'joi';
+import { entityId, entityIdParams, slug, listQuery, filterQuery, filterable, includeDeletedQuery } from '../common.js';
+
+const tagIds = Joi.array().items(entityId).unique();
+
+export const listProductsSchema = {
+  query: Joi.object({
+    ...listQuery({
+      sortable: ['id', 'name', 'price', 'stock', 'createdAt', 'updatedAt'],
+      selectable: ['name', 'slug', 'description', 'price', 'stock', 'categoryId', 'category', 'tags', 'createdAt', 'updatedAt', 'deletedAt']
+    }),
+    filter: filterQuery({
+      name: filterable.string,
+      slug: filterable.string,
+      price: filterable.number,
+      stock: filterable.number,
+      createdAt: filterable.date,
+      updatedAt: filterable.date,
+      category: filterable.relation,
+      tags: filterable.relation
+    }),
+    ...includeDeletedQuery
+  })
+};
+
+export const getProductSchema = {
+  params: entityIdParams,
+  query: Joi.object(includeDeletedQuery)
+};
+
+export const createProductSchema = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    slug,
+    description: Joi.string().allow('', null),
+    price: Joi.number().precision(2).min(0).required(),
+    stock: Joi.number().integer().min(0),
+    categoryId: entityId,
+    tagIds
+  })
+};
+
+export const updateProductSchema = {
+  params: entityIdParams,
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(200),
+    slug,
+    description: Joi.string().allow('', null),
+    price: Joi.number().precision(2).min(0),
+    stock: Joi.number().integer().min(0),
+    categoryId: entityId.allow(null),
+    tagIds,
+    addTagIds: tagIds,
+    removeTagIds: tagIds
+  }).min(1)
+    .oxor('tagIds', 'addTagIds')
+    .oxor('tagIds', 'removeTagIds')
+};
+
+export const deleteProductSchema = {
+  params: entityIdParams
+};
+
+export const restoreProductSchema = {
+  params: entityIdParams
+};
@@ -0,0 +1,48 @@
+/**
+ * REVIEW VALIDATION SCHEMAS (backend-agnostic routes)
+ */
+
+import Joi from 'joi';
+import { entityId, entityIdParams, listQuery, filterQuery, filterable } from '../common.js';
+
+const rating = Joi.number().integer().min(1).max(5);
+const comment = Joi.string().trim().max(2000).allow('');
+
+export const listReviewsSchema = {
+  query: Joi.object({
+    productId: entityId,
+    ...listQuery({
+      sortable: ['id', 'rating', 'createdAt', 'updatedAt'],
+      selectable: ['rating', 'comment', 'userId', 'user', 'productId', 'createdAt', 'updatedAt']
+    }),
+    filter: filterQuery({
+      rating: filterable.number,
+      createdAt: filterable.date,
+      updatedAt: filterable.date
+    })
+  })
+};
+
+export const getReviewSchema = {
+  params: entityIdParams
+};
+
+export const createReviewSchema = {
+  body: Joi.object({
+    productId: entityId.required(),
+    rating: rating.required(),
+    comment
+  })
+};
+
+export const updateReviewSchema = {
+  params: entityIdParams,
+  body: Joi.object({
+    rating,
+    comment
+  }).min(1)
+};
+
+export const deleteReviewSchema = {
+  params: entityIdParams
+};
@@ -0,0 +1,45 @@
+/**
+ * TAG VALIDATION SCHEMAS (backend-agnostic routes)
+ */
+
+import Joi from 'joi';
+import { entityIdParams, slug, listQuery, filterQuery, filterable } from '../common.js';
+
+export const listTagsSchema = {
+  query: Joi.object({
+    type: Joi.string().lowercase().valid('product', 'post'), // Tags used by products or by posts
+    ...listQuery({
+      sortable: ['id', 'name', 'slug', 'createdAt', 'updatedAt'],
+      selectable: ['name', 'slug', 'createdAt', 'updatedAt']
+    }),
+    filter: filterQuery({
+      name: filterable.string,
+      slug: filterable.string,
+      createdAt: filterable.date,
+      updatedAt: filterable.date
+    })
+  })
+};
+
+export const getTagSchema = {
+  params: entityIdParams
+};
+
+export const createTagSchema = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    slug
+  })
+};
+
+export const updateTagSchema = {
+  params: entityIdParams,
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    slug
+  }).min(1)
+};
+
+export const deleteTagSchema = {
+  params: entityIdParams
+};
@@ -0,0 +1,31 @@
+/**
+ * AUTH VALIDATION SCHEMAS
+ * 
+ * Shared by the Prisma and Mongoose auth routes (same request contract)
+ */
+
+import Joi from 'joi';
+
+export const registerSchema = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email().required(),
+    username: Joi.string().trim().alphanum().min(3).max(30).required(),
+    password: Joi.string().min(8).max(128).required(),
+    firstName: Joi.string().trim().max(100),
+    lastName: Joi.string().trim().max(100)
+  })
+};
+
+export const loginSchema = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email(),
+    username: Joi.string().trim(),
+    password: Joi.string().required()
+  }).xor('email', 'username')
+};
+
+export const refreshTokenSchema = {
+  body: Joi.object({
+    refreshToken: Joi.string().required()
+  })
+};
@@ -0,0 +1,158 @@
+/**
+ * COMMON VALIDATION SCHEMAS
+ * 
+ * Building blocks shared by the per-resource schemas
+ */
+
+import Joi from 'joi';
+import { parseSort } from '../utils/listQuery.js';
+import {
+  COMPARISON_OPERATORS,
+  TEXT_OPERATORS,
+  SET_OPERATORS,
+  LIST_OPERATORS
+} from '../utils/filterQuery.js';
+
+// Prisma primary keys are autoincrement integers
+export const intId = Joi.number().integer().positive();
+
+// Mongoose primary keys are 24 character hex ObjectIds
+export const objectId = Joi.string().hex().length(24).messages({
+  'string.hex': '{{#label}} must be a valid ObjectId',
+  'string.length': '{{#label}} must be a valid ObjectId'
+});
+
+// Id on the backend-agnostic routes: whichever of the two the request's backend uses
+// (validate() passes req.backend as $backend, see middleware/backend.js)
+export const entityId = Joi.when('$backend', { is: 'mongoose', then: objectId, otherwise: intId });
+
+export const slug = Joi.string().trim().lowercase().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).messages({
+  'string.pattern.base': '{{#label}} must be a valid slug (lowercase letters, numbers and dashes)'
+});
+
+// Route params
+export const intIdParams = Joi.object({ id: intId.required() });
+export const objectIdParams = Joi.object({ id: objectId.required() });
+export const entityIdParams = Joi.object({ id: entityId.required() });
+export const slugParams = Joi.object({ slug: slug.required() });
+
+// Price range filters (maxPrice must not be below minPrice when both are given)
+export const minPrice = Joi.number().min(0);
+export const maxPrice = Joi.number().min(0).when('minPrice', {
+  is: Joi.exist(),
+  then: Joi.number().min(Joi.ref('minPrice'))
+});
+
+// Postal address (embedded in Mongoose users and orders)
+export const address = Joi.object({
+  street: Joi.string().trim(),
+  city: Joi.string().trim(),
+  state: Joi.string().trim(),
+  zipCode: Joi.string().trim(),
+  country: Joi.string().trim()
+});
+
+// page / limit query parameters for paginated lists
+export const paginationQuery = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+};
+
+// ?sort=-price,name, parsed into [{ field, direction }] (only whitelisted fields)
+export const sortQuery = (sortable) => Joi.string().trim().custom((value, helpers) => {
+  const sort = parseSort(value);
+  const unknown = sort.find(({ field }) => !sortable.includes(field));
+  if (!sort.length || unknown) {
+    return helpers.message(`{{#label}} can only use: ${sortable.join(', ')}`);
+  }
+  return sort;
+});
+
+// ?fields=name,price, parsed into an array (only whitelisted fields)
+export const fieldsQuery = (selectable) => Joi.string().trim().custom((value, helpers) => {
+  const fields = [...new Set(value.split(',').map((field) => field.trim()).filter(Boolean))];
+  const unknown = fields.find((field) => !selectable.includes(field));
+  if (!fields.length || unknown) {
+    return helpers.message(`{{#label}} can only use: ${selectable.join(', ')}`);
+  }
+  return fields;
+});
+
+// Query parameters understood by every list endpoint (see utils/listQuery.js)
+export const listQuery = ({ sortable, selectable }) => ({
+  ...paginationQuery,
+  cursor: Joi.string().trim(),
+  sort: sortQuery(sortable),
+  fields: fieldsQuery(selectable)
+});
+
+// ?includeDeleted=true also returns soft deleted records (admins only, see utils/softDelete.js)
+export const includeDeletedQuery = {
+  includeDeleted: Joi.boolean().default(false)
+};
+
+// Kinds of filterable fields: the schema each value must match and the operators allowed
+export const filterable = {
+  number: { schema: Joi.number(), operators: COMPARISON_OPERATORS },
+  date: { schema: Joi.date().iso(), operators: COMPARISON_OPERATORS },
+  string: { schema: Joi.string().trim(), operators: TEXT_OPERATORS },
+  boolean: { schema: Joi.boolean(), operators: ['eq', 'ne', 'exists'] },
+  // A fixed set of values, e.g. filterable.enum(status)
+  enum: (schema) => ({ schema, operators: SET_OPERATORS }),
+  // A relation matched by slug (category, tags)
+  relation: { schema: slug, operators: SET_OPERATORS }
+};
+
+/**
+ * Validate the single condition filter[field][operator]=raw and convert its value
+ * Returns { value } or { error }
+ */
+const parseFilterCondition = (field, spec, operator, raw) => {
+  const label = `filter[${field}][${operator}]`;
+  
+  if (!spec.operators.includes(operator)) {
+    return { error: `"filter[${field}]" does not support "${operator}" (use: ${spec.operators.join(', ')})` };
+  }
+  
+  if (operator === 'exists') {
+    const { value, error } = Joi.boolean().label(label).validate(raw);
+    return error ? { error: error.message } : { value };
+  }
+  
+  if (LIST_OPERATORS.includes(operator)) {
+    const items = Array.isArray(raw) ? raw : String(raw).split(',');
+    let list = Joi.array().items(spec.schema).min(1);
+    if (operator === 'between') list = Joi.array().items(spec.schema).length(2);
+    const { value, error } = list.label(label).validate(items.map((item) => (typeof item === 'string' ? item.trim() : item)));
+    return error ? { error: error.message } : { value };
+  }
+  
+  const { value, error } = spec.schema.label(label).validate(raw);
+  return error ? { error: error.message } : { value };
+};
+
+// ?filter[price][gte]=10&filter[tags][in]=a,b, parsed into [{ field, operator, value }]
+// (see utils/filterQuery.js, only whitelisted fields and operators)
+export const filterQuery = (fields) => Joi.object().unknown(true).custom((value, helpers) => {
+  const filters = [];
+  
+  for (const [field, condition] of Object.entries(value)) {
+    const spec = fields[field];
+    if (!spec) {
+      return helpers.message(`{{#label}} can only use: ${Object.keys(fields).join(', ')}`);
+    }
+    
+    // filter[name]=x is shorthand for filter[name][eq]=x
+    const conditions = condition && typeof condition === 'object' && !Array.isArray(condition)
+      ? condition
+      : { eq: condition };
+    
+    for (const [operator, raw] of Object.entries(conditions)) {
+      const result = parseFilterCondition(field, spec, operator, raw);
+      if (result.error) return helpers.message(result.error);
+      filters.push({ field, operator, value: result.value });
+    }
+  }
+  
+  return filters;
+});
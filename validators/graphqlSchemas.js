@@ -0,0 +1,14 @@
+/**
+ * GRAPHQL VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+
+// GraphQL over HTTP request body
+export const graphqlRequestSchema = {
+  body: Joi.object({
+    query: Joi.string().required(),
+    variables: Joi.object().unknown(true).allow(null),
+    operationName: Joi.string().allow(null)
+  })
+};
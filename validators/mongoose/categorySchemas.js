@@ -0,0 +1,53 @@
+/**
+ * MONGOOSE CATEGORY VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+import { objectId, objectIdParams, slug, slugParams, listQuery, filterQuery, filterable } from '../common.js';
+
+export const listCategoriesSchema = {
+  query: Joi.object({
+    ...listQuery({
+      sortable: ['_id', 'name', 'slug', 'createdAt', 'updatedAt'],
+      selectable: ['name', 'slug', 'description', 'parent', 'createdAt', 'updatedAt']
+    }),
+    filter: filterQuery({
+      name: filterable.string,
+      slug: filterable.string,
+      createdAt: filterable.date,
+      updatedAt: filterable.date,
+      parent: filterable.relation
+    })
+  })
+};
+
+export const getCategorySchema = {
+  params: objectIdParams
+};
+
+export const getCategoryDescendantsSchema = {
+  params: slugParams
+};
+
+export const createCategorySchema = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    slug,
+    description: Joi.string().allow(''),
+    parent: objectId.allow(null)
+  })
+};
+
+export const updateCategorySchema = {
+  params: objectIdParams,
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    slug,
+    description: Joi.string().allow(''),
+    parent: objectId.allow(null)
+  }).min(1)
+};
+
+export const deleteCategorySchema = {
+  params: objectIdParams
+};
@@ -0,0 +1,64 @@
+/**
+ * MONGOOSE ORDER VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+import { objectId, objectIdParams, address, listQuery, filterQuery, filterable } from '../common.js';
+
+const status = Joi.string().lowercase().valid('pending', 'processing', 'shipped', 'delivered', 'cancelled');
+const paymentStatus = Joi.string().lowercase().valid('pending', 'paid', 'failed', 'refunded');
+
+export const listOrdersSchema = {
+  query: Joi.object({
+    ...listQuery({
+      sortable: ['_id', 'orderNumber', 'status', 'paymentStatus', 'totalAmount', 'createdAt', 'updatedAt'],
+      selectable: ['orderNumber', 'user', 'items', 'totalAmount', 'status', 'shippingAddress', 'paymentStatus', 'paymentMethod', 'createdAt', 'updatedAt']
+    }),
+    filter: filterQuery({
+      orderNumber: filterable.string,
+      status: filterable.enum(status),
+      paymentStatus: filterable.enum(paymentStatus),
+      totalAmount: filterable.number,
+      createdAt: filterable.date,
+      updatedAt: filterable.date
+    })
+  })
+};
+
+export const getOrderSchema = {
+  params: objectIdParams
+};
+
+export const createOrderSchema = {
+  body: Joi.object({
+    user: objectId,
+    items: Joi.array().items(Joi.object({
+      product: objectId.required(),
+      quantity: Joi.number().integer().min(1).required()
+    })).min(1).unique('product').required(),
+    shippingAddress: address,
+    paymentMethod: Joi.string().trim()
+  })
+};
+
+export const updateOrderSchema = {
+  params: objectIdParams,
+  // Status changes go through PATCH /:id/status
+  body: Joi.object({
+    shippingAddress: address,
+    paymentMethod: Joi.string().trim()
+  }).min(1)
+};
+
+export const updateOrderStatusSchema = {
+  params: objectIdParams,
+  body: Joi.object({
+    status,
+    paymentStatus,
+    note: Joi.string().trim().max(500)
+  }).or('status', 'paymentStatus')
+};
+
+export const deleteOrderSchema = {
+  params: objectIdParams
+};
@@ -0,0 +1,96 @@
+/**
+ * MONGOOSE POST VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+import { objectId, objectIdParams, slug, slugParams, listQuery, filterQuery, filterable, includeDeletedQuery } from '../common.js';
+
+// Statuses a post can be given (scheduled comes from publishing with a future date)
+const status = Joi.string().lowercase().valid('draft', 'published', 'archived');
+const listedStatus = Joi.string().lowercase().valid('draft', 'scheduled', 'published', 'archived');
+const publishedAt = Joi.date().iso();
+const tags = Joi.array().items(objectId).unique();
+
+const postListQuery = {
+  ...listQuery({
+    sortable: ['_id', 'title', 'status', 'publishedAt', 'createdAt', 'updatedAt'],
+    selectable: ['title', 'slug', 'content', 'author', 'category', 'tags', 'status', 'publishedAt', 'featuredImage', 'createdAt', 'updatedAt', 'deletedAt']
+  }),
+  filter: filterQuery({
+    title: filterable.string,
+    slug: filterable.string,
+    status: filterable.enum(listedStatus),
+    publishedAt: filterable.date,
+    createdAt: filterable.date,
+    updatedAt: filterable.date,
+    category: filterable.relation,
+    tags: filterable.relation
+  })
+};
+
+export const listPostsSchema = {
+  query: Joi.object({
+    ...postListQuery,
+    ...includeDeletedQuery
+  })
+};
+
+export const getPostsByCategorySchema = {
+  params: slugParams,
+  query: Joi.object(postListQuery)
+};
+
+export const getPostSchema = {
+  params: objectIdParams,
+  query: Joi.object(includeDeletedQuery)
+};
+
+export const createPostSchema = {
+  body: Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    slug,
+    content: Joi.string().required(),
+    author: objectId,
+    category: objectId,
+    tags,
+    status,
+    publishedAt, // With status published, a future date schedules the post
+    featuredImage: Joi.string().uri()
+  }).with('publishedAt', 'status')
+};
+
+export const updatePostSchema = {
+  params: objectIdParams,
+  body: Joi.object({
+    title: Joi.string().trim().min(1).max(200),
+    slug,
+    content: Joi.string(),
+    category: objectId.allow(null),
+    tags,
+    status,
+    featuredImage: Joi.string().uri().allow(null)
+  }).min(1)
+};
+
+export const publishPostSchema = {
+  params: objectIdParams,
+  body: Joi.object({
+    publishedAt // In the future: scheduled instead of published now
+  })
+};
+
+export const unpublishPostSchema = {
+  params: objectIdParams
+};
+
+export const archivePostSchema = {
+  params: objectIdParams
+};
+
+export const deletePostSchema = {
+  params: objectIdParams
+};
+
+export const restorePostSchema = {
+  params: objectIdParams
+};
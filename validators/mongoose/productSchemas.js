@@ -0,0 +1,88 @@
+/**
+ * MONGOOSE PRODUCT VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+import { objectId, objectIdParams, slug, minPrice, maxPrice, listQuery, filterQuery, filterable, includeDeletedQuery } from '../common.js';
+
+const tags = Joi.array().items(objectId).unique();
+const images = Joi.array().items(Joi.string().uri());
+
+const productListQuery = {
+  ...listQuery({
+    sortable: ['_id', 'name', 'price', 'stock', 'createdAt', 'updatedAt'],
+    selectable: ['name', 'slug', 'description', 'price', 'stock', 'category', 'tags', 'images', 'isActive', 'createdAt', 'updatedAt', 'deletedAt']
+  }),
+  filter: filterQuery({
+    name: filterable.string,
+    slug: filterable.string,
+    price: filterable.number,
+    stock: filterable.number,
+    createdAt: filterable.date,
+    updatedAt: filterable.date,
+    category: filterable.relation,
+    tags: filterable.relation
+  })
+};
+
+export const getFilteredProductsSchema = {
+  query: Joi.object({
+    minPrice,
+    maxPrice,
+    ...productListQuery
+  })
+};
+
+export const listProductsSchema = {
+  query: Joi.object({
+    category: slug,
+    minPrice,
+    maxPrice,
+    ...productListQuery,
+    ...includeDeletedQuery
+  })
+};
+
+export const getProductSchema = {
+  params: objectIdParams,
+  query: Joi.object(includeDeletedQuery)
+};
+
+export const createProductSchema = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    slug,
+    description: Joi.string().allow(''),
+    price: Joi.number().precision(2).min(0).required(),
+    stock: Joi.number().integer().min(0),
+    category: objectId,
+    categorySlug: slug,
+    tags,
+    images,
+    isActive: Joi.boolean()
+  }).oxor('category', 'categorySlug')
+};
+
+export const updateProductSchema = {
+  params: objectIdParams,
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(200),
+    slug,
+    description: Joi.string().allow(''),
+    price: Joi.number().precision(2).min(0),
+    stock: Joi.number().integer().min(0),
+    category: objectId.allow(null),
+    categorySlug: slug,
+    tags,
+    images,
+    isActive: Joi.boolean()
+  }).min(1).oxor('category', 'categorySlug')
+};
+
+export const deleteProductSchema = {
+  params: objectIdParams
+};
+
+export const restoreProductSchema = {
+  params: objectIdParams
+};
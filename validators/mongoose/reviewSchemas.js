@@ -0,0 +1,56 @@
+/**
+ * MONGOOSE REVIEW VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+import { objectId, objectIdParams, listQuery, filterQuery, filterable } from '../common.js';
+
+const rating = Joi.number().integer().min(1).max(5);
+
+const reviewListQuery = {
+  ...listQuery({
+    sortable: ['_id', 'rating', 'createdAt', 'updatedAt'],
+    selectable: ['user', 'product', 'rating', 'comment', 'createdAt', 'updatedAt']
+  }),
+  filter: filterQuery({
+    rating: filterable.number,
+    createdAt: filterable.date,
+    updatedAt: filterable.date
+  })
+};
+
+export const listReviewsSchema = {
+  query: Joi.object({
+    product: objectId,
+    ...reviewListQuery
+  })
+};
+
+export const listProductReviewsSchema = {
+  params: objectIdParams,
+  query: Joi.object(reviewListQuery)
+};
+
+export const getReviewSchema = {
+  params: objectIdParams
+};
+
+export const createReviewSchema = {
+  body: Joi.object({
+    product: objectId.required(),
+    rating: rating.required(),
+    comment: Joi.string().trim().max(2000).allow('')
+  })
+};
+
+export const updateReviewSchema = {
+  params: objectIdParams,
+  body: Joi.object({
+    rating,
+    comment: Joi.string().trim().max(2000).allow('')
+  }).min(1)
+};
+
+export const deleteReviewSchema = {
+  params: objectIdParams
+};
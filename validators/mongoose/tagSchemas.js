@@ -0,0 +1,77 @@
+/**
+ * MONGOOSE TAG VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+import { objectId, objectIdParams, slug, listQuery, filterQuery, filterable } from '../common.js';
+
+// ?type= narrows tags to those used by products or by posts
+const type = Joi.string().lowercase().valid('product', 'post');
+
+const tagListQuery = {
+  ...listQuery({
+    sortable: ['_id', 'name', 'slug', 'createdAt', 'updatedAt'],
+    selectable: ['name', 'slug', 'createdAt', 'updatedAt']
+  }),
+  filter: filterQuery({
+    name: filterable.string,
+    slug: filterable.string,
+    createdAt: filterable.date,
+    updatedAt: filterable.date
+  })
+};
+
+export const listTagsSchema = {
+  query: Joi.object({
+    type,
+    ...tagListQuery
+  })
+};
+
+export const getSingleTagSchema = {
+  params: objectIdParams
+};
+
+export const getTagsByTypeSchema = {
+  query: Joi.object({
+    type,
+    ...tagListQuery
+  })
+};
+
+export const getTagSchema = {
+  params: objectIdParams
+};
+
+export const getRelatedTagsSchema = {
+  params: objectIdParams,
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(50).default(10)
+  })
+};
+
+export const createTagSchema = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    slug
+  })
+};
+
+export const updateTagSchema = {
+  params: objectIdParams,
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    slug
+  }).min(1)
+};
+
+export const mergeTagSchema = {
+  params: objectIdParams,
+  body: Joi.object({
+    target: objectId.required() // Tag that replaces this one
+  })
+};
+
+export const deleteTagSchema = {
+  params: objectIdParams
+};
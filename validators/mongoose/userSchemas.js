@@ -0,0 +1,71 @@
+/**
+ * MONGOOSE USER VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+import { objectIdParams, address, listQuery, filterQuery, filterable, includeDeletedQuery } from '../common.js';
+
+const role = Joi.string().lowercase().valid('user', 'admin');
+
+export const listUsersSchema = {
+  query: Joi.object({
+    ...listQuery({
+      sortable: ['_id', 'username', 'email', 'firstName', 'lastName', 'createdAt', 'updatedAt'],
+      selectable: ['username', 'email', 'firstName', 'lastName', 'role', 'isActive', 'addresses', 'createdAt', 'updatedAt', 'deletedAt']
+    }),
+    filter: filterQuery({
+      email: filterable.string,
+      username: filterable.string,
+      firstName: filterable.string,
+      lastName: filterable.string,
+      role: filterable.enum(role),
+      isActive: filterable.boolean,
+      createdAt: filterable.date,
+      updatedAt: filterable.date
+    }),
+    ...includeDeletedQuery
+  })
+};
+
+// The legacy /get-users route takes the same query parameters
+export const getUsersSchema = listUsersSchema;
+
+export const getUserSchema = {
+  params: objectIdParams,
+  query: Joi.object(includeDeletedQuery)
+};
+
+export const createUserSchema = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email().required(),
+    username: Joi.string().trim().alphanum().min(3).max(30).required(),
+    password: Joi.string().min(8).max(128).required(),
+    firstName: Joi.string().trim().max(100),
+    lastName: Joi.string().trim().max(100),
+    role,
+    isActive: Joi.boolean(),
+    addresses: Joi.array().items(address)
+  })
+};
+
+export const updateUserSchema = {
+  params: objectIdParams,
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email(),
+    username: Joi.string().trim().alphanum().min(3).max(30),
+    password: Joi.string().min(8).max(128),
+    firstName: Joi.string().trim().max(100),
+    lastName: Joi.string().trim().max(100),
+    role,
+    isActive: Joi.boolean(),
+    addresses: Joi.array().items(address)
+  }).min(1)
+};
+
+export const deleteUserSchema = {
+  params: objectIdParams
+};
+
+export const restoreUserSchema = {
+  params: objectIdParams
+};
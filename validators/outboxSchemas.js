@@ -0,0 +1,12 @@
+/**
+ * OUTBOX VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+
+export const replayOutboxSchema = {
+  body: Joi.object({
+    // Events after this id are projected again (0 rebuilds the read models)
+    fromOffset: Joi.number().integer().min(0).required()
+  })
+};
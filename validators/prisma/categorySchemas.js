@@ -0,0 +1,53 @@
+/**
+ * PRISMA CATEGORY VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+import { intId, intIdParams, slug, slugParams, listQuery, filterQuery, filterable } from '../common.js';
+
+export const listCategoriesSchema = {
+  query: Joi.object({
+    ...listQuery({
+      sortable: ['id', 'name', 'slug', 'createdAt', 'updatedAt'],
+      selectable: ['name', 'slug', 'description', 'parentId', 'parent', 'createdAt', 'updatedAt']
+    }),
+    filter: filterQuery({
+      name: filterable.string,
+      slug: filterable.string,
+      createdAt: filterable.date,
+      updatedAt: filterable.date,
+      parent: filterable.relation
+    })
+  })
+};
+
+export const getCategorySchema = {
+  params: intIdParams
+};
+
+export const getCategoryDescendantsSchema = {
+  params: slugParams
+};
+
+export const createCategorySchema = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    slug,
+    description: Joi.string().allow('', null),
+    parentId: intId.allow(null)
+  })
+};
+
+export const updateCategorySchema = {
+  params: intIdParams,
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    slug,
+    description: Joi.string().allow('', null),
+    parentId: intId.allow(null)
+  }).min(1)
+};
+
+export const deleteCategorySchema = {
+  params: intIdParams
+};
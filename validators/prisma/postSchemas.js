@@ -0,0 +1,84 @@
+/**
+ * PRISMA POST VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+import { intId, intIdParams, slug, listQuery, filterQuery, filterable, includeDeletedQuery } from '../common.js';
+
+// Statuses a post can be given (scheduled comes from publishing with a future date)
+const status = Joi.string().uppercase().valid('DRAFT', 'PUBLISHED', 'ARCHIVED');
+const listedStatus = Joi.string().uppercase().valid('DRAFT', 'SCHEDULED', 'PUBLISHED', 'ARCHIVED');
+const publishedAt = Joi.date().iso();
+const tagIds = Joi.array().items(intId).unique();
+
+export const listPostsSchema = {
+  query: Joi.object({
+    ...listQuery({
+      sortable: ['id', 'title', 'status', 'publishedAt', 'createdAt', 'updatedAt'],
+      selectable: ['title', 'slug', 'content', 'status', 'publishedAt', 'authorId', 'author', 'tags', 'createdAt', 'updatedAt', 'deletedAt']
+    }),
+    filter: filterQuery({
+      title: filterable.string,
+      slug: filterable.string,
+      status: filterable.enum(listedStatus),
+      publishedAt: filterable.date,
+      createdAt: filterable.date,
+      updatedAt: filterable.date,
+      tags: filterable.relation
+    }),
+    ...includeDeletedQuery
+  })
+};
+
+export const getPostSchema = {
+  params: intIdParams,
+  query: Joi.object(includeDeletedQuery)
+};
+
+export const createPostSchema = {
+  body: Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    slug,
+    content: Joi.string().required(),
+    status,
+    publishedAt, // With status PUBLISHED, a future date schedules the post
+    authorId: intId,
+    tagIds
+  }).with('publishedAt', 'status')
+};
+
+export const updatePostSchema = {
+  params: intIdParams,
+  body: Joi.object({
+    title: Joi.string().trim().min(1).max(200),
+    slug,
+    content: Joi.string(),
+    status,
+    tagIds,
+    addTagIds: tagIds,
+    removeTagIds: tagIds
+  }).min(1).oxor('tagIds', 'addTagIds').oxor('tagIds', 'removeTagIds')
+};
+
+export const publishPostSchema = {
+  params: intIdParams,
+  body: Joi.object({
+    publishedAt // In the future: scheduled instead of published now
+  })
+};
+
+export const unpublishPostSchema = {
+  params: intIdParams
+};
+
+export const archivePostSchema = {
+  params: intIdParams
+};
+
+export const deletePostSchema = {
+  params: intIdParams
+};
+
+export const restorePostSchema = {
+  params: intIdParams
+};
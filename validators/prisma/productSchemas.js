@@ -0,0 +1,76 @@
+/**
+ * PRISMA PRODUCT VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+import { intId, intIdParams, slug, minPrice, maxPrice, listQuery, filterQuery, filterable, includeDeletedQuery } from '../common.js';
+
+const tagIds = Joi.array().items(intId).unique();
+
+export const listProductsSchema = {
+  query: Joi.object({
+    category: slug,
+    minPrice,
+    maxPrice,
+    ...listQuery({
+      sortable: ['id', 'name', 'price', 'stock', 'createdAt', 'updatedAt'],
+      selectable: ['name', 'slug', 'description', 'price', 'stock', 'categoryId', 'category', 'tags', 'createdAt', 'updatedAt', 'deletedAt']
+    }),
+    filter: filterQuery({
+      name: filterable.string,
+      slug: filterable.string,
+      price: filterable.number,
+      stock: filterable.number,
+      createdAt: filterable.date,
+      updatedAt: filterable.date,
+      category: filterable.relation,
+      tags: filterable.relation
+    }),
+    ...includeDeletedQuery
+  })
+};
+
+export const getProductSchema = {
+  params: intIdParams,
+  query: Joi.object(includeDeletedQuery)
+};
+
+export const createProductSchema = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    slug,
+    description: Joi.string().allow('', null),
+    price: Joi.number().precision(2).min(0).required(),
+    stock: Joi.number().integer().min(0),
+    categoryId: intId,
+    categorySlug: slug,
+    tagIds
+  }).oxor('categoryId', 'categorySlug')
+};
+
+export const updateProductSchema = {
+  params: intIdParams,
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(200),
+    slug,
+    description: Joi.string().allow('', null),
+    price: Joi.number().precision(2).min(0),
+    stock: Joi.number().integer().min(0),
+    categoryId: intId.allow(null),
+    categorySlug: slug,
+    tagIds,
+    addTagIds: tagIds,
+    removeTagIds: tagIds
+  }).min(1)
+    .oxor('categoryId', 'categorySlug')
+    .oxor('tagIds', 'addTagIds')
+    .oxor('tagIds', 'removeTagIds')
+};
+
+export const deleteProductSchema = {
+  params: intIdParams
+};
+
+export const restoreProductSchema = {
+  params: intIdParams
+};
@@ -0,0 +1,56 @@
+/**
+ * PRISMA REVIEW VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+import { intId, intIdParams, listQuery, filterQuery, filterable } from '../common.js';
+
+const rating = Joi.number().integer().min(1).max(5);
+
+const reviewListQuery = {
+  ...listQuery({
+    sortable: ['id', 'rating', 'createdAt', 'updatedAt'],
+    selectable: ['rating', 'comment', 'userId', 'user', 'productId', 'createdAt', 'updatedAt']
+  }),
+  filter: filterQuery({
+    rating: filterable.number,
+    createdAt: filterable.date,
+    updatedAt: filterable.date
+  })
+};
+
+export const listReviewsSchema = {
+  query: Joi.object({
+    productId: intId,
+    ...reviewListQuery
+  })
+};
+
+export const listProductReviewsSchema = {
+  params: intIdParams,
+  query: Joi.object(reviewListQuery)
+};
+
+export const getReviewSchema = {
+  params: intIdParams
+};
+
+export const createReviewSchema = {
+  body: Joi.object({
+    productId: intId.required(),
+    rating: rating.required(),
+    comment: Joi.string().trim().max(2000).allow('')
+  })
+};
+
+export const updateReviewSchema = {
+  params: intIdParams,
+  body: Joi.object({
+    rating,
+    comment: Joi.string().trim().max(2000).allow('')
+  }).min(1)
+};
+
+export const deleteReviewSchema = {
+  params: intIdParams
+};
@@ -0,0 +1,59 @@
+/**
+ * PRISMA TAG VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+import { intId, intIdParams, slug, listQuery, filterQuery, filterable } from '../common.js';
+
+export const listTagsSchema = {
+  query: Joi.object({
+    type: Joi.string().lowercase().valid('product', 'post'), // Tags used by products or by posts
+    ...listQuery({
+      sortable: ['id', 'name', 'slug', 'createdAt', 'updatedAt'],
+      selectable: ['name', 'slug', 'createdAt', 'updatedAt']
+    }),
+    filter: filterQuery({
+      name: filterable.string,
+      slug: filterable.string,
+      createdAt: filterable.date,
+      updatedAt: filterable.date
+    })
+  })
+};
+
+export const getTagSchema = {
+  params: intIdParams
+};
+
+export const getRelatedTagsSchema = {
+  params: intIdParams,
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(50).default(10)
+  })
+};
+
+export const createTagSchema = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    slug
+  })
+};
+
+export const updateTagSchema = {
+  params: intIdParams,
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    slug
+  }).min(1)
+};
+
+export const mergeTagSchema = {
+  params: intIdParams,
+  body: Joi.object({
+    targetId: intId.required() // Tag that replaces this one
+  })
+};
+
+export const deleteTagSchema = {
+  params: intIdParams
+};
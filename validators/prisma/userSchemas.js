@@ -0,0 +1,70 @@
+/**
+ * PRISMA USER VALIDATION SCHEMAS
+ */
+
+import Joi from 'joi';
+import { intIdParams, listQuery, filterQuery, filterable, includeDeletedQuery } from '../common.js';
+
+const profile = Joi.object({
+  bio: Joi.string().max(1000).allow('', null),
+  avatarUrl: Joi.string().uri().allow(null)
+});
+
+const role = Joi.string().uppercase().valid('USER', 'ADMIN');
+
+export const listUsersSchema = {
+  query: Joi.object({
+    ...listQuery({
+      sortable: ['id', 'email', 'username', 'firstName', 'lastName', 'createdAt', 'updatedAt'],
+      selectable: ['email', 'username', 'firstName', 'lastName', 'role', 'profile', 'posts', 'createdAt', 'updatedAt', 'deletedAt']
+    }),
+    filter: filterQuery({
+      email: filterable.string,
+      username: filterable.string,
+      firstName: filterable.string,
+      lastName: filterable.string,
+      role: filterable.enum(role),
+      createdAt: filterable.date,
+      updatedAt: filterable.date
+    }),
+    ...includeDeletedQuery
+  })
+};
+
+export const getUserSchema = {
+  params: intIdParams,
+  query: Joi.object(includeDeletedQuery)
+};
+
+export const createUserSchema = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email().required(),
+    username: Joi.string().trim().alphanum().min(3).max(30).required(),
+    password: Joi.string().min(8).max(128).required(),
+    firstName: Joi.string().trim().max(100).allow(null),
+    lastName: Joi.string().trim().max(100).allow(null),
+    role,
+    profile
+  })
+};
+
+export const updateUserSchema = {
+  params: intIdParams,
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email(),
+    username: Joi.string().trim().alphanum().min(3).max(30),
+    password: Joi.string().min(8).max(128),
+    firstName: Joi.string().trim().max(100).allow(null),
+    lastName: Joi.string().trim().max(100).allow(null),
+    role,
+    profile
+  }).min(1)
+};
+
+export const deleteUserSchema = {
+  params: intIdParams
+};
+
+export const restoreUserSchema = {
+  params: intIdParams
+};
@@ -0,0 +1,19 @@
+/**
+ * SEARCH VALIDATION SCHEMAS
+ * 
+ * Shared by the Prisma and Mongoose search routes (same request contract)
+ */
+
+import Joi from 'joi';
+import { slug, paginationQuery } from './common.js';
+
+export const searchSchema = {
+  query: Joi.object({
+    q: Joi.string().trim().min(1).max(200).required(),
+    type: Joi.string().trim().lowercase().valid('product', 'post'),
+    // Narrow the results to one facet value
+    category: slug,
+    tag: slug,
+    ...paginationQuery
+  })
+};